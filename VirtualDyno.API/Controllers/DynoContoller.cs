@@ -279,6 +279,72 @@ namespace VirtualDyno.API.Controllers
             }
         }
 
+        /// <summary>
+        /// Rename or annotate a dyno run
+        /// </summary>
+        [HttpPatch("runs/{id}")]
+        public async Task<ActionResult<DynoRunResponseDto>> UpdateRun(int id, [FromBody] DynoRunUpdateDto request)
+        {
+            try
+            {
+                if (request.FileName != null && string.IsNullOrWhiteSpace(request.FileName))
+                    return BadRequest("Run name cannot be empty");
+
+                var userId = "demo-user";
+
+                var run = await _context.DynoRuns
+                    .Where(r => r.Id == id && r.UserId == userId)
+                    .Include(r => r.Peaks)
+                    .Include(r => r.Car)
+                    .FirstOrDefaultAsync();
+
+                if (run == null)
+                    return NotFound($"Dyno run {id} not found");
+
+                if (request.FileName != null)
+                    run.FileName = request.FileName.Trim();
+
+                if (request.Notes != null)
+                    run.Notes = request.Notes;
+
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("Updated dyno run {id}", id);
+
+                return Ok(new DynoRunResponseDto
+                {
+                    Id = run.Id,
+                    FileName = run.FileName,
+                    CreatedAt = run.CreatedAt,
+                    Car = new CarConfigurationDto
+                    {
+                        Name = run.Car.Name,
+                        Weight = run.Car.Weight,
+                        Displacement = run.Car.Displacement,
+                        DriveType = run.Car.DriveType
+                    },
+                    GearUsed = run.GearUsed,
+                    Peaks = run.Peaks != null ? new PeakValuesDto
+                    {
+                        MaxHorsepower = run.Peaks.MaxHorsepower,
+                        MaxHorsepowerRpm = run.Peaks.MaxHorsepowerRpm,
+                        MaxTorque = run.Peaks.MaxTorque,
+                        MaxTorqueRpm = run.Peaks.MaxTorqueRpm,
+                        MaxBoost = run.Peaks.MaxBoost,
+                        PowerToWeightRatio = run.Peaks.PowerToWeightRatio
+                    } : null,
+                    Notes = run.Notes,
+                    IsPublic = run.IsPublic,
+                    DataPointCount = await _context.DynoDataPoints.CountAsync(dp => dp.DynoRunId == run.Id)
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating dyno run {id}", id);
+                return StatusCode(500, "Error updating dyno run");
+            }
+        }
+
         /// <summary>
         /// Delete a dyno run
         /// </summary>
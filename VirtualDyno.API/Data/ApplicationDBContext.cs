@@ -49,86 +49,108 @@ namespace VirtualDyno.API.Data
                 .HasIndex(d => new { d.DynoRunId, d.Rpm });
 
             // Seed car presets
-            builder.Entity<CarPreset>().HasData(
-                new CarPreset
-                {
-                    Id = 1,
-                    Key = "mazdaspeed3",
-                    Name = "Mazdaspeed3",
-                    Weight = 3200,
-                    Displacement = 2.3,
-                    DriveType = "FWD",
-                    GearRatio3rd = 2.28,
-                    GearRatio4th = 1.65,
-                    GearRatio5th = 1.28,
-                    FinalDrive = 4.438
-                },
-                new CarPreset
-                {
-                    Id = 2,
-                    Key = "wrx",
-                    Name = "Subaru WRX",
-                    Weight = 3267,
-                    Displacement = 2.0,
-                    DriveType = "AWD",
-                    GearRatio3rd = 2.37,
-                    GearRatio4th = 1.72,
-                    GearRatio5th = 1.34,
-                    FinalDrive = 4.11
-                },
-                new CarPreset
-                {
-                    Id = 3,
-                    Key = "sti",
-                    Name = "Subaru STI",
-                    Weight = 3391,
-                    Displacement = 2.5,
-                    DriveType = "AWD",
-                    GearRatio3rd = 2.37,
-                    GearRatio4th = 1.72,
-                    GearRatio5th = 1.34,
-                    FinalDrive = 4.11
-                },
-                new CarPreset
-                {
-                    Id = 4,
-                    Key = "evo",
-                    Name = "Mitsubishi Evo",
-                    Weight = 3263,
-                    Displacement = 2.0,
-                    DriveType = "AWD",
-                    GearRatio3rd = 2.27,
-                    GearRatio4th = 1.65,
-                    GearRatio5th = 1.28,
-                    FinalDrive = 4.53
-                },
-                new CarPreset
-                {
-                    Id = 5,
-                    Key = "gti",
-                    Name = "VW Golf GTI",
-                    Weight = 3126,
-                    Displacement = 2.0,
-                    DriveType = "FWD",
-                    GearRatio3rd = 2.13,
-                    GearRatio4th = 1.45,
-                    GearRatio5th = 1.13,
-                    FinalDrive = 3.65
-                },
-                new CarPreset
+            builder.Entity<CarPreset>().HasData(SeedPresets());
+        }
+
+        // EnsureCreated only seeds a new database. Bring the seeded rows of an
+        // existing one up to date, so /api/carpresets matches the seed (and the
+        // frontend's bundled presets) after a seed value is corrected.
+        // Returns the number of presets changed.
+        public int SyncSeededPresets()
+        {
+            var existing = CarPresets.ToDictionary(p => p.Id);
+            foreach (var seed in SeedPresets())
+            {
+                if (existing.TryGetValue(seed.Id, out var preset))
                 {
-                    Id = 6,
-                    Key = "focus_st",
-                    Name = "Ford Focus ST",
-                    Weight = 3223,
-                    Displacement = 2.0,
-                    DriveType = "FWD",
-                    GearRatio3rd = 2.13,
-                    GearRatio4th = 1.45,
-                    GearRatio5th = 1.13,
-                    FinalDrive = 3.82
+                    Entry(preset).CurrentValues.SetValues(seed);
                 }
-            );
+            }
+            return SaveChanges();
         }
+
+        private static CarPreset[] SeedPresets() => new[]
+        {
+            new CarPreset
+            {
+                Id = 1,
+                Key = "mazdaspeed3",
+                Name = "Mazdaspeed3",
+                Weight = 3200,
+                Displacement = 2.3,
+                DriveType = "FWD",
+                // 3rd at 4.438 final drive on the stock 215/45R18 is ~80 rpm/mph,
+                // which is what the sample log reads in 3rd
+                GearRatio3rd = 1.38,
+                GearRatio4th = 1.00,
+                GearRatio5th = 0.77,
+                FinalDrive = 4.438
+            },
+            new CarPreset
+            {
+                Id = 2,
+                Key = "wrx",
+                Name = "Subaru WRX",
+                Weight = 3267,
+                Displacement = 2.0,
+                DriveType = "AWD",
+                GearRatio3rd = 2.37,
+                GearRatio4th = 1.72,
+                GearRatio5th = 1.34,
+                FinalDrive = 4.11
+            },
+            new CarPreset
+            {
+                Id = 3,
+                Key = "sti",
+                Name = "Subaru STI",
+                Weight = 3391,
+                Displacement = 2.5,
+                DriveType = "AWD",
+                GearRatio3rd = 2.37,
+                GearRatio4th = 1.72,
+                GearRatio5th = 1.34,
+                FinalDrive = 4.11
+            },
+            new CarPreset
+            {
+                Id = 4,
+                Key = "evo",
+                Name = "Mitsubishi Evo",
+                Weight = 3263,
+                Displacement = 2.0,
+                DriveType = "AWD",
+                GearRatio3rd = 2.27,
+                GearRatio4th = 1.65,
+                GearRatio5th = 1.28,
+                FinalDrive = 4.53
+            },
+            new CarPreset
+            {
+                Id = 5,
+                Key = "gti",
+                Name = "VW Golf GTI",
+                Weight = 3126,
+                Displacement = 2.0,
+                DriveType = "FWD",
+                GearRatio3rd = 2.13,
+                GearRatio4th = 1.45,
+                GearRatio5th = 1.13,
+                FinalDrive = 3.65
+            },
+            new CarPreset
+            {
+                Id = 6,
+                Key = "focus_st",
+                Name = "Ford Focus ST",
+                Weight = 3223,
+                Displacement = 2.0,
+                DriveType = "FWD",
+                GearRatio3rd = 2.13,
+                GearRatio4th = 1.45,
+                GearRatio5th = 1.13,
+                FinalDrive = 3.82
+            }
+        };
     }
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
-﻿namespace VirtualDyno.API.Models.DTOs
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace VirtualDyno.API.Models.DTOs
 {
     public class DynoRunCreateDto
     {
@@ -10,6 +12,15 @@
         public bool IsPublic { get; set; } = false;
     }
 
+    public class DynoRunUpdateDto
+    {
+        [MaxLength(255)]
+        public string? FileName { get; set; }
+
+        [MaxLength(1000)]
+        public string? Notes { get; set; }
+    }
+
     public class DynoRunResponseDto
     {
         public int Id { get; set; }
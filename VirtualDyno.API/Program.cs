@@ -85,6 +85,11 @@ using (var scope = app.Services.CreateScope())
     try
     {
         context.Database.EnsureCreated();
+        var updatedPresets = context.SyncSeededPresets();
+        if (updatedPresets > 0)
+        {
+            Console.WriteLine($"Updated {updatedPresets} seeded car preset(s)");
+        }
         Console.WriteLine("Database initialized successfully");
     }
     catch (Exception ex)
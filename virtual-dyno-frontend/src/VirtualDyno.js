@@ -1,23 +1,193 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { serializeRows } from './lib/csvParser';
+import { detectMapping, headerSignature, loadMappingOverrides, loadAllMappingOverrides, saveMappingOverrides } from './lib/columnMapping';
+import { pullRowIndices } from './lib/pullDetection';
+import {
+  findCarPreset,
+  loadCachedCarPresets,
+  cacheCarPresets,
+  loadCustomVehicles,
+  saveCustomVehicles,
+  customVehicleKey,
+  gearList,
+  gearLabel,
+  parseTireSize,
+  vehicleGearing,
+  DEFAULT_CAR_PRESETS,
+  DEFAULT_TIRE_DIAMETER
+} from './lib/carPresets';
+import { checkPullGears, gearWarning } from './lib/gearDetection';
+import { analyzeDataQuality } from './lib/dataQuality';
+import { applyDynoModel, DYNO_TYPES } from './lib/dynoModel';
+import { calculateCorrectionFactor, weatherProblem, formatCorrection, CORRECTION_STANDARDS, DEFAULT_WEATHER } from './lib/correctionFactors';
+import { RUN_COLORS } from './lib/runComparison';
+import { buildDynoSheetSvg, sheetFromResults, svgToPngBlob, buildPrintDocument } from './lib/dynoSheet';
+import { downloadBlob, safeFileName } from './lib/download';
+import { curveTable, curveToCsv, curveToJson, createRunBundle, parseRunBundle, BUNDLE_EXTENSION } from './lib/runExport';
+import { computeRoadDyno, roadDynoPeaks, DEFAULT_ROAD_DYNO_SETTINGS } from './lib/roadDyno';
+import { loadViewerChannels, saveViewerChannels } from './lib/channelViewer';
+import { buildReplayTimeline, replayIndexAt, replayPeaksAt, replayStateAt } from './lib/replay';
+import { hasWebGL, loadDynoCellEnabled, saveDynoCellEnabled } from './lib/dynoCell';
+import { filterDynoRows } from './lib/logProcessing';
+import { startLogTask } from './lib/logWorker';
+import { resampleCurve, averageCurves, bandSpread, RPM_STEPS, DEFAULT_AVERAGE_STEP } from './lib/resampling';
+import { smoothCurve, smoothingLabel, smoothingTag, isSmoothed, DEFAULT_SMOOTHING } from './lib/smoothing';
+import { createApiClient, loadApiBaseUrl, saveApiBaseUrl, normalizeBaseUrl, isCancelledRequest, DEFAULT_API_BASE_URL } from './lib/apiClient';
+import {
+  autoRpmRange,
+  clampRange,
+  zoomFromSelection,
+  panRange,
+  pinchRange,
+  rpmAtPosition,
+  readoutAt,
+  legendHitTest
+} from './lib/graphView';
+import {
+  SECONDARY_AXES,
+  enabledAxes,
+  axisSeriesStyle,
+  niceScale,
+  scaleTicks,
+  formatTick,
+  loadAxisSettings,
+  saveAxisSettings
+} from './lib/graphAxes';
+import {
+  analyzeEngineHealth,
+  loadHealthThresholds,
+  saveHealthThresholds,
+  DEFAULT_HEALTH_THRESHOLDS,
+  FINDING_TYPES,
+  SEVERITY_COLORS
+} from './lib/engineHealth';
+import { toDisplay, fromDisplay, formatQuantity, unitLabel, unitDigits, loadUnits, saveUnits } from './lib/units';
+import ColumnMappingPanel from './components/ColumnMappingPanel';
+import PullSelector from './components/PullSelector';
+import ComparisonPanel from './components/ComparisonPanel';
+import RunHistoryPanel from './components/RunHistoryPanel';
+import VehicleEditor from './components/VehicleEditor';
+import ChannelViewer from './components/ChannelViewer';
+import EngineHealthCard from './components/EngineHealthCard';
+import DataQualityPanel from './components/DataQualityPanel';
+import DataQualityCard from './components/DataQualityCard';
+import HealthThresholdsPanel from './components/HealthThresholdsPanel';
+import GraphAxesPanel from './components/GraphAxesPanel';
+import UnitsPanel from './components/UnitsPanel';
+import ReplayControls from './components/ReplayControls';
+import DynoCellPanel from './components/DynoCellPanel';
+import LogProgress from './components/LogProgress';
+import SmoothingControls from './components/SmoothingControls';
+import SmoothingReport from './components/SmoothingReport';
+import { inputStyle, labelStyle, sectionStyle } from './components/panelStyles';
+
+// Runs with no database row behind them
+const isOfflineRun = (results) => results.source === 'local' || results.source === 'bundle';
+
+// Channels of a processed dyno point, interpolated when resampling or
+// averaging pulls
+const PROCESSED_KEYS = ['hp', 'torque', 'boost', 'maf', 'load'];
+
+// Processed dyno points → an unrounded curve, what smoothing works on
+const rawCurve = (processedData) => processedData.map(d => ({
+  rpm: d.rpm,
+  horsepower: d.hp,
+  torque: d.torque,
+  boost: d.boost
+}));
+
+// The rounding the graph and exports show
+const roundCurve = (curve) => curve.map(d => ({
+  rpm: d.rpm,
+  horsepower: Math.round(d.horsepower),
+  torque: Math.round(d.torque),
+  boost: Math.round(d.boost * 10) / 10
+}));
+
+// Processed dyno points → the rounded curve the graph and exports use
+const curveFromProcessed = (processedData) => roundCurve(rawCurve(processedData));
+
+// Largest value without spreading into Math.max, which overflows the call
+// stack on long logs
+const maxOf = (values) => values.reduce((max, value) => (value > max ? value : max), -Infinity);
+
+const calculatePeaksFromData = (data) => {
+  if (!data || data.length === 0) return null;
+  
+  const maxHP = maxOf(data.map(d => d.horsepower));
+  const maxTorque = maxOf(data.map(d => d.torque));
+  const maxBoost = maxOf(data.map(d => d.boost));
+  const maxHPPoint = data.find(d => d.horsepower === maxHP);
+  const maxTorquePoint = data.find(d => d.torque === maxTorque);
+  
+  return {
+    maxHP,
+    maxTorque,
+    maxBoost,
+    maxHPRpm: maxHPPoint?.rpm || 0,
+    maxTorqueRpm: maxTorquePoint?.rpm || 0
+  };
+};
+
+const readFileBytes = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+  reader.onerror = () => reject(new Error('File reading failed'));
+  reader.readAsArrayBuffer(file);
+});
+
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error('File reading failed'));
+  reader.readAsText(file);
+});
+
+const parseReportOf = (parsed) => ({
+  rowCount: parsed.rowCount,
+  delimiter: parsed.delimiter,
+  encoding: parsed.encoding,
+  metadata: parsed.metadata,
+  errors: parsed.errors
+});
 
 const VirtualDyno = () => {
   // Core state
   const [csvFile, setCsvFile] = useState(null);
   const [csvData, setCsvData] = useState([]);
   const [dynoResults, setDynoResults] = useState(null);
-  const [isRunning, setIsRunning] = useState(false);
-  const [currentDataPoint, setCurrentDataPoint] = useState(0);
-  const [liveGraphData, setLiveGraphData] = useState([]);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [parseReport, setParseReport] = useState(null);
+  const [parsedLog, setParsedLog] = useState(null);
+  const [logBytes, setLogBytes] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [logRows, setLogRows] = useState([]);
+  const [pulls, setPulls] = useState([]);
+  const [selectedPullIds, setSelectedPullIds] = useState([]);
   
-  // Live stats during run
-  const [currentPeaks, setCurrentPeaks] = useState({
-    maxHP: 0,
-    maxTorque: 0,
-    maxBoost: 0,
-    currentHP: 0,
-    currentTorque: 0,
-    currentBoost: 0
-  });
+  // Parsing and calculation run in a worker: { fileName, stage, fraction }
+  // while one is in flight. The ref holds the job so it can be cancelled.
+  const [logJob, setLogJob] = useState(null);
+  const logJobRef = useRef(null);
+  
+  // Replay of a finished run: { timeline, results, elapsed, playing }. The
+  // results are shown once playback ends or is skipped.
+  const [replay, setReplay] = useState(null);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const isRunning = isCalculating || replay !== null;
+  
+  // Live graph and stats follow the replay position
+  const replayTimeline = replay?.timeline;
+  const replayIndex = replay ? replayIndexAt(replay.timeline, replay.elapsed) : -1;
+  const liveGraphData = useMemo(
+    () => (replayTimeline ? replayTimeline.frames.slice(0, replayIndex + 1).map(frame => frame.point) : []),
+    [replayTimeline, replayIndex]
+  );
+  const currentPeaks = replayPeaksAt(replayTimeline || { frames: [] }, replayIndex);
+  
+  // 3D dyno cell, driven by the same replay clock as the graph
+  const webglAvailable = useMemo(() => hasWebGL(), []);
+  const [showDynoCell, setShowDynoCell] = useState(() => loadDynoCellEnabled());
   
   // Dyno settings
   const [dynoSettings, setDynoSettings] = useState({
@@ -26,70 +196,89 @@ const VirtualDyno = () => {
     dynoType: 'mustang_md250',
     weight: 3200,
     temperature: 75,
-    humidity: 45
+    humidity: 45,
+    correctionStandard: DEFAULT_WEATHER.correctionStandard,
+    baro: DEFAULT_WEATHER.baro,
+    altitude: DEFAULT_WEATHER.altitude,
+    baroIsStation: DEFAULT_WEATHER.baroIsStation,
+    calculationSource: 'auto',
+    dynoNoise: false,
+    noiseSeed: 1,
+    rpmStep: 0,
+    averagePulls: false,
+    tireSize: ''
   });
 
-  // Smoothing state
-  const [smoothingLevel, setSmoothingLevel] = useState(0);
-  const [smoothedData, setSmoothedData] = useState([]);
-  const [smoothedPeaks, setSmoothedPeaks] = useState(null);
+  // Engine health limits for the selected vehicle
+  const [healthThresholds, setHealthThresholds] = useState(() => loadHealthThresholds(dynoSettings.selectedCar));
+
+  // Road dyno (acceleration-based) cross-check
+  const [roadDynoSettings, setRoadDynoSettings] = useState({
+    enabled: true,
+    cdA: DEFAULT_ROAD_DYNO_SETTINGS.cdA,
+    crr: DEFAULT_ROAD_DYNO_SETTINGS.crr
+  });
+
+  // Vehicles - presets from the API (cached for offline use) plus the user's own
+  const [carPresets, setCarPresets] = useState(() => loadCachedCarPresets() || DEFAULT_CAR_PRESETS);
+  const [presetSource, setPresetSource] = useState(() => (loadCachedCarPresets() ? 'cache' : 'built-in'));
+  const [customVehicles, setCustomVehicles] = useState(() => loadCustomVehicles());
+  const [vehicleEditor, setVehicleEditor] = useState(null); // null | 'new' | vehicle key
+
+  // Runs pinned for overlay / comparison
+  const [comparisonRuns, setComparisonRuns] = useState([]);
+  const [baselineRunId, setBaselineRunId] = useState(null);
+  const [savedRuns, setSavedRuns] = useState(null);
+  
+  // Backend API - address from REACT_APP_API_URL or the Calculation settings
+  const [apiBaseUrl, setApiBaseUrl] = useState(() => loadApiBaseUrl());
+  const api = useMemo(() => createApiClient({ baseURL: apiBaseUrl }), [apiBaseUrl]);
+  const [savedRunsLoading, setSavedRunsLoading] = useState(false);
+  
+  // Log channel viewer, with a cursor RPM shared with the dyno graph
+  const [viewerChannels, setViewerChannels] = useState(() => loadViewerChannels());
+  const [viewerAxis, setViewerAxis] = useState('rpm');
+  const [cursorRpm, setCursorRpm] = useState(null);
+  
+  // Interactive graph: zoom window, hidden series and the drag selection
+  const [graphZoom, setGraphZoom] = useState(null);
+  const [hiddenSeries, setHiddenSeries] = useState([]);
+  const [dragSelection, setDragSelection] = useState(null);
+  const [graphPointerY, setGraphPointerY] = useState(null);
+  const [axisSettings, setAxisSettings] = useState(() => loadAxisSettings());
+  const [units, setUnits] = useState(() => loadUnits());
+
+  // Smoothing state. Bundles from before client-side smoothing carry their
+  // smoothed curve and API level instead of settings; that curve is shown
+  // as-is until the smoothing is changed.
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [legacySmoothing, setLegacySmoothing] = useState(null);
+  
+  const unsmoothedCurve = useMemo(() => (dynoResults?.processedData ? rawCurve(dynoResults.processedData) : []), [dynoResults]);
+  const smoothedData = useMemo(() => {
+    if (legacySmoothing) return legacySmoothing.data;
+    if (unsmoothedCurve.length === 0 || !isSmoothed(smoothing)) return [];
+    return roundCurve(smoothCurve(unsmoothedCurve, smoothing));
+  }, [unsmoothedCurve, smoothing, legacySmoothing]);
+  const smoothedPeaks = useMemo(() => calculatePeaksFromData(smoothedData), [smoothedData]);
+  const smoothingShown = legacySmoothing ? `Level ${legacySmoothing.level}` : smoothingLabel(smoothing);
+  const smoothingShownTag = legacySmoothing ? `S${legacySmoothing.level}` : smoothingTag(smoothing);
 
   // Debug state
   const [debugInfo, setDebugInfo] = useState({
     lastSmoothingCall: null,
-    apiResponse: null,
-    dataProcessing: null,
     errors: []
   });
 
   // Refs
   const fileInputRef = useRef(null);
+  const bundleInputRef = useRef(null);
   const canvasRef = useRef(null);
-
-  // Configuration data
-  const carOptions = [
-    { value: 'mazdaspeed3', label: 'Mazdaspeed3' },
-    { value: 'wrx', label: 'Subaru WRX' },
-    { value: 'sti', label: 'Subaru STI' },
-    { value: 'evo', label: 'Mitsubishi Evo' },
-    { value: 'gti', label: 'VW Golf GTI' },
-    { value: 'focus_st', label: 'Ford Focus ST' }
-  ];
-
-  const dynoTypes = {
-    mustang_md250: { name: "Mustang MD250", correction: 1.0, variance: 0.02 },
-    dynojet_248c: { name: "DynoJet 248C", correction: 1.15, variance: 0.03 },
-    awd_dyno: { name: "AWD Dyno", correction: 0.95, variance: 0.04 }
-  };
-
-  const smoothingOptions = [
-    { value: 0, label: 'Raw Data (0)' },
-    { value: 1, label: 'Light (1)' },
-    { value: 2, label: 'Moderate (2)' },
-    { value: 3, label: 'Smooth (3)' },
-    { value: 4, label: 'Heavy (4)' },
-    { value: 5, label: 'Maximum (5)' }
-  ];
+  const graphScaleRef = useRef(null);
+  const graphGestureRef = useRef({ pointers: new Map(), mode: null });
+  const replayClockRef = useRef({ elapsed: 0, duration: 0 });
 
   // Helper functions
-  const calculatePeaksFromData = (data) => {
-    if (!data || data.length === 0) return null;
-    
-    const maxHP = Math.max(...data.map(d => d.horsepower));
-    const maxTorque = Math.max(...data.map(d => d.torque));
-    const maxBoost = Math.max(...data.map(d => d.boost));
-    const maxHPPoint = data.find(d => d.horsepower === maxHP);
-    const maxTorquePoint = data.find(d => d.torque === maxTorque);
-    
-    return {
-      maxHP,
-      maxTorque,
-      maxBoost,
-      maxHPRpm: maxHPPoint?.rpm || 0,
-      maxTorqueRpm: maxTorquePoint?.rpm || 0
-    };
-  };
-
   const addError = (error) => {
     console.error('VirtualDyno Error:', error);
     setDebugInfo(prev => ({
@@ -102,65 +291,219 @@ const VirtualDyno = () => {
     }));
   };
 
-  // File upload handler
-  const handleFileUpload = (event) => {
+  const vehicles = useMemo(() => [...carPresets, ...customVehicles], [carPresets, customVehicles]);
+  const selectedVehicle = findCarPreset(dynoSettings.selectedCar, vehicles);
+
+  // Gear the log was made in, from RPM/speed on the fitted tires
+  const tireDiameter = parseTireSize(dynoSettings.tireSize);
+  const gearing = useMemo(() => vehicleGearing(selectedVehicle, tireDiameter), [selectedVehicle, tireDiameter]);
+  const gearChecks = useMemo(
+    () => (gearing ? checkPullGears(logRows, pulls, gearing) : []),
+    [logRows, pulls, gearing]
+  );
+  const gearMismatch = gearWarning(gearChecks, selectedPullIds, dynoSettings.gear);
+
+  // Pick a vehicle: fill in its weight and keep the gear if it has one.
+  // A tire size belongs to the car it was entered for.
+  const applyVehicle = (vehicle) => {
+    const gears = gearList(vehicle);
+    setDynoSettings(prev => ({
+      ...prev,
+      selectedCar: vehicle.key,
+      weight: vehicle.weight,
+      tireSize: '',
+      gear: gears.includes(prev.gear) ? prev.gear : (gears.includes(4) ? 4 : gears[0])
+    }));
+  };
+
+  const saveCustomVehicle = (vehicle) => {
+    const key = vehicle.key || customVehicleKey(vehicle.name, vehicles.map(v => v.key));
+    const saved = { ...vehicle, key, custom: true };
+    const updated = customVehicles.some(v => v.key === key)
+      ? customVehicles.map(v => (v.key === key ? saved : v))
+      : [...customVehicles, saved];
+    
+    setCustomVehicles(updated);
+    saveCustomVehicles(updated);
+    setVehicleEditor(null);
+    applyVehicle(saved);
+  };
+
+  const deleteCustomVehicle = (key) => {
+    const vehicle = customVehicles.find(v => v.key === key);
+    if (!window.confirm(`Delete custom vehicle "${vehicle.name}"?`)) return;
+    
+    const updated = customVehicles.filter(v => v.key !== key);
+    setCustomVehicles(updated);
+    saveCustomVehicles(updated);
+    setVehicleEditor(null);
+    if (dynoSettings.selectedCar === key) applyVehicle(carPresets[0]);
+  };
+
+  // Weather correction for the current environment settings
+  const weatherConditions = () => ({
+    standard: dynoSettings.correctionStandard,
+    temperature: dynoSettings.temperature,
+    humidity: dynoSettings.humidity,
+    baro: dynoSettings.baro,
+    altitude: dynoSettings.altitude,
+    baroIsStation: dynoSettings.baroIsStation
+  });
+  const currentCorrection = () => calculateCorrectionFactor(weatherConditions());
+  const weatherIssue = weatherProblem(weatherConditions());
+
+  // Saved with every run so the conditions travel with the numbers
+  const runNotes = () =>
+    `${dynoSettings.dynoType}, ${formatQuantity('temperature', dynoSettings.temperature, units, 0)}, ${dynoSettings.humidity}% humidity, ` +
+    `${formatQuantity('baro', dynoSettings.baro, units)}, ${formatQuantity('altitude', dynoSettings.altitude, units, 0)}, ` +
+    formatCorrection(currentCorrection());
+
+  // Canonical rows that pass the dyno filter, limited to the chosen pulls
+  const selectDynoRows = (rows, detectedPulls, pullIds) => {
+    const data = filterDynoRows(rows, detectedPulls, pullIds);
+    setCsvData(data);
+    return data;
+  };
+
+  // Run a log task in the worker with a progress bar. Starting another job or
+  // pressing Cancel stops the one in flight; a cancelled job resolves null.
+  const runLogJob = async (task, preparePayload, { fileName, stage }) => {
+    if (logJobRef.current) logJobRef.current.cancel();
+    
+    const job = { cancelled: false, running: null };
+    job.cancel = () => {
+      job.cancelled = true;
+      if (job.running) job.running.cancel();
+    };
+    logJobRef.current = job;
+    setLogJob({ fileName, stage, fraction: null });
+    
+    try {
+      const payload = await preparePayload();
+      if (job.cancelled) return null;
+      
+      job.running = startLogTask(task, payload, {
+        onProgress: (progressStage, fraction) => setLogJob({ fileName, stage: progressStage, fraction })
+      });
+      return await job.running.promise;
+    } finally {
+      if (logJobRef.current === job) {
+        logJobRef.current = null;
+        setLogJob(null);
+      }
+    }
+  };
+
+  const cancelLogJob = () => {
+    if (!logJobRef.current) return;
+    logJobRef.current.cancel();
+    logJobRef.current = null;
+    setLogJob(null);
+    console.log('🛑 Log processing cancelled');
+  };
+
+  // Worker results for a mapped log: rows, pulls and the pre-selected pull
+  const applyMappedLog = ({ rows, pulls: detectedPulls, selectedPullIds: pullIds, dynoRows }) => {
+    console.log(`🏁 Detected ${detectedPulls.length} WOT pull(s)`);
+    
+    setLogRows(rows);
+    setPulls(detectedPulls);
+    setSelectedPullIds(pullIds);
+    setCsvData(dynoRows);
+    return dynoRows;
+  };
+
+  const handlePullToggle = (pullId) => {
+    const pullIds = selectedPullIds.includes(pullId)
+      ? selectedPullIds.filter(id => id !== pullId)
+      : [...selectedPullIds, pullId];
+    
+    setSelectedPullIds(pullIds);
+    selectDynoRows(logRows, pulls, pullIds);
+  };
+
+  // Re-map the parsed log in the worker after the mapping changes
+  const remapLog = async (mapping) => {
+    try {
+      const result = await runLogJob('map', () => ({ parsed: parsedLog, mapping }), { fileName: csvFile?.name, stage: 'mapping' });
+      if (!result) return null;
+      
+      setColumnMapping(result.mapping);
+      return applyMappedLog(result);
+    } catch (error) {
+      addError(error);
+      alert(`Column mapping failed: ${error.message}`);
+      return null;
+    }
+  };
+
+  // Column mapping overrides - saved per logger layout
+  const handleMappingOverride = async (channel, header) => {
+    if (!parsedLog || !columnMapping) return;
+    
+    const overrides = { ...loadMappingOverrides(columnMapping.signature), [channel]: header };
+    saveMappingOverrides(columnMapping.signature, overrides);
+    
+    const data = await remapLog(detectMapping(parsedLog.headers, overrides));
+    if (data) console.log(`🗺️ Mapped ${channel} → ${header || 'nothing'}, ${data.length} valid data points`);
+  };
+
+  const handleMappingReset = () => {
+    if (!parsedLog || !columnMapping) return;
+    
+    saveMappingOverrides(columnMapping.signature, {});
+    remapLog(detectMapping(parsedLog.headers));
+  };
+
+  // File upload handler. Parsing, mapping and pull detection happen in the
+  // log worker so a multi-hour log doesn't lock up the page.
+  const handleFileUpload = async (event) => {
     try {
       const file = event.target.files[0];
       if (!file) return;
     
       setCsvFile(file);
+      setCsvData([]);
       setDynoResults(null);
-      setLiveGraphData([]);
-      setSmoothedData([]);
-      setSmoothingLevel(0);
+      setReplay(null);
+      resetSmoothing();
+      setParseReport(null);
+      setParsedLog(null);
+      setLogBytes(null);
+      setColumnMapping(null);
+      setLogRows([]);
+      setPulls([]);
+      setSelectedPullIds([]);
       
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const csv = e.target.result;
-          const lines = csv.split('\n');
-          const headers = lines[0].split(',').map(h => h.trim());
-          
-          console.log('📄 CSV headers found:', headers);
-          
-          const data = lines.slice(1)
-            .filter(line => line.trim().length > 0)
-            .map(line => {
-              const values = line.split(',');
-              const row = {};
-              headers.forEach((header, index) => {
-                row[header] = values[index]?.trim();
-              });
-              return row;
-            })
-            .filter(row => {
-              const rpm = parseInt(row['RPM (RPM)'] || row['RPM'] || row['Engine Speed'] || 0);
-              const maf = parseFloat(row['Mass Airflow (g/s)'] || row['MAF'] || row['Mass Airflow'] || 0);
-              const load = parseFloat(row['Calculated Load (Load)'] || row['Load'] || row['Engine Load'] || 0);
-              
-              // More lenient filtering for broader compatibility
-              return rpm > 1500 && (maf > 3 || load > 0.10);
-            });
-          
-          setCsvData(data);
-          console.log(`✅ Loaded ${data.length} valid data points from CSV`);
-          
-        } catch (error) {
-          addError(new Error(`CSV parsing failed: ${error.message}`));
-          alert('Error parsing CSV file. Please check the file format.');
+      let bytes = null;
+      const result = await runLogJob('load', async () => {
+        bytes = await readFileBytes(file);
+        return { bytes, options: { overridesBySignature: loadAllMappingOverrides() } };
+      }, { fileName: file.name, stage: 'reading' });
+      if (!result) {
+        // Cancelled rather than replaced by another upload
+        if (!logJobRef.current) {
+          setCsvFile(null);
+          event.target.value = '';
         }
-      };
+        return;
+      }
       
-      reader.onerror = () => {
-        addError(new Error('File reading failed'));
-        alert('Error reading file.');
-      };
+      const { parsed, mapping } = result;
+      console.log('📄 CSV headers found:', parsed.headers);
+      console.log(`📄 Delimiter "${parsed.delimiter}", encoding ${parsed.encoding}, ${parsed.errors.length} row errors`);
+      console.log(`🗺️ Column profile: ${mapping.profileName}`, mapping.channels);
       
-      reader.readAsText(file);
+      setParsedLog(parsed);
+      setLogBytes(bytes);
+      setColumnMapping(mapping);
+      const data = applyMappedLog(result);
+      setParseReport(parseReportOf(parsed));
+      console.log(`✅ Loaded ${data.length} valid data points from CSV`);
       
     } catch (error) {
-      addError(error);
-      alert('Error handling file upload.');
+      addError(new Error(`CSV parsing failed: ${error.message}`));
+      alert(error.message === 'File reading failed' ? 'Error reading file.' : 'Error parsing CSV file. Please check the file format.');
     }
   };
 
@@ -173,179 +516,750 @@ const VirtualDyno = () => {
     try {
       console.log('🚀 Sending data to backend...');
       
+      // Only send the selected pulls so cruising and other pulls don't mix in
+      const uploadFile = parsedLog && selectedPullIds.length > 0
+        ? new File([serializeRows(parsedLog, pullRowIndices(pulls, selectedPullIds))], csvFile.name, { type: 'text/csv' })
+        : csvFile;
+      
       const formData = new FormData();
-      formData.append('File', csvFile);
+      formData.append('File', uploadFile);
       formData.append('CarPresetKey', dynoSettings.selectedCar);
       formData.append('Weight', dynoSettings.weight.toString());
       formData.append('Gear', dynoSettings.gear.toString());
-      formData.append('Notes', `${dynoSettings.dynoType}, ${dynoSettings.temperature}°F, ${dynoSettings.humidity}% humidity`);
+      formData.append('Notes', runNotes());
       formData.append('IsPublic', 'false');
       
       console.log('📤 FormData contents:', {
         file: csvFile.name,
+        pulls: selectedPullIds,
         carPresetKey: dynoSettings.selectedCar,
         weight: dynoSettings.weight,
         gear: dynoSettings.gear
       });
       
-      const response = await fetch('http://localhost:5038/api/dyno/upload', {
-        method: 'POST',
-        body: formData,
-        // Don't set Content-Type header - let browser set it with boundary
-      });
-      
-      console.log('📨 Backend response status:', response.status, response.statusText);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Backend API error (${response.status}): ${errorText}`);
-      }
-      
-      const backendResults = await response.json();
+      const backendResults = await api.uploadRun(formData);
       console.log('✅ Backend results received:', backendResults);
       
       return backendResults;
       
     } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Cannot connect to backend API. Make sure your C# API is running on localhost:5038');
-      }
-      throw error;
+      throw new Error(`Backend upload failed: ${error.message}`);
     }
   };
 
   // Get detailed run data from backend
-  const getDetailedRunData = async (runId) => {
+  const getDetailedRunData = async (runId, options) => {
     try {
       console.log(`📊 Fetching detailed data for run ${runId}...`);
       
-      const response = await fetch(`http://localhost:5038/api/dyno/runs/${runId}`);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to get detailed run data: ${response.status} ${response.statusText}`);
-      }
-      
-      const detailData = await response.json();
+      const detailData = await api.getRun(runId, options);
       console.log(`✅ Got ${detailData.dataPoints?.length || 0} detailed data points`);
       
       return detailData;
       
     } catch (error) {
+      if (isCancelledRequest(error)) throw error;
       throw new Error(`Error fetching detailed data: ${error.message}`);
     }
   };
 
-  // Smoothing handler
-  const handleSmoothingChange = async (newLevel) => {
+  // Put calculated points through the chosen dyno and weather correction,
+  // then onto the RPM grid if one is set
+  const modelRun = (detailData) => {
+    const correction = currentCorrection();
+    const modelled = applyDynoModel(detailData.dataPoints || [], dynoSettings.dynoType, {
+      environmentFactor: correction.factor,
+      noise: dynoSettings.dynoNoise ? { seed: dynoSettings.noiseSeed } : null
+    });
+    return { processedData: resampleCurve(modelled, dynoSettings.rpmStep, PROCESSED_KEYS), correction };
+  };
+
+  // pullCount: how many pulls were averaged into processedData, 0 for one curve
+  const buildDynoResults = ({ processedData, correction, settings, fileName, backendResults, detailData, source, pullCount = 0, quality = null }) => {
+    const maxHP = maxOf(processedData.map(d => d.hp));
+    const maxTorque = maxOf(processedData.map(d => d.torque));
+    
+    return {
+      processedData,
+      peaks: {
+        maxHP: Math.round(maxHP),
+        maxTorque: Math.round(maxTorque),
+        maxBoost: Math.round(maxOf(processedData.map(d => d.boost)) * 10) / 10,
+        maxHPRpm: processedData.find(d => d.hp === maxHP)?.rpm || 0,
+        maxTorqueRpm: processedData.find(d => d.torque === maxTorque)?.rpm || 0
+      },
+      settings,
+      fileName,
+      backendResults,
+      detailData,
+      source,
+      correction,
+      pullCount,
+      quality
+    };
+  };
+
+  // Log rows the run is calculated from: the selected pulls, or the whole log
+  const runSourceRows = () => (selectedPullIds.length > 0
+    ? pullRowIndices(pulls, selectedPullIds).map(i => logRows[i])
+    : logRows);
+
+  // Offline calculation using the client-side port of DynoCalculationService,
+  // run in the log worker. Resolves null if it was cancelled.
+  const calculationOptions = () => ({
+    carPreset: selectedVehicle,
+    gear: dynoSettings.gear,
+    weight: dynoSettings.weight,
+    fileName: csvFile.name,
+    notes: runNotes()
+  });
+  
+  const calculateLocalRun = () => runLogJob('calculate', () => ({
+    rows: runSourceRows(),
+    options: calculationOptions()
+  }), { fileName: csvFile.name, stage: 'calculating' });
+  
+  // Each selected pull on its own, for the pull average. Always offline -
+  // the API only takes one curve per upload.
+  const calculatePullRuns = () => runLogJob('calculatePulls', () => ({
+    pulls: selectedPullIds.map(id => ({ id, rows: pullRowIndices(pulls, [id]).map(i => logRows[i]) })),
+    options: calculationOptions()
+  }), { fileName: csvFile.name, stage: 'calculating' });
+
+  // Comparison runs keep the curve as it was displayed when they were added
+  const addComparisonRun = (label, points) => {
+    const run = {
+      id: `run-${Date.now()}-${comparisonRuns.length}`,
+      label,
+      points,
+      peaks: calculatePeaksFromData(points),
+      color: RUN_COLORS[comparisonRuns.length % RUN_COLORS.length],
+      visible: true
+    };
+    
+    setComparisonRuns(prev => [...prev, run]);
+    if (!baselineRunId) setBaselineRunId(run.id);
+  };
+
+  // The finished run's curve as it is currently shown
+  const displayedCurve = () => (smoothedData.length > 0 ? smoothedData : curveFromProcessed(dynoResults.processedData));
+
+  // Play a finished result back in the log's time. Without log rows the
+  // timing is estimated from the RPM sweep.
+  const startReplay = (results, curve, rows) => {
+    const timeline = buildReplayTimeline(curve, rows);
+    replayClockRef.current = { elapsed: 0, duration: timeline.duration };
+    setReplay({ timeline, results, elapsed: 0, playing: true });
+    console.log(`🎬 Replaying ${timeline.frames.length} points over ${timeline.duration.toFixed(1)} s` +
+      (timeline.timed ? '' : ' (estimated timing)'));
+  };
+
+  const toggleReplay = () => setReplay(prev => prev && { ...prev, playing: !prev.playing });
+
+  const seekReplay = (elapsed) => {
+    replayClockRef.current.elapsed = elapsed;
+    setReplay(prev => prev && { ...prev, elapsed });
+  };
+
+  const skipReplay = () => setReplay(prev => prev && {
+    ...prev,
+    elapsed: prev.timeline.duration,
+    playing: false,
+    finished: true
+  });
+
+  const pinCurrentRun = () => {
+    // AFR from the log rides along so the overlay can show it on its axis
+    const points = curveTable(displayedCurve(), pullLogRows);
+    const label = `${dynoResults.fileName} · ${DYNO_TYPES[dynoResults.settings.dynoType].name}` +
+      (smoothingShownTag ? ` · ${smoothingShownTag}` : '');
+    
+    addComparisonRun(label, points);
+  };
+
+  // Shop-style dyno sheet at a fixed size, independent of the window
+  const exportDynoSheet = async (format) => {
+    try {
+      const sheet = sheetFromResults(dynoResults, {
+        curve: curveTable(displayedCurve(), pullLogRows),
+        axes: axisSettings,
+        units,
+        smoothing: smoothingShown,
+        vehicle: findCarPreset(dynoResults.settings.selectedCar, vehicles),
+        dynoName: DYNO_TYPES[dynoResults.settings.dynoType]?.name
+      });
+      const svg = buildDynoSheetSvg(sheet);
+      const baseName = `${safeFileName(dynoResults.fileName)}-dyno-sheet`;
+      
+      if (format === 'svg') {
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`);
+      } else if (format === 'png') {
+        downloadBlob(await svgToPngBlob(svg), `${baseName}.png`);
+      } else if (format === 'pdf') {
+        // Browser print dialog - "Save as PDF" gives a vector PDF
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) throw new Error('Pop-up blocked - allow pop-ups to print the dyno sheet');
+        printWindow.document.write(buildPrintDocument(svg, baseName));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+      }
+      
+      console.log(`🖨️ Exported dyno sheet as ${format.toUpperCase()}`);
+    } catch (error) {
+      addError(error);
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Processed curve per RPM, with AFR and knock from the log
+  const exportCurve = (format) => {
+    const table = curveTable(displayedCurve(), pullLogRows);
+    const { settings, correction } = dynoResults;
+    const meta = {
+      file: dynoResults.fileName,
+      car: findCarPreset(settings.selectedCar, vehicles)?.name || settings.selectedCar,
+      gear: settings.gear,
+      dyno: DYNO_TYPES[settings.dynoType]?.name,
+      correction: correction ? formatCorrection(correction) : 'Uncorrected',
+      smoothing: smoothingShown
+    };
+    const baseName = `${safeFileName(dynoResults.fileName)}-curve`;
+    
+    if (format === 'csv') {
+      downloadBlob(new Blob([curveToCsv(table, meta, units)], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+    } else {
+      downloadBlob(new Blob([curveToJson(table, meta, units)], { type: 'application/json' }), `${baseName}.json`);
+    }
+    console.log(`💾 Exported ${table.length} curve points as ${format.toUpperCase()}`);
+  };
+
+  const exportBundle = () => {
+    const vehicle = findCarPreset(dynoResults.settings.selectedCar, vehicles);
+    const bundle = createRunBundle({
+      logBytes,
+      fileName: csvFile.name,
+      mappingOverrides: loadMappingOverrides(columnMapping.signature),
+      selectedPullIds,
+      settings: dynoSettings,
+      roadDynoSettings,
+      vehicle: vehicle?.custom ? vehicle : null,
+      smoothing: legacySmoothing ? null : smoothing,
+      smoothingLevel: legacySmoothing?.level || 0,
+      smoothedData,
+      results: dynoResults
+    });
+    
+    downloadBlob(
+      new Blob([JSON.stringify(bundle)], { type: 'application/json' }),
+      `${safeFileName(dynoResults.fileName)}${BUNDLE_EXTENSION}`
+    );
+    console.log(`📦 Exported run bundle (${logBytes.length} log bytes)`);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      if (format === 'csv' || format === 'json') exportCurve(format);
+      else if (format === 'vdyno') exportBundle();
+      else await exportDynoSheet(format);
+    } catch (error) {
+      addError(error);
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Restore a .vdyno bundle: the log goes back through the parser with the
+  // sender's mapping, and the results are shown as they were - no API needed
+  const importBundle = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      let bundle = null;
+      const result = await runLogJob('load', async () => {
+        bundle = parseRunBundle(await readFileText(file));
+        return { bytes: bundle.logBytes, options: { overrides: bundle.mappingOverrides, pullIds: bundle.selectedPullIds } };
+      }, { fileName: file.name, stage: 'reading' });
+      if (!result) return;
+      
+      const { parsed, mapping } = result;
+      saveMappingOverrides(headerSignature(parsed.headers), bundle.mappingOverrides);
+      
+      // A teammate's custom vehicle comes along so the settings resolve
+      if (bundle.vehicle?.custom && !vehicles.some(v => v.key === bundle.vehicle.key)) {
+        const updated = [...customVehicles, bundle.vehicle];
+        setCustomVehicles(updated);
+        saveCustomVehicles(updated);
+      }
+      
+      setCsvFile(new File([bundle.logBytes], bundle.log.fileName, { type: 'text/csv' }));
+      setLogBytes(bundle.logBytes);
+      setParsedLog(parsed);
+      setColumnMapping(mapping);
+      applyMappedLog(result);
+      setParseReport(parseReportOf(parsed));
+      
+      setDynoSettings(prev => ({ ...prev, ...bundle.settings }));
+      if (bundle.roadDynoSettings) setRoadDynoSettings(bundle.roadDynoSettings);
+      
+      setReplay(null);
+      if (bundle.smoothing) {
+        setSmoothing(bundle.smoothing);
+        setLegacySmoothing(null);
+      } else {
+        resetSmoothing();
+        if (bundle.smoothedData.length > 0) {
+          setLegacySmoothing({ level: bundle.smoothingLevel || 0, data: bundle.smoothedData });
+        }
+      }
+      setDynoResults({
+        ...bundle.results,
+        backendResults: bundle.results.detailData,
+        source: 'bundle'
+      });
+      
+      console.log(`📦 Imported ${bundle.results.fileName} from ${file.name}`);
+    } catch (error) {
+      addError(error);
+      alert(`Could not import bundle: ${error.message}`);
+    }
+  };
+
+  // Point the client at another API server; the saved-run list belongs to
+  // the old one
+  const handleApiBaseUrl = (value) => {
+    const baseUrl = value.trim() ? normalizeBaseUrl(value) : DEFAULT_API_BASE_URL;
+    if (!baseUrl) {
+      alert(`"${value}" is not an http(s) address.`);
+      return;
+    }
+    if (baseUrl === apiBaseUrl) return;
+    
+    saveApiBaseUrl(baseUrl);
+    setApiBaseUrl(baseUrl);
+    setSavedRuns(null);
+    console.log(`🌐 API server set to ${baseUrl}`);
+  };
+
+  const loadSavedRuns = async () => {
+    setSavedRunsLoading(true);
+    try {
+      setSavedRuns(await api.listRuns());
+    } catch (error) {
+      if (isCancelledRequest(error)) return;
+      addError(error);
+      alert(`Could not load saved runs: ${error.message}`);
+    } finally {
+      setSavedRunsLoading(false);
+    }
+  };
+
+  // Reopen a saved run into the graph with the same dynoResults shape a
+  // fresh run produces. Replaying uses the stored points - nothing is sent
+  // to the backend again.
+  const openSavedRun = async (runId, replayRun = false) => {
+    try {
+      // Opening another run before this one arrives cancels this one
+      const detailData = await getDetailedRunData(runId, { key: 'run' });
+      const preset = vehicles.find(v => v.name === detailData.car?.name);
+      const settings = {
+        ...dynoSettings,
+        selectedCar: preset?.key || dynoSettings.selectedCar,
+        gear: detailData.gearUsed,
+        weight: detailData.car?.weight || dynoSettings.weight
+      };
+      const { processedData, correction } = modelRun(detailData);
+      const results = buildDynoResults({
+        processedData,
+        correction,
+        settings,
+        fileName: detailData.fileName,
+        backendResults: detailData,
+        detailData,
+        source: 'history'
+      });
+      
+      resetSmoothing();
+      if (replayRun) {
+        startReplay(results, curveFromProcessed(processedData), []);
+      } else {
+        setReplay(null);
+        setDynoResults(results);
+      }
+      
+      console.log(`📂 Reopened run #${runId} (${detailData.fileName})`);
+    } catch (error) {
+      if (isCancelledRequest(error)) return;
+      addError(error);
+      alert(error.message);
+    }
+  };
+
+  // Rename (fileName) and/or annotate (notes) a saved run
+  const updateSavedRun = async (runId, changes) => {
+    try {
+      const updated = await api.updateRun(runId, changes);
+      setSavedRuns(prev => prev.map(run => (run.id === runId ? updated : run)));
+      setDynoResults(prev => (prev?.backendResults?.id === runId && !isOfflineRun(prev)
+        ? { ...prev, fileName: updated.fileName }
+        : prev));
+      return true;
+    } catch (error) {
+      addError(error);
+      alert(`Update failed: ${error.message}`);
+      return false;
+    }
+  };
+
+  const deleteSavedRun = async (run) => {
+    if (!window.confirm(`Delete run #${run.id} "${run.fileName}"? This cannot be undone.`)) return;
+    
+    try {
+      await api.deleteRun(run.id);
+      setSavedRuns(prev => prev.filter(r => r.id !== run.id));
+      // The open run can no longer be smoothed by the API
+      setDynoResults(prev => (prev?.backendResults?.id === run.id && !isOfflineRun(prev) ? null : prev));
+      console.log(`🗑️ Deleted run #${run.id}`);
+    } catch (error) {
+      addError(error);
+      alert(`Delete failed: ${error.message}`);
+    }
+  };
+
+  // Saved runs hold the raw calculation, so they go through the current dyno
+  // model and correction before comparing
+  const addSavedRun = async (runId) => {
+    try {
+      const detail = await getDetailedRunData(runId);
+      addComparisonRun(`#${detail.id} ${detail.fileName}`, curveFromProcessed(modelRun(detail).processedData));
+    } catch (error) {
+      addError(error);
+      alert(error.message);
+    }
+  };
+
+  const removeComparisonRun = (runId) => {
+    const remaining = comparisonRuns.filter(run => run.id !== runId);
+    setComparisonRuns(remaining);
+    if (baselineRunId === runId) setBaselineRunId(remaining[0]?.id || null);
+  };
+
+  const toggleComparisonRun = (runId) => {
+    setComparisonRuns(prev => prev.map(run => (run.id === runId ? { ...run, visible: !run.visible } : run)));
+  };
+
+  // Log rows behind the current view; a reopened history run has no log
+  const pullLogRows = useMemo(() => {
+    if (dynoResults?.source === 'history') return [];
+    return selectedPullIds.length > 0 ? pullRowIndices(pulls, selectedPullIds).map(i => logRows[i]) : logRows;
+  }, [dynoResults, pulls, selectedPullIds, logRows]);
+
+  useEffect(() => {
+    setHealthThresholds(loadHealthThresholds(dynoSettings.selectedCar));
+  }, [dynoSettings.selectedCar]);
+
+  const handleHealthThreshold = (key, value) => {
+    const updated = { ...healthThresholds, [key]: value };
+    setHealthThresholds(updated);
+    saveHealthThresholds(dynoSettings.selectedCar, updated);
+  };
+
+  const resetHealthThresholds = () => {
+    setHealthThresholds({ ...DEFAULT_HEALTH_THRESHOLDS });
+    saveHealthThresholds(dynoSettings.selectedCar, null);
+  };
+
+  // Knock, fuelling and heat findings for each selected pull
+  const healthReport = useMemo(() => {
+    if (dynoResults?.source === 'history' || selectedPullIds.length === 0) return null;
+    return analyzeEngineHealth(logRows, pulls, selectedPullIds, healthThresholds, units);
+  }, [dynoResults, logRows, pulls, selectedPullIds, healthThresholds, units]);
+
+  // Sample rate, dropped rows, sensors and channels of what the run will use
+  const dataQuality = useMemo(() => {
+    if (logRows.length === 0) return null;
+    return analyzeDataQuality({ parsed: parsedLog, rows: logRows, pulls, pullIds: selectedPullIds });
+  }, [parsedLog, logRows, pulls, selectedPullIds]);
+
+  const handleViewerChannels = (channels) => {
+    setViewerChannels(channels);
+    saveViewerChannels(channels);
+  };
+
+  const handleAxisSetting = (axis, patch) => {
+    const updated = { ...axisSettings, [axis]: { ...axisSettings[axis], ...patch } };
+    setAxisSettings(updated);
+    saveAxisSettings(updated);
+  };
+
+  const handleShowDynoCell = (enabled) => {
+    setShowDynoCell(enabled);
+    saveDynoCellEnabled(enabled);
+  };
+
+  const handleUnits = (updated) => {
+    setUnits(updated);
+    saveUnits(updated);
+  };
+
+  // Canonical value in the chosen display unit, at that unit's precision
+  const shown = (quantity, value) => Number((toDisplay(quantity, value, units) ?? 0).toFixed(unitDigits(quantity, units)));
+  const stored = (quantity, text) => fromDisplay(quantity, parseFloat(text), units) ?? 0;
+
+  // Acceleration-based wheel power for each selected pull, using the gear
+  // and weight the run was made with
+  const roadDyno = useMemo(() => {
+    if (!dynoResults || dynoResults.source === 'history' || !roadDynoSettings.enabled || selectedPullIds.length === 0) return null;
+    
+    const { selectedCar, gear, weight, temperature, tireSize } = dynoResults.settings;
+    const preset = findCarPreset(selectedCar, vehicles);
+    const gearing = preset && {
+      gearRatio: preset.gearRatios[gear],
+      finalDrive: preset.finalDrive,
+      tireDiameter: parseTireSize(tireSize) || preset.tireDiameter
+    };
+    
+    const points = pulls
+      .filter(pull => selectedPullIds.includes(pull.id))
+      .flatMap(pull => computeRoadDyno(logRows.slice(pull.startIndex, pull.endIndex + 1), {
+        weight,
+        gearing,
+        temperature,
+        settings: { cdA: roadDynoSettings.cdA, crr: roadDynoSettings.crr }
+      }))
+      .sort((a, b) => a.rpm - b.rpm);
+    
+    return points.length > 0 ? { points, peaks: roadDynoPeaks(points) } : null;
+  }, [dynoResults, roadDynoSettings, pulls, selectedPullIds, logRows, vehicles]);
+
+  // Everything the graph can draw, shared by the canvas and the hover readout.
+  // group ties a line to its legend entry for show/hide.
+  const graphSeries = useMemo(() => {
+    let main;
+    let source;
+    
+    if (isRunning && liveGraphData.length > 0) {
+      main = liveGraphData;
+      source = 'live';
+    } else if (smoothedData.length > 0) {
+      main = curveTable(smoothedData, pullLogRows);
+      source = `smoothed-${smoothingShownTag}`;
+    } else if (dynoResults?.processedData) {
+      main = curveTable(curveFromProcessed(dynoResults.processedData), pullLogRows);
+      source = 'processed';
+    } else {
+      return null;
+    }
+    
+    const sortByRpm = (points) => [...points].sort((a, b) => a.rpm - b.rpm);
+    const mainSorted = sortByRpm(main);
+    const width = source.includes('smoothed') ? 4 : 3;
+    // Points stay in hp / lb-ft; each line converts for display
+    const inUnits = (quantity) => ({
+      unit: unitLabel(quantity, units),
+      convert: value => toDisplay(quantity, value, units)
+    });
+    const power = inUnits('power');
+    const torque = inUnits('torque');
+    const lines = [
+      { group: 'hp', label: 'Power', key: 'horsepower', ...power, color: '#ff4444', width, points: main, sortedPoints: mainSorted },
+      { group: 'tq', label: 'Torque', key: 'torque', ...torque, color: '#44ff44', width, points: main, sortedPoints: mainSorted }
+    ];
+    const legend = [
+      { id: 'hp', label: units.power === 'hp' ? '■ Horsepower' : `■ Power (${power.unit})`, color: '#ff4444' },
+      { id: 'tq', label: `■ Torque (${torque.unit})`, color: '#44ff44' }
+    ];
+    
+    // Min/max of the averaged pulls, drawn under the power and torque lines
+    const bands = [];
+    if (!isRunning && dynoResults?.pullCount > 1) {
+      [['hp', 'hp', '#ff4444', power], ['tq', 'torque', '#44ff44', torque]].forEach(([group, key, color, display]) => {
+        const points = dynoResults.processedData
+          .filter(d => Number.isFinite(d[`${key}Min`]))
+          .map(d => ({ rpm: d.rpm, min: d[`${key}Min`], max: d[`${key}Max`] }));
+        if (points.length > 1) bands.push({ group, ...display, color, points });
+      });
+    }
+    
+    // Boost and AFR on their own right-hand axes. Switched off, they are
+    // still read out under the crosshair. Only points that have the channel.
+    const axes = enabledAxes(axisSettings);
+    const axisLines = (points, axis) => {
+      const withValue = points.filter(p => Number.isFinite(p[axis]));
+      return { key: axis, points: withValue, sortedPoints: sortByRpm(withValue) };
+    };
+    Object.keys(SECONDARY_AXES).forEach(axis => {
+      const series = axisLines(main, axis);
+      if (series.points.length < 2) return;
+      const style = axisSeriesStyle(axis, axisSettings, units);
+      const enabled = axes.includes(axis);
+      lines.push({ group: axis, label: SECONDARY_AXES[axis].label, ...style, ...series, drawn: enabled });
+      if (enabled) legend.push({ id: axis, label: `┅ ${SECONDARY_AXES[axis].label} (${style.unit})`, color: style.color });
+    });
+    
+    if (!isRunning) {
+      if (roadDyno && roadDyno.points.length > 1) {
+        const roadSorted = sortByRpm(roadDyno.points);
+        [['horsepower', 'Road power', '#ff9999', power], ['torque', 'Road torque', '#99ff99', torque]].forEach(([key, label, color, display]) => {
+          lines.push({ group: 'road', label, key, ...display, color, width: 1.5, dash: [6, 4], points: roadDyno.points, sortedPoints: roadSorted });
+        });
+        legend.push({ id: 'road', label: '┅ Road dyno', color: '#ff9999' });
+      }
+      
+      comparisonRuns.forEach(run => {
+        legend.push({ id: run.id, label: `■ ${run.label.slice(0, 22)}`, color: run.color, run: true, hidden: !run.visible });
+        if (!run.visible || run.points.length < 2) return;
+        const runSorted = sortByRpm(run.points);
+        [['horsepower', [], 'power', power], ['torque', [2, 3], 'torque', torque]].forEach(([key, dash, suffix, display]) => {
+          lines.push({ group: run.id, label: `${run.label.slice(0, 16)} ${suffix}`, key, ...display, color: run.color, width: 2, dash, points: run.points, sortedPoints: runSorted });
+        });
+        // Overlays share the secondary axes, in the run's colour
+        axes.forEach(axis => {
+          const series = axisLines(run.points, axis);
+          if (series.points.length < 2) return;
+          const style = axisSeriesStyle(axis, axisSettings, units);
+          lines.push({ group: run.id, label: `${run.label.slice(0, 16)} ${SECONDARY_AXES[axis].label}`, ...style, ...series, color: run.color, width: 1.5 });
+        });
+      });
+    }
+    
+    const axisStyles = axes
+      .filter(axis => lines.some(line => line.axis === axis && line.drawn !== false))
+      .map(axis => axisSeriesStyle(axis, axisSettings, units));
+    return { source, lines, bands, legend, axes: axisStyles, units: { power: power.unit, torque: torque.unit } };
+  }, [isRunning, liveGraphData, smoothedData, smoothingShownTag, dynoResults, pullLogRows, roadDyno, comparisonRuns, axisSettings, units]);
+
+  // A new result starts unzoomed
+  useEffect(() => {
+    setGraphZoom(null);
+  }, [dynoResults]);
+
+  const toggleGraphSeries = (entry) => {
+    if (entry.run) {
+      toggleComparisonRun(entry.id);
+    } else {
+      setHiddenSeries(prev => (prev.includes(entry.id) ? prev.filter(id => id !== entry.id) : [...prev, entry.id]));
+    }
+  };
+
+  // Pointer position relative to the plot area of the last draw
+  const graphPointer = (event) => {
+    const scale = graphScaleRef.current;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const plotWidth = rect.width - scale.leftPadding - scale.rightPadding;
+    const x = event.clientX - rect.left - scale.leftPadding;
+    return {
+      x,
+      plotWidth,
+      canvasX: event.clientX - rect.left,
+      canvasY: event.clientY - rect.top,
+      rpm: rpmAtPosition(x, plotWidth, scale.range),
+      clampedRpm: rpmAtPosition(Math.min(plotWidth, Math.max(0, x)), plotWidth, scale.range)
+    };
+  };
+
+  // Mouse: hover for the crosshair, drag to zoom, shift+drag to pan, double-click to reset.
+  // Touch: one finger moves the crosshair, two fingers pinch and pan.
+  const handleGraphPointerDown = (event) => {
+    if (isRunning || !graphScaleRef.current) return;
+    const gesture = graphGestureRef.current;
+    const pointer = graphPointer(event);
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    gesture.pointers.set(event.pointerId, pointer.x);
+    
+    if (gesture.pointers.size === 2) {
+      gesture.mode = 'pinch';
+      gesture.anchors = new Map([...gesture.pointers].map(([id, x]) => [id, rpmAtPosition(x, pointer.plotWidth, graphScaleRef.current.range) ?? pointer.clampedRpm]));
+      setDragSelection(null);
+      return;
+    }
+    
+    gesture.mode = event.pointerType === 'touch' ? 'touch' : (event.shiftKey ? 'pan' : 'select');
+    gesture.startX = pointer.x;
+    gesture.startRpm = pointer.clampedRpm;
+    gesture.startRange = graphScaleRef.current.range;
+    gesture.moved = false;
+  };
+
+  const handleGraphPointerMove = (event) => {
+    const scale = graphScaleRef.current;
+    if (!scale || isRunning) return;
+    
+    const gesture = graphGestureRef.current;
+    const pointer = graphPointer(event);
+    if (gesture.pointers.has(event.pointerId)) gesture.pointers.set(event.pointerId, pointer.x);
+    if (gesture.mode && Math.abs(pointer.x - gesture.startX) > 4) gesture.moved = true;
+    
+    if (gesture.mode === 'pinch' && gesture.pointers.size === 2) {
+      const ids = [...gesture.pointers.keys()];
+      const range = pinchRange(ids.map(id => gesture.anchors.get(id)), ids.map(id => gesture.pointers.get(id)), pointer.plotWidth, scale.bounds);
+      if (range) setGraphZoom(range);
+      return;
+    }
+    if (gesture.mode === 'pan') {
+      if (graphZoom) {
+        const span = gesture.startRange.max - gesture.startRange.min;
+        setGraphZoom(panRange(gesture.startRange, -((pointer.x - gesture.startX) / pointer.plotWidth) * span, scale.bounds));
+      }
+      return;
+    }
+    if (gesture.mode === 'select' && gesture.moved) {
+      setDragSelection({ from: gesture.startRpm, to: pointer.clampedRpm });
+    }
+    
+    setCursorRpm(pointer.rpm === null ? null : Math.round(pointer.rpm));
+    setGraphPointerY(pointer.rpm === null ? null : pointer.canvasY);
+  };
+
+  const handleGraphPointerUp = (event) => {
+    const gesture = graphGestureRef.current;
+    const scale = graphScaleRef.current;
+    gesture.pointers.delete(event.pointerId);
+    if (!scale || !gesture.mode) return;
+    
+    const pointer = graphPointer(event);
+    if (gesture.mode === 'select' && gesture.moved) {
+      const zoom = zoomFromSelection(gesture.startRpm, pointer.clampedRpm, scale.bounds);
+      if (zoom) setGraphZoom(zoom);
+    } else if (!gesture.moved && gesture.mode !== 'pinch') {
+      // A click or tap on the legend shows/hides that series
+      const hit = legendHitTest(scale.legendHits, pointer.canvasX, pointer.canvasY);
+      if (hit) toggleGraphSeries(hit.entry);
+    }
+    
+    setDragSelection(null);
+    if (gesture.pointers.size === 0) gesture.mode = null;
+  };
+
+  const handleGraphPointerLeave = () => {
+    if (graphGestureRef.current.mode) return;
+    setCursorRpm(null);
+    setGraphPointerY(null);
+  };
+
+  // Smoothing runs in the browser; smoothedData follows the settings
+  const handleSmoothingChange = (newSmoothing) => {
     if (!dynoResults || !dynoResults.processedData) {
       console.warn('⚠️ No dyno results available for smoothing');
       return;
     }
     
-    const debugStart = Date.now();
-    console.log(`🔧 Applying smoothing level ${newLevel}...`);
-    
+    setSmoothing(newSmoothing);
+    setLegacySmoothing(null);
     setDebugInfo(prev => ({
       ...prev,
-      lastSmoothingCall: { 
-        level: newLevel, 
-        timestamp: new Date().toLocaleTimeString() 
+      lastSmoothingCall: {
+        label: smoothingLabel(newSmoothing),
+        timestamp: new Date().toLocaleTimeString()
       }
     }));
-    
-    setSmoothingLevel(newLevel);
-    
-    try {
-      if (newLevel === 0) {
-        // Raw data - use original processed data
-        const dataToProcess = dynoResults.processedData.map(d => ({
-          rpm: d.rpm,
-          horsepower: Math.round(d.hp),
-          torque: Math.round(d.torque),
-          boost: Math.round(d.boost * 10) / 10
-        }));
-        
-        console.log(`📊 Using raw data: ${dataToProcess.length} points`);
-        
-        setSmoothedData(dataToProcess);
-        const rawPeaks = calculatePeaksFromData(dataToProcess);
-        setSmoothedPeaks(rawPeaks);
-        
-        setDebugInfo(prev => ({
-          ...prev,
-          dataProcessing: { 
-            source: 'raw', 
-            points: dataToProcess.length, 
-            peaks: rawPeaks,
-            processingTime: Date.now() - debugStart
-          }
-        }));
-        
-      } else {
-        // Apply smoothing via backend API
-        const apiUrl = `http://localhost:5038/api/dyno/runs/${dynoResults.backendResults.id}/smooth/${newLevel}`;
-        console.log(`🌐 Fetching smoothed data: ${apiUrl}`);
-        
-        const response = await fetch(apiUrl);
-        
-        setDebugInfo(prev => ({
-          ...prev,
-          apiResponse: { 
-            url: apiUrl, 
-            status: response.status, 
-            ok: response.ok,
-            timestamp: new Date().toLocaleTimeString()
-          }
-        }));
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Smoothing API error (${response.status}): ${errorText}`);
-        }
-        
-        const smoothed = await response.json();
-        console.log(`✅ Received ${smoothed.length} smoothed points`);
-        
-        const dataToProcess = smoothed.map(d => ({
-          rpm: d.rpm,
-          horsepower: Math.round(d.horsepower),
-          torque: Math.round(d.torque),
-          boost: Math.round(d.boost * 10) / 10
-        }));
-        
-        setSmoothedData(dataToProcess);
-        const smoothedPeaksCalc = calculatePeaksFromData(dataToProcess);
-        setSmoothedPeaks(smoothedPeaksCalc);
-        
-        // Calculate changes from original
-        const originalPeaks = dynoResults.peaks;
-        const changes = {
-          hp: smoothedPeaksCalc.maxHP - originalPeaks.maxHP,
-          tq: smoothedPeaksCalc.maxTorque - originalPeaks.maxTorque,
-          boost: smoothedPeaksCalc.maxBoost - (originalPeaks.maxBoost || 0)
-        };
-        
-        setDebugInfo(prev => ({
-          ...prev,
-          dataProcessing: { 
-            source: 'smoothed', 
-            points: dataToProcess.length, 
-            peaks: smoothedPeaksCalc,
-            processingTime: Date.now() - debugStart,
-            changes
-          }
-        }));
-        
-        console.log(`🏁 Smoothing results for level ${newLevel}:`);
-        console.log(`  HP: ${originalPeaks.maxHP} → ${smoothedPeaksCalc.maxHP} (${changes.hp >= 0 ? '+' : ''}${changes.hp})`);
-        console.log(`  TQ: ${originalPeaks.maxTorque} → ${smoothedPeaksCalc.maxTorque} (${changes.tq >= 0 ? '+' : ''}${changes.tq})`);
-        console.log(`  Boost: ${originalPeaks.maxBoost || 0} → ${smoothedPeaksCalc.maxBoost} (should be same)`);
-      }
-      
-    } catch (error) {
-      addError(error);
-      alert(`Error applying smoothing: ${error.message}`);
-    }
+  };
+
+  // A new run starts raw; the chosen method and peak option stay
+  const resetSmoothing = () => {
+    setSmoothing(prev => ({ ...prev, strength: 0 }));
+    setLegacySmoothing(null);
   };
 
   // Main dyno run function
@@ -356,154 +1270,179 @@ const VirtualDyno = () => {
     }
     
     console.log('🏁 Starting virtual dyno run...');
+    if (dataQuality) console.log(`📋 Data quality ${dataQuality.score}% (${dataQuality.grade}), ${dataQuality.issues.length} issue(s)`);
+    if (gearMismatch) console.warn(`⚠️ ${gearMismatch.message}`);
     
     // Reset state
-    setIsRunning(true);
-    setCurrentDataPoint(0);
-    setLiveGraphData([]);
-    setSmoothedData([]);
-    setSmoothingLevel(0);
-    setCurrentPeaks({
-      maxHP: 0,
-      maxTorque: 0,
-      maxBoost: 0,
-      currentHP: 0,
-      currentTorque: 0,
-      currentBoost: 0
-    });
+    setIsCalculating(true);
+    setReplay(null);
+    resetSmoothing();
     
     try {
-      // Step 1: Send data to backend
-      const backendResults = await sendToBackend();
+      let backendResults = null;
+      let detailData = null;
+      let source = 'api';
       
-      // Step 2: Get detailed data points
-      const detailData = await getDetailedRunData(backendResults.id);
+      // An average is calculated pull by pull in the browser - the API would
+      // save one merged run that doesn't match the curve shown
+      const averaging = dynoSettings.averagePulls && selectedPullIds.length >= 2;
       
-      // Step 3: Process data with virtual dyno characteristics
-      const dyno = dynoTypes[dynoSettings.dynoType];
-      const tempCorrection = Math.sqrt(537.67 / (dynoSettings.temperature + 459.67));
-      const humidityCorrection = 1 - (dynoSettings.humidity / 100 * 0.047);
-      const envCorrection = tempCorrection * humidityCorrection;
+      // The backend only knows its own presets
+      if (selectedVehicle?.custom && dynoSettings.calculationSource === 'api') {
+        throw new Error(`${selectedVehicle.name} is a custom vehicle - switch Calculation to Auto or Offline`);
+      }
+      if (averaging && dynoSettings.calculationSource === 'api') {
+        throw new Error('Pull averages are calculated in the browser - switch Calculation to Auto or Offline');
+      }
+      if (weatherIssue) throw new Error(weatherIssue);
       
-      const processedData = (detailData.dataPoints || []).map(point => {
-        const variance = 1 + (Math.random() - 0.5) * 2 * dyno.variance;
-        
-        return {
-          rpm: point.rpm,
-          hp: point.horsepower * envCorrection * dyno.correction * variance,
-          torque: point.torque * envCorrection * variance,
-          boost: point.boost,
-          maf: point.massAirflow || 0,
-          load: point.load || 0
-        };
-      });
+      if (dynoSettings.calculationSource !== 'local' && !selectedVehicle?.custom && !averaging) {
+        try {
+          // Step 1: Send data to backend
+          backendResults = await sendToBackend();
+          
+          // Step 2: Get detailed data points
+          detailData = await getDetailedRunData(backendResults.id);
+        } catch (error) {
+          if (dynoSettings.calculationSource === 'api') throw error;
+          console.warn(`⚠️ Backend unavailable, calculating offline: ${error.message}`);
+        }
+      }
       
-      // Sort by RPM for proper animation
-      processedData.sort((a, b) => a.rpm - b.rpm);
+      // Several pulls: each calculated on its own, then one consensus curve
+      // with a min/max band
+      let pullRuns = null;
+      if (averaging) {
+        pullRuns = await calculatePullRuns();
+        if (!pullRuns) {
+          console.log('🛑 Dyno run cancelled');
+          return;
+        }
+        // Run details (method, notes) are the same for every pull
+        detailData = pullRuns[0];
+        backendResults = detailData;
+        source = 'local';
+      } else if (!detailData) {
+        // Offline fallback - same math as the API, run in the browser
+        detailData = await calculateLocalRun();
+        if (!detailData) {
+          console.log('🛑 Dyno run cancelled');
+          return;
+        }
+        backendResults = detailData;
+        source = 'local';
+        console.log('🧮 Calculated run locally:', detailData.peaks);
+      }
       
-      console.log(`🎬 Starting animation with ${processedData.length} points`);
+      // Step 3: Process data with virtual dyno characteristics
+      const { processedData: runData, correction } = modelRun(detailData);
+      let processedData = runData;
+      console.log(`🌡️ ${formatCorrection(correction)}`);
       
-      // Step 4: Animate the dyno run
-      for (let i = 0; i < processedData.length; i++) {
-        const currentPoint = processedData[i];
-        
-        // Add point to live graph
-        setLiveGraphData(prev => {
-          const newData = [...prev, {
-            rpm: currentPoint.rpm,
-            horsepower: Math.round(currentPoint.hp),
-            torque: Math.round(currentPoint.torque),
-            boost: Math.round(currentPoint.boost * 10) / 10
-          }];
-          return newData.sort((a, b) => a.rpm - b.rpm);
+      let pullCount = 0;
+      if (pullRuns) {
+        processedData = averageCurves(pullRuns.map(run => modelRun(run).processedData), {
+          step: dynoSettings.rpmStep || DEFAULT_AVERAGE_STEP,
+          keys: PROCESSED_KEYS,
+          bandKeys: ['hp', 'torque']
         });
-        
-        // Update live peaks
-        setCurrentPeaks(prev => {
-          const maxHP = Math.max(prev.maxHP, currentPoint.hp);
-          const maxTorque = Math.max(prev.maxTorque, currentPoint.torque);
-          const maxBoost = Math.max(prev.maxBoost, currentPoint.boost);
-          
-          return {
-            maxHP: Math.round(maxHP),
-            maxTorque: Math.round(maxTorque),
-            maxBoost: Math.round(maxBoost * 10) / 10,
-            currentHP: Math.round(currentPoint.hp),
-            currentTorque: Math.round(currentPoint.torque),
-            currentBoost: Math.round(currentPoint.boost * 10) / 10
-          };
-        });
-        
-        setCurrentDataPoint(i);
-        
-        // Variable delay based on RPM
-        const delay = currentPoint.rpm < 3000 ? 200 : 
-                     currentPoint.rpm < 4000 ? 150 : 
-                     currentPoint.rpm < 5000 ? 120 : 100;
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
+        pullCount = pullRuns.length;
+        console.log(`📊 Averaged ${pullCount} pulls over ${processedData[0].rpm}-${processedData[processedData.length - 1].rpm} RPM`);
       }
       
-      // Step 5: Calculate final results
-      const peaks = {
-        maxHP: Math.round(Math.max(...processedData.map(d => d.hp))),
-        maxTorque: Math.round(Math.max(...processedData.map(d => d.torque))),
-        maxBoost: Math.round(Math.max(...processedData.map(d => d.boost)) * 10) / 10,
-        maxHPRpm: processedData.find(d => d.hp === Math.max(...processedData.map(p => p.hp)))?.rpm || 0,
-        maxTorqueRpm: processedData.find(d => d.torque === Math.max(...processedData.map(p => p.torque)))?.rpm || 0
-      };
-      
-      const finalResults = {
+      // Step 4: Calculate final results
+      const finalResults = buildDynoResults({
         processedData,
-        peaks,
+        correction,
         settings: dynoSettings,
         fileName: csvFile.name,
-        backendResults
-      };
-      
-      setDynoResults(finalResults);
+        backendResults,
+        detailData,
+        source,
+        pullCount,
+        quality: dataQuality
+      });
       
-      // Initialize with raw data
-      handleSmoothingChange(0);
+      if (source === 'api' && savedRuns) loadSavedRuns();
       
       console.log('🏆 Dyno run completed successfully!');
-      console.log('Peak Results:', peaks);
+      console.log('Peak Results:', finalResults.peaks);
+      
+      // Step 5: Replay the run in the log's time
+      startReplay(finalResults, curveFromProcessed(processedData), runSourceRows());
       
     } catch (error) {
       addError(error);
       alert(`Dyno run failed: ${error.message}`);
     } finally {
-      setIsRunning(false);
+      setIsCalculating(false);
     }
   };
 
-  // Canvas drawing effect
+  // Replay clock. Elapsed time lives in a ref so the component only
+  // re-renders when a new point comes into view.
+  const replayPlaying = replay?.playing ?? false;
   useEffect(() => {
-    if (!canvasRef.current) return;
+    if (!replayPlaying) return undefined;
+    
+    let frameId;
+    let last = performance.now();
+    const tick = (now) => {
+      const clock = replayClockRef.current;
+      clock.elapsed = Math.min(clock.duration, clock.elapsed + ((now - last) / 1000) * replaySpeed);
+      last = now;
+      
+      const { elapsed } = clock;
+      setReplay(prev => {
+        if (!prev) return prev;
+        if (elapsed >= prev.timeline.duration) return { ...prev, elapsed, playing: false, finished: true };
+        return replayIndexAt(prev.timeline, elapsed) === replayIndexAt(prev.timeline, prev.elapsed) ? prev : { ...prev, elapsed };
+      });
+      if (elapsed < clock.duration) frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    
+    return () => cancelAnimationFrame(frameId);
+  }, [replayPlaying, replaySpeed]);
+
+  // Played through or skipped - show the finished result
+  useEffect(() => {
+    if (!replay?.finished) return;
+    setDynoResults(replay.results);
+    setReplay(null);
+  }, [replay]);
 
-    // Determine data source
-    let dataToDisplay;
-    let dataSource;
+  // Load vehicle presets from the API, keeping the last good list for offline use
+  useEffect(() => {
+    const loadPresets = async () => {
+      try {
+        const presets = await api.listCarPresets();
+        if (presets.length === 0) return;
+        
+        setCarPresets(presets);
+        setPresetSource('api');
+        cacheCarPresets(presets);
+        console.log(`🚗 Loaded ${presets.length} car presets from API`);
+      } catch (error) {
+        if (isCancelledRequest(error)) return;
+        console.warn(`⚠️ Car presets unavailable, using offline copy: ${error.message}`);
+      }
+    };
     
-    if (isRunning && liveGraphData.length > 0) {
-      dataToDisplay = liveGraphData;
-      dataSource = "live";
-    } else if (smoothedData.length > 0) {
-      dataToDisplay = smoothedData;
-      dataSource = `smoothed-L${smoothingLevel}`;
-    } else if (dynoResults?.processedData) {
-      dataToDisplay = dynoResults.processedData.map(d => ({
-        rpm: d.rpm,
-        horsepower: Math.round(d.hp),
-        torque: Math.round(d.torque),
-        boost: Math.round(d.boost * 10) / 10
-      }));
-      dataSource = "processed";
-    } else {
-      return;
-    }
+    loadPresets();
+    // A slow answer from the old server must not replace the new one's list
+    return () => api.cancel('presets');
+  }, [api]);
+
+  // Canvas drawing effect - runs when the data, zoom or visible series change.
+  // The crosshair and drag selection are DOM overlays, so hovering never redraws.
+  useEffect(() => {
+    if (!canvasRef.current || !graphSeries) return;
 
-    console.log(`🎨 Drawing ${dataToDisplay.length} points from ${dataSource}`);
+    const { lines, bands, legend, axes, source: dataSource } = graphSeries;
+    const drawnLines = lines.filter(line => line.drawn !== false && !hiddenSeries.includes(line.group));
+    const drawnBands = bands.filter(band => !hiddenSeries.includes(band.group));
+    console.log(`🎨 Drawing ${drawnLines.length} series from ${dataSource}`);
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
@@ -522,28 +1461,56 @@ const VirtualDyno = () => {
     ctx.fillStyle = '#1a1a1a';
     ctx.fillRect(0, 0, width, height);
 
-    // Graph dimensions
+    // Graph dimensions - each boost/AFR axis takes 50px on the right
     const leftPadding = 70;
-    const rightPadding = 40;
+    const rightPadding = 40 + 50 * axes.length;
     const topPadding = 40;
     const bottomPadding = 60;
     const graphWidth = width - leftPadding - rightPadding;
     const graphHeight = height - topPadding - bottomPadding;
 
-    // Data ranges
-    const maxRpm = Math.max(...dataToDisplay.map(d => d.rpm), 7000);
-    const minRpm = Math.min(...dataToDisplay.map(d => d.rpm), 2000);
-    const maxHP = Math.max(...dataToDisplay.map(d => d.horsepower), 100);
-    const maxTorque = Math.max(...dataToDisplay.map(d => d.torque), 100);
-    const maxPower = Math.max(maxHP, maxTorque);
+    // RPM window: the live run keeps a steady 2000-7000 frame, a finished run
+    // fits its data (every series, so hiding one does not move the axis)
+    const allPoints = lines.flatMap(line => line.points);
+    const fitted = autoRpmRange(allPoints);
+    const bounds = isRunning
+      ? { min: Math.min(fitted.min, 2000), max: Math.max(fitted.max, 7000) }
+      : fitted;
+    const range = graphZoom ? clampRange(graphZoom, bounds) : bounds;
+    const minRpm = range.min;
+    const maxRpm = range.max;
+
+    // Vertical scale fits what is visible in the window
+    const visibleValues = (line) => line.points
+      .filter(p => p.rpm >= minRpm && p.rpm <= maxRpm)
+      .map(p => (line.convert ? line.convert(p[line.key]) : p[line.key]));
+    const bandTops = drawnBands.flatMap(band => band.points
+      .filter(p => p.rpm >= minRpm && p.rpm <= maxRpm)
+      .map(p => band.convert(p.max)));
+    const maxPower = maxOf([...drawnLines.filter(line => !line.axis).flatMap(visibleValues), ...bandTops, 100]);
+    const secondaryScales = {};
+    axes.forEach(({ axis }) => {
+      const scale = niceScale(drawnLines.filter(line => line.axis === axis).flatMap(visibleValues));
+      if (scale) secondaryScales[axis] = scale;
+    });
+
+    const xOf = (rpm) => leftPadding + ((rpm - minRpm) / (maxRpm - minRpm)) * graphWidth;
+    const yOf = (value) => height - bottomPadding - (value / maxPower) * graphHeight;
+    const yOnScale = (scale, value) => height - bottomPadding - ((value - scale.min) / (scale.max - scale.min)) * graphHeight;
+    const yForLine = (line) => {
+      if (line.axis) return (value) => yOnScale(secondaryScales[line.axis], line.convert(value));
+      return line.convert ? (value) => yOf(line.convert(value)) : yOf;
+    };
 
     // Draw grid
     ctx.strokeStyle = '#333';
     ctx.lineWidth = 1;
     
-    // Vertical grid lines
-    for (let rpm = Math.ceil(minRpm / 500) * 500; rpm <= maxRpm; rpm += 500) {
-      const x = leftPadding + ((rpm - minRpm) / (maxRpm - minRpm)) * graphWidth;
+    // Vertical grid lines - finer steps when zoomed in
+    const span = maxRpm - minRpm;
+    const rpmStep = span <= 1000 ? 100 : span <= 2500 ? 250 : 500;
+    for (let rpm = Math.ceil(minRpm / rpmStep) * rpmStep; rpm <= maxRpm; rpm += rpmStep) {
+      const x = xOf(rpm);
       ctx.beginPath();
       ctx.moveTo(x, topPadding);
       ctx.lineTo(x, height - bottomPadding);
@@ -557,7 +1524,7 @@ const VirtualDyno = () => {
 
     // Horizontal grid lines
     for (let power = 0; power <= maxPower; power += 50) {
-      const y = height - bottomPadding - (power / maxPower) * graphHeight;
+      const y = yOf(power);
       ctx.beginPath();
       ctx.moveTo(leftPadding, y);
       ctx.lineTo(width - rightPadding, y);
@@ -578,35 +1545,65 @@ const VirtualDyno = () => {
     ctx.lineTo(width - rightPadding, height - bottomPadding);
     ctx.stroke();
 
-    // Draw HP line
-    if (dataToDisplay.length > 1) {
-      ctx.strokeStyle = '#ff4444';
-      ctx.lineWidth = dataSource.includes('smoothed') ? 4 : 3;
+    // Boost/AFR axes, each on its own scale in its series colour
+    axes.forEach((style, index) => {
+      const x = width - rightPadding + 50 * index;
+      const scale = secondaryScales[style.axis];
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = 1;
       ctx.beginPath();
+      ctx.moveTo(x, topPadding);
+      ctx.lineTo(x, height - bottomPadding);
+      ctx.stroke();
+      if (!scale) return;
       
-      dataToDisplay.forEach((point, index) => {
-        const x = leftPadding + ((point.rpm - minRpm) / (maxRpm - minRpm)) * graphWidth;
-        const y = height - bottomPadding - (point.horsepower / maxPower) * graphHeight;
-        
-        if (index === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
+      ctx.fillStyle = style.color;
+      ctx.font = `${Math.max(8, width * 0.009)}px Arial`;
+      ctx.textAlign = 'left';
+      scaleTicks(scale).forEach(value => {
+        const y = yOnScale(scale, value);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + 4, y);
+        ctx.stroke();
+        ctx.fillText(formatTick(value, scale.step), x + 6, y + 4);
       });
-      ctx.stroke();
-    }
+      ctx.font = `bold ${Math.max(8, width * 0.009)}px Arial`;
+      ctx.fillText(style.unit, x + 4, topPadding - 10);
+    });
 
-    // Draw Torque line
-    if (dataToDisplay.length > 1) {
-      ctx.strokeStyle = '#44ff44';
-      ctx.lineWidth = dataSource.includes('smoothed') ? 4 : 3;
+    // Curves, clipped to the plot so zoomed-out points do not spill over.
+    // Overlays first so the current run sits on top.
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(leftPadding, topPadding - 2, graphWidth, graphHeight + 4);
+    ctx.clip();
+    
+    drawnBands.forEach(band => {
+      const yOfBand = yForLine(band);
+      ctx.fillStyle = band.color;
+      ctx.globalAlpha = 0.18;
       ctx.beginPath();
-      
-      dataToDisplay.forEach((point, index) => {
-        const x = leftPadding + ((point.rpm - minRpm) / (maxRpm - minRpm)) * graphWidth;
-        const y = height - bottomPadding - (point.torque / maxPower) * graphHeight;
-        
+      band.points.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(xOf(point.rpm), yOfBand(point.max));
+        else ctx.lineTo(xOf(point.rpm), yOfBand(point.max));
+      });
+      [...band.points].reverse().forEach(point => ctx.lineTo(xOf(point.rpm), yOfBand(point.min)));
+      ctx.closePath();
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    });
+    
+    [...drawnLines].reverse().forEach(line => {
+      if (line.points.length < 2 || (line.axis && !secondaryScales[line.axis])) return;
+      const yOfLine = yForLine(line);
+      ctx.strokeStyle = line.color;
+      ctx.lineWidth = line.width;
+      ctx.setLineDash(line.dash || []);
+      ctx.beginPath();
+      line.points.forEach((point, index) => {
+        const x = xOf(point.rpm);
+        const y = yOfLine(point[line.key]);
         if (index === 0) {
           ctx.moveTo(x, y);
         } else {
@@ -614,41 +1611,76 @@ const VirtualDyno = () => {
         }
       });
       ctx.stroke();
-    }
+    });
+    ctx.setLineDash([]);
 
     // Current point indicator during live run
     if (isRunning && liveGraphData.length > 0) {
       const currentPoint = liveGraphData[liveGraphData.length - 1];
-      const x = leftPadding + ((currentPoint.rpm - minRpm) / (maxRpm - minRpm)) * graphWidth;
-      const yHP = height - bottomPadding - (currentPoint.horsepower / maxPower) * graphHeight;
-      const yTQ = height - bottomPadding - (currentPoint.torque / maxPower) * graphHeight;
-      
+      const x = xOf(currentPoint.rpm);
       const indicatorSize = 5;
+      const [powerLine, torqueLine] = graphSeries.lines;
       
       ctx.fillStyle = '#ff4444';
       ctx.beginPath();
-      ctx.arc(x, yHP, indicatorSize, 0, 2 * Math.PI);
+      ctx.arc(x, yForLine(powerLine)(currentPoint.horsepower), indicatorSize, 0, 2 * Math.PI);
       ctx.fill();
       
       ctx.fillStyle = '#44ff44';
       ctx.beginPath();
-      ctx.arc(x, yTQ, indicatorSize, 0, 2 * Math.PI);
+      ctx.arc(x, yForLine(torqueLine)(currentPoint.torque), indicatorSize, 0, 2 * Math.PI);
       ctx.fill();
     }
 
-    // Legend
+    // Engine health markers along the top of the plot
+    if (!isRunning && healthReport) {
+      ctx.font = 'bold 10px Arial';
+      ctx.textAlign = 'center';
+      healthReport.findings.forEach(finding => {
+        if (finding.rpm < minRpm || finding.rpm > maxRpm) return;
+        const x = xOf(finding.rpm);
+        const color = SEVERITY_COLORS[finding.severity];
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, topPadding + 14);
+        ctx.lineTo(x, height - bottomPadding);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x - 7, topPadding);
+        ctx.lineTo(x + 7, topPadding);
+        ctx.lineTo(x, topPadding + 14);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillText(FINDING_TYPES[finding.type].marker, x, topPadding + 9);
+      });
+    }
+    ctx.restore();
+
+    // Legend - each entry is a click target for show/hide
     const legendFontSize = Math.max(8, width * 0.010);
-    ctx.fillStyle = '#ff4444';
+    const rowHeight = legendFontSize + 6;
+    const legendHits = [];
     ctx.font = `bold ${legendFontSize}px Arial`;
     ctx.textAlign = 'left';
-    ctx.fillText('■ Horsepower', width - 160, 25);
-    
-    ctx.fillStyle = '#44ff44';
-    ctx.fillText('■ Torque', width - 160, 25 + legendFontSize + 6);
+    const legendX = width - rightPadding - 120;
+    legend.forEach((entry, index) => {
+      const y = 25 + rowHeight * index;
+      const hidden = entry.hidden || hiddenSeries.includes(entry.id);
+      ctx.fillStyle = hidden ? '#4a5568' : entry.color;
+      ctx.fillText(hidden ? entry.label.replace('■', '□') : entry.label, legendX, y);
+      legendHits.push({ entry, x: legendX - 4, y: y - legendFontSize, width: 156, height: rowHeight });
+    });
     
     ctx.fillStyle = '#a0aec0';
     ctx.font = `${Math.max(6, width * 0.008)}px Arial`;
-    ctx.fillText(`Data: ${dataSource}`, width - 160, 25 + (legendFontSize + 6) * 2);
+    ctx.fillText(`Data: ${dataSource}`, legendX, 25 + rowHeight * legend.length);
 
     // Axis labels
     const axisLabelSize = Math.max(8, width * 0.010);
@@ -661,37 +1693,12 @@ const VirtualDyno = () => {
     ctx.translate(20, height / 2);
     ctx.rotate(-Math.PI / 2);
     ctx.textAlign = 'center';
-    ctx.fillText('HP / TQ', 0, 0);
+    ctx.fillText(`${graphSeries.units.power} / ${graphSeries.units.torque}`, 0, 0);
     ctx.restore();
 
-  }, [liveGraphData, smoothedData, smoothingLevel, isRunning, dynoResults]);
-
-  // Styles
-  const inputStyle = {
-    width: '95%',
-    padding: '8px 12px',
-    border: '1px solid #4a5568',
-    borderRadius: '4px',
-    fontSize: '14px',
-    backgroundColor: '#2d3748',
-    color: '#e2e8f0'
-  };
-
-  const labelStyle = {
-    display: 'block',
-    fontSize: '14px',
-    fontWeight: '600',
-    color: '#e2e8f0',
-    marginBottom: '6px'
-  };
+    graphScaleRef.current = { leftPadding, rightPadding, topPadding, bottomPadding, range, bounds, maxPower, secondaryScales, legendHits };
 
-  const sectionStyle = {
-    marginBottom: '20px',
-    padding: '15px',
-    backgroundColor: '#2d3748',
-    borderRadius: '6px',
-    border: '1px solid #4a5568'
-  };
+  }, [graphSeries, hiddenSeries, graphZoom, isRunning, liveGraphData, healthReport]);
 
   return (
     <div style={{ 
@@ -720,31 +1727,21 @@ const VirtualDyno = () => {
             🔧 Debug Panel
           </div>
           
-          <div><strong>Smoothing:</strong> L{debugInfo.lastSmoothingCall.level} at {debugInfo.lastSmoothingCall.timestamp}</div>
-          
-          {debugInfo.apiResponse && (
-            <div><strong>API:</strong> {debugInfo.apiResponse.status} {debugInfo.apiResponse.ok ? '✅' : '❌'}</div>
-          )}
+          <div><strong>Smoothing:</strong> {debugInfo.lastSmoothingCall.label} at {debugInfo.lastSmoothingCall.timestamp}</div>
           
-          {debugInfo.dataProcessing && (
+          {smoothedPeaks && dynoResults?.peaks && (
             <div>
-              <div><strong>Source:</strong> {debugInfo.dataProcessing.source}</div>
-              <div><strong>Points:</strong> {debugInfo.dataProcessing.points}</div>
-              {debugInfo.dataProcessing.peaks && (
-                <div><strong>Peaks:</strong> HP={debugInfo.dataProcessing.peaks.maxHP}, TQ={debugInfo.dataProcessing.peaks.maxTorque}</div>
-              )}
-              {debugInfo.dataProcessing.changes && (
-                <div style={{ color: '#68d391' }}>
-                  <strong>Changes:</strong> HP{debugInfo.dataProcessing.changes.hp >= 0 ? '+' : ''}{debugInfo.dataProcessing.changes.hp}, 
-                  TQ{debugInfo.dataProcessing.changes.tq >= 0 ? '+' : ''}{debugInfo.dataProcessing.changes.tq}
-                </div>
-              )}
-              <div><strong>Time:</strong> {debugInfo.dataProcessing.processingTime}ms</div>
+              <div><strong>Points:</strong> {smoothedData.length}</div>
+              <div><strong>Peaks:</strong> HP={smoothedPeaks.maxHP}, TQ={smoothedPeaks.maxTorque}</div>
+              <div style={{ color: '#68d391' }}>
+                <strong>Changes:</strong> HP{smoothedPeaks.maxHP >= dynoResults.peaks.maxHP ? '+' : ''}{smoothedPeaks.maxHP - dynoResults.peaks.maxHP}, 
+                TQ{smoothedPeaks.maxTorque >= dynoResults.peaks.maxTorque ? '+' : ''}{smoothedPeaks.maxTorque - dynoResults.peaks.maxTorque}
+              </div>
             </div>
           )}
           
           <div style={{ marginTop: '6px' }}>
-            <div><strong>State:</strong> Level={smoothingLevel}, Data={smoothedData.length}, Peaks={smoothedPeaks ? 'yes' : 'no'}</div>
+            <div><strong>State:</strong> {smoothingShown}, Data={smoothedData.length}, Peaks={smoothedPeaks ? 'yes' : 'no'}</div>
           </div>
           
           {debugInfo.errors.length > 0 && (
@@ -832,8 +1829,78 @@ const VirtualDyno = () => {
                 style={{ display: 'none' }}
               />
             </div>
+            {logJob && <LogProgress job={logJob} onCancel={cancelLogJob} />}
+            {parseReport && (
+              <div style={{ fontSize: '11px', color: '#a0aec0', lineHeight: '1.6' }}>
+                <div>{parseReport.rowCount} rows · {parseReport.delimiter === '\t' ? 'tab' : `"${parseReport.delimiter}"`} · {parseReport.encoding}</div>
+                {parseReport.metadata.map(meta => (
+                  <div key={meta.key} style={{ color: '#718096', wordBreak: 'break-word' }}>
+                    {meta.key}: {meta.values.join(' · ')}
+                  </div>
+                ))}
+                {parseReport.errors.length > 0 && (
+                  <details style={{ color: '#f6ad55', marginTop: '4px' }}>
+                    <summary style={{ cursor: 'pointer' }}>⚠️ {parseReport.errors.length} row problem{parseReport.errors.length === 1 ? '' : 's'}</summary>
+                    <div style={{ maxHeight: '120px', overflowY: 'auto', fontFamily: 'monospace', fontSize: '10px' }}>
+                      {parseReport.errors.slice(0, 50).map((err, index) => (
+                        <div key={index}>Line {err.line}: {err.message}</div>
+                      ))}
+                    </div>
+                  </details>
+                )}
+              </div>
+            )}
+            <button
+              onClick={() => bundleInputRef.current?.click()}
+              disabled={isRunning}
+              style={{
+                marginTop: '10px',
+                padding: '4px 10px',
+                border: '1px solid #4a5568',
+                borderRadius: '4px',
+                backgroundColor: 'transparent',
+                color: '#a0aec0',
+                cursor: isRunning ? 'not-allowed' : 'pointer',
+                fontSize: '11px'
+              }}
+              title="Open a run bundle shared from another machine"
+            >
+              📦 Import {BUNDLE_EXTENSION}
+            </button>
+            <input
+              type="file"
+              accept={`${BUNDLE_EXTENSION},application/json`}
+              onChange={importBundle}
+              ref={bundleInputRef}
+              style={{ display: 'none' }}
+            />
           </div>
 
+          {/* Column Mapping */}
+          <ColumnMappingPanel
+            mapping={columnMapping}
+            headers={parsedLog?.headers || []}
+            onOverride={handleMappingOverride}
+            onReset={handleMappingReset}
+          />
+
+          {/* Pull Detection */}
+          <PullSelector
+            rows={logRows}
+            pulls={pulls}
+            selectedIds={selectedPullIds}
+            onToggle={handlePullToggle}
+            gearing={gearing}
+            gearChecks={gearChecks}
+            averagePulls={dynoSettings.averagePulls}
+            onAveragePullsChange={(averagePulls) => setDynoSettings(prev => ({ ...prev, averagePulls }))}
+          />
+
+          {/* Data Quality */}
+          <DataQualityPanel report={dataQuality} />
+
+          <UnitsPanel units={units} onChange={handleUnits} />
+
           {/* Vehicle Settings */}
           <div style={sectionStyle}>
             <h3 style={{ margin: '0 0 14px 0', fontSize: '15px', color: '#68d391' }}>Vehicle Setup</h3>
@@ -842,19 +1909,62 @@ const VirtualDyno = () => {
               <label style={{ ...labelStyle, margin: 0, minWidth: '70px', fontSize: '13px' }}>Car:</label>
               <select 
                 value={dynoSettings.selectedCar}
-                onChange={(e) => setDynoSettings(prev => ({ ...prev, selectedCar: e.target.value }))}
+                onChange={(e) => applyVehicle(findCarPreset(e.target.value, vehicles))}
                 style={{ ...inputStyle, flex: 1, fontSize: '13px' }}
               >
-                {carOptions.map(car => (
-                  <option key={car.value} value={car.value}>{car.label}</option>
-                ))}
+                <optgroup label="Presets">
+                  {carPresets.map(car => (
+                    <option key={car.key} value={car.key}>{car.name}</option>
+                  ))}
+                </optgroup>
+                {customVehicles.length > 0 && (
+                  <optgroup label="Custom">
+                    {customVehicles.map(car => (
+                      <option key={car.key} value={car.key}>{car.name}</option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
             </div>
 
+            {selectedVehicle && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#a0aec0', marginBottom: '14px' }}>
+                <span style={{ flex: 1 }}>
+                  {selectedVehicle.driveType} · {selectedVehicle.displacement}L · final drive {selectedVehicle.finalDrive}
+                  {selectedVehicle.custom ? ' · custom, calculated in browser' : presetSource !== 'api' && ` · ${presetSource} presets`}
+                </span>
+                {selectedVehicle.custom && (
+                  <button
+                    onClick={() => setVehicleEditor(selectedVehicle.key)}
+                    style={{ background: 'transparent', border: '1px solid #4a5568', borderRadius: '4px', color: '#e2e8f0', cursor: 'pointer', fontSize: '11px' }}
+                  >
+                    ✏️ Edit
+                  </button>
+                )}
+                <button
+                  onClick={() => setVehicleEditor('new')}
+                  style={{ background: 'transparent', border: '1px solid #4a5568', borderRadius: '4px', color: '#e2e8f0', cursor: 'pointer', fontSize: '11px' }}
+                >
+                  ➕ Custom
+                </button>
+              </div>
+            )}
+
+            {vehicleEditor && (
+              <VehicleEditor
+                key={vehicleEditor}
+                vehicle={vehicleEditor === 'new' ? null : findCarPreset(vehicleEditor, customVehicles)}
+                units={units}
+                onSave={saveCustomVehicle}
+                onCancel={() => setVehicleEditor(null)}
+                onDelete={vehicleEditor === 'new' ? null : () => deleteCustomVehicle(vehicleEditor)}
+              />
+            )}
+
             <div style={{ marginBottom: '14px' }}>
               <label style={{ ...labelStyle, fontSize: '13px' }}>Gear Used:</label>
               <div style={{ display: 'flex', gap: '6px' }}>
-                {[3, 4, 5].map(gear => (
+                {gearList(selectedVehicle).map(gear => (
                   <button
                     key={gear}
                     onClick={() => setDynoSettings(prev => ({ ...prev, gear }))}
@@ -871,22 +1981,52 @@ const VirtualDyno = () => {
                       transition: 'all 0.2s ease'
                     }}
                   >
-                    {gear}rd
+                    {gearLabel(gear)}
                   </button>
                 ))}
               </div>
+              {gearMismatch && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '11px', color: '#f6ad55' }}>
+                  <span style={{ flex: 1 }}>⚠️ {gearMismatch.message}</span>
+                  {gearMismatch.type === 'mismatch' && gearList(selectedVehicle).includes(gearMismatch.gears[0]) && (
+                    <button
+                      onClick={() => setDynoSettings(prev => ({ ...prev, gear: gearMismatch.gears[0] }))}
+                      style={{ background: 'transparent', border: '1px solid #f6ad55', borderRadius: '4px', color: '#f6ad55', cursor: 'pointer', fontSize: '11px' }}
+                    >
+                      Use {gearLabel(gearMismatch.gears[0])}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div style={{ marginBottom: '14px' }}>
+              <label style={{ ...labelStyle, fontSize: '13px' }}>Tire Size:</label>
+              <input
+                type="text"
+                value={dynoSettings.tireSize}
+                onChange={(e) => setDynoSettings(prev => ({ ...prev, tireSize: e.target.value }))}
+                placeholder={`225/40R18 or ${selectedVehicle?.tireDiameter || DEFAULT_TIRE_DIAMETER}`}
+                aria-label="Tire size"
+                style={{ ...inputStyle, fontSize: '13px', padding: '6px 8px' }}
+              />
+              <div style={{ fontSize: '11px', marginTop: '4px', color: dynoSettings.tireSize && !tireDiameter ? '#fc8181' : '#a0aec0' }}>
+                {dynoSettings.tireSize && !tireDiameter
+                  ? 'Use a sidewall size like 225/40R18 or a diameter in inches'
+                  : `${gearing?.tireDiameter ?? DEFAULT_TIRE_DIAMETER}" diameter${tireDiameter ? '' : ' (stock)'} - used for gear detection and the road dyno`}
+              </div>
             </div>
 
             <div style={{ marginBottom: '14px' }}>
-              <label style={{ ...labelStyle, fontSize: '13px' }}>Vehicle Weight (lbs):</label>
+              <label style={{ ...labelStyle, fontSize: '13px' }}>Vehicle Weight ({unitLabel('weight', units)}):</label>
               <input
                 type="number"
-                value={dynoSettings.weight}
-                onChange={(e) => setDynoSettings(prev => ({ ...prev, weight: parseInt(e.target.value) || 0 }))}
+                value={shown('weight', dynoSettings.weight)}
+                onChange={(e) => setDynoSettings(prev => ({ ...prev, weight: Math.round(stored('weight', e.target.value)) }))}
                 style={{ ...inputStyle, fontSize: '13px', padding: '6px 8px' }}
-                min="1000"
-                max="10000"
-                step="50"
+                min={shown('weight', 1000)}
+                max={shown('weight', 10000)}
+                step={units.weight === 'lb' ? 50 : 20}
               />
             </div>
           </div>
@@ -902,29 +2042,163 @@ const VirtualDyno = () => {
                 onChange={(e) => setDynoSettings(prev => ({ ...prev, dynoType: e.target.value }))}
                 style={{ ...inputStyle, flex: 1, fontSize: '13px' }}
               >
-                {Object.entries(dynoTypes).map(([key, dyno]) => (
+                {Object.entries(DYNO_TYPES).map(([key, dyno]) => (
                   <option key={key} value={key}>{dyno.name}</option>
                 ))}
               </select>
             </div>
+            
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+              <label style={{ ...labelStyle, margin: 0, flex: 1, fontSize: '13px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <input
+                  type="checkbox"
+                  checked={dynoSettings.dynoNoise}
+                  onChange={(e) => setDynoSettings(prev => ({ ...prev, dynoNoise: e.target.checked }))}
+                />
+                Run-to-run scatter
+              </label>
+              {dynoSettings.dynoNoise && (
+                <input
+                  type="number"
+                  value={dynoSettings.noiseSeed}
+                  onChange={(e) => setDynoSettings(prev => ({ ...prev, noiseSeed: parseInt(e.target.value) || 0 }))}
+                  title="Seed - the same seed always gives the same scatter"
+                  style={{ ...inputStyle, width: '70px', fontSize: '13px' }}
+                />
+              )}
+            </div>
+          </div>
+
+          {/* Calculation Engine */}
+          <div style={sectionStyle}>
+            <h3 style={{ margin: '0 0 14px 0', fontSize: '15px', color: '#68d391' }}>Calculation</h3>
+            
+            <select 
+              value={dynoSettings.calculationSource}
+              onChange={(e) => setDynoSettings(prev => ({ ...prev, calculationSource: e.target.value }))}
+              style={{ ...inputStyle, fontSize: '13px' }}
+            >
+              <option value="auto">Auto (API, offline fallback)</option>
+              <option value="api">Backend API only</option>
+              <option value="local">Offline (in browser)</option>
+            </select>
+            
+            <label style={{ ...labelStyle, fontSize: '13px', marginTop: '12px' }}>API Server</label>
+            <input
+              key={apiBaseUrl}
+              type="text"
+              defaultValue={apiBaseUrl}
+              placeholder={DEFAULT_API_BASE_URL}
+              onBlur={(e) => handleApiBaseUrl(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+              title="Address of VirtualDyno.API - leave empty for the default"
+              style={{ ...inputStyle, fontSize: '13px' }}
+            />
+            
+            <label style={{ ...labelStyle, fontSize: '13px', marginTop: '12px' }}>RPM Grid</label>
+            <select
+              value={dynoSettings.rpmStep}
+              onChange={(e) => setDynoSettings(prev => ({ ...prev, rpmStep: parseInt(e.target.value, 10) }))}
+              title="Resample the curve onto fixed RPM steps so runs line up point for point"
+              style={{ ...inputStyle, fontSize: '13px' }}
+            >
+              {RPM_STEPS.map(step => (
+                <option key={step} value={step}>{step === 0 ? 'As logged' : `Every ${step} RPM`}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Dyno Cell */}
+          <div style={sectionStyle}>
+            <h3 style={{ margin: '0 0 14px 0', fontSize: '15px', color: '#68d391' }}>Dyno Cell</h3>
+            
+            <label style={{ ...labelStyle, fontSize: '13px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={webglAvailable && showDynoCell}
+                disabled={!webglAvailable}
+                onChange={(e) => handleShowDynoCell(e.target.checked)}
+              />
+              Show 3D dyno cell
+            </label>
+            
+            <div style={{ fontSize: '11px', color: '#718096', marginTop: '6px' }}>
+              {webglAvailable
+                ? 'The car, wheels and rollers follow the replay, with a tach and boost HUD.'
+                : 'WebGL is not available in this browser - the 2D graph is used.'}
+            </div>
+          </div>
+
+          {/* Road Dyno */}
+          <div style={sectionStyle}>
+            <h3 style={{ margin: '0 0 14px 0', fontSize: '15px', color: '#68d391' }}>Road Dyno</h3>
+            
+            <label style={{ ...labelStyle, fontSize: '13px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={roadDynoSettings.enabled}
+                onChange={(e) => setRoadDynoSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+              />
+              Overlay acceleration-based curve
+            </label>
+            
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' }}>
+              <div>
+                <label style={{ ...labelStyle, fontSize: '13px' }}>Cd·A ({unitLabel('area', units)})</label>
+                <input
+                  type="number"
+                  step={units.area === 'ft2' ? 0.1 : 0.01}
+                  min="0"
+                  value={shown('area', roadDynoSettings.cdA)}
+                  onChange={(e) => setRoadDynoSettings(prev => ({ ...prev, cdA: stored('area', e.target.value) }))}
+                  style={{ ...inputStyle, fontSize: '13px' }}
+                />
+              </div>
+              <div>
+                <label style={{ ...labelStyle, fontSize: '13px' }}>Crr</label>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={roadDynoSettings.crr}
+                  onChange={(e) => setRoadDynoSettings(prev => ({ ...prev, crr: parseFloat(e.target.value) || 0 }))}
+                  style={{ ...inputStyle, fontSize: '13px' }}
+                />
+              </div>
+            </div>
+            
+            <div style={{ fontSize: '11px', color: '#718096', marginTop: '6px' }}>
+              Needs a logged vehicle speed channel and a selected pull. Uses the weight, gear and tire size above.
+            </div>
           </div>
 
+          <GraphAxesPanel settings={axisSettings} units={units} onChange={handleAxisSetting} />
+
+          <HealthThresholdsPanel
+            units={units}
+            vehicleName={selectedVehicle?.name || dynoSettings.selectedCar}
+            thresholds={healthThresholds}
+            customized={Object.keys(DEFAULT_HEALTH_THRESHOLDS).some(key => healthThresholds[key] !== DEFAULT_HEALTH_THRESHOLDS[key])}
+            onChange={handleHealthThreshold}
+            onReset={resetHealthThresholds}
+          />
+
           {/* Environmental */}
           <div style={sectionStyle}>
             <h3 style={{ margin: '0 0 14px 0', fontSize: '15px', color: '#68d391' }}>Environment</h3>
             
             <div style={{ marginBottom: '14px' }}>
-              <label style={{ ...labelStyle, fontSize: '13px' }}>Temperature: {dynoSettings.temperature}°F</label>
+              <label style={{ ...labelStyle, fontSize: '13px' }}>Temperature: {formatQuantity('temperature', dynoSettings.temperature, units, 0)}</label>
               <input 
                 type="range" 
-                min="50" 
-                max="110" 
-                value={dynoSettings.temperature}
-                onChange={(e) => setDynoSettings(prev => ({ ...prev, temperature: parseInt(e.target.value) }))}
+                min={shown('temperature', 50)} 
+                max={shown('temperature', 110)} 
+                value={shown('temperature', dynoSettings.temperature)}
+                onChange={(e) => setDynoSettings(prev => ({ ...prev, temperature: Math.round(stored('temperature', e.target.value)) }))}
                 style={{ width: '100%', margin: '4px 0' }}
               />
               <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#718096' }}>
-                <span>50°F</span><span>110°F</span>
+                <span>{formatQuantity('temperature', 50, units, 0)}</span><span>{formatQuantity('temperature', 110, units, 0)}</span>
               </div>
             </div>
 
@@ -942,6 +2216,59 @@ const VirtualDyno = () => {
                 <span>10%</span><span>90%</span>
               </div>
             </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+              <div>
+                <label style={{ ...labelStyle, fontSize: '13px' }}>Baro ({unitLabel('baro', units)})</label>
+                <input
+                  type="number"
+                  step={units.baro === 'inHg' ? 0.01 : 0.1}
+                  value={shown('baro', dynoSettings.baro)}
+                  onChange={(e) => setDynoSettings(prev => ({ ...prev, baro: stored('baro', e.target.value) }))}
+                  style={{ ...inputStyle, fontSize: '13px' }}
+                />
+              </div>
+              <div>
+                <label style={{ ...labelStyle, fontSize: '13px' }}>Altitude ({unitLabel('altitude', units)})</label>
+                <input
+                  type="number"
+                  step={units.altitude === 'ft' ? 100 : 50}
+                  value={shown('altitude', dynoSettings.altitude)}
+                  disabled={dynoSettings.baroIsStation}
+                  onChange={(e) => setDynoSettings(prev => ({ ...prev, altitude: Math.round(stored('altitude', e.target.value)) }))}
+                  style={{ ...inputStyle, fontSize: '13px' }}
+                />
+              </div>
+            </div>
+
+            <label style={{ ...labelStyle, fontSize: '12px', display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '12px' }}>
+              <input
+                type="checkbox"
+                checked={dynoSettings.baroIsStation}
+                onChange={(e) => setDynoSettings(prev => ({ ...prev, baroIsStation: e.target.checked }))}
+              />
+              Baro is absolute (station) pressure
+            </label>
+
+            <label style={{ ...labelStyle, fontSize: '13px' }}>Correction Standard</label>
+            <select
+              value={dynoSettings.correctionStandard}
+              onChange={(e) => setDynoSettings(prev => ({ ...prev, correctionStandard: e.target.value }))}
+              style={{ ...inputStyle, fontSize: '13px' }}
+            >
+              {Object.entries(CORRECTION_STANDARDS).map(([key, standard]) => (
+                <option key={key} value={key}>{standard.name} - {standard.description}</option>
+              ))}
+            </select>
+            {weatherIssue ? (
+              <div style={{ fontSize: '11px', color: '#fc8181', marginTop: '6px' }}>
+                ⚠️ {weatherIssue}
+              </div>
+            ) : (
+              <div style={{ fontSize: '11px', color: '#718096', marginTop: '6px' }}>
+                {formatCorrection(currentCorrection())}
+              </div>
+            )}
           </div>
         </div>
 
@@ -964,7 +2291,11 @@ const VirtualDyno = () => {
                 borderRadius: '8px',
                 marginBottom: '16px',
                 display: 'grid',
-                gridTemplateColumns: '1fr 1fr 1fr',
+                gridTemplateColumns: [
+                  '1fr 1fr 1fr',
+                  !isRunning && healthReport && '1.4fr',
+                  !isRunning && dynoResults?.quality && '1.2fr'
+                ].filter(Boolean).join(' '),
                 gap: '16px',
                 textAlign: 'center'
               }}>
@@ -972,23 +2303,23 @@ const VirtualDyno = () => {
                 <div>
                   <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#ff4444' }}>
                     {(() => {
-                      if (isRunning) return currentPeaks.currentHP;
-                      if (smoothingLevel > 0 && smoothedPeaks) return smoothedPeaks.maxHP;
-                      return dynoResults?.peaks?.maxHP || 0;
+                      if (isRunning) return shown('power', currentPeaks.currentHP);
+                      if (smoothedPeaks) return shown('power', smoothedPeaks.maxHP);
+                      return shown('power', dynoResults?.peaks?.maxHP || 0);
                     })()}
                   </div>
                   <div style={{ fontSize: '11px', color: '#ccc', marginBottom: '3px' }}>
-                    {isRunning ? 'CURRENT' : 'PEAK'} HP
-                    {!isRunning && smoothingLevel > 0 && (
-                      <span style={{ color: '#68d391', marginLeft: '4px' }}>(S{smoothingLevel})</span>
+                    {isRunning ? 'CURRENT' : 'PEAK'} {unitLabel('power', units).toUpperCase()}
+                    {!isRunning && smoothedPeaks && (
+                      <span style={{ color: '#68d391', marginLeft: '4px' }}>({smoothingShownTag})</span>
                     )}
                   </div>
                   {!isRunning && (
                     <div style={{ fontSize: '9px', color: '#888' }}>
-                      @ {smoothingLevel > 0 && smoothedPeaks ? smoothedPeaks.maxHPRpm : (dynoResults?.peaks?.maxHPRpm || 0)} RPM
-                      {smoothingLevel > 0 && smoothedPeaks && dynoResults?.peaks && (
+                      @ {smoothedPeaks ? smoothedPeaks.maxHPRpm : (dynoResults?.peaks?.maxHPRpm || 0)} RPM
+                      {smoothedPeaks && dynoResults?.peaks && (
                         <div style={{ color: smoothedPeaks.maxHP > dynoResults.peaks.maxHP ? '#68d391' : '#ff6b6b' }}>
-                          {smoothedPeaks.maxHP > dynoResults.peaks.maxHP ? '+' : ''}{smoothedPeaks.maxHP - dynoResults.peaks.maxHP} HP
+                          {smoothedPeaks.maxHP > dynoResults.peaks.maxHP ? '+' : ''}{shown('power', smoothedPeaks.maxHP - dynoResults.peaks.maxHP)} {unitLabel('power', units).toUpperCase()}
                         </div>
                       )}
                     </div>
@@ -999,23 +2330,23 @@ const VirtualDyno = () => {
                 <div>
                   <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#44ff44' }}>
                     {(() => {
-                      if (isRunning) return currentPeaks.currentTorque;
-                      if (smoothingLevel > 0 && smoothedPeaks) return smoothedPeaks.maxTorque;
-                      return dynoResults?.peaks?.maxTorque || 0;
+                      if (isRunning) return shown('torque', currentPeaks.currentTorque);
+                      if (smoothedPeaks) return shown('torque', smoothedPeaks.maxTorque);
+                      return shown('torque', dynoResults?.peaks?.maxTorque || 0);
                     })()}
                   </div>
                   <div style={{ fontSize: '11px', color: '#ccc', marginBottom: '3px' }}>
-                    {isRunning ? 'CURRENT' : 'PEAK'} LB-FT
-                    {!isRunning && smoothingLevel > 0 && (
-                      <span style={{ color: '#68d391', marginLeft: '4px' }}>(S{smoothingLevel})</span>
+                    {isRunning ? 'CURRENT' : 'PEAK'} {unitLabel('torque', units).toUpperCase()}
+                    {!isRunning && smoothedPeaks && (
+                      <span style={{ color: '#68d391', marginLeft: '4px' }}>({smoothingShownTag})</span>
                     )}
                   </div>
                   {!isRunning && (
                     <div style={{ fontSize: '9px', color: '#888' }}>
-                      @ {smoothingLevel > 0 && smoothedPeaks ? smoothedPeaks.maxTorqueRpm : (dynoResults?.peaks?.maxTorqueRpm || 0)} RPM
-                      {smoothingLevel > 0 && smoothedPeaks && dynoResults?.peaks && (
+                      @ {smoothedPeaks ? smoothedPeaks.maxTorqueRpm : (dynoResults?.peaks?.maxTorqueRpm || 0)} RPM
+                      {smoothedPeaks && dynoResults?.peaks && (
                         <div style={{ color: smoothedPeaks.maxTorque > dynoResults.peaks.maxTorque ? '#68d391' : '#ff6b6b' }}>
-                          {smoothedPeaks.maxTorque > dynoResults.peaks.maxTorque ? '+' : ''}{smoothedPeaks.maxTorque - dynoResults.peaks.maxTorque} TQ
+                          {smoothedPeaks.maxTorque > dynoResults.peaks.maxTorque ? '+' : ''}{shown('torque', smoothedPeaks.maxTorque - dynoResults.peaks.maxTorque)} {unitLabel('torque', units).toUpperCase()}
                         </div>
                       )}
                     </div>
@@ -1026,15 +2357,15 @@ const VirtualDyno = () => {
                 <div>
                   <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#4488ff' }}>
                     {(() => {
-                      if (isRunning) return currentPeaks.maxBoost;
+                      if (isRunning) return shown('pressure', currentPeaks.maxBoost);
                       // Always show original boost (never smoothed)
-                      const originalBoost = Math.max(...(dynoResults?.processedData?.map(d => d.boost) || [0]));
-                      return Math.round(originalBoost * 10) / 10;
+                      const originalBoost = maxOf(dynoResults?.processedData?.map(d => d.boost) || [0]);
+                      return shown('pressure', originalBoost);
                     })()}
                   </div>
                   <div style={{ fontSize: '11px', color: '#ccc', marginBottom: '3px' }}>
-                    PEAK BOOST PSI
-                    {!isRunning && smoothingLevel > 0 && (
+                    PEAK BOOST {unitLabel('pressure', units).toUpperCase()}
+                    {!isRunning && smoothedPeaks && (
                       <span style={{ color: '#a0aec0', marginLeft: '4px' }}>(Raw)</span>
                     )}
                   </div>
@@ -1042,8 +2373,76 @@ const VirtualDyno = () => {
                     {isRunning ? 'LIVE' : 'SENSOR DATA'}
                   </div>
                 </div>
+                
+                {/* Engine health */}
+                {!isRunning && healthReport && (
+                  <EngineHealthCard report={healthReport} onSelectRpm={setCursorRpm} />
+                )}
+                
+                {/* Data quality the run was made with */}
+                {!isRunning && dynoResults?.quality && (
+                  <DataQualityCard report={dynoResults.quality} />
+                )}
+                
+                {/* Correction factor */}
+                {!isRunning && dynoResults?.correction && (
+                  <div style={{ gridColumn: '1 / -1', fontSize: '10px', color: '#a0aec0', marginTop: '-6px' }}>
+                    {formatCorrection(dynoResults.correction)}
+                    {' · '}{formatQuantity('temperature', dynoResults.settings.temperature, units, 0)}, {dynoResults.settings.humidity}% RH, {dynoResults.correction.stationPressureKpa.toFixed(1)} kPa
+                  </div>
+                )}
               </div>
 
+              {/* Road dyno comparison */}
+              {!isRunning && roadDyno && (
+                <div style={{
+                  backgroundColor: '#1a1a1a',
+                  color: '#ccc',
+                  padding: '8px 16px',
+                  borderRadius: '8px',
+                  marginTop: '-8px',
+                  marginBottom: '16px',
+                  fontSize: '12px',
+                  display: 'flex',
+                  justifyContent: 'space-between'
+                }}>
+                  <span>
+                    <span style={{ color: '#ff9999', fontWeight: 'bold' }}>Road dyno:</span>{' '}
+                    {shown('power', roadDyno.peaks.maxHP)} {units.power === 'hp' ? 'WHP' : unitLabel('power', units)} @ {roadDyno.peaks.maxHPRpm} RPM
+                    {' · '}{shown('torque', roadDyno.peaks.maxTorque)} {unitLabel('torque', units)} @ {roadDyno.peaks.maxTorqueRpm} RPM
+                  </span>
+                  {dynoResults?.peaks?.maxHP > 0 && (
+                    <span style={{ color: '#a0aec0' }}>
+                      {(() => {
+                        const diff = (roadDyno.peaks.maxHP - dynoResults.peaks.maxHP) / dynoResults.peaks.maxHP * 100;
+                        return `${diff >= 0 ? '+' : ''}${diff.toFixed(1)}% vs airflow estimate`;
+                      })()}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {/* 3D dyno cell */}
+              {webglAvailable && showDynoCell && (replay || dynoResults) && (() => {
+                const { settings } = replay?.results || dynoResults;
+                const vehicle = findCarPreset(settings.selectedCar, vehicles);
+                return (
+                  <DynoCellPanel
+                    clockRef={replayClockRef}
+                    timeline={replay?.timeline || null}
+                    state={replay ? replayStateAt(replay.timeline, replay.elapsed) : { rpm: 0, boost: 0 }}
+                    gearing={{
+                      gearRatio: vehicle?.gearRatios[settings.gear],
+                      finalDrive: vehicle?.finalDrive,
+                      tireDiameter: parseTireSize(settings.tireSize) || vehicle?.tireDiameter || DEFAULT_TIRE_DIAMETER
+                    }}
+                    driveType={vehicle?.driveType}
+                    dynoType={settings.dynoType}
+                    units={units}
+                  />
+                );
+              })()}
+
               {/* Graph Area */}
               <div style={{ 
                 flex: 1, 
@@ -1052,6 +2451,20 @@ const VirtualDyno = () => {
                 minHeight: '400px',
                 maxHeight: '600px'
               }}>
+                {/* Replay controls */}
+                {replay && (
+                  <ReplayControls
+                    elapsed={replay.elapsed}
+                    duration={replay.timeline.duration}
+                    playing={replay.playing}
+                    timed={replay.timeline.timed}
+                    speed={replaySpeed}
+                    onTogglePlay={toggleReplay}
+                    onSpeedChange={setReplaySpeed}
+                    onSeek={seekReplay}
+                    onSkip={skipReplay}
+                  />
+                )}
                 {/* Smoothing Control */}
                 {dynoResults && !isRunning && (
                   <div style={{
@@ -1067,16 +2480,41 @@ const VirtualDyno = () => {
                     border: '1px solid #4a5568',
                     zIndex: 10
                   }}>
-                    <label style={{ fontSize: '12px', color: '#a0aec0', fontWeight: '500' }}>
-                      Smoothing:
-                    </label>
-                    <select
-                      value={smoothingLevel}
-                      onChange={(e) => {
-                        const newLevel = parseInt(e.target.value);
-                        console.log(`🎚️ User selected smoothing level: ${newLevel}`);
-                        handleSmoothingChange(newLevel);
+                    <SmoothingControls smoothing={smoothing} onChange={handleSmoothingChange} />
+                    <button
+                      onClick={pinCurrentRun}
+                      title="Keep this curve for overlay and comparison"
+                      style={{
+                        padding: '4px 8px',
+                        border: '1px solid #4a5568',
+                        borderRadius: '4px',
+                        fontSize: '12px',
+                        backgroundColor: '#1a202c',
+                        color: '#e2e8f0',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      📌 Compare
+                    </button>
+                    <button
+                      onClick={() => startReplay(dynoResults, displayedCurve(), pullLogRows)}
+                      title="Play the run back in the log's time"
+                      style={{
+                        padding: '4px 8px',
+                        border: '1px solid #4a5568',
+                        borderRadius: '4px',
+                        fontSize: '12px',
+                        backgroundColor: '#1a202c',
+                        color: '#e2e8f0',
+                        cursor: 'pointer'
                       }}
+                    >
+                      ▶ Replay
+                    </button>
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && handleExport(e.target.value)}
+                      title="Export dyno sheet or data"
                       style={{
                         padding: '4px 8px',
                         border: '1px solid #4a5568',
@@ -1086,16 +2524,37 @@ const VirtualDyno = () => {
                         color: '#e2e8f0'
                       }}
                     >
-                      {smoothingOptions.map(option => (
-                        <option key={option.value} value={option.value}>
-                          {option.label}
-                        </option>
-                      ))}
+                      <option value="">⬇ Export…</option>
+                      <option value="png">Dyno sheet (PNG)</option>
+                      <option value="svg">Dyno sheet (SVG)</option>
+                      <option value="pdf">Print / PDF</option>
+                      <option value="csv">Curve data (CSV)</option>
+                      <option value="json">Curve data (JSON)</option>
+                      {dynoResults.source !== 'history' && logBytes && (
+                        <option value="vdyno">Run bundle (.vdyno)</option>
+                      )}
                     </select>
+                    {graphZoom && (
+                      <button
+                        onClick={() => setGraphZoom(null)}
+                        title="Show the whole RPM range"
+                        style={{
+                          padding: '4px 8px',
+                          border: '1px solid #63b3ed',
+                          borderRadius: '4px',
+                          fontSize: '12px',
+                          backgroundColor: '#1a202c',
+                          color: '#63b3ed',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        ⟲ Reset zoom
+                      </button>
+                    )}
                   </div>
                 )}
                 {/* File Name Display */}
-                {csvFile && (
+                {(dynoResults || csvFile) && (
                   <div style={{
                   position: 'absolute',
                   bottom: '5px',
@@ -1109,16 +2568,131 @@ const VirtualDyno = () => {
                   maxWidth: '300px',
                   wordBreak: 'break-all'
                 }}>
-    {csvFile.name}
+    {dynoResults?.fileName || csvFile.name}
     {csvData.length > 0 && (
       <span style={{ color: '#888', marginLeft: '6px' }}>
+        {dynoResults?.source === 'local' && '· offline calc'}
+        {dynoResults?.source === 'bundle' && '· imported bundle'}
       </span>
     )}
+    {dynoResults?.pullCount > 1 && (() => {
+      const spread = bandSpread(dynoResults.processedData, 'hp');
+      return (
+        <span style={{ color: '#888', marginLeft: '6px' }}>
+          · {dynoResults.pullCount}-pull average{spread && ` (spread ≤ ${formatQuantity('power', spread.max, units, 1)})`}
+        </span>
+      );
+    })()}
   </div>
 )}
+                {/* Drag-to-zoom selection */}
+                {dragSelection && graphScaleRef.current && (() => {
+                  const { leftPadding, rightPadding, topPadding, bottomPadding, range } = graphScaleRef.current;
+                  const fractionOf = (rpm) => (rpm - range.min) / (range.max - range.min);
+                  const from = fractionOf(Math.min(dragSelection.from, dragSelection.to));
+                  const to = fractionOf(Math.max(dragSelection.from, dragSelection.to));
+                  return (
+                    <div style={{
+                      position: 'absolute',
+                      top: `${topPadding}px`,
+                      bottom: `${bottomPadding}px`,
+                      left: `calc(${leftPadding}px + (100% - ${leftPadding + rightPadding}px) * ${from})`,
+                      width: `calc((100% - ${leftPadding + rightPadding}px) * ${to - from})`,
+                      backgroundColor: 'rgba(99, 179, 237, 0.15)',
+                      borderLeft: '1px solid #63b3ed',
+                      borderRight: '1px solid #63b3ed',
+                      pointerEvents: 'none',
+                      zIndex: 5
+                    }} />
+                  );
+                })()}
+                {/* Crosshair and readout - shared cursor with the channel viewer */}
+                {!isRunning && graphSeries && cursorRpm !== null && graphScaleRef.current && (() => {
+                  const { leftPadding, rightPadding, topPadding, bottomPadding, range, maxPower, secondaryScales } = graphScaleRef.current;
+                  const fraction = (cursorRpm - range.min) / (range.max - range.min);
+                  if (fraction < 0 || fraction > 1) return null;
+                  
+                  const readout = readoutAt(
+                    graphSeries.lines.filter(line => !hiddenSeries.includes(line.group)),
+                    cursorRpm
+                  );
+                  const plotHeight = `(100% - ${topPadding + bottomPadding}px)`;
+                  const heightOf = (item) => {
+                    if (!item.axis) return item.value / maxPower;
+                    const scale = secondaryScales[item.axis];
+                    return scale ? (item.value - scale.min) / (scale.max - scale.min) : null;
+                  };
+                  const flip = fraction > 0.6;
+                  return (
+                    <>
+                      <div style={{
+                        position: 'absolute',
+                        top: `${topPadding}px`,
+                        bottom: `${bottomPadding}px`,
+                        left: `calc(${leftPadding}px + (100% - ${leftPadding + rightPadding}px) * ${fraction})`,
+                        borderLeft: '1px solid rgba(226, 232, 240, 0.6)',
+                        pointerEvents: 'none',
+                        zIndex: 5
+                      }}>
+                        {readout.filter(item => item.drawn !== false && heightOf(item) !== null).map(item => (
+                          <div key={`${item.group}-${item.key}`} style={{
+                            position: 'absolute',
+                            left: '-4px',
+                            top: `calc(${plotHeight} * ${1 - heightOf(item)} - 4px)`,
+                            width: '7px',
+                            height: '7px',
+                            borderRadius: '50%',
+                            backgroundColor: item.color
+                          }} />
+                        ))}
+                        <div style={{
+                          position: 'absolute',
+                          top: '4px',
+                          left: flip ? 'auto' : '8px',
+                          right: flip ? '8px' : 'auto',
+                          whiteSpace: 'nowrap',
+                          fontSize: '11px',
+                          lineHeight: '1.5',
+                          color: '#e2e8f0',
+                          backgroundColor: 'rgba(26, 32, 44, 0.92)',
+                          border: '1px solid #4a5568',
+                          padding: '4px 8px',
+                          borderRadius: '4px'
+                        }}>
+                          <div style={{ fontWeight: 'bold' }}>{cursorRpm} RPM</div>
+                          {readout.map(item => (
+                            <div key={`${item.group}-${item.key}`} style={{ color: item.color }}>
+                              {item.label}: {item.value.toFixed(item.digits ?? 0)}{item.unit && item.unit !== item.label ? ` ${item.unit}` : ''}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                      {graphPointerY !== null && (
+                        <div style={{
+                          position: 'absolute',
+                          left: `${leftPadding}px`,
+                          right: `${rightPadding}px`,
+                          top: `${graphPointerY}px`,
+                          borderTop: '1px dashed rgba(226, 232, 240, 0.35)',
+                          pointerEvents: 'none',
+                          zIndex: 5
+                        }} />
+                      )}
+                    </>
+                  );
+                })()}
                 <canvas
                   ref={canvasRef}
+                  onPointerDown={handleGraphPointerDown}
+                  onPointerMove={handleGraphPointerMove}
+                  onPointerUp={handleGraphPointerUp}
+                  onPointerCancel={handleGraphPointerUp}
+                  onPointerLeave={handleGraphPointerLeave}
+                  onDoubleClick={() => setGraphZoom(null)}
+                  title={dynoResults && !isRunning ? 'Drag to zoom · Shift+drag to pan · Double-click to reset · Click the legend to show/hide' : undefined}
                   style={{
+                    touchAction: 'pan-y',
+                    cursor: dynoResults && !isRunning ? 'crosshair' : 'default',
                     width: '100%',
                     height: '100%',
                     border: '1px solid #4a5568',
@@ -1170,6 +2744,49 @@ const VirtualDyno = () => {
               </div>
             </div>
           )}
+
+          {!isRunning && dynoResults?.processedData && isSmoothed(smoothing) && !legacySmoothing && (
+            <SmoothingReport curve={unsmoothedCurve} smoothing={smoothing} units={units} />
+          )}
+
+          {!isRunning && (
+            <ChannelViewer
+              rows={pullLogRows}
+              axis={viewerAxis}
+              onAxisChange={setViewerAxis}
+              channels={viewerChannels}
+              onChannelsChange={handleViewerChannels}
+              cursorRpm={cursorRpm}
+              onCursorChange={setCursorRpm}
+              units={units}
+            />
+          )}
+
+          {(dynoResults || comparisonRuns.length > 0) && (
+            <ComparisonPanel
+              runs={comparisonRuns}
+              baselineId={baselineRunId}
+              onBaselineChange={setBaselineRunId}
+              onRemove={removeComparisonRun}
+              onToggleVisible={toggleComparisonRun}
+              savedRuns={savedRuns}
+              onLoadSavedRuns={loadSavedRuns}
+              onAddSavedRun={addSavedRun}
+              units={units}
+            />
+          )}
+
+          <RunHistoryPanel
+            runs={savedRuns}
+            loading={savedRunsLoading}
+            onRefresh={loadSavedRuns}
+            onOpen={openSavedRun}
+            onReplay={(runId) => openSavedRun(runId, true)}
+            onCompare={addSavedRun}
+            onUpdate={updateSavedRun}
+            onDelete={deleteSavedRun}
+            units={units}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,171 @@
+import React, { useMemo } from 'react';
+import {
+  VIEWER_CHANNELS,
+  VIEWER_AXES,
+  availableChannels,
+  axisValue,
+  channelSeries,
+  seriesRange,
+  channelLabel,
+  channelUnit,
+  channelValue,
+  rowIndexAtRpm,
+  rowIndexAtAxis
+} from '../lib/channelViewer';
+import { sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const STRIP_WIDTH = 600;
+const STRIP_HEIGHT = 56;
+
+const toggleStyle = (active, color = '#68d391') => ({
+  padding: '2px 8px',
+  border: `1px solid ${active ? color : '#4a5568'}`,
+  borderRadius: '10px',
+  backgroundColor: active ? 'rgba(255,255,255,0.06)' : 'transparent',
+  color: active ? color : '#718096',
+  cursor: 'pointer',
+  fontSize: '11px'
+});
+
+const formatValue = (value) => {
+  if (!Number.isFinite(value)) return '—';
+  if (Math.abs(value) >= 100) return Math.round(value).toString();
+  return Math.abs(value) < 0.05 ? '0.0' : value.toFixed(1);
+};
+
+// Stacked strips of log channels on a shared time or RPM axis. The cursor is
+// an RPM shared with the dyno graph, so hovering either side lines up the other.
+const ChannelViewer = ({ rows, axis, onAxisChange, channels, onChannelsChange, cursorRpm, onCursorChange, units }) => {
+  const available = useMemo(() => availableChannels(rows), [rows]);
+
+  const domain = useMemo(() => {
+    let min = Infinity;
+    let max = -Infinity;
+    rows.forEach((row, index) => {
+      const x = axisValue(row, index, axis);
+      if (!Number.isFinite(x)) return;
+      if (x < min) min = x;
+      if (x > max) max = x;
+    });
+    return min <= max ? { min, max } : { min: 0, max: 1 };
+  }, [rows, axis]);
+
+  const strips = useMemo(() => channels
+    .filter(channel => available.includes(channel))
+    .map(channel => {
+      const series = channelSeries(rows, channel, axis, units);
+      return { channel, series, range: seriesRange(series) };
+    }), [rows, axis, channels, available, units]);
+
+  if (rows.length === 0 || available.length === 0) return null;
+
+  const xOf = (x) => ((x - domain.min) / (domain.max - domain.min || 1)) * STRIP_WIDTH;
+  const cursorIndex = cursorRpm === null ? -1 : rowIndexAtRpm(rows, cursorRpm);
+  const cursorRow = cursorIndex >= 0 ? rows[cursorIndex] : null;
+  const cursorX = cursorRow && (axis === 'rpm' ? cursorRpm : axisValue(cursorRow, cursorIndex, axis));
+
+  const handlePointerMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    if (!rect.width) return;
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    const x = domain.min + fraction * (domain.max - domain.min);
+    const index = rowIndexAtAxis(rows, axis, x);
+    if (index < 0) return;
+    onCursorChange(axis === 'rpm' ? Math.round(x) : rows[index].rpm);
+  };
+
+  const toggleChannel = (channel) => {
+    onChannelsChange(channels.includes(channel)
+      ? channels.filter(c => c !== channel)
+      : [...channels, channel]);
+  };
+
+  return (
+    <div style={{ ...sectionStyle, marginTop: '16px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+        <h3 style={{ ...sectionTitleStyle, margin: 0 }}>Log Channels</h3>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {Object.entries(VIEWER_AXES).map(([key, info]) => (
+            <button key={key} onClick={() => onAxisChange(key)} style={toggleStyle(axis === key)}>
+              {info.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '10px' }}>
+        {available.map(channel => (
+          <button
+            key={channel}
+            onClick={() => toggleChannel(channel)}
+            style={toggleStyle(channels.includes(channel), VIEWER_CHANNELS[channel])}
+            title={`${channelLabel(channel)} (${channelUnit(channel, units)})`}
+          >
+            {channelLabel(channel)}
+          </button>
+        ))}
+      </div>
+
+      {strips.map(({ channel, series, range }) => {
+        const yOf = (value) => STRIP_HEIGHT - 3 - ((value - range.min) / (range.max - range.min)) * (STRIP_HEIGHT - 6);
+        const color = VIEWER_CHANNELS[channel];
+
+        return (
+          <div key={channel} style={{ display: 'flex', alignItems: 'stretch', gap: '8px', marginBottom: '4px' }}>
+            <div style={{ width: '120px', flexShrink: 0, fontSize: '11px', lineHeight: '1.4' }}>
+              <div style={{ color }}>{channelLabel(channel)}</div>
+              <div style={{ color: '#e2e8f0', fontSize: '14px', fontWeight: 'bold' }}>
+                {cursorRow ? formatValue(channelValue(cursorRow, channel, units)) : '—'}
+                <span style={{ color: '#718096', fontSize: '10px', fontWeight: 'normal', marginLeft: '3px' }}>{channelUnit(channel, units)}</span>
+              </div>
+            </div>
+            <svg
+              width="100%"
+              height={STRIP_HEIGHT}
+              viewBox={`0 0 ${STRIP_WIDTH} ${STRIP_HEIGHT}`}
+              preserveAspectRatio="none"
+              onPointerMove={handlePointerMove}
+              onPointerLeave={() => onCursorChange(null)}
+              style={{ backgroundColor: '#1a1a1a', borderRadius: '4px', display: 'block', flex: 1, touchAction: 'none' }}
+            >
+              <polyline
+                points={series.map(p => `${xOf(p.x).toFixed(1)},${yOf(p.value).toFixed(1)}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth="1.5"
+                vectorEffect="non-scaling-stroke"
+              />
+              {cursorRow && (
+                <line
+                  x1={xOf(cursorX)}
+                  x2={xOf(cursorX)}
+                  y1={0}
+                  y2={STRIP_HEIGHT}
+                  stroke="#e2e8f0"
+                  strokeWidth="1"
+                  vectorEffect="non-scaling-stroke"
+                />
+              )}
+            </svg>
+            <div style={{ width: '38px', flexShrink: 0, fontSize: '9px', color: '#718096', display: 'flex', flexDirection: 'column', justifyContent: 'space-between' }}>
+              <span>{formatValue(range.max)}</span>
+              <span>{formatValue(range.min)}</span>
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#718096', margin: '2px 46px 0 128px' }}>
+        <span>{formatValue(domain.min)} {VIEWER_AXES[axis].unit}</span>
+        <span>
+          {cursorRow
+            ? `Cursor ${Math.round(cursorRow.rpm)} RPM${Number.isFinite(cursorRow.time) ? ` · ${cursorRow.time.toFixed(2)} s` : ''}`
+            : 'Hover a channel or the dyno graph'}
+        </span>
+        <span>{formatValue(domain.max)} {VIEWER_AXES[axis].unit}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelViewer;
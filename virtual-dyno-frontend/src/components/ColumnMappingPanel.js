@@ -0,0 +1,96 @@
+import React from 'react';
+import { CHANNELS } from '../lib/columnMapping';
+import { inputStyle, sectionStyle, sectionTitleStyle } from './panelStyles';
+
+// Shows which log column feeds each canonical channel and lets the user
+// override the detection. Overrides are saved per log-header signature.
+const ColumnMappingPanel = ({ mapping, headers, onOverride, onReset }) => {
+  if (!mapping) return null;
+
+  const selectStyle = { ...inputStyle, flex: 1, fontSize: '11px', padding: '3px 4px', width: 'auto', minWidth: 0 };
+
+  return (
+    <div style={sectionStyle}>
+      <h3 style={sectionTitleStyle}>Column Mapping</h3>
+
+      <div style={{ fontSize: '11px', color: '#a0aec0', marginBottom: '10px' }}>
+        Detected: <span style={{ color: '#e2e8f0' }}>{mapping.profileName}</span>
+        {mapping.overridden && (
+          <span style={{ color: '#f6ad55', marginLeft: '6px' }}>(saved overrides)</span>
+        )}
+      </div>
+
+      {Object.entries(CHANNELS).map(([channel, info]) => {
+        const source = mapping.channels[channel];
+        return (
+          <div key={channel} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+            <span
+              title={`${info.label} (${info.unit})`}
+              style={{
+                minWidth: '58px',
+                fontSize: '11px',
+                color: source ? '#e2e8f0' : (info.required ? '#fc8181' : '#718096')
+              }}
+            >
+              {channel}
+            </span>
+            <select
+              value={source?.header || ''}
+              onChange={(e) => onOverride(channel, e.target.value || null)}
+              style={selectStyle}
+            >
+              <option value="">— not mapped —</option>
+              {headers.map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+            <span style={{ minWidth: '34px', fontSize: '10px', color: '#718096' }} title={`Converted to ${info.unit}`}>
+              {source ? (source.unit || '—') : ''}
+            </span>
+          </div>
+        );
+      })}
+
+      {mapping.unmapped.length > 0 && (
+        <details style={{ marginTop: '10px', fontSize: '11px', color: '#a0aec0' }}>
+          <summary style={{ cursor: 'pointer' }}>{mapping.unmapped.length} unmapped column{mapping.unmapped.length === 1 ? '' : 's'}</summary>
+          {mapping.unmapped.map(header => (
+            <div key={header} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+              <span style={{ flex: 1, wordBreak: 'break-word' }}>{header}</span>
+              <select
+                value=""
+                onChange={(e) => e.target.value && onOverride(e.target.value, header)}
+                style={{ ...selectStyle, flex: 'none', width: '90px' }}
+              >
+                <option value="">assign…</option>
+                {Object.keys(CHANNELS).map(channel => (
+                  <option key={channel} value={channel}>{channel}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </details>
+      )}
+
+      {mapping.overridden && (
+        <button
+          onClick={onReset}
+          style={{
+            marginTop: '10px',
+            padding: '4px 10px',
+            backgroundColor: 'transparent',
+            color: '#a0aec0',
+            border: '1px solid #4a5568',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '11px'
+          }}
+        >
+          Reset to detected
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ColumnMappingPanel;
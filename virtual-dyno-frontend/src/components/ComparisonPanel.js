@@ -0,0 +1,198 @@
+import React from 'react';
+import { compareRuns } from '../lib/runComparison';
+import { toDisplay, unitLabel } from '../lib/units';
+import { inputStyle, sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 70;
+
+const signed = (value, digits = 0) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+const deltaColor = (value) => (value >= 0 ? '#68d391' : '#ff6b6b');
+
+// Power delta across the RPM range for each run against the baseline
+const DeltaChart = ({ comparisons, units }) => {
+  const rows = comparisons.flatMap(c => c.result.rows);
+  if (rows.length === 0) return null;
+
+  const minRpm = Math.min(...rows.map(r => r.rpm));
+  const maxRpm = Math.max(...rows.map(r => r.rpm));
+  const maxDelta = Math.max(5, ...rows.map(r => Math.abs(r.hpDelta)));
+  const label = `${Math.round(toDisplay('power', maxDelta, units))} ${unitLabel('power', units)}`;
+  const xOf = (rpm) => ((rpm - minRpm) / (maxRpm - minRpm || 1)) * CHART_WIDTH;
+  const yOf = (delta) => CHART_HEIGHT / 2 - (delta / maxDelta) * (CHART_HEIGHT / 2 - 4);
+
+  return (
+    <svg
+      width="100%"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      style={{ backgroundColor: '#1a1a1a', borderRadius: '4px', display: 'block', marginBottom: '4px' }}
+    >
+      <line x1={0} x2={CHART_WIDTH} y1={CHART_HEIGHT / 2} y2={CHART_HEIGHT / 2} stroke="#4a5568" strokeWidth="0.8" />
+      {comparisons.map(({ run, result }) => (
+        <polyline
+          key={run.id}
+          points={result.rows.map(r => `${xOf(r.rpm).toFixed(1)},${yOf(r.hpDelta).toFixed(1)}`).join(' ')}
+          fill="none"
+          stroke={run.color}
+          strokeWidth="1.5"
+        />
+      ))}
+      <text x={2} y={9} fill="#718096" fontSize="8">+{label}</text>
+      <text x={2} y={CHART_HEIGHT - 2} fill="#718096" fontSize="8">-{label}</text>
+    </svg>
+  );
+};
+
+// Runs pinned for overlay, with gains against the chosen baseline
+const ComparisonPanel = ({
+  runs,
+  baselineId,
+  onBaselineChange,
+  onRemove,
+  onToggleVisible,
+  savedRuns,
+  onLoadSavedRuns,
+  onAddSavedRun,
+  units
+}) => {
+  // Run points and comparison results are canonical; deltas convert like values
+  const power = (value) => toDisplay('power', value, units);
+  const torque = (value) => toDisplay('torque', value, units);
+  const powerUnit = unitLabel('power', units);
+  const torqueUnit = unitLabel('torque', units);
+
+  const baseline = runs.find(run => run.id === baselineId);
+  const comparisons = baseline
+    ? runs
+        .filter(run => run.id !== baselineId)
+        .map(run => ({ run, result: compareRuns(baseline.points, run.points) }))
+        .filter(c => c.result)
+    : [];
+
+  return (
+    <div style={{ ...sectionStyle, marginTop: '16px' }}>
+      <h3 style={sectionTitleStyle}>Compare Runs</h3>
+
+      {runs.length === 0 && (
+        <div style={{ fontSize: '11px', color: '#a0aec0', marginBottom: '8px' }}>
+          Pin the current run or add a saved one to overlay it on the graph.
+        </div>
+      )}
+
+      {runs.map(run => (
+        <div
+          key={run.id}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#e2e8f0', marginBottom: '4px' }}
+        >
+          <input
+            type="checkbox"
+            checked={run.visible}
+            onChange={() => onToggleVisible(run.id)}
+            title="Show on graph"
+          />
+          <span style={{ width: '10px', height: '10px', borderRadius: '2px', backgroundColor: run.color, flexShrink: 0 }} />
+          <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={run.label}>
+            {run.label}
+          </span>
+          <span style={{ color: '#a0aec0' }}>
+            {Math.round(power(run.peaks.maxHP))} {powerUnit} / {Math.round(torque(run.peaks.maxTorque))} {torqueUnit}
+          </span>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '2px', color: '#a0aec0' }}>
+            <input
+              type="radio"
+              name="comparison-baseline"
+              checked={run.id === baselineId}
+              onChange={() => onBaselineChange(run.id)}
+            />
+            base
+          </label>
+          <button
+            onClick={() => onRemove(run.id)}
+            title="Remove from comparison"
+            style={{ padding: '0 6px', background: 'transparent', color: '#a0aec0', border: '1px solid #4a5568', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {comparisons.length > 0 && (
+        <div style={{ marginTop: '10px' }}>
+          <DeltaChart comparisons={comparisons} units={units} />
+
+          {comparisons.map(({ run, result }) => (
+            <div key={run.id} style={{ fontSize: '11px', color: '#e2e8f0', marginTop: '6px' }}>
+              <div>
+                <span style={{ color: run.color, fontWeight: 'bold' }}>{run.label}</span> vs {baseline.label}
+              </div>
+              <div style={{ color: '#a0aec0' }}>
+                Peak <span style={{ color: deltaColor(result.peakHpDelta) }}>{signed(power(result.peakHpDelta))} {powerUnit}</span>
+                {' / '}<span style={{ color: deltaColor(result.peakTqDelta) }}>{signed(torque(result.peakTqDelta))} {torqueUnit}</span>
+                {' · '}Area {result.from}–{result.to} RPM{' '}
+                <span style={{ color: deltaColor(result.horsepowerArea.delta) }}>
+                  {signed(result.horsepowerArea.percent, 1)}% power ({signed(power(result.horsepowerArea.averageGain), 1)} {powerUnit} avg)
+                </span>
+                {' / '}
+                <span style={{ color: deltaColor(result.torqueArea.delta) }}>
+                  {signed(result.torqueArea.percent, 1)}% torque ({signed(torque(result.torqueArea.averageGain), 1)} {torqueUnit} avg)
+                </span>
+              </div>
+
+              <details>
+                <summary style={{ cursor: 'pointer', color: '#a0aec0' }}>Gain at each RPM</summary>
+                <table style={{ width: '100%', fontSize: '10px', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ color: '#718096' }}>
+                      <th style={{ textAlign: 'left' }}>RPM</th>
+                      <th style={{ textAlign: 'right' }}>{powerUnit}</th>
+                      <th style={{ textAlign: 'right' }}>Δ</th>
+                      <th style={{ textAlign: 'right' }}>{torqueUnit}</th>
+                      <th style={{ textAlign: 'right' }}>Δ</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.rows.map(row => (
+                      <tr key={row.rpm}>
+                        <td>{row.rpm}</td>
+                        <td style={{ textAlign: 'right' }}>{power(row.runHp).toFixed(1)}</td>
+                        <td style={{ textAlign: 'right', color: deltaColor(row.hpDelta) }}>{signed(power(row.hpDelta), 1)}</td>
+                        <td style={{ textAlign: 'right' }}>{torque(row.runTq).toFixed(1)}</td>
+                        <td style={{ textAlign: 'right', color: deltaColor(row.tqDelta) }}>{signed(torque(row.tqDelta), 1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+        {savedRuns ? (
+          <select
+            value=""
+            onChange={(e) => e.target.value && onAddSavedRun(parseInt(e.target.value))}
+            style={{ ...inputStyle, fontSize: '12px' }}
+          >
+            <option value="">Add saved run…</option>
+            {savedRuns.map(run => (
+              <option key={run.id} value={run.id}>
+                #{run.id} {run.fileName} · {run.peaks ? `${Math.round(power(run.peaks.maxHorsepower))} ${powerUnit}` : 'no peaks'}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <button
+            onClick={onLoadSavedRuns}
+            style={{ ...inputStyle, cursor: 'pointer', fontSize: '12px' }}
+          >
+            Load saved runs from API
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { CONFIDENCE_GRADES } from '../lib/dataQuality';
+import { SEVERITY_COLORS } from '../lib/engineHealth';
+
+// Confidence score beside the peak figures, from the quality report the run
+// was made with; the worst problems fold out below it
+const DataQualityCard = ({ report }) => {
+  const grade = CONFIDENCE_GRADES[report.grade];
+  const worst = [...report.issues]
+    .filter(issue => issue.penalty > 0)
+    .sort((a, b) => b.penalty - a.penalty);
+
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <div style={{ fontSize: '24px', fontWeight: 'bold', color: SEVERITY_COLORS[grade.severity], textAlign: 'center' }}>
+        {report.score}%
+      </div>
+      <div style={{ fontSize: '11px', color: '#ccc', marginBottom: '3px', textAlign: 'center' }}>CONFIDENCE</div>
+      <div style={{ fontSize: '9px', color: '#888', textAlign: 'center' }}>
+        {grade.label.toUpperCase()} · {worst.length === 0 ? 'CLEAN LOG' : `${worst.length} ISSUE${worst.length === 1 ? '' : 'S'}`}
+      </div>
+
+      {worst.length > 0 && (
+        <details style={{ marginTop: '6px', fontSize: '11px', color: '#e2e8f0' }}>
+          <summary style={{ cursor: 'pointer', color: '#a0aec0', fontSize: '10px' }}>Details</summary>
+          <div style={{ maxHeight: '160px', overflowY: 'auto', marginTop: '4px' }}>
+            {worst.map((issue, index) => (
+              <div key={index} style={{ display: 'flex', gap: '6px', padding: '1px 0' }}>
+                <span style={{ color: SEVERITY_COLORS[issue.severity], fontWeight: 'bold', minWidth: '22px' }}>−{issue.penalty}</span>
+                <span>{issue.message}</span>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityCard;
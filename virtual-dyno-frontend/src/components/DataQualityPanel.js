@@ -0,0 +1,52 @@
+import React from 'react';
+import { QUALITY_CATEGORIES, CONFIDENCE_GRADES } from '../lib/dataQuality';
+import { SEVERITY_COLORS } from '../lib/engineHealth';
+import { sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const METHOD_LABELS = {
+  MAF: 'MAF-based',
+  MAP: 'MAP-based (speed density)',
+  Load: 'Load-based (fallback)'
+};
+
+// Pre-run check of the rows the dyno will use: sample rate, timestamps,
+// dropped rows, sensors and channels, with the confidence score they add up to
+const DataQualityPanel = ({ report }) => {
+  if (!report) return null;
+
+  const grade = CONFIDENCE_GRADES[report.grade];
+  const categories = Object.keys(QUALITY_CATEGORIES).filter(category => report.issues.some(issue => issue.category === category));
+
+  return (
+    <div style={sectionStyle}>
+      <h3 style={sectionTitleStyle}>Data Quality</h3>
+
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ fontSize: '22px', fontWeight: 'bold', color: SEVERITY_COLORS[grade.severity] }}>{report.score}%</span>
+        <span style={{ fontSize: '12px', color: '#e2e8f0' }}>{grade.label} confidence</span>
+      </div>
+      <div style={{ fontSize: '11px', color: '#a0aec0', marginBottom: '8px' }}>
+        {report.rowCount} rows · {report.timing ? `${report.timing.sampleRate.toFixed(1)} Hz` : 'no timing'} · {METHOD_LABELS[report.method]}
+      </div>
+
+      {categories.length === 0 ? (
+        <div style={{ fontSize: '11px', color: SEVERITY_COLORS.ok }}>No problems found</div>
+      ) : (
+        categories.map(category => (
+          <div key={category} style={{ marginBottom: '6px' }}>
+            <div style={{ fontSize: '10px', color: '#718096', textTransform: 'uppercase' }}>{QUALITY_CATEGORIES[category]}</div>
+            {report.issues.filter(issue => issue.category === category).map((issue, index) => (
+              <div key={index} style={{ display: 'flex', gap: '6px', fontSize: '11px', color: '#e2e8f0', lineHeight: '1.4' }}>
+                <span style={{ color: SEVERITY_COLORS[issue.severity] }}>●</span>
+                <span style={{ flex: 1 }}>{issue.message}</span>
+                {issue.penalty > 0 && <span style={{ color: '#718096' }}>−{issue.penalty}</span>}
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,38 @@
+import React, { Suspense, lazy } from 'react';
+import DynoGauges from './DynoGauges';
+
+const DynoCellScene = lazy(() => import('./DynoCellScene'));
+
+// 3D dyno cell above the graph with the tach/boost HUD. Only rendered when
+// WebGL is available; the 2D graph below is always there.
+const DynoCellPanel = ({ clockRef, timeline, state, gearing, driveType, dynoType, units }) => (
+  <div style={{
+    position: 'relative',
+    height: '320px',
+    marginBottom: '16px',
+    border: '1px solid #4a5568',
+    borderRadius: '8px',
+    overflow: 'hidden',
+    backgroundColor: '#1a1a1a'
+  }}>
+    <Suspense fallback={<div style={{ color: '#a0aec0', padding: '20px', fontSize: '13px' }}>Loading dyno cell…</div>}>
+      <DynoCellScene
+        clockRef={clockRef}
+        timeline={timeline}
+        gearing={gearing}
+        driveType={driveType}
+        dynoType={dynoType}
+      />
+    </Suspense>
+    <div style={{ position: 'absolute', left: '10px', bottom: '10px', pointerEvents: 'none' }}>
+      <DynoGauges rpm={state.rpm} boost={state.boost} units={units} />
+    </div>
+    {timeline && !timeline.timed && (
+      <div style={{ position: 'absolute', right: '10px', bottom: '10px', fontSize: '11px', color: '#718096' }}>
+        No time channel - estimated timing
+      </div>
+    )}
+  </div>
+);
+
+export default DynoCellPanel;
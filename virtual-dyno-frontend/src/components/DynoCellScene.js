@@ -0,0 +1,140 @@
+import React, { useRef } from 'react';
+import { Canvas, useFrame } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import { DRIVEN_AXLES, speedFromRpm, wheelSpeeds } from '../lib/dynoCell';
+import { DYNO_TYPES } from '../lib/dynoModel';
+import { replayStateAt } from '../lib/replay';
+
+// Scene units are metres
+const INCH = 0.0254;
+const WHEELBASE = 2.64;
+const TRACK = 1.56;
+const TIRE_WIDTH = 0.22;
+// Rollers sit a little proud of the floor so the pit reads as a pit
+const ROLLER_PROUD = 0.02;
+// Replay jumps (scrubbing) bigger than this do not spin the wheels
+const MAX_STEP = 0.5;
+
+const AXLE_X = { front: WHEELBASE / 2, rear: -WHEELBASE / 2 };
+
+// One wheel; the spoke bar makes the rotation visible
+const Wheel = ({ radius, position, spinRef }) => (
+  <group position={position}>
+    <group ref={spinRef}>
+      <mesh rotation={[Math.PI / 2, 0, 0]}>
+        <cylinderGeometry args={[radius, radius, TIRE_WIDTH, 32]} />
+        <meshStandardMaterial color="#1a1a1a" roughness={0.9} />
+      </mesh>
+      <mesh position={[0, 0, position[2] > 0 ? TIRE_WIDTH / 2 + 0.001 : -TIRE_WIDTH / 2 - 0.001]}>
+        <boxGeometry args={[radius * 1.3, 0.06, 0.005]} />
+        <meshStandardMaterial color="#a0aec0" metalness={0.8} roughness={0.3} />
+      </mesh>
+    </group>
+  </group>
+);
+
+// Car on the rollers. Wheel and roller angles are integrated from the replay
+// clock, so pausing, scrubbing and playback speed carry straight through.
+const DynoCell = ({ clockRef, timeline, gearing, driveType, dynoType }) => {
+  const tireRadius = (gearing.tireDiameter * INCH) / 2;
+  const rollerRadius = ((DYNO_TYPES[dynoType]?.rollerDiameter || gearing.tireDiameter) * INCH) / 2;
+  const driven = DRIVEN_AXLES[driveType] || DRIVEN_AXLES.FWD;
+
+  const wheelRefs = { front: [useRef(), useRef()], rear: [useRef(), useRef()] };
+  const rollerRefs = { front: useRef(), rear: useRef() };
+  const bodyRef = useRef();
+  const motion = useRef({ elapsed: null, wheel: 0, roller: 0 });
+
+  useFrame(() => {
+    const elapsed = clockRef.current.elapsed;
+    const state = timeline ? replayStateAt(timeline, elapsed) : { rpm: 0, speed: 0 };
+    const speed = state.speed ?? speedFromRpm(state.rpm, gearing);
+    const { wheel, roller } = wheelSpeeds(speed, gearing.tireDiameter, dynoType);
+
+    const previous = motion.current.elapsed ?? elapsed;
+    const step = Math.abs(elapsed - previous) > MAX_STEP ? 0 : elapsed - previous;
+    motion.current.elapsed = elapsed;
+    motion.current.wheel -= wheel * step;
+    motion.current.roller += roller * step;
+
+    driven.forEach(axle => {
+      wheelRefs[axle].forEach(ref => {
+        if (ref.current) ref.current.rotation.z = motion.current.wheel;
+      });
+      if (rollerRefs[axle].current) rollerRefs[axle].current.rotation.z = motion.current.roller;
+    });
+    // A little engine shake that grows with RPM
+    if (bodyRef.current) bodyRef.current.position.y = Math.sin(elapsed * state.rpm * 0.05) * 0.002 * (state.rpm / 6000);
+  });
+
+  const wheelY = tireRadius + ROLLER_PROUD;
+
+  return (
+    <>
+      <ambientLight intensity={0.5} />
+      <directionalLight position={[5, 8, 5]} intensity={1.2} />
+      <directionalLight position={[-6, 4, -4]} intensity={0.4} />
+
+      {/* Floor and roller pits */}
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0, 0]}>
+        <planeGeometry args={[14, 10]} />
+        <meshStandardMaterial color="#2d3748" />
+      </mesh>
+      {driven.map(axle => (
+        <group key={axle}>
+          <mesh position={[AXLE_X[axle], 0.002, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+            <planeGeometry args={[rollerRadius * 1.4, TRACK + 0.8]} />
+            <meshStandardMaterial color="#111" />
+          </mesh>
+          <group position={[AXLE_X[axle], ROLLER_PROUD - rollerRadius, 0]}>
+            <group ref={rollerRefs[axle]}>
+              <mesh rotation={[Math.PI / 2, 0, 0]}>
+                <cylinderGeometry args={[rollerRadius, rollerRadius, TRACK + 0.6, 40]} />
+                <meshStandardMaterial color="#718096" metalness={0.9} roughness={0.35} />
+              </mesh>
+              <mesh position={[0, rollerRadius, 0]}>
+                <boxGeometry args={[0.03, 0.004, TRACK + 0.6]} />
+                <meshStandardMaterial color="#f6e05e" />
+              </mesh>
+            </group>
+          </group>
+        </group>
+      ))}
+
+      {/* Car */}
+      <group ref={bodyRef}>
+        <mesh position={[0, wheelY + 0.25, 0]}>
+          <boxGeometry args={[4.3, 0.55, 1.75]} />
+          <meshStandardMaterial color="#c53030" metalness={0.4} roughness={0.4} />
+        </mesh>
+        <mesh position={[-0.25, wheelY + 0.75, 0]}>
+          <boxGeometry args={[2.2, 0.5, 1.55]} />
+          <meshStandardMaterial color="#2a4365" metalness={0.2} roughness={0.1} />
+        </mesh>
+      </group>
+      {['front', 'rear'].map(axle => [1, -1].map((side, index) => (
+        <Wheel
+          key={`${axle}-${side}`}
+          radius={tireRadius}
+          position={[AXLE_X[axle], wheelY, (side * TRACK) / 2]}
+          spinRef={wheelRefs[axle][index]}
+        />
+      )))}
+
+      <OrbitControls target={[0, 0.6, 0]} enablePan={false} minDistance={3} maxDistance={12} maxPolarAngle={Math.PI / 2.1} />
+    </>
+  );
+};
+
+// Loaded on demand with React.lazy so three.js stays out of the main bundle
+const DynoCellScene = (props) => (
+  <Canvas
+    camera={{ position: [4.5, 2.4, 5], fov: 45 }}
+    style={{ background: '#1a1a1a' }}
+    fallback={<div style={{ color: '#a0aec0', padding: '20px' }}>WebGL could not start - showing the 2D graph only.</div>}
+  >
+    <DynoCell {...props} />
+  </Canvas>
+);
+
+export default DynoCellScene;
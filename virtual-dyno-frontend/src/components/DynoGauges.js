@@ -0,0 +1,78 @@
+import React from 'react';
+import { gaugeAngle, TACH_MAX_RPM, BOOST_GAUGE_RANGE } from '../lib/dynoCell';
+import { toDisplay, unitLabel, unitDigits } from '../lib/units';
+
+const SIZE = 110;
+const CENTER = SIZE / 2;
+const RADIUS = 44;
+
+const polar = (angle, radius) => {
+  const radians = ((angle - 90) * Math.PI) / 180;
+  return [CENTER + radius * Math.cos(radians), CENTER + radius * Math.sin(radians)];
+};
+
+// Round dial: ticks every `step`, needle at `value`, readout underneath
+const Gauge = ({ value, min, max, step, label, readout, color, redline }) => {
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + 1e-9; tick += step) ticks.push(tick);
+  const [needleX, needleY] = polar(gaugeAngle(value, min, max), RADIUS - 6);
+
+  return (
+    <svg width={SIZE} height={SIZE} viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={`${label} ${readout}`}>
+      <circle cx={CENTER} cy={CENTER} r={RADIUS + 6} fill="rgba(26, 32, 44, 0.85)" stroke="#4a5568" />
+      {ticks.map(tick => {
+        const angle = gaugeAngle(tick, min, max);
+        const [x1, y1] = polar(angle, RADIUS);
+        const [x2, y2] = polar(angle, RADIUS - 6);
+        return (
+          <line
+            key={tick}
+            x1={x1}
+            y1={y1}
+            x2={x2}
+            y2={y2}
+            stroke={redline !== undefined && tick >= redline ? '#e53e3e' : '#a0aec0'}
+            strokeWidth="2"
+          />
+        );
+      })}
+      <line x1={CENTER} y1={CENTER} x2={needleX} y2={needleY} stroke={color} strokeWidth="3" strokeLinecap="round" />
+      <circle cx={CENTER} cy={CENTER} r="4" fill={color} />
+      <text x={CENTER} y={CENTER + 22} fill="#e2e8f0" fontSize="12" fontWeight="bold" textAnchor="middle">{readout}</text>
+      <text x={CENTER} y={CENTER + 34} fill="#a0aec0" fontSize="9" textAnchor="middle">{label}</text>
+    </svg>
+  );
+};
+
+// Tach and boost HUD over the dyno cell. rpm/boost are canonical values.
+const DynoGauges = ({ rpm, boost, units }) => {
+  const boostMin = toDisplay('pressure', BOOST_GAUGE_RANGE.min, units);
+  const boostMax = toDisplay('pressure', BOOST_GAUGE_RANGE.max, units);
+  const boostValue = toDisplay('pressure', boost, units) ?? 0;
+
+  return (
+    <div style={{ display: 'flex', gap: '8px' }}>
+      <Gauge
+        value={rpm / 1000}
+        min={0}
+        max={TACH_MAX_RPM / 1000}
+        step={1}
+        redline={7}
+        label="RPM ×1000"
+        readout={Math.round(rpm)}
+        color="#ff4444"
+      />
+      <Gauge
+        value={boostValue}
+        min={boostMin}
+        max={boostMax}
+        step={(boostMax - boostMin) / 9}
+        label={`BOOST ${unitLabel('pressure', units).toUpperCase()}`}
+        readout={boostValue.toFixed(unitDigits('pressure', units))}
+        color="#4488ff"
+      />
+    </div>
+  );
+};
+
+export default DynoGauges;
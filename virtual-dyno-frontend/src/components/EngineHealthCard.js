@@ -0,0 +1,56 @@
+import React from 'react';
+import { FINDING_TYPES, SEVERITY_COLORS } from '../lib/engineHealth';
+
+const STATUS_LABELS = {
+  ok: 'OK',
+  warning: 'CHECK',
+  critical: 'WARNING'
+};
+
+// Summary card beside the peak figures; the full list folds out below it
+const EngineHealthCard = ({ report, onSelectRpm }) => {
+  const { status, counts, pulls } = report;
+  const multiplePulls = pulls.length > 1;
+
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <div style={{ fontSize: '24px', fontWeight: 'bold', color: SEVERITY_COLORS[status], textAlign: 'center' }}>
+        {STATUS_LABELS[status]}
+      </div>
+      <div style={{ fontSize: '11px', color: '#ccc', marginBottom: '3px', textAlign: 'center' }}>ENGINE HEALTH</div>
+      <div style={{ fontSize: '9px', color: '#888', textAlign: 'center' }}>
+        {status === 'ok'
+          ? `${pulls.length} pull${pulls.length === 1 ? '' : 's'} checked`
+          : `${counts.critical} critical · ${counts.warning} warning`}
+      </div>
+
+      {report.findings.length > 0 && (
+        <details style={{ marginTop: '6px', fontSize: '11px', color: '#e2e8f0' }}>
+          <summary style={{ cursor: 'pointer', color: '#a0aec0', fontSize: '10px' }}>Details</summary>
+          <div style={{ maxHeight: '160px', overflowY: 'auto', marginTop: '4px' }}>
+            {pulls.filter(pull => pull.findings.length > 0).map(pull => (
+              <div key={pull.pullId}>
+                {multiplePulls && <div style={{ color: '#718096', fontSize: '10px', marginTop: '4px' }}>Pull #{pull.pullId}</div>}
+                {pull.findings.map((finding, index) => (
+                  <div
+                    key={index}
+                    onClick={() => onSelectRpm(finding.rpm)}
+                    title={FINDING_TYPES[finding.type].label}
+                    style={{ display: 'flex', gap: '6px', cursor: 'pointer', padding: '1px 0' }}
+                  >
+                    <span style={{ color: SEVERITY_COLORS[finding.severity], fontWeight: 'bold', minWidth: '10px' }}>
+                      {FINDING_TYPES[finding.type].marker}
+                    </span>
+                    <span>{finding.message}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default EngineHealthCard;
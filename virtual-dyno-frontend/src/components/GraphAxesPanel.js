@@ -0,0 +1,69 @@
+import React from 'react';
+import { SECONDARY_AXES, LINE_STYLES } from '../lib/graphAxes';
+import { unitLabel } from '../lib/units';
+import { inputStyle, labelStyle, sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const selectStyle = { ...inputStyle, width: '100%', fontSize: '12px', padding: '4px 6px' };
+
+// Right-hand boost/AFR axes on the dyno graph: on/off and line style. The
+// unit comes from the global unit preference.
+const GraphAxesPanel = ({ settings, units, onChange }) => (
+  <div style={sectionStyle}>
+    <h3 style={sectionTitleStyle}>Graph Axes</h3>
+
+    {Object.entries(SECONDARY_AXES).map(([axis, info]) => {
+      const axisSettings = settings[axis];
+      return (
+        <div key={axis} style={{ marginBottom: '10px' }}>
+          <label style={{ ...labelStyle, fontSize: '13px', display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={axisSettings.enabled}
+              onChange={(e) => onChange(axis, { enabled: e.target.checked })}
+            />
+            <span style={{ color: axisSettings.enabled ? axisSettings.color : '#e2e8f0' }}>{info.label} axis</span>
+            <span style={{ color: '#718096', fontWeight: 'normal', fontSize: '11px' }}>({unitLabel(info.quantity, units)})</span>
+          </label>
+
+          {axisSettings.enabled && (
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 36px', gap: '6px' }}>
+              <select
+                value={axisSettings.style}
+                onChange={(e) => onChange(axis, { style: e.target.value })}
+                title="Line style"
+                style={selectStyle}
+              >
+                {Object.entries(LINE_STYLES).map(([style, styleInfo]) => (
+                  <option key={style} value={style}>{styleInfo.label}</option>
+                ))}
+              </select>
+              <select
+                value={axisSettings.width}
+                onChange={(e) => onChange(axis, { width: parseFloat(e.target.value) })}
+                title="Line width"
+                style={selectStyle}
+              >
+                {[1, 2, 3].map(width => (
+                  <option key={width} value={width}>{width}px</option>
+                ))}
+              </select>
+              <input
+                type="color"
+                value={axisSettings.color}
+                onChange={(e) => onChange(axis, { color: e.target.value })}
+                title="Line colour"
+                style={{ width: '36px', height: '26px', padding: 0, border: '1px solid #4a5568', borderRadius: '4px', backgroundColor: '#2d3748' }}
+              />
+            </div>
+          )}
+        </div>
+      );
+    })}
+
+    <div style={{ fontSize: '11px', color: '#718096' }}>
+      Each axis scales to its own data. AFR comes from the log, so it is not available for saved API runs.
+    </div>
+  </div>
+);
+
+export default GraphAxesPanel;
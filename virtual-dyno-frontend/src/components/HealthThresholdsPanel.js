@@ -0,0 +1,49 @@
+import React from 'react';
+import { HEALTH_THRESHOLD_FIELDS } from '../lib/engineHealth';
+import { toDisplay, fromDisplay, unitLabel, unitDigits } from '../lib/units';
+import { inputStyle, labelStyle, sectionStyle, sectionTitleStyle } from './panelStyles';
+
+// Thresholds are stored canonical; unit-bearing ones are edited in display units
+const fieldUnit = (field, units) => (field.quantity ? unitLabel(field.quantity, units) : field.unit);
+const fieldStep = (field, units) => (field.quantity ? 10 ** -unitDigits(field.quantity, units) : field.step);
+const fieldValue = (field, value, units) =>
+  (field.quantity ? Number(toDisplay(field.quantity, value, units).toFixed(unitDigits(field.quantity, units) + 1)) : value);
+const fieldToCanonical = (field, value, units) => (field.quantity ? fromDisplay(field.quantity, value, units) : value);
+
+// Warning limits for the engine health report, saved per vehicle
+const HealthThresholdsPanel = ({ vehicleName, thresholds, customized, units, onChange, onReset }) => (
+  <div style={sectionStyle}>
+    <h3 style={sectionTitleStyle}>Engine Health</h3>
+
+    <div style={{ fontSize: '11px', color: '#a0aec0', marginBottom: '10px' }}>
+      Limits for <span style={{ color: '#e2e8f0' }}>{vehicleName}</span>
+      {customized && (
+        <button
+          onClick={onReset}
+          style={{ marginLeft: '6px', padding: 0, border: 'none', background: 'none', color: '#63b3ed', cursor: 'pointer', fontSize: '11px' }}
+        >
+          reset to defaults
+        </button>
+      )}
+    </div>
+
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+      {HEALTH_THRESHOLD_FIELDS.map(field => (
+        <div key={field.key}>
+          <label style={{ ...labelStyle, fontSize: '11px', marginBottom: '3px' }}>
+            {field.label} ({fieldUnit(field, units)})
+          </label>
+          <input
+            type="number"
+            step={fieldStep(field, units)}
+            value={fieldValue(field, thresholds[field.key], units)}
+            onChange={(e) => onChange(field.key, fieldToCanonical(field, parseFloat(e.target.value) || 0, units))}
+            style={{ ...inputStyle, fontSize: '13px', padding: '6px 8px' }}
+          />
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default HealthThresholdsPanel;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { PROGRESS_STAGES } from '../lib/logProcessing';
+
+// Progress of the log worker's current job. fraction is null for stages
+// that can't tell how far along they are.
+const LogProgress = ({ job, onCancel }) => {
+  const known = job.fraction !== null && job.fraction !== undefined;
+  const percent = known ? Math.round(job.fraction * 100) : null;
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#a0aec0', marginBottom: '4px' }}>
+        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          ⏳ {PROGRESS_STAGES[job.stage] || 'Working'}{known ? ` ${percent}%` : '…'}
+          {job.fileName && <span style={{ color: '#718096' }}> · {job.fileName}</span>}
+        </span>
+        <button
+          onClick={onCancel}
+          style={{
+            padding: '2px 8px',
+            border: '1px solid #4a5568',
+            borderRadius: '4px',
+            backgroundColor: 'transparent',
+            color: '#fc8181',
+            cursor: 'pointer',
+            fontSize: '11px'
+          }}
+        >
+          ✕ Cancel
+        </button>
+      </div>
+      <div
+        role="progressbar"
+        aria-label={PROGRESS_STAGES[job.stage] || 'Working'}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={known ? percent : undefined}
+        style={{ height: '6px', backgroundColor: '#1a202c', borderRadius: '3px', overflow: 'hidden' }}
+      >
+        <div style={{
+          width: known ? `${percent}%` : '100%',
+          height: '100%',
+          backgroundColor: '#3182ce',
+          opacity: known ? 1 : 0.4,
+          transition: 'width 0.2s ease'
+        }} />
+      </div>
+    </div>
+  );
+};
+
+export default LogProgress;
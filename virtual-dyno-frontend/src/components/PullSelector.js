@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from 'react';
+import { estimateGear, DEFAULT_PULL_OPTIONS } from '../lib/pullDetection';
+import { gearLabel } from '../lib/carPresets';
+import { GEAR_EVENT_TYPES } from '../lib/gearDetection';
+import { sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const TIMELINE_WIDTH = 230;
+const TIMELINE_HEIGHT = 80;
+const MAX_TRACE_POINTS = 400;
+const PREVIEW_PADDING = 1; // seconds either side of a previewed pull
+
+// Build an SVG polyline for one channel over a time window, thinned out so a
+// multi-hour log doesn't produce a huge path
+const tracePoints = (rows, times, channel, from, to, maxValue) => {
+  const indices = [];
+  for (let i = 0; i < rows.length; i++) {
+    if (times[i] >= from && times[i] <= to && rows[i][channel] !== null) indices.push(i);
+  }
+  const step = Math.max(1, Math.ceil(indices.length / MAX_TRACE_POINTS));
+
+  const points = [];
+  for (let k = 0; k < indices.length; k += step) {
+    const i = indices[k];
+    const x = ((times[i] - from) / (to - from || 1)) * TIMELINE_WIDTH;
+    const y = TIMELINE_HEIGHT - (Math.min(rows[i][channel], maxValue) / maxValue) * (TIMELINE_HEIGHT - 4);
+    points.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+  }
+  return points.join(' ');
+};
+
+// Lists detected WOT pulls, previews them on a timeline and lets the user
+// choose which ones go into the dyno run, merged or as a pull average.
+// gearChecks (from checkPullGears) adds each pull's gear and any clutch slip
+// or gear change inside it.
+const PullSelector = ({ rows, pulls, selectedIds, onToggle, gearing, gearChecks = [], averagePulls, onAveragePullsChange }) => {
+  const [previewId, setPreviewId] = useState(null);
+  const preview = pulls.find(p => p.id === previewId);
+
+  // Both walk the whole log, so only redo them when the log or the preview
+  // changes - not on every replay frame
+  const times = useMemo(
+    () => (rows || []).map((row, i) => row.time ?? i / DEFAULT_PULL_OPTIONS.fallbackSampleRate),
+    [rows]
+  );
+  const timeline = useMemo(() => {
+    if (times.length === 0) return null;
+    const logStart = times[0];
+    const logEnd = times[times.length - 1];
+    const from = preview ? Math.max(logStart, preview.startTime - PREVIEW_PADDING) : logStart;
+    const to = preview ? Math.min(logEnd, preview.endTime + PREVIEW_PADDING) : logEnd;
+    const maxRpm = Math.max(7000, ...pulls.map(p => p.rpmEnd));
+    return {
+      from,
+      to,
+      throttle: tracePoints(rows, times, 'throttle', from, to, 100),
+      rpm: tracePoints(rows, times, 'rpm', from, to, maxRpm)
+    };
+  }, [rows, times, pulls, preview]);
+
+  if (!timeline) return null;
+
+  const { from, to } = timeline;
+  const xOf = (t) => ((t - from) / (to - from || 1)) * TIMELINE_WIDTH;
+
+  return (
+    <div style={sectionStyle}>
+      <h3 style={sectionTitleStyle}>Pulls</h3>
+
+      <svg
+        width="100%"
+        viewBox={`0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}`}
+        style={{ backgroundColor: '#1a1a1a', borderRadius: '4px', display: 'block', marginBottom: '6px' }}
+      >
+        {pulls.map(pull => (
+          <rect
+            key={pull.id}
+            x={xOf(pull.startTime)}
+            y={0}
+            width={Math.max(1, xOf(pull.endTime) - xOf(pull.startTime))}
+            height={TIMELINE_HEIGHT}
+            fill={selectedIds.includes(pull.id) ? 'rgba(49, 130, 206, 0.35)' : 'rgba(160, 174, 192, 0.15)'}
+            stroke={pull.id === previewId ? '#63b3ed' : 'none'}
+            onClick={() => onToggle(pull.id)}
+            style={{ cursor: 'pointer' }}
+          />
+        ))}
+        <polyline
+          points={timeline.throttle}
+          fill="none"
+          stroke="#718096"
+          strokeWidth="0.8"
+        />
+        <polyline
+          points={timeline.rpm}
+          fill="none"
+          stroke="#ff4444"
+          strokeWidth="1.2"
+        />
+      </svg>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#718096', marginBottom: '8px' }}>
+        <span>{from.toFixed(1)}s</span>
+        <span><span style={{ color: '#ff4444' }}>RPM</span> · throttle</span>
+        <span>{to.toFixed(1)}s</span>
+      </div>
+
+      {pulls.length === 0 ? (
+        <div style={{ fontSize: '11px', color: '#f6ad55' }}>
+          No WOT pulls found - every row passing the RPM/airflow filter will be used.
+        </div>
+      ) : (
+        pulls.map(pull => {
+          const check = gearChecks.find(c => c.pullId === pull.id);
+          const gear = check ? check.gear : estimateGear(pull.rpmPerMph, gearing)?.gear;
+          const rpmPerMph = check?.rpmPerMph ?? pull.rpmPerMph;
+          const selected = selectedIds.includes(pull.id);
+          return (
+            <div
+              key={pull.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '4px 6px',
+                marginBottom: '4px',
+                borderRadius: '4px',
+                border: `1px solid ${selected ? '#3182ce' : '#4a5568'}`,
+                backgroundColor: selected ? '#2c5282' : 'transparent',
+                fontSize: '11px',
+                color: '#e2e8f0'
+              }}
+            >
+              <input type="checkbox" checked={selected} onChange={() => onToggle(pull.id)} />
+              <div style={{ flex: 1, lineHeight: '1.4' }}>
+                <div>#{pull.id} · {Math.round(pull.rpmStart)}–{Math.round(pull.rpmEnd)} RPM</div>
+                <div style={{ color: '#a0aec0' }}>
+                  {pull.duration.toFixed(1)}s · {gear ? `${gearLabel(gear)} gear` : 'gear ?'}
+                  {rpmPerMph && ` · ${Math.round(rpmPerMph)} rpm/mph`}
+                </div>
+                {check?.events.map(event => (
+                  <div key={`${event.type}-${event.rpm}`} style={{ color: '#f6ad55' }}>
+                    ⚠️ {GEAR_EVENT_TYPES[event.type].label}: {event.message}
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => setPreviewId(previewId === pull.id ? null : pull.id)}
+                title="Preview on timeline"
+                style={{
+                  padding: '2px 6px',
+                  backgroundColor: pull.id === previewId ? '#3182ce' : 'transparent',
+                  color: '#e2e8f0',
+                  border: '1px solid #4a5568',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '11px'
+                }}
+              >
+                🔍
+              </button>
+            </div>
+          );
+        })
+      )}
+
+      {selectedIds.length >= 2 && (
+        <label
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#e2e8f0', marginTop: '8px' }}
+          title="Calculate each pull on its own and show the mean with a min/max band"
+        >
+          <input type="checkbox" checked={averagePulls} onChange={(e) => onAveragePullsChange(e.target.checked)} />
+          Average selected pulls (min/max band)
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default PullSelector;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { REPLAY_SPEEDS } from '../lib/replay';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  fontSize: '12px',
+  border: '1px solid #4a5568',
+  borderRadius: '4px',
+  backgroundColor: '#1a202c',
+  color: '#e2e8f0',
+  cursor: 'pointer'
+};
+
+// Play/pause, speed and scrubber for a replaying run. elapsed and duration
+// are playback seconds in the log's own time.
+const ReplayControls = ({ elapsed, duration, playing, timed, speed, onTogglePlay, onSpeedChange, onSeek, onSkip }) => (
+  <div style={{
+    position: 'absolute',
+    top: '8px',
+    left: '8px',
+    right: '8px',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    backgroundColor: 'rgba(26, 32, 44, 0.9)',
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #4a5568',
+    zIndex: 10
+  }}>
+    <button onClick={onTogglePlay} style={{ ...buttonStyle, minWidth: '32px' }} title={playing ? 'Pause' : 'Play'}>
+      {playing ? '⏸' : '▶'}
+    </button>
+    <select
+      value={speed}
+      onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+      title="Playback speed"
+      style={{ ...buttonStyle, padding: '4px 6px' }}
+    >
+      {REPLAY_SPEEDS.map(value => (
+        <option key={value} value={value}>{value}×</option>
+      ))}
+    </select>
+    <input
+      type="range"
+      min="0"
+      max={duration}
+      step="0.01"
+      value={elapsed}
+      onChange={(e) => onSeek(parseFloat(e.target.value))}
+      aria-label="Replay position"
+      style={{ flex: 1 }}
+    />
+    <span
+      style={{ fontSize: '12px', color: '#a0aec0', fontFamily: 'monospace', whiteSpace: 'nowrap' }}
+      title={timed ? 'Timed from the log' : 'No time channel - paced at a typical sweep rate'}
+    >
+      {elapsed.toFixed(1)} / {duration.toFixed(1)} s{timed ? '' : ' (est.)'}
+    </span>
+    <button onClick={onSkip} style={buttonStyle} title="Skip to the finished result">⏭ Skip</button>
+  </div>
+);
+
+export default ReplayControls;
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { filterRuns, sortRuns, historyFilterOptions, DEFAULT_HISTORY_FILTERS, HISTORY_SORTS } from '../lib/runHistory';
+import { toDisplay, fromDisplay, unitLabel } from '../lib/units';
+import { inputStyle, sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const smallInput = { ...inputStyle, width: '100%', boxSizing: 'border-box', padding: '4px 6px', fontSize: '12px' };
+
+const smallButton = {
+  padding: '2px 8px',
+  backgroundColor: 'transparent',
+  color: '#e2e8f0',
+  border: '1px solid #4a5568',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+// Saved runs from the API: filter, sort, reopen, rename/annotate and delete
+const RunHistoryPanel = ({ runs, loading, onRefresh, onOpen, onReplay, onCompare, onUpdate, onDelete, units }) => {
+  const [filters, setFilters] = useState(DEFAULT_HISTORY_FILTERS);
+  const [sortKey, setSortKey] = useState('date');
+  const [direction, setDirection] = useState('desc');
+  const [editing, setEditing] = useState(null); // { id, fileName, notes }
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const { cars, gears } = historyFilterOptions(runs || []);
+  // The min peak filter is typed in display units; runs are filtered in hp
+  const minHp = filters.minHp === '' ? '' : fromDisplay('power', Number(filters.minHp), units) ?? '';
+  const visible = sortRuns(filterRuns(runs || [], { ...filters, minHp }), sortKey, direction);
+  const powerUnit = unitLabel('power', units);
+  const torqueUnit = unitLabel('torque', units);
+
+  const saveEdit = async () => {
+    const saved = await onUpdate(editing.id, { fileName: editing.fileName, notes: editing.notes });
+    if (saved) setEditing(null);
+  };
+
+  return (
+    <div style={{ ...sectionStyle, marginTop: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 style={{ ...sectionTitleStyle, margin: 0 }}>Run History</h3>
+        <button onClick={onRefresh} disabled={loading} style={smallButton}>
+          {loading ? 'Loading…' : runs ? '↻ Refresh' : 'Load runs'}
+        </button>
+      </div>
+
+      {runs && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px', marginBottom: '8px' }}>
+            <select value={filters.car} onChange={(e) => setFilter('car', e.target.value)} style={smallInput}>
+              <option value="">All cars</option>
+              {cars.map(car => <option key={car} value={car}>{car}</option>)}
+            </select>
+            <select value={filters.gear} onChange={(e) => setFilter('gear', e.target.value)} style={smallInput}>
+              <option value="">All gears</option>
+              {gears.map(gear => <option key={gear} value={gear}>Gear {gear}</option>)}
+            </select>
+            <input
+              type="number"
+              placeholder={`Min peak ${powerUnit}`}
+              value={filters.minHp}
+              onChange={(e) => setFilter('minHp', e.target.value)}
+              style={smallInput}
+            />
+            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} style={smallInput} title="From" />
+            <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} style={smallInput} title="To" />
+            <input
+              type="search"
+              placeholder="Search name / notes"
+              value={filters.search}
+              onChange={(e) => setFilter('search', e.target.value)}
+              style={smallInput}
+            />
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '11px', color: '#a0aec0', marginBottom: '8px' }}>
+            Sort
+            <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} style={{ ...smallInput, width: 'auto' }}>
+              {Object.entries(HISTORY_SORTS).map(([key, sort]) => <option key={key} value={key}>{sort.label}</option>)}
+            </select>
+            <button onClick={() => setDirection(direction === 'asc' ? 'desc' : 'asc')} style={smallButton}>
+              {direction === 'asc' ? '↑' : '↓'}
+            </button>
+            <span style={{ marginLeft: 'auto' }}>{visible.length} of {runs.length}</span>
+          </div>
+
+          {visible.map(run => (
+            <div
+              key={run.id}
+              style={{ borderTop: '1px solid #4a5568', padding: '6px 0', fontSize: '11px', color: '#e2e8f0' }}
+            >
+              {editing?.id === run.id ? (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                  <input
+                    value={editing.fileName}
+                    onChange={(e) => setEditing(prev => ({ ...prev, fileName: e.target.value }))}
+                    maxLength={255}
+                    style={smallInput}
+                  />
+                  <textarea
+                    value={editing.notes}
+                    onChange={(e) => setEditing(prev => ({ ...prev, notes: e.target.value }))}
+                    maxLength={1000}
+                    rows={3}
+                    style={{ ...smallInput, resize: 'vertical' }}
+                  />
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <button onClick={saveEdit} disabled={!editing.fileName.trim()} style={smallButton}>Save</button>
+                    <button onClick={() => setEditing(null)} style={smallButton}>Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+                  <div style={{ flex: 1, lineHeight: '1.4', minWidth: 0 }}>
+                    <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      #{run.id} <strong>{run.fileName}</strong>
+                    </div>
+                    <div style={{ color: '#a0aec0' }}>
+                      {new Date(run.createdAt).toLocaleString()} · {run.car?.name} · gear {run.gearUsed}
+                      {run.peaks && ` · ${Math.round(toDisplay('power', run.peaks.maxHorsepower, units))} ${powerUnit} / ${Math.round(toDisplay('torque', run.peaks.maxTorque, units))} ${torqueUnit}`}
+                    </div>
+                    {run.notes && <div style={{ color: '#718096', whiteSpace: 'pre-wrap' }}>{run.notes}</div>}
+                  </div>
+                  <button onClick={() => onOpen(run.id)} style={smallButton} title="Open in graph">Open</button>
+                  <button onClick={() => onReplay(run.id)} style={smallButton} title="Play the run back">Replay</button>
+                  <button onClick={() => onCompare(run.id)} style={smallButton} title="Add to comparison">+ Compare</button>
+                  <button
+                    onClick={() => setEditing({ id: run.id, fileName: run.fileName, notes: run.notes || '' })}
+                    style={smallButton}
+                    title="Rename / annotate"
+                  >
+                    ✏️
+                  </button>
+                  <button
+                    onClick={() => onDelete(run)}
+                    style={{ ...smallButton, color: '#ff6b6b' }}
+                    title="Delete run"
+                  >
+                    🗑
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {runs.length > 0 && visible.length === 0 && (
+            <div style={{ fontSize: '11px', color: '#a0aec0' }}>No runs match these filters.</div>
+          )}
+          {runs.length === 0 && (
+            <div style={{ fontSize: '11px', color: '#a0aec0' }}>No saved runs yet.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RunHistoryPanel;
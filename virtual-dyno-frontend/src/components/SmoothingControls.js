@@ -0,0 +1,61 @@
+import React from 'react';
+import { SMOOTHING_METHODS } from '../lib/smoothing';
+
+const controlStyle = {
+  padding: '4px 8px',
+  border: '1px solid #4a5568',
+  borderRadius: '4px',
+  fontSize: '12px',
+  backgroundColor: '#1a202c',
+  color: '#e2e8f0'
+};
+
+// Method, strength and peak preservation for the graph toolbar. Smoothing
+// runs in the browser, so every change redraws straight away.
+const SmoothingControls = ({ smoothing, onChange }) => {
+  const percent = Math.round(smoothing.strength * 100);
+
+  return (
+    <>
+      <label style={{ fontSize: '12px', color: '#a0aec0', fontWeight: '500' }}>
+        Smoothing:
+      </label>
+      <select
+        value={smoothing.method}
+        onChange={(e) => onChange({ ...smoothing, method: e.target.value })}
+        aria-label="Smoothing method"
+        style={controlStyle}
+      >
+        {Object.entries(SMOOTHING_METHODS).map(([key, method]) => (
+          <option key={key} value={key}>{method.name}</option>
+        ))}
+      </select>
+      <input
+        type="range"
+        min="0"
+        max="100"
+        step="1"
+        value={percent}
+        onChange={(e) => onChange({ ...smoothing, strength: parseInt(e.target.value, 10) / 100 })}
+        aria-label="Smoothing strength"
+        style={{ width: '90px' }}
+      />
+      <span style={{ fontSize: '12px', color: '#a0aec0', fontFamily: 'monospace', minWidth: '32px' }}>
+        {percent > 0 ? `${percent}%` : 'Raw'}
+      </span>
+      <label
+        style={{ display: 'flex', alignItems: 'center', gap: '3px', fontSize: '12px', color: '#a0aec0' }}
+        title="Leave genuine peaks at their logged value, like the API's smoothing"
+      >
+        <input
+          type="checkbox"
+          checked={smoothing.preservePeaks}
+          onChange={(e) => onChange({ ...smoothing, preservePeaks: e.target.checked })}
+        />
+        Keep peaks
+      </label>
+    </>
+  );
+};
+
+export default SmoothingControls;
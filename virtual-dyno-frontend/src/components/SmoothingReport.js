@@ -0,0 +1,62 @@
+import React, { useMemo } from 'react';
+import { compareMethods, smoothingLabel, SMOOTHING_METHODS } from '../lib/smoothing';
+import { toDisplay, unitLabel } from '../lib/units';
+import { sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+const shiftColor = (value) => (Math.abs(value) < 0.05 ? '#a0aec0' : (value > 0 ? '#68d391' : '#ff6b6b'));
+
+const cellStyle = { padding: '3px 6px', textAlign: 'right' };
+
+// How far each smoothing method moves peak HP and torque at the current
+// strength, against the unsmoothed curve. curve is canonical units.
+const SmoothingReport = ({ curve, smoothing, units }) => {
+  const rows = useMemo(() => compareMethods(curve, smoothing), [curve, smoothing]);
+  const power = (value) => toDisplay('power', value, units);
+  const torque = (value) => toDisplay('torque', value, units);
+
+  const shiftCells = (shift, convert, unit) => (shift ? (
+    <>
+      <td style={{ ...cellStyle, color: shiftColor(shift.delta) }}>{signed(convert(shift.delta))} {unit}</td>
+      <td style={{ ...cellStyle, color: '#a0aec0' }}>{shift.rpmShift === 0 ? '-' : `${signed(shift.rpmShift, 0)} rpm`}</td>
+    </>
+  ) : (
+    <td colSpan={2} style={cellStyle}>-</td>
+  ));
+
+  return (
+    <div style={{ ...sectionStyle, marginTop: '16px' }}>
+      <h3 style={sectionTitleStyle}>Smoothing Peak Shift</h3>
+      <div style={{ fontSize: '11px', color: '#a0aec0', marginBottom: '8px' }}>
+        Change in peak power and torque from the raw curve for each method at{' '}
+        {Math.round(smoothing.strength * 100)}%{smoothing.preservePeaks ? ', peaks kept' : ''}.
+        Showing: {smoothingLabel(smoothing)}.
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px', color: '#e2e8f0' }}>
+        <thead>
+          <tr style={{ color: '#a0aec0', borderBottom: '1px solid #4a5568' }}>
+            <th style={{ ...cellStyle, textAlign: 'left' }}>Method</th>
+            <th style={cellStyle}>Peak {unitLabel('power', units)}</th>
+            <th style={cellStyle}>at</th>
+            <th style={cellStyle}>Peak {unitLabel('torque', units)}</th>
+            <th style={cellStyle}>at</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr
+              key={row.method}
+              style={{ backgroundColor: row.method === smoothing.method ? 'rgba(104, 211, 145, 0.12)' : 'transparent' }}
+            >
+              <td style={{ ...cellStyle, textAlign: 'left' }}>{SMOOTHING_METHODS[row.method].name}</td>
+              {shiftCells(row.horsepower, power, unitLabel('power', units))}
+              {shiftCells(row.torque, torque, unitLabel('torque', units))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SmoothingReport;
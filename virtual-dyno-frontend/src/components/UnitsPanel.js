@@ -0,0 +1,58 @@
+import React from 'react';
+import { UNIT_QUANTITIES, UNIT_PRESETS, matchingPreset } from '../lib/units';
+import { inputStyle, labelStyle, sectionStyle, sectionTitleStyle } from './panelStyles';
+
+const presetStyle = (active) => ({
+  flex: 1,
+  padding: '6px',
+  border: active ? '2px solid #3182ce' : '1px solid #4a5568',
+  borderRadius: '4px',
+  backgroundColor: active ? '#2c5282' : '#2d3748',
+  color: active ? 'white' : '#a0aec0',
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+// Display units for every input, graph, card and export. Values are stored
+// in the canonical units whatever is picked here.
+const UnitsPanel = ({ units, onChange }) => {
+  const preset = matchingPreset(units);
+
+  return (
+    <div style={sectionStyle}>
+      <h3 style={sectionTitleStyle}>Units</h3>
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+        {Object.entries(UNIT_PRESETS).map(([key, info]) => (
+          <button key={key} onClick={() => onChange({ ...info.units })} style={presetStyle(preset === key)}>
+            {info.label}
+          </button>
+        ))}
+      </div>
+
+      <details>
+        <summary style={{ cursor: 'pointer', color: '#a0aec0', fontSize: '11px' }}>
+          {preset ? 'Customise' : 'Custom units'}
+        </summary>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px', marginTop: '8px' }}>
+          {Object.entries(UNIT_QUANTITIES).map(([quantity, info]) => (
+            <div key={quantity}>
+              <label style={{ ...labelStyle, fontSize: '11px', marginBottom: '3px' }}>{info.label}</label>
+              <select
+                value={units[quantity]}
+                onChange={(e) => onChange({ ...units, [quantity]: e.target.value })}
+                style={{ ...inputStyle, width: '100%', fontSize: '12px', padding: '4px 6px' }}
+              >
+                {Object.entries(info.units).map(([unit, unitInfo]) => (
+                  <option key={unit} value={unit}>{unitInfo.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default UnitsPanel;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { validateVehicle, DRIVE_TYPES, DEFAULT_TIRE_DIAMETER } from '../lib/carPresets';
+import { toDisplay, fromDisplay, unitLabel } from '../lib/units';
+import { inputStyle, labelStyle } from './panelStyles';
+
+const fieldInput = { ...inputStyle, width: '100%', boxSizing: 'border-box', fontSize: '13px', padding: '6px 8px' };
+const fieldLabel = { ...labelStyle, fontSize: '12px', marginBottom: '3px' };
+
+const buttonStyle = {
+  padding: '6px 12px',
+  border: '1px solid #4a5568',
+  borderRadius: '4px',
+  backgroundColor: '#2d3748',
+  color: '#e2e8f0',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const BLANK_VEHICLE = {
+  name: '',
+  weight: 3000,
+  displacement: 2.0,
+  driveType: 'FWD',
+  forcedInduction: true,
+  gearRatios: { 3: 1.4, 4: 1.0, 5: 0.8 },
+  finalDrive: 4.0,
+  tireDiameter: DEFAULT_TIRE_DIAMETER
+};
+
+// Form values are kept as strings while typing; numbers on save. Weight is
+// edited in the display unit and stored in lb.
+const toDraft = (vehicle, units) => ({
+  ...vehicle,
+  weight: String(Math.round(toDisplay('weight', vehicle.weight, units) ?? 0)),
+  gears: Object.entries(vehicle.gearRatios).map(([gear, ratio]) => ({ gear: String(gear), ratio: String(ratio) }))
+});
+
+const fromDraft = (draft, units) => {
+  const gearRatios = {};
+  draft.gears.forEach(({ gear, ratio }) => {
+    if (gear !== '' && ratio !== '') gearRatios[parseInt(gear)] = parseFloat(ratio);
+  });
+
+  const { gears, ...vehicle } = draft;
+  return {
+    ...vehicle,
+    name: draft.name.trim(),
+    weight: Math.round(fromDisplay('weight', parseFloat(draft.weight), units) ?? 0),
+    displacement: parseFloat(draft.displacement) || 0,
+    finalDrive: parseFloat(draft.finalDrive) || 0,
+    tireDiameter: parseFloat(draft.tireDiameter) || 0,
+    gearRatios
+  };
+};
+
+// Create or edit a locally stored vehicle definition
+const VehicleEditor = ({ vehicle, units, onSave, onCancel, onDelete }) => {
+  const [draft, setDraft] = useState(() => toDraft(vehicle || BLANK_VEHICLE, units));
+  const [errors, setErrors] = useState([]);
+
+  const setField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const setGear = (index, key, value) => setDraft(prev => ({
+    ...prev,
+    gears: prev.gears.map((row, i) => (i === index ? { ...row, [key]: value } : row))
+  }));
+
+  const handleSave = () => {
+    const result = fromDraft(draft, units);
+    const problems = validateVehicle(result);
+    setErrors(problems);
+    if (problems.length === 0) onSave(result);
+  };
+
+  return (
+    <div style={{ border: '1px solid #4a5568', borderRadius: '6px', padding: '10px', marginBottom: '14px' }}>
+      <div style={{ marginBottom: '8px' }}>
+        <label style={fieldLabel}>Name</label>
+        <input value={draft.name} onChange={(e) => setField('name', e.target.value)} style={fieldInput} />
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+        <div>
+          <label style={fieldLabel}>Weight ({unitLabel('weight', units)})</label>
+          <input type="number" value={draft.weight} onChange={(e) => setField('weight', e.target.value)} style={fieldInput} />
+        </div>
+        <div>
+          <label style={fieldLabel}>Displacement (L)</label>
+          <input type="number" step="0.1" value={draft.displacement} onChange={(e) => setField('displacement', e.target.value)} style={fieldInput} />
+        </div>
+        <div>
+          <label style={fieldLabel}>Drive type</label>
+          <select value={draft.driveType} onChange={(e) => setField('driveType', e.target.value)} style={fieldInput}>
+            {DRIVE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={fieldLabel}>Induction</label>
+          <select
+            value={draft.forcedInduction ? 'forced' : 'na'}
+            onChange={(e) => setField('forcedInduction', e.target.value === 'forced')}
+            style={fieldInput}
+          >
+            <option value="forced">Turbo / supercharged</option>
+            <option value="na">Naturally aspirated</option>
+          </select>
+        </div>
+        <div>
+          <label style={fieldLabel}>Final drive</label>
+          <input type="number" step="0.001" value={draft.finalDrive} onChange={(e) => setField('finalDrive', e.target.value)} style={fieldInput} />
+        </div>
+        <div>
+          <label style={fieldLabel}>Tire diameter (in)</label>
+          <input type="number" step="0.1" value={draft.tireDiameter} onChange={(e) => setField('tireDiameter', e.target.value)} style={fieldInput} />
+        </div>
+      </div>
+
+      <label style={fieldLabel}>Gear ratios</label>
+      {draft.gears.map((row, index) => (
+        <div key={index} style={{ display: 'flex', gap: '6px', marginBottom: '4px', alignItems: 'center' }}>
+          <input
+            type="number"
+            min="1"
+            max="10"
+            value={row.gear}
+            onChange={(e) => setGear(index, 'gear', e.target.value)}
+            style={{ ...fieldInput, width: '60px' }}
+            title="Gear"
+          />
+          <input
+            type="number"
+            step="0.001"
+            value={row.ratio}
+            onChange={(e) => setGear(index, 'ratio', e.target.value)}
+            style={{ ...fieldInput, flex: 1 }}
+            title="Ratio"
+          />
+          <button
+            onClick={() => setDraft(prev => ({ ...prev, gears: prev.gears.filter((_, i) => i !== index) }))}
+            style={{ ...buttonStyle, padding: '4px 8px' }}
+            title="Remove gear"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => setDraft(prev => ({ ...prev, gears: [...prev.gears, { gear: '', ratio: '' }] }))}
+        style={{ ...buttonStyle, marginBottom: '8px' }}
+      >
+        + Gear
+      </button>
+
+      {errors.length > 0 && (
+        <ul style={{ margin: '0 0 8px 0', paddingLeft: '18px', fontSize: '11px', color: '#ff6b6b' }}>
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={handleSave} style={{ ...buttonStyle, backgroundColor: '#2c5282', borderColor: '#3182ce' }}>Save vehicle</button>
+        <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+        {onDelete && (
+          <button onClick={onDelete} style={{ ...buttonStyle, marginLeft: 'auto', color: '#ff6b6b' }}>Delete</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VehicleEditor;
@@ -0,0 +1,33 @@
+// Shared inline styles for the settings panels
+
+export const inputStyle = {
+  width: '95%',
+  padding: '8px 12px',
+  border: '1px solid #4a5568',
+  borderRadius: '4px',
+  fontSize: '14px',
+  backgroundColor: '#2d3748',
+  color: '#e2e8f0'
+};
+
+export const labelStyle = {
+  display: 'block',
+  fontSize: '14px',
+  fontWeight: '600',
+  color: '#e2e8f0',
+  marginBottom: '6px'
+};
+
+export const sectionStyle = {
+  marginBottom: '20px',
+  padding: '15px',
+  backgroundColor: '#2d3748',
+  borderRadius: '6px',
+  border: '1px solid #4a5568'
+};
+
+export const sectionTitleStyle = {
+  margin: '0 0 14px 0',
+  fontSize: '15px',
+  color: '#68d391'
+};
@@ -0,0 +1,223 @@
+// Backend API client
+// Every call to VirtualDyno.API goes through here: the base URL (from
+// REACT_APP_API_URL or the Calculation settings), normalizing responses into
+// the shapes the UI works with, cancelling stale requests, and retrying
+// transient failures with exponential backoff.
+
+import axios from 'axios';
+import { normalizeCarPreset } from './carPresets';
+
+const STORAGE_KEY = 'virtualDyno.apiBaseUrl';
+
+export const DEFAULT_API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5038';
+
+export const DEFAULT_RETRY = {
+  retries: 2,         // attempts after the first
+  baseDelay: 400,     // ms, doubled each attempt
+  maxDelay: 4000      // ms, also caps Retry-After
+};
+
+const REQUEST_TIMEOUT = 30000;
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+// Uploads create a run, so only requests that are safe to repeat are retried
+const RETRY_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// "localhost:5038/" -> "http://localhost:5038". Returns null for anything
+// that isn't an http(s) URL.
+export const normalizeBaseUrl = (value) => {
+  const text = String(value ?? '').trim().replace(/\/+$/, '');
+  if (!text) return null;
+  const withScheme = /^[a-z]+:\/\//i.test(text) ? text : `http://${text}`;
+  try {
+    const url = new URL(withScheme);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? withScheme : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const loadApiBaseUrl = () => {
+  try {
+    return normalizeBaseUrl(window.localStorage.getItem(STORAGE_KEY)) || DEFAULT_API_BASE_URL;
+  } catch (error) {
+    return DEFAULT_API_BASE_URL;
+  }
+};
+
+// An empty value goes back to the default
+export const saveApiBaseUrl = (baseUrl) => {
+  try {
+    if (baseUrl && baseUrl !== DEFAULT_API_BASE_URL) window.localStorage.setItem(STORAGE_KEY, baseUrl);
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('⚠️ Could not save API address:', error);
+  }
+};
+
+// ASP.NET serializes camelCase by default; accept PascalCase too in case the
+// API is configured otherwise
+const field = (dto, name) => {
+  if (!dto) return undefined;
+  if (dto[name] !== undefined) return dto[name];
+  return dto[name.charAt(0).toUpperCase() + name.slice(1)];
+};
+
+const numberOr = (value, fallback) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) ? number : fallback;
+};
+
+// DynoDataPointDto -> { rpm, horsepower, torque, boost }
+export const normalizeDataPoint = (dto) => ({
+  rpm: numberOr(field(dto, 'rpm'), 0),
+  horsepower: numberOr(field(dto, 'horsepower'), 0),
+  torque: numberOr(field(dto, 'torque'), 0),
+  boost: numberOr(field(dto, 'boost'), 0)
+});
+
+// PeakValuesDto, or null when the run has none
+export const normalizePeaks = (dto) => (dto ? {
+  maxHorsepower: numberOr(field(dto, 'maxHorsepower'), 0),
+  maxHorsepowerRpm: numberOr(field(dto, 'maxHorsepowerRpm'), 0),
+  maxTorque: numberOr(field(dto, 'maxTorque'), 0),
+  maxTorqueRpm: numberOr(field(dto, 'maxTorqueRpm'), 0),
+  maxBoost: numberOr(field(dto, 'maxBoost'), 0),
+  powerToWeightRatio: numberOr(field(dto, 'powerToWeightRatio'), 0)
+} : null);
+
+// DynoRunResponseDto - the saved-run list and upload/update responses
+export const normalizeRunSummary = (dto) => {
+  const car = field(dto, 'car');
+  return {
+    id: numberOr(field(dto, 'id'), null),
+    fileName: field(dto, 'fileName') ?? '',
+    createdAt: field(dto, 'createdAt') ?? null,
+    car: {
+      name: field(car, 'name') ?? '',
+      weight: numberOr(field(car, 'weight'), 0),
+      displacement: numberOr(field(car, 'displacement'), 0),
+      driveType: field(car, 'driveType') ?? ''
+    },
+    gearUsed: numberOr(field(dto, 'gearUsed'), 0),
+    smoothingLevel: numberOr(field(dto, 'smoothingLevel'), 0),
+    calculationMethod: field(dto, 'calculationMethod') ?? '',
+    peaks: normalizePeaks(field(dto, 'peaks')),
+    notes: field(dto, 'notes') ?? '',
+    isPublic: Boolean(field(dto, 'isPublic')),
+    dataPointCount: numberOr(field(dto, 'dataPointCount'), 0)
+  };
+};
+
+// DynoRunDetailDto - a summary plus its curve
+export const normalizeRunDetail = (dto) => ({
+  ...normalizeRunSummary(dto),
+  dataPoints: (field(dto, 'dataPoints') || []).map(normalizeDataPoint)
+});
+
+// True for requests that were cancelled - by a newer request with the same
+// key or by cancel(). Callers ignore these rather than reporting them.
+export const isCancelledRequest = (error) => Boolean(error?.cancelled);
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(new axios.CanceledError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  }, { once: true });
+});
+
+const retryDelay = (error, attempt, options) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter) && retryAfter > 0
+    ? retryAfter * 1000
+    : options.baseDelay * 2 ** attempt;
+  return Math.min(delay, options.maxDelay);
+};
+
+const isTransient = (error, method) => {
+  if (!RETRY_METHODS.includes(method)) return false;
+  if (!error.response) return true; // network error or timeout
+  return RETRY_STATUSES.includes(error.response.status);
+};
+
+// axios errors -> Error with a readable message, plus status when the API
+// answered and cancelled when the request was aborted
+const toApiError = (error, baseURL) => {
+  if (axios.isCancel(error)) {
+    return Object.assign(new Error('Request cancelled'), { cancelled: true });
+  }
+  if (error.response) {
+    const { status, statusText, data } = error.response;
+    const detail = typeof data === 'string' && data ? data : (data?.title || data?.message || statusText);
+    return Object.assign(new Error(`API error (${status}): ${detail}`), { status });
+  }
+  return new Error(`Cannot connect to the API at ${baseURL}. Make sure VirtualDyno.API is running.`);
+};
+
+const list = (data) => {
+  if (!Array.isArray(data)) throw new Error('API returned an unexpected response');
+  return data;
+};
+
+// One client per base URL. Requests made with the same key cancel each
+// other, so only the newest answer arrives.
+export const createApiClient = ({ baseURL = loadApiBaseUrl(), retry = DEFAULT_RETRY, timeout = REQUEST_TIMEOUT } = {}) => {
+  const http = axios.create({ baseURL, timeout });
+  const inFlight = new Map();
+
+  const cancel = (key) => {
+    const controller = inFlight.get(key);
+    if (controller) controller.abort();
+    inFlight.delete(key);
+  };
+
+  const request = async (config, { key = null, retry: retryOverride } = {}) => {
+    const retryOptions = { ...retry, ...retryOverride };
+    const method = (config.method || 'get').toLowerCase();
+    const controller = new AbortController();
+    if (key) {
+      cancel(key);
+      inFlight.set(key, controller);
+    }
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await http.request({ ...config, method, signal: controller.signal });
+          return response.data;
+        } catch (error) {
+          if (axios.isCancel(error) || attempt >= retryOptions.retries || !isTransient(error, method)) throw error;
+
+          const delay = retryDelay(error, attempt, retryOptions);
+          console.warn(`⚠️ ${method.toUpperCase()} ${config.url} failed (${error.response?.status || error.code}), retrying in ${delay} ms`);
+          await wait(delay, controller.signal);
+        }
+      }
+    } catch (error) {
+      throw toApiError(error, baseURL);
+    } finally {
+      if (key && inFlight.get(key) === controller) inFlight.delete(key);
+    }
+  };
+
+  return {
+    baseURL,
+    cancel,
+    listCarPresets: async () => list(await request({ url: '/api/carpresets' }, { key: 'presets' })).map(normalizeCarPreset),
+    uploadRun: async (formData) => normalizeRunSummary(await request({ method: 'post', url: '/api/dyno/upload', data: formData })),
+    listRuns: async () => list(await request({ url: '/api/dyno/runs' }, { key: 'runs' })).map(normalizeRunSummary),
+    // key: pass one when only the newest of several opens should land
+    getRun: async (runId, { key = null } = {}) => normalizeRunDetail(await request({ url: `/api/dyno/runs/${runId}` }, { key })),
+    updateRun: async (runId, changes) => normalizeRunSummary(await request({ method: 'patch', url: `/api/dyno/runs/${runId}`, data: changes })),
+    // Already gone counts as deleted
+    deleteRun: (runId) => request({
+      method: 'delete',
+      url: `/api/dyno/runs/${runId}`,
+      validateStatus: status => (status >= 200 && status < 300) || status === 404
+    })
+  };
+};
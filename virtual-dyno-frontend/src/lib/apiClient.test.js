@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import {
+  createApiClient,
+  normalizeBaseUrl,
+  normalizeRunDetail,
+  isCancelledRequest
+} from './apiClient';
+
+// Local stand-in for VirtualDyno.API. Each test sets `routes`:
+// { 'GET /api/...': (req, res, hit) => ... }; `hits` counts calls per route.
+let server;
+let baseURL;
+let routes;
+let hits;
+
+const json = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    const route = `${req.method} ${req.url}`;
+    hits[route] = (hits[route] || 0) + 1;
+    const handler = routes[route];
+    if (handler) handler(req, res, hits[route]);
+    else json(res, 404, { title: 'Not Found' });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(() => done());
+});
+
+beforeEach(() => {
+  routes = {};
+  hits = {};
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => console.warn.mockRestore());
+
+const client = () => createApiClient({ baseURL, retry: { retries: 2, baseDelay: 5, maxDelay: 50 } });
+
+const RUN_DTO = {
+  id: 7,
+  fileName: 'pull.csv',
+  createdAt: '2025-06-01T10:00:00Z',
+  car: { name: 'Mazdaspeed3', weight: 3200, displacement: 2.3, driveType: 'FWD' },
+  gearUsed: 3,
+  smoothingLevel: 1,
+  calculationMethod: 'MAF-based (most accurate)',
+  peaks: { maxHorsepower: 239.5, maxHorsepowerRpm: 5660, maxTorque: 287.9, maxTorqueRpm: 3482, maxBoost: 18.9, powerToWeightRatio: 74.8 },
+  notes: '',
+  isPublic: false,
+  dataPointCount: 2,
+  dataPoints: [{ rpm: 3000, horsepower: 120.5, torque: 211, boost: 9.1 }, { rpm: 3100, horsepower: '131.2', torque: 222.3, boost: null }]
+};
+
+describe('normalization', () => {
+  test('run details come out in one shape, numbers as numbers', () => {
+    const run = normalizeRunDetail(RUN_DTO);
+
+    expect(run.id).toBe(7);
+    expect(run.car.name).toBe('Mazdaspeed3');
+    expect(run.peaks.maxHorsepower).toBe(239.5);
+    expect(run.dataPoints[1]).toEqual({ rpm: 3100, horsepower: 131.2, torque: 222.3, boost: 0 });
+  });
+
+  test('PascalCase responses read the same', () => {
+    const pascal = {
+      Id: 7,
+      FileName: 'pull.csv',
+      Car: { Name: 'Mazdaspeed3', Weight: 3200 },
+      GearUsed: 3,
+      Peaks: { MaxHorsepower: 239.5 },
+      DataPoints: [{ Rpm: 3000, Horsepower: 120.5, Torque: 211, Boost: 9.1 }]
+    };
+    const run = normalizeRunDetail(pascal);
+
+    expect(run.fileName).toBe('pull.csv');
+    expect(run.car.weight).toBe(3200);
+    expect(run.peaks.maxHorsepower).toBe(239.5);
+    expect(run.dataPoints).toEqual([{ rpm: 3000, horsepower: 120.5, torque: 211, boost: 9.1 }]);
+  });
+
+  test('base URLs are tidied or rejected', () => {
+    expect(normalizeBaseUrl('localhost:5038/')).toBe('http://localhost:5038');
+    expect(normalizeBaseUrl(' https://dyno.example.com/ ')).toBe('https://dyno.example.com');
+    expect(normalizeBaseUrl('ftp://dyno')).toBeNull();
+    expect(normalizeBaseUrl('')).toBeNull();
+  });
+});
+
+describe('requests', () => {
+  test('fetches and normalizes a run', async () => {
+    routes['GET /api/dyno/runs/7'] = (req, res) => json(res, 200, RUN_DTO);
+
+    const run = await client().getRun(7);
+
+    expect(run.dataPoints).toHaveLength(2);
+    expect(run.peaks.maxTorqueRpm).toBe(3482);
+  });
+
+  test('retries transient failures with backoff', async () => {
+    routes['GET /api/dyno/runs'] = (req, res, hit) => (hit < 3 ? json(res, 503, { title: 'Busy' }) : json(res, 200, [RUN_DTO]));
+
+    const runs = await client().listRuns();
+
+    expect(hits['GET /api/dyno/runs']).toBe(3);
+    expect(runs[0].fileName).toBe('pull.csv');
+  });
+
+  test('gives up after the retry budget with the status on the error', async () => {
+    routes['GET /api/dyno/runs'] = (req, res) => json(res, 502, { title: 'Bad Gateway' });
+
+    await expect(client().listRuns()).rejects.toMatchObject({ status: 502, message: 'API error (502): Bad Gateway' });
+    expect(hits['GET /api/dyno/runs']).toBe(3);
+  });
+
+  test('does not retry client errors or uploads', async () => {
+    routes['GET /api/dyno/runs/9'] = (req, res) => json(res, 400, { title: 'Bad id' });
+    routes['POST /api/dyno/upload'] = (req, res) => json(res, 503, { title: 'Busy' });
+
+    await expect(client().getRun(9)).rejects.toMatchObject({ status: 400 });
+    // Jest's node environment has no FormData; any body will do here
+    await expect(client().uploadRun(new URLSearchParams({ CarPresetKey: 'mazdaspeed3' }))).rejects.toMatchObject({ status: 503 });
+
+    expect(hits['GET /api/dyno/runs/9']).toBe(1);
+    expect(hits['POST /api/dyno/upload']).toBe(1);
+  });
+
+  test('honours Retry-After, capped at maxDelay', async () => {
+    routes['GET /api/carpresets'] = (req, res, hit) => (hit === 1
+      ? json(res, 429, { title: 'Slow down' }, { 'Retry-After': '30' })
+      : json(res, 200, [{ key: 'mazdaspeed3', name: 'Mazdaspeed3', gearRatios: { 1: 3.5 } }]));
+
+    const started = Date.now();
+    const presets = await client().listCarPresets();
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(presets[0].gearRatios).toEqual({ 1: 3.5 });
+  });
+
+  test('a 404 on delete counts as deleted', async () => {
+    await expect(client().deleteRun(41)).resolves.toBeDefined();
+  });
+
+  test('patches a run and returns the updated summary', async () => {
+    routes['PATCH /api/dyno/runs/7'] = (req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => json(res, 200, { ...RUN_DTO, ...JSON.parse(body) }));
+    };
+
+    const updated = await client().updateRun(7, { fileName: 'renamed.csv' });
+
+    expect(updated.fileName).toBe('renamed.csv');
+    expect(updated).not.toHaveProperty('dataPoints');
+  });
+
+  test('reports when the API cannot be reached', async () => {
+    const offline = createApiClient({ baseURL: 'http://127.0.0.1:1', retry: { retries: 1, baseDelay: 1, maxDelay: 1 } });
+
+    await expect(offline.listRuns()).rejects.toThrow('Cannot connect to the API at http://127.0.0.1:1');
+  });
+});
+
+describe('cancellation', () => {
+  test('opening a newer run cancels the older one with the same key', async () => {
+    routes['GET /api/dyno/runs/7'] = (req, res) => setTimeout(() => json(res, 200, RUN_DTO), 200);
+    routes['GET /api/dyno/runs/8'] = (req, res) => json(res, 200, { ...RUN_DTO, id: 8 });
+    const api = client();
+
+    const older = api.getRun(7, { key: 'run' });
+    const newer = api.getRun(8, { key: 'run' });
+
+    expect(isCancelledRequest(await older.catch(error => error))).toBe(true);
+    expect((await newer).id).toBe(8);
+  });
+
+  test('reloading the run list cancels the older load', async () => {
+    routes['GET /api/dyno/runs'] = (req, res) => setTimeout(() => json(res, 200, [RUN_DTO]), 100);
+    const api = client();
+
+    const older = api.listRuns();
+    const newer = api.listRuns();
+
+    expect(isCancelledRequest(await older.catch(error => error))).toBe(true);
+    expect((await newer)[0].id).toBe(7);
+  });
+
+  test('cancel() stops a request, including its retries', async () => {
+    routes['GET /api/dyno/runs'] = (req, res) => json(res, 503, {});
+    const api = createApiClient({ baseURL, retry: { retries: 5, baseDelay: 100, maxDelay: 100 } });
+
+    const pending = api.listRuns();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    api.cancel('runs');
+
+    const error = await pending.catch(e => e);
+    expect(isCancelledRequest(error)).toBe(true);
+    expect(hits['GET /api/dyno/runs']).toBe(1);
+  });
+});
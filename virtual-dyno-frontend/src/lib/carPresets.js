@@ -0,0 +1,187 @@
+// Vehicle presets
+// Mirrors the CarPresets seed data in ApplicationDbContext so the frontend can
+// work out gearing without the API. Tire diameters (inches) are the stock
+// sizes - the API does not store them.
+
+export const DEFAULT_CAR_PRESETS = [
+  {
+    key: 'mazdaspeed3',
+    name: 'Mazdaspeed3',
+    weight: 3200,
+    displacement: 2.3,
+    driveType: 'FWD',
+    // ~80 rpm/mph in 3rd on the stock 215/45R18, as the sample log reads
+    gearRatios: { 3: 1.38, 4: 1.0, 5: 0.77 },
+    finalDrive: 4.438,
+    tireDiameter: 25.6
+  },
+  {
+    key: 'wrx',
+    name: 'Subaru WRX',
+    weight: 3267,
+    displacement: 2.0,
+    driveType: 'AWD',
+    gearRatios: { 3: 2.37, 4: 1.72, 5: 1.34 },
+    finalDrive: 4.11,
+    tireDiameter: 25.0
+  },
+  {
+    key: 'sti',
+    name: 'Subaru STI',
+    weight: 3391,
+    displacement: 2.5,
+    driveType: 'AWD',
+    gearRatios: { 3: 2.37, 4: 1.72, 5: 1.34 },
+    finalDrive: 4.11,
+    tireDiameter: 25.7
+  },
+  {
+    key: 'evo',
+    name: 'Mitsubishi Evo',
+    weight: 3263,
+    displacement: 2.0,
+    driveType: 'AWD',
+    gearRatios: { 3: 2.27, 4: 1.65, 5: 1.28 },
+    finalDrive: 4.53,
+    tireDiameter: 25.7
+  },
+  {
+    key: 'gti',
+    name: 'VW Golf GTI',
+    weight: 3126,
+    displacement: 2.0,
+    driveType: 'FWD',
+    gearRatios: { 3: 2.13, 4: 1.45, 5: 1.13 },
+    finalDrive: 3.65,
+    tireDiameter: 25.0
+  },
+  {
+    key: 'focus_st',
+    name: 'Ford Focus ST',
+    weight: 3223,
+    displacement: 2.0,
+    driveType: 'FWD',
+    gearRatios: { 3: 2.13, 4: 1.45, 5: 1.13 },
+    finalDrive: 3.82,
+    tireDiameter: 25.4
+  }
+];
+
+export const findCarPreset = (key, presets = DEFAULT_CAR_PRESETS) =>
+  presets.find(p => p.key === key) || null;
+
+export const DEFAULT_TIRE_DIAMETER = 25.0;
+const MM_PER_INCH = 25.4;
+export const DRIVE_TYPES = ['FWD', 'RWD', 'AWD'];
+
+const PRESET_CACHE_KEY = 'virtualDyno.carPresets';
+const CUSTOM_VEHICLES_KEY = 'virtualDyno.customVehicles';
+
+// "3rd", "4th" ...
+export const gearLabel = (n) => `${n}${n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th'}`;
+
+// Gears the vehicle has a ratio for, lowest first
+export const gearList = (preset) =>
+  Object.entries(preset?.gearRatios || {})
+    .filter(([, ratio]) => ratio > 0)
+    .map(([gear]) => Number(gear))
+    .sort((a, b) => a - b);
+
+// Tire diameter in inches from a sidewall size ("225/40R18", "225/40ZR18",
+// "225/40-18") or a plain diameter in inches. null if it can't be read.
+export const parseTireSize = (text) => {
+  const value = String(text ?? '').trim().toUpperCase();
+  const metric = value.match(/^P?(\d{3})\s*\/\s*(\d{2})\s*(?:Z?R|-)\s*(\d{2}(?:\.\d)?)$/);
+  if (metric) {
+    const [, width, aspect, rim] = metric.map(Number);
+    return Math.round(((2 * width * aspect) / 100 / MM_PER_INCH + rim) * 10) / 10;
+  }
+  const inches = parseFloat(value);
+  return /^\d+(\.\d+)?$/.test(value) && inches >= 15 && inches <= 40 ? inches : null;
+};
+
+// What the gear maths needs from a vehicle; tireDiameter overrides the
+// vehicle's own size when given
+export const vehicleGearing = (vehicle, tireDiameter) => (vehicle ? {
+  gearRatios: vehicle.gearRatios || {},
+  finalDrive: vehicle.finalDrive,
+  tireDiameter: tireDiameter || vehicle.tireDiameter || DEFAULT_TIRE_DIAMETER
+} : null);
+
+// CarPresetDto from GET /api/carpresets -> frontend preset. The API has no
+// tire size, so the stock one is taken from the built-in copy.
+export const normalizeCarPreset = (dto) => {
+  const builtIn = findCarPreset(dto.key);
+  const gearRatios = {};
+  Object.entries(dto.gearRatios || {}).forEach(([gear, ratio]) => {
+    gearRatios[Number(gear)] = ratio;
+  });
+
+  return {
+    key: dto.key,
+    name: dto.name,
+    weight: dto.weight,
+    displacement: dto.displacement,
+    driveType: dto.driveType,
+    gearRatios,
+    finalDrive: dto.finalDrive,
+    tireDiameter: builtIn?.tireDiameter ?? DEFAULT_TIRE_DIAMETER
+  };
+};
+
+// Last preset list the API returned, for working offline
+export const loadCachedCarPresets = () => {
+  try {
+    const cached = JSON.parse(window.localStorage.getItem(PRESET_CACHE_KEY) || 'null');
+    return Array.isArray(cached) && cached.length > 0 ? cached : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const cacheCarPresets = (presets) => {
+  try {
+    window.localStorage.setItem(PRESET_CACHE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn('⚠️ Could not cache car presets:', error);
+  }
+};
+
+// User-defined vehicles. They only exist in this browser, so runs with them
+// are always calculated locally.
+export const loadCustomVehicles = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CUSTOM_VEHICLES_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(vehicle => ({ ...vehicle, custom: true })) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveCustomVehicles = (vehicles) => {
+  try {
+    window.localStorage.setItem(CUSTOM_VEHICLES_KEY, JSON.stringify(vehicles));
+  } catch (error) {
+    console.warn('⚠️ Could not save custom vehicles:', error);
+  }
+};
+
+export const customVehicleKey = (name, existingKeys = []) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'vehicle';
+  let key = `custom_${slug}`;
+  for (let n = 2; existingKeys.includes(key); n++) key = `custom_${slug}_${n}`;
+  return key;
+};
+
+// Returns a list of problems; empty when the vehicle can be used
+export const validateVehicle = (vehicle) => {
+  const errors = [];
+  if (!vehicle.name || !vehicle.name.trim()) errors.push('Name is required');
+  if (!(vehicle.weight >= 1000 && vehicle.weight <= 10000)) errors.push('Weight must be 1000-10000 lbs');
+  if (!(vehicle.displacement > 0 && vehicle.displacement <= 10)) errors.push('Displacement must be 0-10 L');
+  if (!DRIVE_TYPES.includes(vehicle.driveType)) errors.push('Drive type must be FWD, RWD or AWD');
+  if (!(vehicle.finalDrive > 0)) errors.push('Final drive ratio is required');
+  if (!(vehicle.tireDiameter >= 15 && vehicle.tireDiameter <= 40)) errors.push('Tire diameter must be 15-40 in');
+  if (gearList(vehicle).length === 0) errors.push('At least one gear ratio is required');
+  return errors;
+};
@@ -0,0 +1,109 @@
+import {
+  normalizeCarPreset,
+  loadCachedCarPresets,
+  cacheCarPresets,
+  loadCustomVehicles,
+  saveCustomVehicles,
+  customVehicleKey,
+  validateVehicle,
+  gearList,
+  gearLabel,
+  parseTireSize,
+  vehicleGearing
+} from './carPresets';
+
+// Shape of GET /api/carpresets - gear keys arrive as JSON strings
+const API_PRESET = {
+  key: 'wrx',
+  name: 'Subaru WRX',
+  weight: 3267,
+  displacement: 2.0,
+  driveType: 'AWD',
+  gearRatios: { 3: 2.37, 4: 1.72, 5: 1.34 },
+  finalDrive: 4.11
+};
+
+const CUSTOM = {
+  key: 'custom_miata',
+  name: 'Miata',
+  weight: 2400,
+  displacement: 1.8,
+  driveType: 'RWD',
+  forcedInduction: false,
+  gearRatios: { 2: 2.06, 3: 1.42, 4: 1.0 },
+  finalDrive: 4.1,
+  tireDiameter: 23.4
+};
+
+beforeEach(() => window.localStorage.clear());
+
+describe('normalizeCarPreset', () => {
+  test('converts gear keys to numbers and adds the stock tire size', () => {
+    const preset = normalizeCarPreset(JSON.parse(JSON.stringify(API_PRESET)));
+
+    expect(preset.gearRatios).toEqual({ 3: 2.37, 4: 1.72, 5: 1.34 });
+    expect(gearList(preset)).toEqual([3, 4, 5]);
+    expect(preset.tireDiameter).toBe(25.0);
+  });
+
+  test('falls back to a default tire size for presets the frontend does not know', () => {
+    expect(normalizeCarPreset({ ...API_PRESET, key: 'brz' }).tireDiameter).toBe(25.0);
+  });
+});
+
+describe('local storage', () => {
+  test('caches the preset list for offline use', () => {
+    expect(loadCachedCarPresets()).toBeNull();
+    cacheCarPresets([normalizeCarPreset(API_PRESET)]);
+    expect(loadCachedCarPresets()[0].key).toBe('wrx');
+  });
+
+  test('round-trips custom vehicles and marks them custom', () => {
+    saveCustomVehicles([CUSTOM]);
+    expect(loadCustomVehicles()).toEqual([{ ...CUSTOM, custom: true }]);
+  });
+
+  test('survives corrupt storage', () => {
+    window.localStorage.setItem('virtualDyno.customVehicles', '{nope');
+    expect(loadCustomVehicles()).toEqual([]);
+  });
+});
+
+describe('custom vehicles', () => {
+  test('keys are unique slugs', () => {
+    expect(customVehicleKey('My Miata NB')).toBe('custom_my_miata_nb');
+    expect(customVehicleKey('Miata', ['custom_miata'])).toBe('custom_miata_2');
+  });
+
+  test('validateVehicle lists every problem', () => {
+    expect(validateVehicle(CUSTOM)).toEqual([]);
+    expect(validateVehicle({ ...CUSTOM, name: ' ', driveType: '4WD', gearRatios: {} })).toEqual([
+      'Name is required',
+      'Drive type must be FWD, RWD or AWD',
+      'At least one gear ratio is required'
+    ]);
+  });
+
+  test('gear list ignores empty ratios', () => {
+    expect(gearList({ gearRatios: { 2: 2.06, 3: 0, 4: 1.0 } })).toEqual([2, 4]);
+    expect(gearLabel(2)).toBe('2nd');
+    expect(gearLabel(4)).toBe('4th');
+  });
+
+  test('reads tire sizes as a diameter in inches', () => {
+    expect(parseTireSize('225/40R18')).toBe(25.1);
+    expect(parseTireSize(' 225/40zr18 ')).toBe(25.1);
+    expect(parseTireSize('P205/55-16')).toBe(24.9);
+    expect(parseTireSize('25.6')).toBe(25.6);
+    expect(parseTireSize('')).toBeNull();
+    expect(parseTireSize('18')).toBe(18);
+    expect(parseTireSize('225/40')).toBeNull();
+    expect(parseTireSize('100')).toBeNull();
+  });
+
+  test('gearing takes the tire size override', () => {
+    expect(vehicleGearing(CUSTOM, 26.2).tireDiameter).toBe(26.2);
+    expect(vehicleGearing(CUSTOM, null).tireDiameter).toBe(CUSTOM.tireDiameter || 25.0);
+    expect(vehicleGearing(null, 26.2)).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+// Multi-channel log viewer
+// Turns canonical log rows into per-channel series on a shared time or RPM
+// axis, and keeps track of which channels the user wants stacked.
+
+import { CHANNELS } from './columnMapping';
+import { DEFAULT_UNITS, toDisplay, unitLabel } from './units';
+
+const STORAGE_KEY = 'virtualDyno.viewerChannels';
+
+// Channels worth plotting (time and rpm are the axes) with a trace colour
+export const VIEWER_CHANNELS = {
+  afr: '#f6ad55',
+  knock: '#fc8181',
+  timing: '#b794f4',
+  boost: '#63b3ed',
+  iat: '#faf089',
+  chargeTemp: '#f6e05e',
+  ltft: '#4fd1c5',
+  stft: '#81e6d9',
+  injDuty: '#f687b3',
+  hpfp: '#90cdf4',
+  wgDuty: '#9ae6b4',
+  maf: '#cbd5e0',
+  load: '#a0aec0',
+  throttle: '#68d391',
+  pedal: '#48bb78',
+  speed: '#e2e8f0'
+};
+
+export const DEFAULT_VIEWER_CHANNELS = ['afr', 'knock', 'timing', 'boost'];
+
+export const VIEWER_AXES = {
+  time: { label: 'Time', unit: 's' },
+  rpm: { label: 'RPM', unit: 'rpm' }
+};
+
+// Channels shown in the display units rather than as logged
+const CHANNEL_QUANTITIES = {
+  afr: 'mixture',
+  boost: 'pressure',
+  hpfp: 'pressure',
+  iat: 'temperature',
+  chargeTemp: 'temperature'
+};
+
+export const channelLabel = (channel) => CHANNELS[channel]?.label || channel;
+export const channelUnit = (channel, units = DEFAULT_UNITS) =>
+  (CHANNEL_QUANTITIES[channel] ? unitLabel(CHANNEL_QUANTITIES[channel], units) : CHANNELS[channel]?.unit || '');
+
+export const channelValue = (row, channel, units = DEFAULT_UNITS) => (CHANNEL_QUANTITIES[channel]
+  ? toDisplay(CHANNEL_QUANTITIES[channel], row[channel], units)
+  : row[channel]);
+
+// Channels the log actually has numbers for, in viewer order
+export const availableChannels = (rows) =>
+  Object.keys(VIEWER_CHANNELS).filter(channel => rows.some(row => Number.isFinite(row[channel])));
+
+// The time axis needs a time column; fall back to row order
+export const axisValue = (row, index, axis) => {
+  if (axis === 'rpm') return row.rpm;
+  return Number.isFinite(row.time) ? row.time : index;
+};
+
+// [{ x, value, index }] for one channel, sorted along the axis
+export const channelSeries = (rows, channel, axis, units = DEFAULT_UNITS) => rows
+  .map((row, index) => ({ x: axisValue(row, index, axis), value: channelValue(row, channel, units), index }))
+  .filter(point => Number.isFinite(point.x) && Number.isFinite(point.value))
+  .sort((a, b) => a.x - b.x);
+
+// Min/max with a little headroom; flat channels get a band around the value
+export const seriesRange = (series) => {
+  if (series.length === 0) return { min: 0, max: 1 };
+
+  // A loop rather than Math.min(...values) - whole logs overflow the stack
+  let min = Infinity;
+  let max = -Infinity;
+  series.forEach(({ value }) => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  const pad = max > min ? (max - min) * 0.08 : Math.max(Math.abs(max) * 0.05, 1);
+  return { min: min - pad, max: max + pad };
+};
+
+// Row nearest to a cursor RPM. Pulls climb through RPM, so within one pull
+// this is the moment the engine passed that speed.
+export const rowIndexAtRpm = (rows, rpm) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  rows.forEach((row, index) => {
+    if (!Number.isFinite(row.rpm)) return;
+    const distance = Math.abs(row.rpm - rpm);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// Row nearest to a position along the axis
+export const rowIndexAtAxis = (rows, axis, x) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  rows.forEach((row, index) => {
+    const value = axisValue(row, index, axis);
+    if (!Number.isFinite(value)) return;
+    const distance = Math.abs(value - x);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+export const loadViewerChannels = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(channel => VIEWER_CHANNELS[channel]) : DEFAULT_VIEWER_CHANNELS;
+  } catch (error) {
+    return DEFAULT_VIEWER_CHANNELS;
+  }
+};
+
+export const saveViewerChannels = (channels) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(channels));
+  } catch (error) {
+    console.warn('⚠️ Could not save viewer channels:', error);
+  }
+};
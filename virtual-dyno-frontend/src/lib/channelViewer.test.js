@@ -0,0 +1,70 @@
+import {
+  availableChannels,
+  channelSeries,
+  channelUnit,
+  seriesRange,
+  rowIndexAtRpm,
+  rowIndexAtAxis,
+  loadViewerChannels,
+  saveViewerChannels,
+  DEFAULT_VIEWER_CHANNELS
+} from './channelViewer';
+import { DEFAULT_UNITS } from './units';
+
+const ROWS = [
+  { time: 0.0, rpm: 3000, afr: 12.1, knock: 0, timing: 10, boost: null },
+  { time: 0.1, rpm: 3400, afr: 11.8, knock: 0, timing: 11, boost: null },
+  { time: 0.2, rpm: 3900, afr: 11.5, knock: 2.1, timing: 8, boost: null },
+  { time: 0.3, rpm: 4500, afr: null, knock: 0.5, timing: 12, boost: null }
+];
+
+describe('series', () => {
+  test('only offers channels the log has values for', () => {
+    expect(availableChannels(ROWS)).toEqual(['afr', 'knock', 'timing']);
+  });
+
+  test('builds a series on either axis, skipping gaps', () => {
+    expect(channelSeries(ROWS, 'afr', 'time').map(p => p.x)).toEqual([0, 0.1, 0.2]);
+    expect(channelSeries(ROWS, 'knock', 'rpm').map(p => [p.x, p.value])).toEqual([[3000, 0], [3400, 0], [3900, 2.1], [4500, 0.5]]);
+  });
+
+  test('unit-bearing channels come out in the display units', () => {
+    const metric = { ...DEFAULT_UNITS, mixture: 'lambda' };
+    expect(channelSeries(ROWS, 'afr', 'time', metric)[0].value).toBeCloseTo(ROWS[0].afr / 14.7, 6);
+    expect(channelUnit('afr', metric)).toBe('λ');
+    expect(channelUnit('knock', metric)).toBe('°');
+  });
+
+  test('falls back to row order when the log has no time column', () => {
+    const rows = ROWS.map(({ time, ...row }) => row);
+    expect(channelSeries(rows, 'timing', 'time').map(p => p.x)).toEqual([0, 1, 2, 3]);
+  });
+
+  test('range pads the data and widens flat channels', () => {
+    expect(seriesRange(channelSeries(ROWS, 'timing', 'rpm'))).toEqual({ min: 7.68, max: 12.32 });
+    expect(seriesRange([{ value: 0 }])).toEqual({ min: -1, max: 1 });
+  });
+});
+
+describe('cursor', () => {
+  test('maps a cursor RPM or axis position to the nearest row', () => {
+    expect(rowIndexAtRpm(ROWS, 3850)).toBe(2);
+    expect(rowIndexAtAxis(ROWS, 'time', 0.26)).toBe(3);
+    expect(rowIndexAtRpm([], 3000)).toBe(-1);
+  });
+});
+
+describe('channel selection', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('defaults, round-trips and drops unknown channels', () => {
+    expect(loadViewerChannels()).toEqual(DEFAULT_VIEWER_CHANNELS);
+    saveViewerChannels(['ltft', 'nope', 'afr']);
+    expect(loadViewerChannels()).toEqual(['ltft', 'afr']);
+  });
+});
+
+test('ranges a whole long log without overflowing the stack', () => {
+  const series = Array.from({ length: 500000 }, (_, i) => ({ value: i % 1000 }));
+  expect(seriesRange(series)).toEqual({ min: -79.92, max: 1078.92 });
+});
@@ -0,0 +1,346 @@
+// Column mapping registry
+// Normalizes vendor log headers (AccessPort, Hondata, Torque/OBD apps) to the
+// canonical channels the dyno works with. Canonical units are fixed - every
+// conversion happens here so nothing downstream has to care what logged it.
+
+import { splitHeaderUnit } from './csvParser';
+
+const STORAGE_KEY = 'virtualDyno.columnMappings';
+const ATMOSPHERIC_KPA = 101.325;
+const KPA_TO_PSI = 0.145038;
+const STOICH_AFR = 14.7;
+// applyMapping reports progress every this many rows
+const PROGRESS_ROWS = 20000;
+
+export const CHANNELS = {
+  time: { label: 'Time', unit: 's' },
+  rpm: { label: 'RPM', unit: 'rpm', required: true },
+  maf: { label: 'Mass Airflow', unit: 'g/s' },
+  map: { label: 'Manifold Pressure', unit: 'kPa abs' },
+  load: { label: 'Engine Load', unit: 'fraction' },
+  afr: { label: 'Air/Fuel Ratio', unit: 'AFR' },
+  knock: { label: 'Knock Retard', unit: '°' },
+  iat: { label: 'Intake Air Temp', unit: '°F' },
+  speed: { label: 'Vehicle Speed', unit: 'mph' },
+  boost: { label: 'Boost', unit: 'psi' },
+  throttle: { label: 'Throttle Position', unit: '%' },
+  pedal: { label: 'Accelerator Pedal', unit: '%' },
+  timing: { label: 'Ignition Timing', unit: '°' },
+  chargeTemp: { label: 'Charge Air Temp', unit: '°F' },
+  ltft: { label: 'Long Term Fuel Trim', unit: '%' },
+  stft: { label: 'Short Term Fuel Trim', unit: '%' },
+  injDuty: { label: 'Injector Duty', unit: '%' },
+  hpfp: { label: 'Fuel Rail Pressure', unit: 'psi' },
+  wgDuty: { label: 'Wastegate Duty', unit: '%' }
+};
+
+// Generic header aliases, checked in order. Mirrors the backend's
+// CsvProcessingService.ColumnMappings so both sides agree on a log.
+const GENERIC_ALIASES = {
+  time: ['time (sec)', 'time', 'timestamp', 'device time', 'elapsed time', 'seconds'],
+  rpm: ['rpm', 'engine speed', 'engine rpm'],
+  maf: ['mass airflow', 'mass air flow rate', 'mass air flow', 'maf', 'airflow', 'air flow'],
+  map: ['manifold absolute pressure', 'intake manifold pressure', 'map', 'manifold pressure'],
+  load: ['calculated load', 'engine load', 'calculated engine load', 'load'],
+  afr: ['actual afr', 'wideband afr', 'wb afr', 'afr bank 1', 'air fuel ratio', 'air/fuel ratio', 'a/f ratio', 'afr', 'lambda', 'af'],
+  knock: [
+    'knock retard', 'feedback knock', 'fine knock learn', 'knock correction', 'k.retard',
+    'knock retard cyl', 'ignition timing retard', 'timing retard', 'spark retard', 'knock'
+  ],
+  iat: ['intake temp', 'intake air temperature', 'intake air temp', 'iat', 'boost air temp', 'charge air temp'],
+  speed: ['vehicle speed', 'speed (obd)', 'gps speed', 'vss', 'speed'],
+  boost: ['boost', 'turbo boost & vacuum gauge', 'boost pressure', 'boost psi'],
+  throttle: ['throttle position', 'throttle pos', 'throttle', 'tps'],
+  pedal: ['accel. pedal pos', 'accel. position', 'accelerator pedal position', 'accel pedal', 'pedal position', 'app'],
+  timing: ['spark adv', 'spark advance', 'ignition timing', 'ignition advance', 'timing advance', 'ign timing', 'ign. timing'],
+  chargeTemp: ['boost air temp', 'charge air temp', 'charge temp', 'manifold air temp', 'post intercooler temp'],
+  ltft: ['long term ft', 'long term fuel trim', 'lt fuel trim', 'ltft', 'a/f learning'],
+  stft: ['short term ft', 'short term fuel trim', 'st fuel trim', 'stft', 'a/f correction'],
+  injDuty: ['inj. duty cycle', 'injector duty cycle', 'injector duty', 'inj duty', 'idc'],
+  hpfp: ['hpfp act. press.', 'hpfp actual pressure', 'fuel rail pressure', 'rail pressure', 'fuel pressure', 'hpfp'],
+  wgDuty: ['wastegate duty', 'wg duty', 'wgdc', 'boost control duty']
+};
+
+// Vendor profiles pin exact headers for a known layout; anything they do
+// not list falls back to the generic aliases.
+export const PROFILES = [
+  {
+    id: 'accessport_mazda',
+    name: 'Mazda AccessPort',
+    detect: headers => headers.includes('Calculated Load (Load)') && headers.includes('Mass Airflow (g/s)'),
+    columns: {
+      time: 'Time (sec)',
+      rpm: 'RPM (RPM)',
+      maf: 'Mass Airflow (g/s)',
+      load: 'Calculated Load (Load)',
+      afr: 'Actual AFR (AFR)',
+      knock: 'Knock Retard (°)',
+      iat: 'Intake Temp. (F)',
+      speed: 'Vehicle Speed (mph)',
+      boost: 'Boost (psi)',
+      throttle: 'Throttle Position (%)',
+      pedal: 'Accel. Pedal Pos. (%)',
+      timing: 'Spark Adv. (°)',
+      chargeTemp: 'Boost Air Temp. (F)',
+      ltft: 'Long Term FT (%)',
+      stft: 'Short Term FT (%)',
+      injDuty: 'Inj. Duty Cycle (%)',
+      hpfp: 'HPFP Act. Press. (psi)',
+      wgDuty: 'Wastegate Duty (%)'
+    }
+  },
+  {
+    id: 'accessport_subaru',
+    name: 'Subaru AccessPort',
+    detect: headers => headers.some(h => /^feedback knock/i.test(h) || /^dam\b/i.test(h)),
+    columns: {
+      time: 'Time (sec)',
+      rpm: 'RPM (RPM)',
+      maf: 'MAF (g/s)',
+      load: 'Calculated Load (g/rev)',
+      afr: 'AF Sens 1 Ratio (AFR)',
+      knock: 'Feedback Knock (°)',
+      iat: 'Intake Temp (F)',
+      speed: 'Vehicle Speed (mph)',
+      boost: 'Boost (psi)',
+      throttle: 'Throttle Pos. (%)',
+      pedal: 'Accel. Position (%)'
+    }
+  },
+  {
+    id: 'hondata',
+    name: 'Hondata',
+    detect: headers => headers.some(h => /^map \(kpa\)$/i.test(h)) && headers.some(h => /^(knock count|k\.retard)/i.test(h)),
+    columns: {
+      time: 'Time',
+      rpm: 'RPM',
+      map: 'MAP (kPa)',
+      load: 'Engine Load (%)',
+      afr: 'AFR Bank 1',
+      knock: 'K.Retard',
+      iat: 'IAT (C)',
+      speed: 'VSS (km/h)',
+      throttle: 'TPS (%)'
+    }
+  },
+  {
+    id: 'torque_obd',
+    name: 'Torque / OBD app',
+    detect: headers => headers.some(h => /^engine rpm\s*\(rpm\)$/i.test(h)) || headers.some(h => /^device time$/i.test(h)),
+    columns: {
+      time: 'Device Time',
+      rpm: 'Engine RPM(rpm)',
+      maf: 'Mass Air Flow Rate(g/s)',
+      map: 'Intake Manifold Pressure(kpa)',
+      load: 'Engine Load(%)',
+      afr: 'Air Fuel Ratio(Measured)(:1)',
+      iat: 'Intake Air Temperature(°F)',
+      speed: 'Speed (OBD)(mph)',
+      boost: 'Turbo Boost & Vacuum Gauge(psi)',
+      throttle: 'Throttle Position(Manifold)(%)'
+    }
+  }
+];
+
+const GENERIC_PROFILE = { id: 'generic', name: 'Generic OBD / CSV', columns: {} };
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Unit from the trailing "(unit)" of a header, e.g. "Engine RPM(rpm)"
+const headerUnit = (header) => {
+  const { unit } = splitHeaderUnit(header);
+  if (unit) return unit;
+  const match = /\(([^()]*)\)\s*$/.exec(header);
+  return match ? match[1].trim() : '';
+};
+
+// Value converters into canonical units, keyed by channel then lower-cased unit
+const UNIT_CONVERSIONS = {
+  time: {
+    ms: v => v / 1000
+  },
+  map: {
+    psi: v => v / KPA_TO_PSI,
+    bar: v => v * 100,
+    'inhg': v => v * 3.38639
+  },
+  boost: {
+    kpa: v => v * KPA_TO_PSI,
+    bar: v => v * 14.5038
+  },
+  load: {
+    '%': v => v / 100
+  },
+  afr: {
+    lambda: v => v * STOICH_AFR,
+    λ: v => v * STOICH_AFR
+  },
+  iat: {
+    c: v => v * 9 / 5 + 32,
+    '°c': v => v * 9 / 5 + 32
+  },
+  chargeTemp: {
+    c: v => v * 9 / 5 + 32,
+    '°c': v => v * 9 / 5 + 32
+  },
+  hpfp: {
+    kpa: v => v * KPA_TO_PSI,
+    bar: v => v * 14.5038,
+    mpa: v => v * 145.038
+  },
+  speed: {
+    'km/h': v => v * 0.621371,
+    kph: v => v * 0.621371,
+    kmh: v => v * 0.621371
+  }
+};
+
+// Identify the unit a column is logged in, falling back on channel defaults
+export const detectUnit = (channel, header) => {
+  const unit = headerUnit(header).toLowerCase();
+  const name = normalize(splitHeaderUnit(header).name);
+
+  if (channel === 'afr' && (name.includes('lambda') || unit === 'lambda' || unit === 'λ')) return 'lambda';
+  if (channel === 'map' && !unit) return 'kpa';
+  return unit;
+};
+
+export const convertValue = (channel, unit, value) => {
+  const converter = UNIT_CONVERSIONS[channel]?.[unit];
+  return converter ? converter(value) : value;
+};
+
+// Stable signature for a logger layout, used to remember overrides
+export const headerSignature = (headers) => {
+  const text = headers.map(normalize).sort().join('|');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return `h${hash.toString(16)}-${headers.length}`;
+};
+
+const findByAlias = (headers, aliases, claimed) => {
+  const candidates = headers.filter(h => !claimed.has(h));
+
+  // Exact name match first ("RPM" before "RPM Limit"), then substring
+  for (const alias of aliases) {
+    const exact = candidates.find(h => normalize(splitHeaderUnit(h).name) === alias || normalize(h) === alias);
+    if (exact) return exact;
+  }
+  for (const alias of aliases) {
+    if (alias.length < 4) continue;
+    const partial = candidates.find(h => normalize(h).includes(alias));
+    if (partial) return partial;
+  }
+  return null;
+};
+
+export const detectProfile = (headers) => PROFILES.find(p => p.detect(headers)) || GENERIC_PROFILE;
+
+// Build a mapping { channel: { header, unit } | null } for a header row.
+// Overrides (from the UI or a saved layout) win over the profile, and the
+// profile wins over generic aliases.
+export const detectMapping = (headers, overrides = {}) => {
+  const profile = detectProfile(headers);
+  const claimed = new Set();
+  const channels = {};
+
+  Object.keys(CHANNELS).forEach(channel => {
+    if (Object.prototype.hasOwnProperty.call(overrides, channel)) {
+      const header = overrides[channel];
+      if (header && headers.includes(header)) claimed.add(header);
+    }
+  });
+
+  Object.keys(CHANNELS).forEach(channel => {
+    let header = null;
+
+    if (Object.prototype.hasOwnProperty.call(overrides, channel)) {
+      header = overrides[channel] && headers.includes(overrides[channel]) ? overrides[channel] : null;
+    } else {
+      const profileHeader = profile.columns[channel];
+      if (profileHeader && headers.includes(profileHeader) && !claimed.has(profileHeader)) {
+        header = profileHeader;
+      } else {
+        header = findByAlias(headers, GENERIC_ALIASES[channel], claimed);
+      }
+      if (header) claimed.add(header);
+    }
+
+    channels[channel] = header ? { header, unit: detectUnit(channel, header) } : null;
+  });
+
+  const mappedHeaders = new Set(Object.values(channels).filter(Boolean).map(c => c.header));
+
+  return {
+    profileId: profile.id,
+    profileName: profile.name,
+    signature: headerSignature(headers),
+    channels,
+    unmapped: headers.filter(h => !mappedHeaders.has(h)),
+    overridden: Object.keys(overrides).length > 0
+  };
+};
+
+// Turn parsed columns into canonical rows: [{ time, rpm, maf, ... }].
+// Missing channels and unparseable cells come through as null.
+// onProgress(fraction) is called every few thousand rows on big logs.
+export const applyMapping = (parsed, mapping, onProgress) => {
+  const rows = [];
+  const channelEntries = Object.entries(mapping.channels).filter(([, source]) => source);
+
+  for (let i = 0; i < parsed.rowCount; i++) {
+    if (onProgress && i > 0 && i % PROGRESS_ROWS === 0) onProgress(i / parsed.rowCount);
+
+    const row = {};
+    Object.keys(CHANNELS).forEach(channel => {
+      row[channel] = null;
+    });
+
+    channelEntries.forEach(([channel, source]) => {
+      const value = parsed.columns[source.header]?.[i];
+      row[channel] = typeof value === 'number' && !Number.isNaN(value)
+        ? convertValue(channel, source.unit, value)
+        : null;
+    });
+
+    // Derive boost from absolute MAP when no boost gauge was logged
+    if (row.boost === null && row.map !== null) {
+      row.boost = (row.map - ATMOSPHERIC_KPA) * KPA_TO_PSI;
+    }
+    if (row.map === null && row.boost !== null) {
+      row.map = row.boost / KPA_TO_PSI + ATMOSPHERIC_KPA;
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Per-layout override persistence. The whole store is { signature: overrides };
+// the log worker gets all of it because it has no localStorage of its own.
+export const loadAllMappingOverrides = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+export const loadMappingOverrides = (signature) => loadAllMappingOverrides()[signature] || {};
+
+export const saveMappingOverrides = (signature, overrides) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    if (Object.keys(overrides).length === 0) {
+      delete stored[signature];
+    } else {
+      stored[signature] = overrides;
+    }
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn('⚠️ Could not save column mapping overrides:', error);
+  }
+};
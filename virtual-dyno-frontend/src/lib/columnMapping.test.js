@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import {
+  detectMapping,
+  applyMapping,
+  headerSignature,
+  loadMappingOverrides,
+  saveMappingOverrides
+} from './columnMapping';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+describe('detectMapping', () => {
+  test('recognizes the Mazda AccessPort sample log', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+    const mapping = detectMapping(parsed.headers);
+
+    expect(mapping.profileId).toBe('accessport_mazda');
+    expect(mapping.channels.rpm.header).toBe('RPM (RPM)');
+    expect(mapping.channels.maf.header).toBe('Mass Airflow (g/s)');
+    expect(mapping.channels.knock.header).toBe('Knock Retard (°)');
+    expect(mapping.channels.pedal.header).toBe('Accel. Pedal Pos. (%)');
+    expect(mapping.channels.map).toBeNull();
+    expect(mapping.channels.timing.header).toBe('Spark Adv. (°)');
+    expect(mapping.channels.chargeTemp.header).toBe('Boost Air Temp. (F)');
+    expect(mapping.channels.hpfp.header).toBe('HPFP Act. Press. (psi)');
+    expect(mapping.unmapped).toEqual(['Intake Valve Adv. (°)', 'MAF Voltage (V)']);
+  });
+
+  test('finds fuel trims, injector duty and wastegate duty by alias', () => {
+    const parsed = parseDatalog('RPM,LTFT (%),Short Term Fuel Trim,Injector Duty Cycle (%),WGDC (%),Ignition Timing,Fuel Rail Pressure (bar)\n5000,3.1,-1.5,82,64,14.5,120\n');
+    const mapping = detectMapping(parsed.headers);
+    const [row] = applyMapping(parsed, mapping);
+
+    expect(row.ltft).toBe(3.1);
+    expect(row.stft).toBe(-1.5);
+    expect(row.injDuty).toBe(82);
+    expect(row.wgDuty).toBe(64);
+    expect(row.timing).toBe(14.5);
+    expect(row.hpfp).toBeCloseTo(1740.5, 1);
+  });
+
+  test('maps Hondata headers and converts kPa, Celsius and km/h', () => {
+    const parsed = parseDatalog('Time,RPM,MAP (kPa),Engine Load (%),AFR Bank 1,K.Retard,Knock Count,IAT (C),VSS (km/h)\n0.1,5000,201.325,85,11.8,1.5,0,30,100\n');
+    const mapping = detectMapping(parsed.headers);
+    const [row] = applyMapping(parsed, mapping);
+
+    expect(mapping.profileId).toBe('hondata');
+    expect(row.rpm).toBe(5000);
+    expect(row.map).toBeCloseTo(201.325);
+    expect(row.boost).toBeCloseTo(14.5, 1);
+    expect(row.load).toBeCloseTo(0.85);
+    expect(row.iat).toBeCloseTo(86);
+    expect(row.speed).toBeCloseTo(62.14, 1);
+    expect(row.knock).toBe(1.5);
+  });
+
+  test('maps Torque app headers with units glued to the name', () => {
+    const parsed = parseDatalog('Device Time, Engine RPM(rpm), Mass Air Flow Rate(g/s), Engine Load(%), Speed (OBD)(mph), Turbo Boost & Vacuum Gauge(psi)\n12:00:00.1,4000,120,90,55,12\n');
+    const mapping = detectMapping(parsed.headers);
+    const [row] = applyMapping(parsed, mapping);
+
+    expect(mapping.profileId).toBe('torque_obd');
+    expect(row.rpm).toBe(4000);
+    expect(row.maf).toBe(120);
+    expect(row.load).toBeCloseTo(0.9);
+    expect(row.speed).toBe(55);
+    expect(row.boost).toBe(12);
+  });
+
+  test('falls back to generic aliases and converts lambda to AFR', () => {
+    const parsed = parseDatalog('Engine Speed,MAF,Load,Lambda,Throttle\n3000,60,0.8,0.8,100\n');
+    const mapping = detectMapping(parsed.headers);
+    const [row] = applyMapping(parsed, mapping);
+
+    expect(mapping.profileId).toBe('generic');
+    expect(row.rpm).toBe(3000);
+    expect(row.maf).toBe(60);
+    expect(row.afr).toBeCloseTo(11.76);
+    expect(row.throttle).toBe(100);
+    expect(row.speed).toBeNull();
+  });
+
+  test('applies overrides, including explicitly unmapping a channel', () => {
+    const headers = ['RPM', 'Airflow A', 'Airflow B'];
+    const mapping = detectMapping(headers, { maf: 'Airflow B', speed: null });
+
+    expect(mapping.channels.maf.header).toBe('Airflow B');
+    expect(mapping.unmapped).toEqual(['Airflow A']);
+    expect(mapping.overridden).toBe(true);
+  });
+});
+
+describe('override persistence', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('stores overrides per header signature', () => {
+    const signature = headerSignature(['RPM', 'MAF']);
+
+    saveMappingOverrides(signature, { maf: 'MAF' });
+
+    expect(loadMappingOverrides(signature)).toEqual({ maf: 'MAF' });
+    expect(loadMappingOverrides(headerSignature(['RPM', 'Load']))).toEqual({});
+  });
+
+  test('signature ignores column order and case', () => {
+    expect(headerSignature(['RPM', 'MAF'])).toBe(headerSignature(['maf', 'rpm']));
+  });
+
+  test('saving empty overrides clears the layout', () => {
+    const signature = headerSignature(['RPM']);
+    saveMappingOverrides(signature, { rpm: 'RPM' });
+    saveMappingOverrides(signature, {});
+
+    expect(loadMappingOverrides(signature)).toEqual({});
+  });
+});
@@ -0,0 +1,106 @@
+// Weather correction factors
+// Standard formulas dyno shops use to normalise power to reference
+// conditions. Everything is worked in kPa / °C internally; inputs come in as
+// °F, inHg and feet to match the rest of the app.
+
+const INHG_TO_KPA = 3.386389;
+const FT_TO_M = 0.3048;
+
+// factor(conditions) gets { dryKpa, totalKpa, tempC }
+export const CORRECTION_STANDARDS = {
+  sae_j1349: {
+    name: 'SAE J1349',
+    description: '25°C, 99 kPa dry air',
+    factor: ({ dryKpa, tempC }) => 1.18 * (99 / dryKpa) * Math.sqrt((tempC + 273.15) / 298.15) - 0.18
+  },
+  sae_j607: {
+    name: 'SAE J607 (STD)',
+    description: '60°F, 29.92 inHg dry air',
+    factor: ({ dryKpa, tempC }) => ((29.92 * INHG_TO_KPA) / dryKpa) * Math.sqrt((tempC + 273.15) / 288.71)
+  },
+  din_70020: {
+    name: 'DIN 70020',
+    description: '20°C, 1013 mbar',
+    factor: ({ totalKpa, tempC }) => (101.3 / totalKpa) * Math.sqrt((tempC + 273.15) / 293.15)
+  },
+  eec: {
+    name: 'EEC 80/1269',
+    description: '25°C, 99 kPa dry air',
+    factor: ({ dryKpa, tempC }) => Math.pow(99 / dryKpa, 1.2) * Math.pow((tempC + 273.15) / 298.15, 0.6)
+  },
+  uncorrected: {
+    name: 'Uncorrected',
+    description: 'Observed power',
+    factor: () => 1
+  }
+};
+
+export const DEFAULT_WEATHER = {
+  correctionStandard: 'sae_j1349',
+  baro: 29.92,          // inHg
+  altitude: 0,          // ft
+  baroIsStation: false  // true when the reading is already absolute pressure at the dyno
+};
+
+// Saturation vapor pressure over water (Buck 1981), kPa
+export const saturationVaporPressure = (tempC) =>
+  0.61121 * Math.exp((18.678 - tempC / 234.5) * (tempC / (257.14 + tempC)));
+
+// Weather-report baro is adjusted to sea level; take it back to the altitude
+// the car was actually run at
+export const stationPressure = (baroInHg, altitudeFt = 0) =>
+  baroInHg * INHG_TO_KPA * Math.pow(1 - 2.25577e-5 * altitudeFt * FT_TO_M, 5.25588);
+
+// Absolute pressure a dyno can plausibly see, from ~5,500 m up to below sea level
+export const STATION_PRESSURE_LIMITS_KPA = { min: 50, max: 110 };
+
+const totalPressure = ({ baro = DEFAULT_WEATHER.baro, altitude = DEFAULT_WEATHER.altitude, baroIsStation = DEFAULT_WEATHER.baroIsStation }) =>
+  (baroIsStation ? baro * INHG_TO_KPA : stationPressure(baro, altitude));
+
+// Why the conditions can't be corrected for, or null when they can. A blank
+// or 0 baro leaves no dry air, and the factor it gives would be multiplied
+// into every point.
+export const weatherProblem = (conditions) => {
+  const { temperature, humidity } = conditions;
+  if (!Number.isFinite(temperature)) return 'Enter a temperature';
+  if (!Number.isFinite(humidity) || humidity < 0 || humidity > 100) {
+    return `Humidity must be 0-100% (got ${humidity})`;
+  }
+
+  const { min, max } = STATION_PRESSURE_LIMITS_KPA;
+  const totalKpa = totalPressure(conditions);
+  if (!(totalKpa >= min && totalKpa <= max)) {
+    return `Baro and altitude give ${Number.isFinite(totalKpa) ? totalKpa.toFixed(1) : 'no'} kPa at the dyno - expected ${min}-${max} kPa`;
+  }
+  return null;
+};
+
+// conditions: { standard, temperature (°F), humidity (%), baro (inHg),
+// altitude (ft), baroIsStation }
+// Throws for conditions weatherProblem rejects
+export const calculateCorrectionFactor = (conditions) => {
+  const { standard = DEFAULT_WEATHER.correctionStandard, temperature, humidity } = conditions;
+  const definition = CORRECTION_STANDARDS[standard];
+  if (!definition) throw new Error(`Unknown correction standard: ${standard}`);
+
+  const problem = weatherProblem(conditions);
+  if (problem) throw new Error(problem);
+
+  const tempC = (temperature - 32) * 5 / 9;
+  const totalKpa = totalPressure(conditions);
+  const vaporKpa = (humidity / 100) * saturationVaporPressure(tempC);
+  const dryKpa = totalKpa - vaporKpa;
+
+  return {
+    standard,
+    name: definition.name,
+    factor: definition.factor({ dryKpa, totalKpa, tempC }),
+    stationPressureKpa: totalKpa,
+    vaporPressureKpa: vaporKpa,
+    dryPressureKpa: dryKpa
+  };
+};
+
+// "SAE J1349 CF 0.987" - the line dyno sheets print under the peaks
+export const formatCorrection = (correction) =>
+  correction ? `${correction.name} CF ${correction.factor.toFixed(3)}` : '';
@@ -0,0 +1,75 @@
+import {
+  calculateCorrectionFactor,
+  saturationVaporPressure,
+  stationPressure,
+  formatCorrection,
+  weatherProblem,
+  CORRECTION_STANDARDS
+} from './correctionFactors';
+
+const INHG_TO_KPA = 3.386389;
+
+describe('calculateCorrectionFactor', () => {
+  test('each standard is 1.0 at its own reference conditions', () => {
+    // dry air, so total pressure == dry pressure
+    const at = (temperature, kpa) => ({ temperature, humidity: 0, baro: kpa / INHG_TO_KPA, baroIsStation: true });
+
+    expect(calculateCorrectionFactor({ ...at(77, 99), standard: 'sae_j1349' }).factor).toBeCloseTo(1, 4);
+    expect(calculateCorrectionFactor({ ...at(60, 29.92 * INHG_TO_KPA), standard: 'sae_j607' }).factor).toBeCloseTo(1, 3);
+    expect(calculateCorrectionFactor({ ...at(68, 101.3), standard: 'din_70020' }).factor).toBeCloseTo(1, 4);
+    expect(calculateCorrectionFactor({ ...at(77, 99), standard: 'eec' }).factor).toBeCloseTo(1, 4);
+  });
+
+  test('hot, humid, high-altitude air corrects upward', () => {
+    const conditions = { temperature: 95, humidity: 60, baro: 30.0, altitude: 5280 };
+
+    const sea = calculateCorrectionFactor({ ...conditions, altitude: 0 });
+    const denver = calculateCorrectionFactor(conditions);
+
+    expect(sea.factor).toBeGreaterThan(1);
+    expect(denver.factor).toBeGreaterThan(sea.factor);
+    expect(denver.stationPressureKpa).toBeCloseTo(83.6, 0);
+  });
+
+  test('J1349 worked example: 75°F, 45% RH, 29.92 inHg', () => {
+    const result = calculateCorrectionFactor({ standard: 'sae_j1349', temperature: 75, humidity: 45, baro: 29.92 });
+
+    expect(result.vaporPressureKpa).toBeCloseTo(1.33, 2);
+    expect(result.factor).toBeCloseTo(0.9865, 3);
+  });
+
+  test('uncorrected is always 1 and unknown standards throw', () => {
+    expect(calculateCorrectionFactor({ standard: 'uncorrected', temperature: 110, humidity: 90, baro: 25 }).factor).toBe(1);
+    expect(() => calculateCorrectionFactor({ standard: 'sae_1999', temperature: 75, humidity: 45 })).toThrow(/Unknown/);
+  });
+
+  test('rejects conditions that would give a nonsense factor', () => {
+    const good = { temperature: 75, humidity: 45, baro: 29.92 };
+
+    expect(weatherProblem(good)).toBeNull();
+    expect(weatherProblem({ ...good, baro: 0 })).toMatch(/0\.0 kPa at the dyno/);
+    expect(weatherProblem({ ...good, baro: NaN })).toMatch(/no kPa/);
+    expect(weatherProblem({ ...good, baro: 29.92, altitude: 40000 })).toMatch(/kPa at the dyno/);
+    expect(weatherProblem({ ...good, humidity: 140 })).toMatch(/Humidity/);
+    expect(weatherProblem({ ...good, humidity: -5 })).toMatch(/Humidity/);
+    expect(weatherProblem({ ...good, temperature: NaN })).toMatch(/temperature/);
+
+    expect(() => calculateCorrectionFactor({ ...good, baro: 0 })).toThrow(/kPa at the dyno/);
+    expect(() => calculateCorrectionFactor({ ...good, baro: 0.5, baroIsStation: true })).toThrow(/1\.7 kPa/);
+  });
+
+  test('every standard has a display name', () => {
+    Object.values(CORRECTION_STANDARDS).forEach(standard => expect(standard.name).toBeTruthy());
+  });
+});
+
+test('saturationVaporPressure and stationPressure follow reference tables', () => {
+  expect(saturationVaporPressure(20)).toBeCloseTo(2.339, 2);
+  expect(saturationVaporPressure(0)).toBeCloseTo(0.611, 3);
+  expect(stationPressure(29.92, 0)).toBeCloseTo(101.32, 1);
+});
+
+test('formatCorrection prints the standard and factor', () => {
+  expect(formatCorrection({ name: 'SAE J1349', factor: 0.98654 })).toBe('SAE J1349 CF 0.987');
+  expect(formatCorrection(null)).toBe('');
+});
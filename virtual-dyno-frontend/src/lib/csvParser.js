@@ -0,0 +1,400 @@
+// Datalog CSV parser
+// Handles RFC4180 quoting, CRLF/LF endings, delimiter + encoding sniffing,
+// trailing logger metadata columns and reports per-row problems instead of
+// silently dropping rows. Columns come back as numbers, not strings.
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const SNIFF_LINE_COUNT = 10;
+// Progress is reported every this many characters while splitting records
+const PROGRESS_CHARS = 1 << 20;
+// Splitting records is most of the work; converting columns is the rest
+const SPLIT_SHARE = 0.7;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Windows-1252 bytes 0x80-0x9F (everything else in the range maps to Latin-1)
+const CP1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021,
+  0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8d, 0x017d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+  0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x9d, 0x017e, 0x0178
+];
+
+const decodeUtf8Strict = (bytes, start) => {
+  let text = '';
+  let i = start;
+
+  while (i < bytes.length) {
+    const b0 = bytes[i];
+    let codePoint;
+    let extra;
+
+    if (b0 < 0x80) {
+      codePoint = b0;
+      extra = 0;
+    } else if (b0 >= 0xc2 && b0 <= 0xdf) {
+      codePoint = b0 & 0x1f;
+      extra = 1;
+    } else if (b0 >= 0xe0 && b0 <= 0xef) {
+      codePoint = b0 & 0x0f;
+      extra = 2;
+    } else if (b0 >= 0xf0 && b0 <= 0xf4) {
+      codePoint = b0 & 0x07;
+      extra = 3;
+    } else {
+      return null;
+    }
+
+    if (i + extra >= bytes.length && extra > 0) return null;
+
+    for (let k = 1; k <= extra; k++) {
+      const b = bytes[i + k];
+      if ((b & 0xc0) !== 0x80) return null;
+      codePoint = (codePoint << 6) | (b & 0x3f);
+    }
+
+    // Reject overlong encodings and surrogates
+    if ((extra === 2 && codePoint < 0x800) ||
+        (extra === 3 && (codePoint < 0x10000 || codePoint > 0x10ffff)) ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+      return null;
+    }
+
+    text += String.fromCodePoint(codePoint);
+    i += extra + 1;
+  }
+
+  return text;
+};
+
+const decodeWindows1252 = (bytes, start) => {
+  let text = '';
+  for (let i = start; i < bytes.length; i++) {
+    const b = bytes[i];
+    text += String.fromCharCode(b >= 0x80 && b <= 0x9f ? CP1252_HIGH[b - 0x80] : b);
+  }
+  return text;
+};
+
+const decodeUtf16 = (bytes, start, littleEndian) => {
+  let text = '';
+  for (let i = start; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode(littleEndian
+      ? bytes[i] | (bytes[i + 1] << 8)
+      : (bytes[i] << 8) | bytes[i + 1]);
+  }
+  return text;
+};
+
+// Turn raw file bytes into text. Loggers export UTF-8 (with or without BOM),
+// UTF-16 or Windows-1252 - the last one is where "Knock Retard (°)" breaks.
+export const decodeBytes = (input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    const text = decodeUtf8Strict(bytes, 3);
+    if (text !== null) return { text, encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: decodeUtf16(bytes, 2, true), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: decodeUtf16(bytes, 2, false), encoding: 'utf-16be' };
+  }
+
+  const utf8 = decodeUtf8Strict(bytes, 0);
+  if (utf8 !== null) return { text: utf8, encoding: 'utf-8' };
+
+  return { text: decodeWindows1252(bytes, 0), encoding: 'windows-1252' };
+};
+
+// Split text into records following RFC4180: quoted fields may contain the
+// delimiter, doubled quotes and line breaks. Each record remembers the line
+// it started on so errors can point back at the file. onProgress(fraction)
+// is called as the text is consumed.
+export const splitRecords = (text, delimiter, onProgress) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let fieldWasQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let recordError = null;
+
+  const endField = () => {
+    fields.push(fieldWasQuoted ? field : field.trim());
+    field = '';
+    fieldWasQuoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    const isBlank = fields.length === 1 && fields[0] === '';
+    if (!isBlank) {
+      records.push({ fields, line: recordLine, error: recordError });
+    }
+    fields = [];
+    recordError = null;
+  };
+
+  let nextProgress = PROGRESS_CHARS;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (onProgress && i >= nextProgress) {
+      onProgress(i / text.length);
+      nextProgress += PROGRESS_CHARS;
+    }
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      fieldWasQuoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    recordError = 'Unterminated quoted field';
+  }
+  if (field !== '' || fields.length > 0 || inQuotes) {
+    endRecord();
+  }
+
+  return records;
+};
+
+// Pick the delimiter that splits the header and the first data lines into the
+// same number of fields (more than one). Quotes are respected, so the comma in
+// "AP Info:[...]" style headers does not count.
+export const sniffDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter(l => l.trim().length > 0).slice(0, SNIFF_LINE_COUNT).join('\n');
+
+  let best = { delimiter: ',', fieldCount: 0 };
+
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const counts = splitRecords(sample, delimiter).map(r => r.fields.length);
+    if (counts.length === 0) return;
+
+    const headerCount = counts[0];
+    const consistent = counts.every(c => c === headerCount);
+    if (headerCount > 1 && consistent && headerCount > best.fieldCount) {
+      best = { delimiter, fieldCount: headerCount };
+    }
+  });
+
+  return best.delimiter;
+};
+
+// "RPM (RPM)" -> { name: 'RPM', unit: 'RPM' }. A replacement character in the
+// unit is almost always a degree sign that was saved in a legacy code page.
+export const splitHeaderUnit = (header) => {
+  const match = /^(.*?)\s*\(([^()]*)\)\s*$/.exec(header);
+  if (!match) return { name: header.trim(), unit: '' };
+
+  return {
+    name: match[1].trim(),
+    unit: match[2].replace(/\uFFFD/g, '°').trim()
+  };
+};
+
+// Logger banners like "AP Info:[AP3-MAZ-002 v1.7.5.0][...]" ride along as an
+// extra header cell with dummy values in every row
+const isMetadataHeader = (header) => /^[^():]+:\s*\S/.test(header);
+
+const parseMetadata = (header) => {
+  const colon = header.indexOf(':');
+  const key = header.slice(0, colon).trim();
+  const rest = header.slice(colon + 1).trim();
+  const bracketed = rest.match(/\[([^\]]*)\]/g);
+
+  return {
+    key,
+    values: bracketed ? bracketed.map(v => v.slice(1, -1)) : [rest]
+  };
+};
+
+export const parseNumber = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (text === '') return NaN;
+  if (decimalSeparator === ',') text = text.replace(',', '.');
+  return NUMBER_PATTERN.test(text) ? Number(text) : NaN;
+};
+
+// Main entry point. Accepts a string, ArrayBuffer or Uint8Array and returns:
+//   headers        - channel headers (metadata columns removed)
+//   columns        - { header: number[] } (NaN where a cell is empty or bad)
+//   columnTypes    - { header: 'number' | 'text' }
+//   units          - { header: unit string parsed from "Name (unit)" }
+//   metadata       - logger banners found in trailing header cells
+//   errors         - [{ row, line, column?, message }] - rows are never dropped
+// options.onProgress(fraction) reports how far through the file parsing is.
+export const parseDatalog = (input, options = {}) => {
+  const decoded = typeof input === 'string'
+    ? { text: input, encoding: 'text' }
+    : decodeBytes(input);
+
+  const text = decoded.text.charCodeAt(0) === 0xfeff ? decoded.text.slice(1) : decoded.text;
+  const delimiter = options.delimiter || sniffDelimiter(text);
+  const decimalSeparator = options.decimalSeparator || (delimiter === ';' ? ',' : '.');
+
+  const onProgress = options.onProgress || (() => {});
+  const records = splitRecords(text, delimiter, fraction => onProgress(fraction * SPLIT_SHARE));
+  const errors = [];
+
+  if (records.length === 0) {
+    return {
+      headers: [],
+      columns: {},
+      columnTypes: {},
+      units: {},
+      metadata: [],
+      rowCount: 0,
+      delimiter,
+      decimalSeparator,
+      encoding: decoded.encoding,
+      errors: [{ row: 0, line: 1, message: 'File is empty' }]
+    };
+  }
+
+  const rawHeaders = records[0].fields.map(h => h.replace(/\uFFFD/g, '°'));
+
+  // Only trailing metadata cells are treated as banners
+  let channelCount = rawHeaders.length;
+  while (channelCount > 0 && isMetadataHeader(rawHeaders[channelCount - 1])) {
+    channelCount--;
+  }
+  const headers = rawHeaders.slice(0, channelCount);
+  const metadata = rawHeaders.slice(channelCount).map(parseMetadata);
+
+  const dataRecords = records.slice(1);
+  const rawColumns = headers.map(() => []);
+
+  dataRecords.forEach((record, rowIndex) => {
+    if (record.error) {
+      errors.push({ row: rowIndex, line: record.line, message: record.error });
+    }
+
+    if (record.fields.length < channelCount) {
+      errors.push({
+        row: rowIndex,
+        line: record.line,
+        message: `Expected ${rawHeaders.length} fields, found ${record.fields.length}`
+      });
+    } else if (record.fields.length > rawHeaders.length) {
+      errors.push({
+        row: rowIndex,
+        line: record.line,
+        message: `Expected ${rawHeaders.length} fields, found ${record.fields.length} (extra fields ignored)`
+      });
+    }
+
+    for (let c = 0; c < channelCount; c++) {
+      rawColumns[c].push(record.fields[c] ?? '');
+    }
+  });
+
+  const columns = {};
+  const columnTypes = {};
+  const units = {};
+
+  headers.forEach((header, c) => {
+    onProgress(SPLIT_SHARE + (1 - SPLIT_SHARE) * (c / headers.length));
+    const values = rawColumns[c];
+    const numbers = values.map(v => parseNumber(v, decimalSeparator));
+    const filled = values.filter(v => v !== '').length;
+    const numeric = numbers.filter(n => !Number.isNaN(n)).length;
+
+    units[header] = splitHeaderUnit(header).unit;
+
+    // Mostly text (timestamps, gear labels...) stays text and is not an error
+    if (filled > 0 && numeric / filled < 0.5) {
+      columns[header] = values;
+      columnTypes[header] = 'text';
+      return;
+    }
+
+    columns[header] = numbers;
+    columnTypes[header] = 'number';
+
+    values.forEach((value, rowIndex) => {
+      if (value !== '' && Number.isNaN(numbers[rowIndex])) {
+        errors.push({
+          row: rowIndex,
+          line: dataRecords[rowIndex].line,
+          column: header,
+          message: `"${value}" is not a number in column "${header}"`
+        });
+      }
+    });
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  onProgress(1);
+
+  return {
+    headers,
+    columns,
+    columnTypes,
+    units,
+    metadata,
+    rowCount: dataRecords.length,
+    delimiter,
+    decimalSeparator,
+    encoding: decoded.encoding,
+    errors
+  };
+};
+
+// Row objects keyed by header, for code that works row by row
+export const toRecords = (parsed) => {
+  const records = [];
+  for (let i = 0; i < parsed.rowCount; i++) {
+    const row = {};
+    parsed.headers.forEach(header => {
+      row[header] = parsed.columns[header][i];
+    });
+    records.push(row);
+  }
+  return records;
+};
+
+const quoteField = (value) => {
+  const text = value === null || value === undefined || Number.isNaN(value) ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write selected rows back out as a plain comma/dot CSV (what the backend's
+// CsvHelper expects), whatever delimiter or decimal style the source used
+export const serializeRows = (parsed, indices) => {
+  const lines = [parsed.headers.map(quoteField).join(',')];
+  indices.forEach(i => {
+    lines.push(parsed.headers.map(header => quoteField(parsed.columns[header][i])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog, decodeBytes, sniffDelimiter, splitRecords, splitHeaderUnit, toRecords, serializeRows } from './csvParser';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+describe('parseDatalog', () => {
+  test('parses the sample Mazdaspeed3 AccessPort log into numeric columns', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+
+    expect(parsed.delimiter).toBe(',');
+    expect(parsed.encoding).toBe('windows-1252');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.rowCount).toBe(263);
+    expect(parsed.headers).toContain('RPM (RPM)');
+    expect(parsed.headers).toContain('Knock Retard (°)');
+    expect(parsed.headers).not.toContain(expect.stringContaining('AP Info'));
+    expect(parsed.columns['RPM (RPM)'][0]).toBe(2764);
+    expect(typeof parsed.columns['Mass Airflow (g/s)'][0]).toBe('number');
+    expect(parsed.units['Boost (psi)']).toBe('psi');
+  });
+
+  test('moves the trailing AccessPort banner into metadata', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+
+    expect(parsed.metadata).toEqual([{
+      key: 'AP Info',
+      values: [
+        'AP3-MAZ-002 v1.7.5.0-25647',
+        'USDM 2011-2013 MAZDASPEED3 (Fed.)',
+        'Reflash: T.Perkins-2012ots-v2-B.ptm'
+      ]
+    }]);
+  });
+
+  test('handles RFC4180 quoting with embedded delimiters, quotes and newlines', () => {
+    const parsed = parseDatalog('RPM,"Note, with comma",Boost\r\n3000,"said ""hi""\r\nthere",5.5\r\n');
+
+    expect(parsed.headers).toEqual(['RPM', 'Note, with comma', 'Boost']);
+    expect(parsed.columnTypes['Note, with comma']).toBe('text');
+    expect(parsed.columns['Note, with comma'][0]).toBe('said "hi"\r\nthere');
+    expect(parsed.columns.Boost).toEqual([5.5]);
+  });
+
+  test('sniffs semicolon delimiters and decimal commas from European exports', () => {
+    const parsed = parseDatalog('RPM;MAF (g/s);Boost (psi)\n3000;45,5;2,1\n3500;60,25;5\n');
+
+    expect(parsed.delimiter).toBe(';');
+    expect(parsed.decimalSeparator).toBe(',');
+    expect(parsed.columns['MAF (g/s)']).toEqual([45.5, 60.25]);
+    expect(parsed.columns['Boost (psi)']).toEqual([2.1, 5]);
+  });
+
+  test('decodes Windows-1252 degree symbols instead of mangling them', () => {
+    const header = Buffer.from('RPM,Knock Retard (', 'ascii');
+    const rest = Buffer.from(')\n3000,0.5\n', 'ascii');
+    const bytes = new Uint8Array(Buffer.concat([header, Buffer.from([0xb0]), rest]));
+
+    const parsed = parseDatalog(bytes);
+
+    expect(parsed.encoding).toBe('windows-1252');
+    expect(parsed.headers).toEqual(['RPM', 'Knock Retard (°)']);
+    expect(parsed.columns['Knock Retard (°)']).toEqual([0.5]);
+  });
+
+  test('repairs replacement characters left by an earlier bad decode', () => {
+    const parsed = parseDatalog('RPM,Knock Retard (\uFFFD)\n3000,1\n');
+
+    expect(parsed.headers).toEqual(['RPM', 'Knock Retard (°)']);
+    expect(parsed.units['Knock Retard (°)']).toBe('°');
+  });
+
+  test('reports per-row errors instead of dropping rows', () => {
+    const parsed = parseDatalog('RPM,MAF\n3000,40\n3100\n3200,abc\n3300,44,99\n');
+
+    expect(parsed.rowCount).toBe(4);
+    expect(parsed.columns.RPM).toEqual([3000, 3100, 3200, 3300]);
+    expect(parsed.columns.MAF[1]).toBeNaN();
+    expect(parsed.columns.MAF[2]).toBeNaN();
+    expect(parsed.errors.map(e => e.line)).toEqual([3, 4, 5]);
+    expect(parsed.errors[1].column).toBe('MAF');
+  });
+
+  test('reports an empty file', () => {
+    const parsed = parseDatalog('');
+
+    expect(parsed.rowCount).toBe(0);
+    expect(parsed.errors[0].message).toMatch(/empty/i);
+  });
+});
+
+describe('decodeBytes', () => {
+  test('strips a UTF-8 BOM', () => {
+    const { text, encoding } = decodeBytes(new Uint8Array([0xef, 0xbb, 0xbf, 0x41, 0xc2, 0xb0]));
+
+    expect(encoding).toBe('utf-8');
+    expect(text).toBe('A°');
+  });
+
+  test('decodes UTF-16LE with BOM', () => {
+    const { text, encoding } = decodeBytes(new Uint8Array([0xff, 0xfe, 0x41, 0x00, 0x2c, 0x00]));
+
+    expect(encoding).toBe('utf-16le');
+    expect(text).toBe('A,');
+  });
+});
+
+describe('helpers', () => {
+  test('sniffDelimiter prefers a delimiter that is consistent across lines', () => {
+    expect(sniffDelimiter('a\tb\tc\n1\t2\t3\n')).toBe('\t');
+    expect(sniffDelimiter('a|b\n1|2\n')).toBe('|');
+  });
+
+  test('splitRecords flags an unterminated quote', () => {
+    const records = splitRecords('a,b\n1,"oops\n', ',');
+
+    expect(records[1].error).toMatch(/unterminated/i);
+  });
+
+  test('splitHeaderUnit separates name and unit', () => {
+    expect(splitHeaderUnit('RPM (RPM)')).toEqual({ name: 'RPM', unit: 'RPM' });
+    expect(splitHeaderUnit('Engine Speed')).toEqual({ name: 'Engine Speed', unit: '' });
+  });
+
+  test('toRecords builds row objects keyed by header', () => {
+    const parsed = parseDatalog('RPM,MAF\n3000,40\n');
+
+    expect(toRecords(parsed)).toEqual([{ RPM: 3000, MAF: 40 }]);
+  });
+});
+
+test('serializeRows writes selected rows as comma/dot CSV', () => {
+  const parsed = parseDatalog('RPM;Note;MAF\n3000;a;40,5\n3100;"b;c";41\n3200;d;\n');
+
+  expect(serializeRows(parsed, [1, 2])).toBe('RPM,Note,MAF\r\n3100,b;c,41\r\n3200,d,\r\n');
+  expect(serializeRows(parseDatalog('RPM,Note\n1,"x,y"\n'), [0])).toBe('RPM,Note\r\n1,"x,y"\r\n');
+});
@@ -0,0 +1,304 @@
+// Log data quality
+// What's wrong with a log before it turns into a curve: how fast it was
+// sampled, holes and repeats in the timestamps, rows the filters drop and
+// why, sensors that flatline or sit at their limit, and channels the
+// calculation method needs but doesn't have. Each problem costs points off a
+// 0-100 confidence score that travels with the run.
+
+import { sourceRows, rejectionReason, REJECTION_REASONS } from './logProcessing';
+import { isValidDataRow } from './dynoCalculation';
+import { pullRowIndices } from './pullDetection';
+import { CHANNELS } from './columnMapping';
+import { extent } from './graphAxes';
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  gapFactor: 3,             // an interval this many times the usual one is a gap
+  minSampleRate: 10,        // Hz - slower and a pull is only a handful of points
+  saturationFraction: 0.05, // share of rows at a sensor's limit before it counts
+  voltageLow: 0.05,         // 0-5 V sensors read as pinned outside these
+  voltageHigh: 4.95,
+  minRpmSpan: 1000          // a channel only flatlines if RPM moved this much
+};
+
+export const QUALITY_CATEGORIES = {
+  timing: 'Timing',
+  rows: 'Rejected rows',
+  sensors: 'Sensors',
+  channels: 'Channels'
+};
+
+export const ALL_REJECTION_REASONS = {
+  ...REJECTION_REASONS,
+  belowCalculation: 'Below calculation thresholds (RPM ≤ 2000, load ≤ 15% or no airflow)'
+};
+
+// Channels that have to move during a pull; a flat one is a dead sensor
+const MOVING_CHANNELS = ['maf', 'load', 'boost', 'speed', 'afr'];
+
+// Channels the calculation reads, and what a missing one costs
+const CHANNEL_PENALTIES = {
+  afr: { penalty: 10, message: 'No AFR channel - the mixture correction is skipped' },
+  iat: { penalty: 10, message: 'No intake air temperature - the air temperature correction is skipped' },
+  knock: { penalty: 5, message: 'No knock channel - the knock correction is skipped' },
+  time: { penalty: 10, message: 'No time channel - the sample rate and gaps can\'t be checked' }
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const isPresent = (value) => value !== null && value !== undefined && !Number.isNaN(value);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Same choice as the calculation: MAF, then MAP with an intake temp, then load
+export const calculationMethod = (rows) => {
+  const has = (channel) => rows.some(row => isPresent(row[channel]));
+  if (has('maf')) return 'MAF';
+  if ((has('boost') || has('map')) && has('iat')) return 'MAP';
+  return 'Load';
+};
+
+// Sample rate and timestamp problems over consecutive log rows in the scope
+const checkTiming = (rows, indices, options) => {
+  const inScope = new Set(indices);
+  const pairs = indices
+    .filter(i => i > 0 && inScope.has(i - 1) && isPresent(rows[i].time) && isPresent(rows[i - 1].time))
+    .map(i => ({ time: rows[i - 1].time, delta: rows[i].time - rows[i - 1].time }));
+
+  const forward = pairs.filter(pair => pair.delta > 0).map(pair => pair.delta);
+  if (forward.length === 0) return null;
+
+  const interval = median(forward);
+  return {
+    sampleRate: 1 / interval,
+    interval,
+    gaps: pairs
+      .filter(pair => pair.delta > interval * options.gapFactor)
+      .map(pair => ({ time: pair.time, duration: pair.delta })),
+    duplicates: pairs.filter(pair => pair.delta === 0).length,
+    backwards: pairs.filter(pair => pair.delta < 0).length
+  };
+};
+
+// Rows in the scope the dyno filter or the calculation drops, by reason
+const checkRejected = (rows) => {
+  const hasMAF = rows.some(row => isPresent(row.maf));
+  const hasMAP = rows.some(row => isPresent(row.boost) || isPresent(row.map));
+  const reasons = Object.fromEntries(Object.keys(ALL_REJECTION_REASONS).map(reason => [reason, 0]));
+
+  rows.forEach(row => {
+    const reason = rejectionReason(row) || (isValidDataRow(row, hasMAF, hasMAP) ? null : 'belowCalculation');
+    if (reason) reasons[reason] += 1;
+  });
+
+  return { total: Object.values(reasons).reduce((sum, count) => sum + count, 0), reasons };
+};
+
+// Dead channels, airflow clipped at its maximum and voltage sensors at the
+// rail: [{ type: 'flatline' | 'saturated' | 'clipped', name, channel, value, fraction }]
+const checkSensors = (parsed, rows, indices, options) => {
+  const sensors = [];
+  const [minRpm, maxRpm] = extent(rows.map(row => row.rpm).filter(isPresent));
+  const rpmSpan = maxRpm - minRpm;
+
+  if (rpmSpan >= options.minRpmSpan) {
+    MOVING_CHANNELS.forEach(channel => {
+      const values = rows.map(row => row[channel]).filter(isPresent);
+      const [min, max] = extent(values);
+      if (values.length > 0 && min === max) {
+        sensors.push({ type: 'flatline', name: CHANNELS[channel].label, channel, value: values[0], fraction: 1 });
+      }
+    });
+  }
+
+  // Airflow keeps rising with RPM, so an unbroken run at the log's maximum
+  // is the sensor (or the ECU's scaling) running out of range
+  const mafValues = rows.map(row => row.maf).filter(isPresent);
+  if (mafValues.length > 0 && !sensors.some(s => s.channel === 'maf')) {
+    const [, max] = extent(mafValues);
+    let run = 0;
+    let longest = 0;
+    mafValues.forEach(value => {
+      run = value === max ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    });
+    const fraction = longest / mafValues.length;
+    if (max > 0 && longest > 1 && fraction >= options.saturationFraction) {
+      sensors.push({ type: 'clipped', name: CHANNELS.maf.label, channel: 'maf', value: max, fraction });
+    }
+  }
+
+  Object.keys(parsed?.columns || {})
+    .filter(header => parsed.columnTypes[header] === 'number' && parsed.units[header]?.toUpperCase() === 'V')
+    .forEach(header => {
+      const values = indices.map(i => parsed.columns[header][i]).filter(isPresent);
+      if (values.length === 0) return;
+      const [min, max] = extent(values);
+      const high = values.filter(value => value >= options.voltageHigh).length / values.length;
+      const low = values.filter(value => value <= options.voltageLow).length / values.length;
+      if (high >= options.saturationFraction) {
+        sensors.push({ type: 'saturated', name: header, channel: null, value: max, fraction: high });
+      } else if (low >= options.saturationFraction) {
+        sensors.push({ type: 'saturated', name: header, channel: null, value: min, fraction: low });
+      }
+    });
+
+  return sensors;
+};
+
+const sensorIssue = (sensor, method) => {
+  const percent = `${Math.round(sensor.fraction * 100)}% of rows`;
+  // A dead sensor the power figure is built on is worse than any other
+  const feedsMethod = (method === 'MAF' && sensor.channel === 'maf')
+    || (method === 'MAP' && sensor.channel === 'boost')
+    || sensor.channel === 'load';
+
+  if (sensor.type === 'flatline') {
+    return {
+      category: 'sensors',
+      severity: feedsMethod ? 'critical' : 'warning',
+      penalty: feedsMethod ? 30 : 10,
+      message: `${sensor.name} never changes (stuck at ${sensor.value}) while RPM climbs`
+    };
+  }
+  if (sensor.type === 'clipped') {
+    return {
+      category: 'sensors',
+      severity: 'warning',
+      penalty: feedsMethod ? 20 : 10,
+      message: `${sensor.name} tops out at ${sensor.value} on ${percent} - the sensor may be maxed out`
+    };
+  }
+  return {
+    category: 'sensors',
+    severity: 'warning',
+    penalty: 15,
+    message: `${sensor.name} pinned near ${sensor.value >= 2.5 ? '5' : '0'} V on ${percent}`
+  };
+};
+
+// Everything the calculation method needs that the log doesn't have
+const channelIssues = (rows, method) => {
+  const has = (channel) => rows.some(row => isPresent(row[channel]));
+  const issues = [];
+
+  if (!has('rpm') || !has('load')) {
+    issues.push({ category: 'channels', severity: 'critical', penalty: 100, message: 'RPM or load is missing - the run can\'t be calculated' });
+  }
+  if (!has('maf') && !has('boost') && !has('map')) {
+    issues.push({ category: 'channels', severity: 'critical', penalty: 100, message: 'No MAF or boost/MAP channel - the run can\'t be calculated' });
+  } else if (method === 'Load') {
+    issues.push({ category: 'channels', severity: 'warning', penalty: 25, message: 'No MAF, and no intake temp for speed density - using the load-based fallback' });
+  }
+
+  Object.entries(CHANNEL_PENALTIES)
+    .filter(([channel]) => !has(channel))
+    .forEach(([, { penalty, message }]) => issues.push({ category: 'channels', severity: 'warning', penalty, message }));
+
+  return issues;
+};
+
+// Severity is the engine health colour the grade is drawn in
+export const CONFIDENCE_GRADES = {
+  high: { label: 'High', severity: 'ok' },
+  medium: { label: 'Medium', severity: 'warning' },
+  low: { label: 'Low', severity: 'critical' }
+};
+
+// 'high' | 'medium' | 'low' for a 0-100 score
+export const confidenceGrade = (score) => {
+  if (score >= 80) return 'high';
+  if (score >= 50) return 'medium';
+  return 'low';
+};
+
+// Quality report for the rows a run would use - the chosen pulls, or the
+// whole log. parsed is optional; without it raw voltage columns aren't checked.
+// { score, grade, method, rowCount, timing, rejected, parseErrors, sensors,
+//   issues: [{ category, severity, penalty, message }] }
+export const analyzeDataQuality = ({ parsed = null, rows, pulls = [], pullIds = [] }, options = {}) => {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const indices = pullIds.length > 0 ? pullRowIndices(pulls, pullIds) : rows.map((_, i) => i);
+  const scope = sourceRows(rows, pulls, pullIds);
+  const method = calculationMethod(scope);
+  const issues = [];
+
+  const timing = checkTiming(rows, indices, opts);
+  if (timing) {
+    if (timing.sampleRate < opts.minSampleRate) {
+      const veryLow = timing.sampleRate < opts.minSampleRate / 2;
+      issues.push({
+        category: 'timing',
+        severity: veryLow ? 'critical' : 'warning',
+        penalty: veryLow ? 30 : 15,
+        message: `Logged at ${timing.sampleRate.toFixed(1)} Hz - at least ${opts.minSampleRate} Hz gives a usable curve`
+      });
+    }
+    if (timing.gaps.length > 0) {
+      const [, longest] = extent(timing.gaps.map(gap => gap.duration));
+      issues.push({
+        category: 'timing',
+        severity: 'warning',
+        penalty: Math.min(20, timing.gaps.length * 5),
+        message: `${plural(timing.gaps.length, 'gap')} in the timestamps, longest ${longest.toFixed(2)} s`
+      });
+    }
+    if (timing.duplicates + timing.backwards > 0) {
+      issues.push({
+        category: 'timing',
+        severity: 'warning',
+        penalty: 5,
+        message: [
+          timing.duplicates > 0 && plural(timing.duplicates, 'duplicated timestamp'),
+          timing.backwards > 0 && `${plural(timing.backwards, 'timestamp')} going backwards`
+        ].filter(Boolean).join(', ')
+      });
+    }
+  }
+
+  const rejected = checkRejected(scope);
+  const rejectedShare = scope.length > 0 ? rejected.total / scope.length : 0;
+  if (rejected.total > 0) {
+    issues.push({
+      category: 'rows',
+      severity: rejectedShare > 0.5 ? 'warning' : 'ok',
+      penalty: Math.round(rejectedShare * 20),
+      message: `${rejected.total} of ${plural(scope.length, 'row')} dropped: ${Object.entries(rejected.reasons)
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${ALL_REJECTION_REASONS[reason]} (${count})`)
+        .join('; ')}`
+    });
+  }
+
+  const inScope = new Set(indices);
+  const parseErrors = parsed ? parsed.errors.filter(error => inScope.has(error.row)).length : 0;
+  if (parseErrors > 0) {
+    issues.push({
+      category: 'rows',
+      severity: 'warning',
+      penalty: Math.max(2, Math.round((parseErrors / Math.max(1, indices.length)) * 20)),
+      message: `${plural(parseErrors, 'cell')} that couldn't be read as numbers`
+    });
+  }
+
+  const sensors = checkSensors(parsed, scope, indices, opts);
+  sensors.forEach(sensor => issues.push(sensorIssue(sensor, method)));
+
+  issues.push(...channelIssues(scope, method));
+
+  const score = Math.max(0, 100 - issues.reduce((sum, issue) => sum + issue.penalty, 0));
+  return {
+    score,
+    grade: confidenceGrade(score),
+    method,
+    rowCount: scope.length,
+    timing,
+    rejected,
+    parseErrors,
+    sensors,
+    issues
+  };
+};
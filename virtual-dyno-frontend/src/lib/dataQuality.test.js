@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { loadLog } from './logProcessing';
+import { analyzeDataQuality, calculationMethod, confidenceGrade } from './dataQuality';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+// 20 Hz pull from 2500 to 6500 RPM with every channel the calculation reads
+const pullRows = (count = 80) => Array.from({ length: count }, (_, i) => ({
+  time: i * 0.05,
+  rpm: 2500 + i * 50,
+  maf: 60 + i * 2,
+  load: 0.8 + (i % 5) * 0.01,
+  boost: 15 + (i % 7) * 0.1,
+  map: null,
+  afr: 11.5 + (i % 3) * 0.1,
+  iat: 80 + i * 0.1,
+  knock: 0,
+  speed: 30 + i * 0.5
+}));
+
+const columnsLog = (rows, extra = {}) => ({
+  columns: extra,
+  columnTypes: Object.fromEntries(Object.keys(extra).map(header => [header, 'number'])),
+  units: Object.fromEntries(Object.keys(extra).map(header => [header, header.match(/\((.*)\)/)?.[1] || ''])),
+  errors: [],
+  rowCount: rows.length
+});
+
+describe('analyzeDataQuality', () => {
+  test('a clean log scores full marks', () => {
+    const report = analyzeDataQuality({ rows: pullRows() });
+
+    expect(report.score).toBe(100);
+    expect(report.grade).toBe('high');
+    expect(report.method).toBe('MAF');
+    expect(report.timing.sampleRate).toBeCloseTo(20, 5);
+    expect(report.issues).toEqual([]);
+  });
+
+  test('the sample log is clean inside its pull and reports the rows it drops outside', () => {
+    const { parsed, rows, pulls, selectedPullIds } = loadLog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+
+    expect(analyzeDataQuality({ parsed, rows, pulls, pullIds: selectedPullIds }).score).toBe(100);
+
+    const whole = analyzeDataQuality({ parsed, rows });
+    expect(whole.rowCount).toBe(263);
+    expect(whole.rejected.total).toBe(whole.rejected.reasons.belowCalculation);
+    expect(whole.issues.map(issue => issue.category)).toEqual(['rows']);
+  });
+
+  test('finds gaps, duplicated and backwards timestamps', () => {
+    const rows = pullRows();
+    rows[20].time = rows[19].time;
+    rows.slice(40).forEach(row => { row.time += 0.5; });
+    rows[60].time = rows[59].time - 0.01;
+
+    const { timing, issues } = analyzeDataQuality({ rows });
+
+    expect(timing.gaps).toEqual([{ time: rows[39].time, duration: expect.closeTo(0.55, 5) }]);
+    expect(timing.duplicates).toBe(1);
+    expect(timing.backwards).toBe(1);
+    expect(issues.map(issue => issue.message)).toEqual([
+      '1 gap in the timestamps, longest 0.55 s',
+      '1 duplicated timestamp, 1 timestamp going backwards'
+    ]);
+  });
+
+  test('marks down slow logs', () => {
+    const rows = pullRows(20).map((row, i) => ({ ...row, time: i * 0.25 }));
+    const report = analyzeDataQuality({ rows });
+
+    expect(report.issues[0]).toMatchObject({ category: 'timing', severity: 'critical' });
+    expect(report.issues[0].message).toMatch(/^Logged at 4\.0 Hz/);
+    expect(report.score).toBe(70);
+  });
+
+  test('counts dropped rows by reason', () => {
+    const rows = pullRows(13);
+    rows[10].rpm = 1200;
+    Object.assign(rows[11], { maf: 2, load: 0.05 });
+    rows[12].rpm = 1800;
+    const { rejected, issues } = analyzeDataQuality({ rows });
+
+    expect(rejected).toEqual({ total: 3, reasons: { lowRpm: 1, noAirflow: 1, belowCalculation: 1 } });
+    expect(issues[0].message).toBe(
+      '3 of 13 rows dropped: RPM missing or at/below 1500 (1); No airflow (MAF ≤ 3 g/s and load ≤ 10%) (1); '
+      + 'Below calculation thresholds (RPM ≤ 2000, load ≤ 15% or no airflow) (1)'
+    );
+  });
+
+  test('flags a flatlined sensor', () => {
+    const report = analyzeDataQuality({ rows: pullRows().map(row => ({ ...row, load: 0.5 })) });
+
+    expect(report.sensors).toEqual([{ type: 'flatline', name: 'Engine Load', channel: 'load', value: 0.5, fraction: 1 }]);
+    expect(report.issues[0]).toMatchObject({ severity: 'critical', message: 'Engine Load never changes (stuck at 0.5) while RPM climbs' });
+    expect(report.score).toBe(70);
+  });
+
+  test('flags MAF maxing out, on its voltage and on the airflow it reads', () => {
+    const rows = pullRows().map((row, i) => ({ ...row, maf: Math.min(row.maf, 180) }));
+    const voltage = rows.map((_, i) => Math.min(5.0, 2 + i * 0.05));
+    const report = analyzeDataQuality({ parsed: columnsLog(rows, { 'MAF Voltage (V)': voltage }), rows });
+
+    expect(report.sensors.map(sensor => [sensor.type, sensor.name, sensor.value])).toEqual([
+      ['clipped', 'Mass Airflow', 180],
+      ['saturated', 'MAF Voltage (V)', 5]
+    ]);
+    expect(report.issues.map(issue => issue.message)).toEqual([
+      'Mass Airflow tops out at 180 on 25% of rows - the sensor may be maxed out',
+      'MAF Voltage (V) pinned near 5 V on 26% of rows'
+    ]);
+    expect(report.score).toBe(65);
+    expect(report.grade).toBe('medium');
+  });
+
+  test('marks down channels the calculation method needs', () => {
+    const rows = pullRows().map(row => ({ ...row, maf: null, iat: null, afr: null }));
+    const report = analyzeDataQuality({ rows });
+
+    expect(report.method).toBe('Load');
+    expect(report.issues.map(issue => issue.message)).toEqual([
+      'No MAF, and no intake temp for speed density - using the load-based fallback',
+      'No AFR channel - the mixture correction is skipped',
+      'No intake air temperature - the air temperature correction is skipped'
+    ]);
+    expect(report.score).toBe(55);
+
+    expect(analyzeDataQuality({ rows: rows.map(row => ({ ...row, load: null })) }).score).toBe(0);
+  });
+});
+
+describe('helpers', () => {
+  test('picks the calculation method the same way processDynoRun does', () => {
+    expect(calculationMethod(pullRows(2))).toBe('MAF');
+    expect(calculationMethod(pullRows(2).map(row => ({ ...row, maf: null })))).toBe('MAP');
+    expect(calculationMethod(pullRows(2).map(row => ({ ...row, maf: null, iat: null })))).toBe('Load');
+  });
+
+  test('grades the score', () => {
+    expect([100, 80, 79, 50, 49].map(confidenceGrade)).toEqual(['high', 'high', 'medium', 'medium', 'low']);
+  });
+});
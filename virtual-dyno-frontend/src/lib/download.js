@@ -0,0 +1,19 @@
+// Browser download helpers shared by the exporters
+
+// Strip characters file systems object to and drop the log's extension
+export const safeFileName = (name, fallback = 'dyno-run') => {
+  const base = String(name || '').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]+/g, '_').trim();
+  return base || fallback;
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
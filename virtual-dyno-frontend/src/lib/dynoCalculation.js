@@ -0,0 +1,384 @@
+// Client-side dyno calculation
+// A straight port of the backend's DynoCalculationService and the row
+// processing in CsvProcessingService, so a run can be computed offline and
+// come out in the same shape as GET /api/dyno/runs/{id}. Keep the two in
+// step - the golden tests pin this against the sample log.
+
+export const DEFAULT_CALCULATION_SETTINGS = {
+  useAtmosphericCorrection: true,
+  useAFRCorrection: true,
+  useKnockCorrection: true,
+  useBoostCorrection: true,
+  useVolumetricEfficiency: true,
+  calibrationOverride: null,
+  altitude: 0
+};
+
+const DEFAULT_SMOOTHING_LEVEL = 1;
+
+const FORCED_INDUCTION_CARS = ['mazdaspeed3', 'wrx', 'sti', 'evo', 'gti', 'focus_st', 'civic_si'];
+
+// .NET Math.Round rounds half to even; match it so numbers agree with the API
+export const roundHalfEven = (value, digits = 0) => {
+  const factor = Math.pow(10, digits);
+  const scaled = value * factor;
+  const floor = Math.floor(scaled);
+  const diff = scaled - floor;
+  const epsilon = 1e-9;
+
+  let rounded;
+  if (diff > 0.5 + epsilon) rounded = floor + 1;
+  else if (diff < 0.5 - epsilon) rounded = floor;
+  else rounded = floor % 2 === 0 ? floor : floor + 1;
+
+  return rounded / factor;
+};
+
+export const calculateFromMAF = (data, carPreset) => {
+  // Method 1: MAF-based (most accurate)
+  let baseHP = data.massAirflow * 1.08;
+
+  const loadFactor = Math.min(data.load * 1.15, 1.05);
+  baseHP *= loadFactor;
+
+  const displacementFactor = 1.0 + ((carPreset.displacement - 2.0) * 0.025);
+  baseHP *= displacementFactor;
+
+  return baseHP;
+};
+
+const mapVolumetricEfficiency = (rpm) => {
+  if (rpm < 2500) return 0.75;
+  if (rpm < 3500) return 0.85;
+  if (rpm < 4500) return 0.95; // Peak efficiency
+  if (rpm < 5500) return 0.90;
+  return 0.85;
+};
+
+export const calculateFromMAP = (data, carPreset) => {
+  // Method 2: MAP-based calculation for speed density tunes
+  const absolutePressure = Math.abs(data.boostPressure) + 14.7; // psia
+  const atmosphericPressure = 14.7;
+  const pressureRatio = absolutePressure / atmosphericPressure;
+
+  const standardTemp = 77; // °F
+  const actualTemp = data.intakeAirTemp > 0 ? data.intakeAirTemp : 100;
+  const temperatureRatio = (standardTemp + 459.67) / (actualTemp + 459.67);
+
+  const densityRatio = pressureRatio * temperatureRatio;
+
+  // Base airflow (g/s) ≈ Displacement(L) × RPM × VE × 0.0135
+  const theoreticalAirflow = carPreset.displacement * data.rpm * mapVolumetricEfficiency(data.rpm) * 0.0135;
+  const actualAirflow = theoreticalAirflow * densityRatio;
+
+  const loadFactor = Math.min(data.load * 1.2, 1.05);
+
+  return actualAirflow * 1.08 * loadFactor;
+};
+
+export const calculateFromLoad = (data, carPreset) => {
+  // Method 3: Load-based calculation (universal fallback)
+  let baseHP = data.load * data.rpm * 0.025;
+
+  const displacementFactor = Math.pow(carPreset.displacement / 2.0, 0.8);
+  baseHP *= displacementFactor;
+
+  if (data.boostPressure > 0) {
+    const boostFactor = 1.0 + (data.boostPressure * 0.04); // 4% per PSI
+    baseHP *= boostFactor;
+  }
+
+  return baseHP;
+};
+
+export const calculateSimpleAFRCorrection = (afr, isForceInduction) => {
+  const optimalAFR = isForceInduction ? 11.8 : 12.8;
+
+  if (afr < 9.0 || afr > 19.0) return 0.95; // Bad data penalty
+
+  const afrDeviation = Math.abs(afr - optimalAFR);
+
+  if (afrDeviation <= 1.0) return 1.0;
+  if (afrDeviation <= 2.0) return 1.0 - (afrDeviation - 1.0) * 0.025;
+  return 1.0 - 0.05 - (afrDeviation - 2.0) * 0.03;
+};
+
+export const calculateSimpleAtmosphericCorrection = (intakeTemp) => {
+  if (intakeTemp <= 0) return 1.0;
+
+  const tempCorrection = Math.sqrt(537.67 / (intakeTemp + 459.67));
+  return Math.max(Math.min(tempCorrection, 1.05), 0.95);
+};
+
+export const calculateSimpleVE = (rpm) => {
+  if (rpm < 2500) return 0.90;
+  if (rpm < 3200) return 0.90 + (rpm - 2500) * 0.0003;
+  if (rpm < 3800) return 1.08;
+  if (rpm < 4200) return 1.12;
+  if (rpm < 5000) return 1.09;
+  if (rpm < 5700) return 1.06;
+  if (rpm < 6200) return 1.03;
+  return 0.99;
+};
+
+export const calculateGearCorrection = (gear, carPreset) => {
+  const ratios = carPreset.gearRatios || {};
+  const gearRatio = ratios[gear] ?? ratios[4];
+  const baselineRatio = ratios[4];
+
+  const ratioCorrection = baselineRatio / gearRatio;
+  return 0.98 + (ratioCorrection * 0.015);
+};
+
+const GEAR_CORRECTION = { 3: 0.975, 4: 1.0, 5: 1.015 };
+const DRIVETRAIN_CORRECTION = { FWD: 1.0, AWD: 0.955, RWD: 0.98 };
+
+const MAF_CALIBRATION = { mazdaspeed3: 0.895, wrx: 0.92, sti: 0.89, evo: 0.91, gti: 0.95, focus_st: 0.93 };
+const MAP_CALIBRATION = { mazdaspeed3: 0.75, wrx: 0.78, sti: 0.76, evo: 0.77, gti: 0.80, focus_st: 0.78 };
+const LOAD_CALIBRATION = { mazdaspeed3: 2.2, wrx: 2.4, sti: 2.3, evo: 2.35, gti: 2.5, focus_st: 2.45 };
+
+export const getCalibrationFactor = (carKey, calculationMethod) => {
+  switch (calculationMethod) {
+    case 'MAP': return MAP_CALIBRATION[carKey] ?? 0.78;
+    case 'Load': return LOAD_CALIBRATION[carKey] ?? 2.4;
+    default: return MAF_CALIBRATION[carKey] ?? 0.92;
+  }
+};
+
+// data = { rpm, massAirflow, load, boostPressure, afr, intakeAirTemp,
+//          knockRetard, isForceInduction }
+export const calculateAdvancedHorsepower = (data, gear, carPreset, settings = DEFAULT_CALCULATION_SETTINGS) => {
+  let baseHP;
+  let calculationMethod;
+
+  // Priority: MAF > MAP > Load
+  if (data.massAirflow > 5) {
+    baseHP = calculateFromMAF(data, carPreset);
+    calculationMethod = 'MAF';
+  } else if (data.boostPressure > -10 && data.intakeAirTemp > 0) {
+    baseHP = calculateFromMAP(data, carPreset);
+    calculationMethod = 'MAP';
+  } else {
+    baseHP = calculateFromLoad(data, carPreset);
+    calculationMethod = 'Load';
+  }
+
+  if (settings.useAFRCorrection && data.afr > 0) {
+    baseHP *= calculateSimpleAFRCorrection(data.afr, data.isForceInduction);
+  }
+
+  if (settings.useKnockCorrection && data.knockRetard > 0) {
+    baseHP *= 1.0 - (data.knockRetard * 0.018);
+  }
+
+  if (settings.useAtmosphericCorrection && data.intakeAirTemp > 0) {
+    baseHP *= calculateSimpleAtmosphericCorrection(data.intakeAirTemp);
+  }
+
+  if (settings.useVolumetricEfficiency) {
+    baseHP *= calculateSimpleVE(data.rpm);
+  }
+
+  baseHP *= GEAR_CORRECTION[gear] ?? 1.0;
+  baseHP *= DRIVETRAIN_CORRECTION[carPreset.driveType] ?? 1.0;
+  baseHP *= settings.calibrationOverride ?? getCalibrationFactor(carPreset.key, calculationMethod);
+
+  return Math.max(baseHP, 0);
+};
+
+export const calculateTorque = (horsepower, rpm) => (rpm > 0 ? (horsepower * 5252) / rpm : 0);
+
+// Indices that stand clear of their neighbours and are the local maximum
+export const identifyGenuinePeaks = (values) => {
+  const peaks = [];
+
+  for (let i = 1; i < values.length - 1; i++) {
+    const current = values[i];
+    if (current > values[i - 1] + 2 && current > values[i + 1] + 2) {
+      const windowStart = Math.max(0, i - 5);
+      const windowEnd = Math.min(values.length - 1, i + 5);
+      let windowMax = -Infinity;
+      for (let j = windowStart; j <= windowEnd; j++) windowMax = Math.max(windowMax, values[j]);
+
+      if (Math.abs(current - windowMax) < 1.0) peaks.push(i);
+    }
+  }
+
+  return peaks;
+};
+
+export const smoothSingleValue = (data, index, selector, smoothingLevel) => {
+  const windowSize = Math.min(Math.trunc(smoothingLevel / 2), 2);
+  const start = Math.max(0, index - windowSize);
+  const end = Math.min(data.length - 1, index + windowSize);
+
+  let totalWeight = 0;
+  let weightedValue = 0;
+
+  for (let j = start; j <= end; j++) {
+    const distance = Math.abs(index - j);
+    const weight = Math.exp(-distance * distance / (2.0 * smoothingLevel * smoothingLevel));
+    weightedValue += selector(data[j]) * weight;
+    totalWeight += weight;
+  }
+
+  return roundHalfEven(weightedValue / totalWeight, 1);
+};
+
+// Points are { rpm, horsepower, torque, boost, ... }; extra fields pass through
+export const smoothDataPreservePeaks = (data, smoothingLevel) => {
+  if (smoothingLevel <= 0 || data.length === 0) return data;
+
+  const hpPeaks = new Set(identifyGenuinePeaks(data.map(d => d.horsepower)));
+  const tqPeaks = new Set(identifyGenuinePeaks(data.map(d => d.torque)));
+  const boostPeaks = new Set(identifyGenuinePeaks(data.map(d => d.boost)));
+
+  return data.map((point, i) => ({
+    ...point,
+    horsepower: hpPeaks.has(i) ? point.horsepower : smoothSingleValue(data, i, d => d.horsepower, smoothingLevel),
+    torque: tqPeaks.has(i) ? point.torque : smoothSingleValue(data, i, d => d.torque, smoothingLevel),
+    boost: boostPeaks.has(i) ? point.boost : smoothSingleValue(data, i, d => d.boost, smoothingLevel)
+  }));
+};
+
+// First element with the largest value - same tie-break as LINQ OrderByDescending().First()
+const maxBy = (items, selector) => items.reduce((best, item) => (best === null || selector(item) > selector(best) ? item : best), null);
+
+export const calculatePeakValues = (data, carWeight) => {
+  if (data.length === 0) {
+    return { maxHorsepower: 0, maxHorsepowerRpm: 0, maxTorque: 0, maxTorqueRpm: 0, maxBoost: 0, powerToWeightRatio: 0 };
+  }
+
+  // HP peak should be at higher RPM, torque peak in a reasonable range
+  const maxHpPoint = maxBy(data.filter(d => d.rpm >= 4000), d => d.horsepower) || maxBy(data, d => d.horsepower);
+  const maxTqPoint = maxBy(data.filter(d => d.rpm >= 2500 && d.rpm <= 5500), d => d.torque) || maxBy(data, d => d.torque);
+  const maxBoost = data.reduce((max, d) => Math.max(max, d.boost), -Infinity);
+  const powerToWeightRatio = maxHpPoint.horsepower / (carWeight / 1000.0);
+
+  return {
+    maxHorsepower: roundHalfEven(maxHpPoint.horsepower, 1),
+    maxHorsepowerRpm: maxHpPoint.rpm,
+    maxTorque: roundHalfEven(maxTqPoint.torque, 1),
+    maxTorqueRpm: maxTqPoint.rpm,
+    maxBoost: roundHalfEven(maxBoost, 1),
+    powerToWeightRatio: roundHalfEven(powerToWeightRatio, 1)
+  };
+};
+
+const pickCalculationMethod = (hasMAF, hasMAP, hasIntakeTemp) => {
+  if (hasMAF) return 'MAF-based (most accurate)';
+  if (hasMAP && hasIntakeTemp) return 'MAP-based (speed density)';
+  return 'Load-based (fallback)';
+};
+
+// Rows the calculation uses: RPM > 2000, load > 15% and the airflow source
+// reading something (MAF > 5 g/s, or boost above -10 psi without a MAF)
+export const isValidDataRow = (row, hasMAF, hasMAP) => {
+  if (row.rpm === null || row.rpm === undefined || row.load === null || row.load === undefined) return false;
+
+  let isValidData = Math.round(row.rpm) > 2000 && row.load > 0.15;
+  if (hasMAF) {
+    isValidData = isValidData && (row.maf ?? 0) > 5;
+  } else if (hasMAP) {
+    isValidData = isValidData && (row.boost ?? 0) > -10;
+  }
+  return isValidData;
+};
+
+// Mirror of CsvProcessingService.ProcessCsvFileAsync for canonical rows.
+// Returns the DynoRunDetailDto shape (camelCased as the API serializes it).
+export const processDynoRun = (rows, { carPreset, gear, weight, fileName = '', notes = '', settings } = {}) => {
+  if (!carPreset) throw new Error('A car preset is required for local calculation');
+
+  const has = (channel) => rows.some(r => r[channel] !== null && r[channel] !== undefined);
+  const hasMAF = has('maf');
+  const hasMAP = has('boost') || has('map');
+
+  if (!hasMAF && !hasMAP) {
+    throw new Error('Log must contain either MAF sensor data or Boost/MAP sensor data');
+  }
+  if (!has('rpm') || !has('load')) {
+    throw new Error('Log must contain RPM and Load columns');
+  }
+
+  const calculationMethod = pickCalculationMethod(hasMAF, hasMAP, has('iat'));
+  // Custom vehicles say so themselves; presets go by the backend's list
+  const isForceInduction = carPreset.forcedInduction ?? FORCED_INDUCTION_CARS.includes(carPreset.key);
+  const calcSettings = { ...DEFAULT_CALCULATION_SETTINGS, ...settings };
+  const dataPoints = [];
+
+  rows.forEach(row => {
+    if (!isValidDataRow(row, hasMAF, hasMAP)) return;
+
+    const rpm = Math.round(row.rpm);
+    const load = row.load;
+    const maf = row.maf ?? 0;
+    const boost = row.boost ?? 0;
+
+    const hp = calculateAdvancedHorsepower({
+      rpm,
+      massAirflow: maf,
+      load,
+      boostPressure: boost,
+      isForceInduction,
+      afr: row.afr ?? 0,
+      intakeAirTemp: row.iat ?? 0,
+      knockRetard: row.knock ?? 0
+    }, gear, carPreset, calcSettings);
+
+    dataPoints.push({
+      rpm,
+      horsepower: roundHalfEven(hp, 1),
+      torque: roundHalfEven(calculateTorque(hp, rpm), 1),
+      boost: roundHalfEven(boost, 1),
+      massAirflow: maf,
+      load
+    });
+  });
+
+  if (dataPoints.length === 0) {
+    throw new Error('No valid dyno data found. For valid dyno data: RPM > 2000, Load > 15%, and appropriate sensor thresholds.');
+  }
+
+  // Average duplicate RPMs, then apply the default smoothing like the API does
+  const groups = new Map();
+  dataPoints.forEach(point => {
+    if (!groups.has(point.rpm)) groups.set(point.rpm, []);
+    groups.get(point.rpm).push(point);
+  });
+
+  const average = (points, key) => points.reduce((sum, p) => sum + p[key], 0) / points.length;
+  const groupedData = [...groups.entries()]
+    .map(([rpm, points]) => ({
+      rpm,
+      horsepower: roundHalfEven(average(points, 'horsepower'), 1),
+      torque: roundHalfEven(average(points, 'torque'), 1),
+      boost: roundHalfEven(average(points, 'boost'), 1),
+      massAirflow: average(points, 'massAirflow'),
+      load: average(points, 'load')
+    }))
+    .sort((a, b) => a.rpm - b.rpm);
+
+  const finalData = smoothDataPreservePeaks(groupedData, DEFAULT_SMOOTHING_LEVEL);
+  const carWeight = weight > 0 ? weight : carPreset.weight;
+
+  return {
+    id: null,
+    fileName,
+    createdAt: new Date().toISOString(),
+    car: {
+      name: carPreset.name,
+      weight: carWeight,
+      displacement: carPreset.displacement,
+      driveType: carPreset.driveType
+    },
+    gearUsed: gear,
+    smoothingLevel: DEFAULT_SMOOTHING_LEVEL,
+    calculationMethod,
+    peaks: calculatePeakValues(finalData, carWeight),
+    notes,
+    isPublic: false,
+    dataPointCount: finalData.length,
+    dataPoints: finalData.map(({ rpm, horsepower, torque, boost }) => ({ rpm, horsepower, torque, boost }))
+  };
+};
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping } from './columnMapping';
+import { findCarPreset } from './carPresets';
+import {
+  processDynoRun,
+  calculateAdvancedHorsepower,
+  calculateSimpleAFRCorrection,
+  calculateSimpleVE,
+  smoothDataPreservePeaks,
+  identifyGenuinePeaks,
+  roundHalfEven
+} from './dynoCalculation';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+const loadSampleRows = () => {
+  const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+  return applyMapping(parsed, detectMapping(parsed.headers));
+};
+
+// Golden values produced by the C# DynoCalculationService for the sample log
+// (mazdaspeed3, 3rd gear, 3200 lb)
+const GOLDEN_PEAKS = {
+  maxHorsepower: 239.5,
+  maxHorsepowerRpm: 5660,
+  maxTorque: 287.9,
+  maxTorqueRpm: 3482,
+  maxBoost: 18.9,
+  powerToWeightRatio: 74.8
+};
+
+const GOLDEN_POINTS = [
+  [2459, 23.5, 50.2, -0.4],
+  [2716, 62, 119.9, 3.2],
+  [3106, 136.7, 231.2, 11.8],
+  [3686, 189.5, 270, 18.2],
+  [4303, 224.6, 274.1, 18.1],
+  [4899, 232.5, 249.3, 16.3],
+  [5576, 237.7, 223.9, 15.4],
+  [6010, 233.6, 204.1, 14.9]
+];
+
+const GOLDEN_SMOOTHED_L3 = [
+  [2627, 49.6, 98.7],
+  [3686, 190.8, 271.5],
+  [5007, 229.7, 240.7],
+  [6010, 233.8, 204]
+];
+
+describe('processDynoRun golden tests (sample Mazdaspeed3 log)', () => {
+  const run = processDynoRun(loadSampleRows(), {
+    carPreset: findCarPreset('mazdaspeed3'),
+    gear: 3,
+    weight: 3200,
+    fileName: 'sample.csv'
+  });
+
+  test('matches the backend peaks', () => {
+    expect(run.peaks).toEqual(GOLDEN_PEAKS);
+    expect(run.dataPointCount).toBe(158);
+    expect(run.calculationMethod).toBe('MAF-based (most accurate)');
+  });
+
+  test('matches backend data points', () => {
+    GOLDEN_POINTS.forEach(([rpm, horsepower, torque, boost]) => {
+      expect(run.dataPoints.find(p => p.rpm === rpm)).toEqual({ rpm, horsepower, torque, boost });
+    });
+  });
+
+  test('matches backend smoothing', () => {
+    const smoothed = smoothDataPreservePeaks(run.dataPoints, 3);
+
+    GOLDEN_SMOOTHED_L3.forEach(([rpm, horsepower, torque]) => {
+      const point = smoothed.find(p => p.rpm === rpm);
+      expect(point.horsepower).toBe(horsepower);
+      expect(point.torque).toBe(torque);
+    });
+  });
+
+  test('returns the GET /api/dyno/runs/{id} shape', () => {
+    expect(run).toEqual(expect.objectContaining({
+      fileName: 'sample.csv',
+      gearUsed: 3,
+      smoothingLevel: 1,
+      car: { name: 'Mazdaspeed3', weight: 3200, displacement: 2.3, driveType: 'FWD' }
+    }));
+    expect(Object.keys(run.dataPoints[0])).toEqual(['rpm', 'horsepower', 'torque', 'boost']);
+  });
+});
+
+describe('calculation methods', () => {
+  const preset = findCarPreset('wrx');
+
+  test('falls back to MAP then Load when there is no MAF', () => {
+    const base = { rpm: 4000, massAirflow: 0, load: 0.9, afr: 0, knockRetard: 0, isForceInduction: true };
+
+    const mapHp = calculateAdvancedHorsepower({ ...base, boostPressure: 15, intakeAirTemp: 90 }, 4, preset);
+    const loadHp = calculateAdvancedHorsepower({ ...base, boostPressure: -15, intakeAirTemp: 0 }, 4, preset);
+
+    expect(mapHp).toBeGreaterThan(0);
+    expect(loadHp).toBeGreaterThan(0);
+    expect(mapHp).not.toBeCloseTo(loadHp);
+  });
+
+  test('knock retard costs power', () => {
+    const data = { rpm: 5000, massAirflow: 200, load: 1.5, boostPressure: 15, intakeAirTemp: 80, afr: 11.5, isForceInduction: true };
+
+    const clean = calculateAdvancedHorsepower({ ...data, knockRetard: 0 }, 3, preset);
+    const knocking = calculateAdvancedHorsepower({ ...data, knockRetard: 3 }, 3, preset);
+
+    expect(knocking / clean).toBeCloseTo(1 - 3 * 0.018);
+  });
+
+  test('AFR correction and VE curve follow the backend tables', () => {
+    expect(calculateSimpleAFRCorrection(11.8, true)).toBe(1.0);
+    expect(calculateSimpleAFRCorrection(13.3, true)).toBeCloseTo(0.9875);
+    expect(calculateSimpleAFRCorrection(25, true)).toBe(0.95);
+    expect(calculateSimpleVE(4000)).toBe(1.12);
+    expect(calculateSimpleVE(2600)).toBeCloseTo(0.93);
+  });
+
+  test('rejects logs without airflow or pressure data', () => {
+    const rows = [{ rpm: 4000, load: 0.9, maf: null, boost: null, map: null }];
+    expect(() => processDynoRun(rows, { carPreset: preset, gear: 4 })).toThrow(/MAF/);
+  });
+});
+
+describe('helpers', () => {
+  test('roundHalfEven matches .NET Math.Round', () => {
+    expect(roundHalfEven(2.25, 1)).toBe(2.2);
+    expect(roundHalfEven(2.35, 1)).toBe(2.4);
+    expect(roundHalfEven(-0.45, 1)).toBe(-0.4);
+    expect(roundHalfEven(2.5)).toBe(2);
+  });
+
+  test('identifyGenuinePeaks ignores shallow bumps', () => {
+    expect(identifyGenuinePeaks([100, 101, 100, 100, 110, 100, 100])).toEqual([4]);
+  });
+});
@@ -0,0 +1,72 @@
+// 3D dyno cell
+// Kinematics and gauge maths for the dyno cell scene. The scene itself is
+// loaded on demand (three.js is large), so everything testable lives here.
+
+import { DYNO_TYPES } from './dynoModel';
+
+const STORAGE_KEY = 'virtualDyno.dynoCell';
+const RPM_PER_MPH_FACTOR = 336.13;
+const MPH_TO_IN_PER_SEC = 17.6;
+
+export const DRIVEN_AXLES = {
+  FWD: ['front'],
+  RWD: ['rear'],
+  AWD: ['front', 'rear']
+};
+
+export const TACH_MAX_RPM = 8000;
+export const BOOST_GAUGE_RANGE = { min: -15, max: 30 };
+// Gauge needles sweep 270° starting at 7:30
+const GAUGE_SWEEP = 270;
+const GAUGE_START = -135;
+
+// Checked once before loading three.js. jsdom and locked-down browsers have
+// no WebGL, and get the 2D graph only.
+export const hasWebGL = () => {
+  if (typeof window === 'undefined' || typeof window.WebGLRenderingContext === 'undefined') return false;
+  try {
+    const canvas = document.createElement('canvas');
+    return Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Road speed from RPM when the log has no speed channel
+export const speedFromRpm = (rpm, gearing) => {
+  if (!gearing?.gearRatio || !gearing.finalDrive || !gearing.tireDiameter) return 0;
+  return rpm * gearing.tireDiameter / (gearing.gearRatio * gearing.finalDrive * RPM_PER_MPH_FACTOR);
+};
+
+// Angular speeds (rad/s) of a tyre and the roller it drives at road speed.
+// Tyre surface speed equals roller surface speed.
+export const wheelSpeeds = (speedMph, tireDiameter, dynoType) => {
+  const surface = Math.max(0, speedMph) * MPH_TO_IN_PER_SEC;
+  const rollerDiameter = DYNO_TYPES[dynoType]?.rollerDiameter || tireDiameter;
+  return {
+    wheel: tireDiameter > 0 ? surface / (tireDiameter / 2) : 0,
+    roller: surface / (rollerDiameter / 2)
+  };
+};
+
+// Needle angle in degrees, clamped to the dial
+export const gaugeAngle = (value, min, max) => {
+  const fraction = Math.min(1, Math.max(0, (value - min) / (max - min)));
+  return GAUGE_START + fraction * GAUGE_SWEEP;
+};
+
+export const loadDynoCellEnabled = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) === 'on';
+  } catch (error) {
+    return false;
+  }
+};
+
+export const saveDynoCellEnabled = (enabled) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+  } catch (error) {
+    console.warn('⚠️ Could not save dyno cell preference:', error);
+  }
+};
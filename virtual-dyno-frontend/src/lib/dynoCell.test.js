@@ -0,0 +1,32 @@
+import { hasWebGL, speedFromRpm, wheelSpeeds, gaugeAngle, loadDynoCellEnabled, saveDynoCellEnabled } from './dynoCell';
+
+const GEARING = { gearRatio: 1.0, finalDrive: 4.0, tireDiameter: 25 };
+
+test('jsdom has no WebGL, so the app stays 2D', () => {
+  expect(hasWebGL()).toBe(false);
+});
+
+test('road speed follows RPM through the gearing', () => {
+  expect(speedFromRpm(5378, GEARING)).toBeCloseTo(100, 0);
+  expect(speedFromRpm(5000, { ...GEARING, gearRatio: undefined })).toBe(0);
+});
+
+test('tyre and roller share a surface speed', () => {
+  const { wheel, roller } = wheelSpeeds(60, 25, 'mustang_md250');
+  expect(wheel * 25 / 2).toBeCloseTo(60 * 17.6, 6);
+  expect(roller * 10.7 / 2).toBeCloseTo(60 * 17.6, 6);
+  expect(wheelSpeeds(-5, 25, 'dynojet_248c')).toEqual({ wheel: 0, roller: 0 });
+});
+
+test('gauge needles sweep 270° and stay on the dial', () => {
+  expect(gaugeAngle(0, 0, 8000)).toBe(-135);
+  expect(gaugeAngle(4000, 0, 8000)).toBe(0);
+  expect(gaugeAngle(9500, 0, 8000)).toBe(135);
+});
+
+test('remembers whether the cell is shown', () => {
+  window.localStorage.clear();
+  expect(loadDynoCellEnabled()).toBe(false);
+  saveDynoCellEnabled(true);
+  expect(loadDynoCellEnabled()).toBe(true);
+});
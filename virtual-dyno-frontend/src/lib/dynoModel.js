@@ -0,0 +1,95 @@
+// Virtual dyno model
+// Turns calculated wheel power into what a given chassis dyno would read.
+// Output is deterministic for the same input; run-to-run scatter is only
+// added when seeded noise is asked for (e.g. for demos).
+
+// correction:   how high or low this dyno reads compared to the calculation
+// rollerLoss:   hp absorbed spinning the rollers/brake at 6000 RPM, rising
+//               with the square of roller speed
+// inertiaLag:   0..1 share of the gap between reading and calculation a heavy
+//               drum still leaves after sweeping LAG_REFERENCE_RPM - per RPM
+//               rather than per sample, so log density doesn't change it
+// variance:     ± fraction used by seeded noise
+export const DYNO_TYPES = {
+  mustang_md250: {
+    name: 'Mustang MD250',
+    correction: 1.0,
+    rollerDiameter: 10.7,
+    rollerLoss: 6,
+    inertiaLag: 0.15,
+    variance: 0.02
+  },
+  dynojet_248c: {
+    name: 'DynoJet 248C',
+    correction: 1.15,
+    rollerDiameter: 48,
+    rollerLoss: 2,
+    inertiaLag: 0.3,
+    variance: 0.03
+  },
+  awd_dyno: {
+    name: 'AWD Dyno',
+    correction: 0.95,
+    rollerDiameter: 24,
+    rollerLoss: 10,
+    inertiaLag: 0.35,
+    variance: 0.04
+  }
+};
+
+const ROLLER_LOSS_REFERENCE_RPM = 6000;
+const LAG_REFERENCE_RPM = 25;
+
+// mulberry32 - small, fast and good enough for cosmetic noise
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// points: calculated data points { rpm, horsepower, torque, boost, ... }
+// dynoType: key of DYNO_TYPES or a dyno definition
+// options: { environmentFactor, noise: { seed } | null }
+// Returns RPM-sorted { rpm, hp, torque, boost, maf, load }
+export const applyDynoModel = (points, dynoType, { environmentFactor = 1, noise = null } = {}) => {
+  const dyno = typeof dynoType === 'string' ? DYNO_TYPES[dynoType] : dynoType;
+  if (!dyno) throw new Error(`Unknown dyno type: ${dynoType}`);
+
+  const random = noise ? createSeededRandom(noise.seed) : null;
+  const sorted = [...points].sort((a, b) => a.rpm - b.rpm);
+
+  let previous = null;
+  return sorted.map(point => {
+    const rollerSpeed = point.rpm / ROLLER_LOSS_REFERENCE_RPM;
+    const target = Math.max(0, point.horsepower * environmentFactor * dyno.correction - dyno.rollerLoss * rollerSpeed * rollerSpeed);
+
+    let reading = target;
+    if (previous && dyno.inertiaLag > 0) {
+      const sweep = point.rpm - previous.rpm;
+      const decay = dyno.inertiaLag ** (sweep / LAG_REFERENCE_RPM);
+      // Exact first-order response to a target moving linearly between points,
+      // so splitting the same sweep into more points gives the same reading
+      const lagRpm = LAG_REFERENCE_RPM / -Math.log(dyno.inertiaLag);
+      const drift = sweep > 0 ? ((target - previous.target) / sweep) * lagRpm : 0;
+      reading = target - drift + (previous.reading - previous.target + drift) * decay;
+    }
+    previous = { rpm: point.rpm, target, reading };
+
+    const variance = random ? 1 + (random() - 0.5) * 2 * dyno.variance : 1;
+    const hp = reading * variance;
+
+    return {
+      rpm: point.rpm,
+      hp,
+      torque: point.rpm > 0 ? (hp * 5252) / point.rpm : 0,
+      boost: point.boost,
+      maf: point.massAirflow || 0,
+      load: point.load || 0
+    };
+  });
+};
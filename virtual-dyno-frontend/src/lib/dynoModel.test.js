@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping } from './columnMapping';
+import { findCarPreset } from './carPresets';
+import { processDynoRun } from './dynoCalculation';
+import { applyDynoModel, createSeededRandom, DYNO_TYPES } from './dynoModel';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+// Full pipeline from raw file bytes, so every run starts from scratch
+const runSample = (dynoType, options) => {
+  const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+  const rows = applyMapping(parsed, detectMapping(parsed.headers));
+  const run = processDynoRun(rows, { carPreset: findCarPreset('mazdaspeed3'), gear: 3, weight: 3200 });
+  return applyDynoModel(run.dataPoints, dynoType, options);
+};
+
+describe('applyDynoModel', () => {
+  test.each(Object.keys(DYNO_TYPES))('%s gives identical output for the same log and settings', (dynoType) => {
+    const first = runSample(dynoType, { environmentFactor: 0.98 });
+    const second = runSample(dynoType, { environmentFactor: 0.98 });
+
+    expect(second).toEqual(first);
+  });
+
+  test('never calls Math.random', () => {
+    const spy = jest.spyOn(Math, 'random');
+    runSample('dynojet_248c', { noise: { seed: 7 } });
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test('seeded noise is repeatable and depends on the seed', () => {
+    const a = runSample('mustang_md250', { noise: { seed: 42 } });
+    const b = runSample('mustang_md250', { noise: { seed: 42 } });
+    const c = runSample('mustang_md250', { noise: { seed: 43 } });
+    const clean = runSample('mustang_md250');
+
+    expect(b).toEqual(a);
+    expect(c).not.toEqual(a);
+    a.forEach((point, i) => {
+      expect(Math.abs(point.hp / clean[i].hp - 1)).toBeLessThanOrEqual(DYNO_TYPES.mustang_md250.variance + 1e-9);
+    });
+  });
+
+  test('applies the dyno correction, roller loss and inertia lag', () => {
+    const points = [
+      { rpm: 5975, horsepower: 100, torque: 88, boost: 10 },
+      { rpm: 6000, horsepower: 200, torque: 175, boost: 15 }
+    ];
+    const dyno = { correction: 1.1, rollerLoss: 4, inertiaLag: 0.5, variance: 0 };
+
+    const [low, high] = applyDynoModel(points, dyno);
+
+    const lowTarget = 110 - 4 * (5975 / 6000) ** 2;
+    expect(low.hp).toBeCloseTo(lowTarget);
+    // the drum trails a target that ramps to 216 over those 25 RPM
+    expect(high.hp).toBeGreaterThan(lowTarget);
+    expect(high.hp).toBeLessThan(lowTarget + (216 - lowTarget) * 0.5);
+    expect(high.torque).toBeCloseTo((high.hp * 5252) / 6000);
+  });
+
+  test('lags by RPM swept, not by how densely the log is sampled', () => {
+    const ramp = (step) => Array.from({ length: 3000 / step + 1 }, (_, i) => {
+      const rpm = 3000 + i * step;
+      return { rpm, horsepower: rpm / 25, torque: 0, boost: 0 };
+    });
+    const readingAt = (points, rpm) => applyDynoModel(points, 'dynojet_248c').find(p => p.rpm === rpm).hp;
+
+    const dense = readingAt(ramp(10), 5000);
+    const sparse = readingAt(ramp(100), 5000);
+
+    expect(dense).toBeLessThan(200 * DYNO_TYPES.dynojet_248c.correction);
+    expect(sparse).toBeCloseTo(dense, 3);
+  });
+
+  test('sorts by RPM and rejects unknown dynos', () => {
+    const points = [
+      { rpm: 5000, horsepower: 200, torque: 210, boost: 15 },
+      { rpm: 3000, horsepower: 100, torque: 175, boost: 10 }
+    ];
+
+    expect(applyDynoModel(points, 'mustang_md250').map(p => p.rpm)).toEqual([3000, 5000]);
+    expect(() => applyDynoModel(points, 'nope')).toThrow(/Unknown dyno/);
+  });
+});
+
+test('createSeededRandom returns the same sequence for the same seed', () => {
+  const a = createSeededRandom(1);
+  const b = createSeededRandom(1);
+  const sequence = [a(), a(), a()];
+
+  expect([b(), b(), b()]).toEqual(sequence);
+  sequence.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
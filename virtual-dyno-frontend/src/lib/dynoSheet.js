@@ -0,0 +1,254 @@
+// Dyno sheet export
+// Builds a printable, shop-style dyno sheet as a standalone SVG at a fixed
+// size, so it looks the same whatever the browser window is doing. PNG and
+// PDF exports are rendered from the same SVG.
+
+import { SECONDARY_AXES, enabledAxes, axisSeriesStyle, niceScale, scaleTicks, formatTick, extent } from './graphAxes';
+import { DEFAULT_UNITS, toDisplay, unitLabel, formatQuantity } from './units';
+
+export const SHEET_WIDTH = 1600;
+export const SHEET_HEIGHT = 1000;
+
+const PLOT = { left: 90, top: 150, right: 1180, bottom: 850 };
+const INFO_X = 1230;
+const AXIS_WIDTH = 60;
+const HP_COLOR = '#d62828';
+const TQ_COLOR = '#2b9348';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const wrapText = (text, maxChars, maxLines) => {
+  const lines = [];
+  let line = '';
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    if ((line + ' ' + word).trim().length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = (line + ' ' + word).trim();
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+    return kept;
+  }
+  return lines;
+};
+
+// Everything the sheet prints, pulled together from a dynoResults object.
+// curve: the points as displayed ({ rpm, horsepower, torque, boost, afr })
+// axes: graph axis settings - enabled boost/AFR axes are printed too
+// units: display units; curve, peaks and weight stay canonical in the sheet
+// smoothing: label for the smoothing shown; smoothingLevel is the older API level
+export const sheetFromResults = (dynoResults, { curve, smoothing, smoothingLevel = 0, vehicle, dynoName, axes = {}, units = DEFAULT_UNITS } = {}) => {
+  const settings = dynoResults.settings;
+  const peakOf = (key) => curve.reduce((best, p) => (p[key] > best[key] ? p : best), curve[0]);
+  const hpPeak = peakOf('horsepower');
+  const tqPeak = peakOf('torque');
+  const correction = dynoResults.correction;
+
+  return {
+    title: dynoResults.fileName,
+    date: dynoResults.detailData?.createdAt || new Date().toISOString(),
+    car: vehicle?.name || dynoResults.detailData?.car?.name || settings.selectedCar,
+    driveType: vehicle?.driveType || dynoResults.detailData?.car?.driveType || '',
+    gear: settings.gear,
+    weight: settings.weight,
+    dynoName: dynoName || settings.dynoType,
+    correction: correction ? `${correction.name} (CF ${correction.factor.toFixed(3)})` : 'Uncorrected',
+    environment: `${formatQuantity('temperature', settings.temperature, units, 0)} · ${settings.humidity}% RH · ` +
+      formatQuantity('baro', settings.baro ?? 29.92, units) +
+      (settings.altitude ? ` · ${formatQuantity('altitude', settings.altitude, units, 0)}` : ''),
+    smoothing: smoothing || (smoothingLevel > 0 ? `Level ${smoothingLevel}` : 'None'),
+    calculation: dynoResults.detailData?.calculationMethod || '',
+    notes: dynoResults.detailData?.notes || '',
+    peaks: {
+      horsepower: hpPeak.horsepower,
+      horsepowerRpm: hpPeak.rpm,
+      torque: tqPeak.torque,
+      torqueRpm: tqPeak.rpm,
+      boost: extent(curve.map(p => p.boost ?? 0))[1]
+    },
+    secondaryAxes: enabledAxes(axes)
+      .filter(axis => curve.some(p => Number.isFinite(p[axis])))
+      .map(axis => ({ axis, ...axes[axis] })),
+    units,
+    points: curve
+  };
+};
+
+const niceMax = (value, step) => Math.max(step, Math.ceil((value * 1.1) / step) * step);
+
+const curvePath = (points, key, x, y) =>
+  points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.rpm).toFixed(1)} ${y(p[key]).toFixed(1)}`).join(' ');
+
+export const buildDynoSheetSvg = (sheet) => {
+  const units = sheet.units || DEFAULT_UNITS;
+  const powerUnit = units.power === 'hp' ? 'WHP' : unitLabel('power', units);
+  const torqueUnit = unitLabel('torque', units);
+  const points = [...sheet.points]
+    .sort((a, b) => a.rpm - b.rpm)
+    .map(p => ({ ...p, power: toDisplay('power', p.horsepower, units), torqueValue: toDisplay('torque', p.torque, units) }));
+  const [lowRpm, highRpm] = extent(points.map(p => p.rpm));
+  const minRpm = Math.floor(lowRpm / 500) * 500;
+  const maxRpm = Math.ceil(highRpm / 500) * 500;
+  const maxValue = niceMax(extent(points.map(p => Math.max(p.power, p.torqueValue)))[1], 50);
+
+  // Boost/AFR axes sit on the right of the plot, which narrows to make room
+  const axes = (sheet.secondaryAxes || []).map(settings => {
+    const style = axisSeriesStyle(settings.axis, { [settings.axis]: settings }, units);
+    const series = points
+      .filter(p => Number.isFinite(p[settings.axis]))
+      .map(p => ({ rpm: p.rpm, value: style.convert(p[settings.axis]) }));
+    const scale = niceScale(series.map(p => p.value));
+    return scale && { ...style, label: SECONDARY_AXES[settings.axis].label, series, scale };
+  }).filter(Boolean);
+  const plotRight = PLOT.right - AXIS_WIDTH * axes.length;
+
+  const x = (rpm) => PLOT.left + ((rpm - minRpm) / (maxRpm - minRpm || 1)) * (plotRight - PLOT.left);
+  const y = (value) => PLOT.bottom - (value / maxValue) * (PLOT.bottom - PLOT.top);
+
+  const parts = [];
+  const text = (tx, ty, content, attrs = '') => parts.push(`<text x="${tx}" y="${ty}" ${attrs}>${escapeXml(content)}</text>`);
+
+  parts.push(`<rect width="${SHEET_WIDTH}" height="${SHEET_HEIGHT}" fill="#ffffff"/>`);
+
+  // Header band
+  parts.push(`<rect width="${SHEET_WIDTH}" height="110" fill="#1a202c"/>`);
+  text(40, 62, 'VIRTUAL DYNO', `fill="${HP_COLOR}" font-size="40" font-weight="bold" letter-spacing="4"`);
+  text(40, 92, 'Dyno Sheet', 'fill="#a0aec0" font-size="18"');
+  text(SHEET_WIDTH - 40, 52, sheet.title, 'fill="#ffffff" font-size="24" font-weight="bold" text-anchor="end"');
+  text(SHEET_WIDTH - 40, 84, new Date(sheet.date).toLocaleString(), 'fill="#a0aec0" font-size="16" text-anchor="end"');
+
+  // Grid and axis labels
+  for (let rpm = minRpm; rpm <= maxRpm; rpm += 500) {
+    parts.push(`<line x1="${x(rpm)}" y1="${PLOT.top}" x2="${x(rpm)}" y2="${PLOT.bottom}" stroke="#e2e8f0" stroke-width="1"/>`);
+    text(x(rpm), PLOT.bottom + 26, rpm, 'fill="#4a5568" font-size="15" text-anchor="middle"');
+  }
+  for (let value = 0; value <= maxValue; value += 50) {
+    parts.push(`<line x1="${PLOT.left}" y1="${y(value)}" x2="${plotRight}" y2="${y(value)}" stroke="#e2e8f0" stroke-width="1"/>`);
+    text(PLOT.left - 12, y(value) + 5, value, 'fill="#4a5568" font-size="15" text-anchor="end"');
+  }
+  parts.push(`<rect x="${PLOT.left}" y="${PLOT.top}" width="${plotRight - PLOT.left}" height="${PLOT.bottom - PLOT.top}" fill="none" stroke="#4a5568" stroke-width="2"/>`);
+  text((PLOT.left + plotRight) / 2, PLOT.bottom + 58, 'Engine Speed (RPM)', 'fill="#2d3748" font-size="18" font-weight="bold" text-anchor="middle"');
+  text(30, (PLOT.top + PLOT.bottom) / 2, `Power (${powerUnit}) / Torque (${torqueUnit})`, `fill="#2d3748" font-size="18" font-weight="bold" text-anchor="middle" transform="rotate(-90 30 ${(PLOT.top + PLOT.bottom) / 2})"`);
+
+  // Curves and peak markers
+  parts.push(`<path d="${curvePath(points, 'power', x, y)}" fill="none" stroke="${HP_COLOR}" stroke-width="3.5" stroke-linejoin="round"/>`);
+  parts.push(`<path d="${curvePath(points, 'torqueValue', x, y)}" fill="none" stroke="${TQ_COLOR}" stroke-width="3.5" stroke-linejoin="round"/>`);
+
+  axes.forEach((axis, i) => {
+    const axisX = plotRight + AXIS_WIDTH * i;
+    const axisY = (value) => PLOT.bottom - ((value - axis.scale.min) / (axis.scale.max - axis.scale.min)) * (PLOT.bottom - PLOT.top);
+    parts.push(`<line x1="${axisX}" y1="${PLOT.top}" x2="${axisX}" y2="${PLOT.bottom}" stroke="${axis.color}" stroke-width="2"/>`);
+    scaleTicks(axis.scale).forEach(value => {
+      parts.push(`<line x1="${axisX}" y1="${axisY(value)}" x2="${axisX + 6}" y2="${axisY(value)}" stroke="${axis.color}" stroke-width="2"/>`);
+      text(axisX + 9, axisY(value) + 5, formatTick(value, axis.scale.step), `fill="${axis.color}" font-size="14"`);
+    });
+    text(axisX + 9, PLOT.top - 12, axis.unit, `fill="${axis.color}" font-size="15" font-weight="bold"`);
+
+    const dash = axis.dash.length > 0 ? ` stroke-dasharray="${axis.dash.map(d => d * 1.5).join(' ')}"` : '';
+    parts.push(`<path d="${curvePath(axis.series, 'value', x, axisY)}" fill="none" stroke="${axis.color}" stroke-width="${axis.width * 1.25}" stroke-linejoin="round"${dash}/>`);
+  });
+
+  const { peaks } = sheet;
+  const peakPower = toDisplay('power', peaks.horsepower, units);
+  const peakTorque = toDisplay('torque', peaks.torque, units);
+  [[peaks.horsepowerRpm, peakPower, HP_COLOR, `${peakPower.toFixed(1)} ${powerUnit}`],
+    [peaks.torqueRpm, peakTorque, TQ_COLOR, `${peakTorque.toFixed(1)} ${torqueUnit}`]].forEach(([rpm, value, color, label]) => {
+    parts.push(`<circle cx="${x(rpm)}" cy="${y(value)}" r="6" fill="${color}"/>`);
+    text(x(rpm), y(value) - 14, label, `fill="${color}" font-size="16" font-weight="bold" text-anchor="middle"`);
+  });
+
+  // Legend
+  parts.push(`<rect x="${PLOT.left + 16}" y="${PLOT.top + 16}" width="18" height="4" fill="${HP_COLOR}"/>`);
+  text(PLOT.left + 42, PLOT.top + 23, units.power === 'hp' ? 'Horsepower' : 'Power', 'fill="#2d3748" font-size="15"');
+  parts.push(`<rect x="${PLOT.left + 16}" y="${PLOT.top + 40}" width="18" height="4" fill="${TQ_COLOR}"/>`);
+  text(PLOT.left + 42, PLOT.top + 47, 'Torque', 'fill="#2d3748" font-size="15"');
+  axes.forEach((axis, i) => {
+    parts.push(`<rect x="${PLOT.left + 16}" y="${PLOT.top + 64 + 24 * i}" width="18" height="4" fill="${axis.color}"/>`);
+    text(PLOT.left + 42, PLOT.top + 71 + 24 * i, `${axis.label} (${axis.unit})`, 'fill="#2d3748" font-size="15"');
+  });
+
+  // Peaks block
+  const peakBox = (top, value, unit, at, color) => {
+    parts.push(`<rect x="${INFO_X}" y="${top}" width="330" height="90" rx="8" fill="#f7fafc" stroke="#e2e8f0"/>`);
+    text(INFO_X + 20, top + 50, value, `fill="${color}" font-size="40" font-weight="bold"`);
+    text(INFO_X + 200, top + 50, unit, 'fill="#4a5568" font-size="18"');
+    text(INFO_X + 20, top + 76, at, 'fill="#718096" font-size="15"');
+  };
+  const [boostValue, boostUnit] = formatQuantity('pressure', peaks.boost, units).split(' ');
+  peakBox(150, peakPower.toFixed(1), powerUnit, `@ ${peaks.horsepowerRpm} RPM`, HP_COLOR);
+  peakBox(255, peakTorque.toFixed(1), torqueUnit, `@ ${peaks.torqueRpm} RPM`, TQ_COLOR);
+  peakBox(360, boostValue, boostUnit, 'peak boost', '#2b6cb0');
+
+  // Run details
+  const details = [
+    ['Vehicle', `${sheet.car}${sheet.driveType ? ` (${sheet.driveType})` : ''}`],
+    ['Gear', sheet.gear],
+    ['Weight', formatQuantity('weight', sheet.weight, units, 0)],
+    ['Dyno', sheet.dynoName],
+    ['Correction', sheet.correction],
+    ['Smoothing', sheet.smoothing],
+    ['Method', sheet.calculation]
+  ].filter(([, value]) => value !== '' && value !== undefined && value !== null);
+  details.forEach(([label, value], i) => {
+    const rowY = 500 + i * 44;
+    text(INFO_X, rowY, label.toUpperCase(), 'fill="#718096" font-size="13" letter-spacing="1"');
+    text(INFO_X, rowY + 20, value, 'fill="#1a202c" font-size="17"');
+  });
+
+  // Footer: conditions and notes
+  parts.push(`<line x1="40" y1="920" x2="${SHEET_WIDTH - 40}" y2="920" stroke="#e2e8f0" stroke-width="2"/>`);
+  text(40, 948, `Conditions: ${sheet.environment} · ${sheet.correction}`, 'fill="#2d3748" font-size="16"');
+  wrapText(sheet.notes ? `Notes: ${sheet.notes}` : '', 150, 2).forEach((line, i) => {
+    text(40, 972 + i * 20, line, 'fill="#718096" font-size="14"');
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET_WIDTH}" height="${SHEET_HEIGHT}" ` +
+    `viewBox="0 0 ${SHEET_WIDTH} ${SHEET_HEIGHT}" font-family="Arial, Helvetica, sans-serif">${parts.join('')}</svg>`;
+};
+
+// Rasterise the sheet at a fixed scale (2 = 3200×2000 px)
+export const svgToPngBlob = (svg, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = SHEET_WIDTH * scale;
+    canvas.height = SHEET_HEIGHT * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, SHEET_WIDTH, SHEET_HEIGHT);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render dyno sheet'));
+  };
+  image.src = url;
+});
+
+// Landscape print page for "Save as PDF"
+export const buildPrintDocument = (svg, title) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+  @page { size: landscape; margin: 10mm; }
+  html, body { margin: 0; background: #ffffff; }
+  svg { width: 100%; height: auto; display: block; }
+</style>
+</head>
+<body>${svg}</body>
+</html>`;
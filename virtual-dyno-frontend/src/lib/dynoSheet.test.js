@@ -0,0 +1,121 @@
+import { buildDynoSheetSvg, sheetFromResults, buildPrintDocument, SHEET_WIDTH, SHEET_HEIGHT } from './dynoSheet';
+import { safeFileName } from './download';
+import { DEFAULT_UNITS, UNIT_PRESETS } from './units';
+
+const CURVE = [
+  { rpm: 3000, horsepower: 120, torque: 210, boost: 12 },
+  { rpm: 4000, horsepower: 190, torque: 250, boost: 18.6 },
+  { rpm: 5000, horsepower: 230, torque: 241, boost: 17 },
+  { rpm: 6000, horsepower: 220, torque: 193, boost: 15 }
+];
+
+const RESULTS = {
+  fileName: 'stage1 & intake.csv',
+  settings: {
+    selectedCar: 'mazdaspeed3',
+    gear: 3,
+    weight: 3200,
+    dynoType: 'mustang_md250',
+    temperature: 75,
+    humidity: 45,
+    baro: 29.92,
+    altitude: 0
+  },
+  correction: { name: 'SAE J1349', factor: 0.98654 },
+  detailData: {
+    createdAt: '2025-03-01T12:00:00Z',
+    calculationMethod: 'MAF-based (most accurate)',
+    notes: 'Baseline <before> tune'
+  }
+};
+
+const sheet = sheetFromResults(RESULTS, {
+  curve: CURVE,
+  smoothingLevel: 2,
+  vehicle: { name: 'Mazdaspeed3', driveType: 'FWD' },
+  dynoName: 'Mustang MD250'
+});
+
+describe('sheetFromResults', () => {
+  test('collects peaks and run details', () => {
+    expect(sheet.peaks).toEqual({ horsepower: 230, horsepowerRpm: 5000, torque: 250, torqueRpm: 4000, boost: 18.6 });
+    expect(sheet.correction).toBe('SAE J1349 (CF 0.987)');
+    expect(sheet.smoothing).toBe('Level 2');
+    expect(sheet.environment).toBe('75°F · 45% RH · 29.92 inHg');
+  });
+
+  test('prints the client-side smoothing label when there is one', () => {
+    const smoothed = sheetFromResults(RESULTS, { curve: CURVE, smoothing: 'Gaussian 40%, peaks kept' });
+    expect(smoothed.smoothing).toBe('Gaussian 40%, peaks kept');
+  });
+});
+
+describe('buildDynoSheetSvg', () => {
+  const svg = buildDynoSheetSvg(sheet);
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+  test('is well-formed SVG at the fixed sheet size', () => {
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.getAttribute('width')).toBe(String(SHEET_WIDTH));
+    expect(doc.documentElement.getAttribute('height')).toBe(String(SHEET_HEIGHT));
+  });
+
+  test('draws both curves and prints the run details', () => {
+    expect(doc.getElementsByTagName('path')).toHaveLength(2);
+    const texts = Array.from(doc.getElementsByTagName('text')).map(t => t.textContent);
+
+    expect(texts).toContain('230.0 WHP');
+    expect(texts).toContain('@ 4000 RPM');
+    expect(texts).toContain('Mazdaspeed3 (FWD)');
+    expect(texts).toContain('Mustang MD250');
+    expect(texts).toContain('Level 2');
+    expect(texts.some(t => t.includes('SAE J1349 (CF 0.987)'))).toBe(true);
+    expect(texts.some(t => t.includes('Baseline <before> tune'))).toBe(true);
+    expect(texts).toContain('stage1 & intake.csv');
+  });
+
+  test('prints the enabled boost and AFR axes with their own scales', () => {
+    const curve = CURVE.map((p, i) => ({ ...p, afr: i === 0 ? null : 11.5 + i * 0.2 }));
+    const withAxes = sheetFromResults(RESULTS, {
+      curve,
+      axes: {
+        boost: { enabled: true, color: '#4488ff', width: 2, style: 'dashed' },
+        afr: { enabled: true, color: '#d69e2e', width: 2, style: 'solid' }
+      },
+      units: { ...DEFAULT_UNITS, pressure: 'bar', mixture: 'lambda' }
+    });
+    const axesDoc = new DOMParser().parseFromString(buildDynoSheetSvg(withAxes), 'image/svg+xml');
+    const texts = Array.from(axesDoc.getElementsByTagName('text')).map(t => t.textContent);
+
+    expect(withAxes.secondaryAxes.map(a => a.axis)).toEqual(['boost', 'afr']);
+    expect(axesDoc.getElementsByTagName('path')).toHaveLength(4);
+    expect(texts).toEqual(expect.arrayContaining(['Boost (bar)', 'AFR (λ)', 'bar', 'λ']));
+    expect(axesDoc.querySelector('path[stroke="#4488ff"]').getAttribute('stroke-dasharray')).toBe('12 6');
+
+    const without = sheetFromResults(RESULTS, { curve, axes: { boost: { enabled: false } } });
+    expect(without.secondaryAxes).toEqual([]);
+  });
+
+  test('prints in the chosen units', () => {
+    const metric = sheetFromResults(RESULTS, { curve: CURVE, units: UNIT_PRESETS.metric.units });
+    const texts = Array.from(new DOMParser()
+      .parseFromString(buildDynoSheetSvg(metric), 'image/svg+xml')
+      .getElementsByTagName('text')).map(t => t.textContent);
+
+    expect(metric.peaks.horsepower).toBe(230);
+    expect(texts).toEqual(expect.arrayContaining(['171.5 kW', '339.0 Nm', '1.28', 'bar', '1451 kg', 'Power (kW) / Torque (Nm)']));
+    expect(metric.environment).toBe('24°C · 45% RH · 101.3 kPa');
+  });
+
+  test('print document wraps the SVG in a landscape page', () => {
+    const html = buildPrintDocument(svg, 'a & b');
+    expect(html).toContain('size: landscape');
+    expect(html).toContain('<title>a &amp; b</title>');
+    expect(html).toContain(svg);
+  });
+});
+
+test('safeFileName drops the extension and unsafe characters', () => {
+  expect(safeFileName('runs/stage1:final.csv')).toBe('runs_stage1_final');
+  expect(safeFileName('')).toBe('dyno-run');
+});
@@ -0,0 +1,199 @@
+// Engine health analyzer
+// Scans each pull for the things a tuner checks before trusting a number:
+// knock, lean AFR under boost, maxed injectors, fuel pressure falling away,
+// big trim corrections and intake heat soak. Thresholds are per vehicle.
+
+import { DEFAULT_UNITS, toDisplay, unitLabel, unitDigits, formatQuantity } from './units';
+
+const STORAGE_KEY = 'virtualDyno.healthThresholds';
+
+export const DEFAULT_HEALTH_THRESHOLDS = {
+  knockRetard: 1.0,
+  leanAfr: 12.0,
+  leanMinBoost: 5,
+  injDutyWarn: 85,
+  injDutyCritical: 90,
+  hpfpDrop: 15,
+  fuelTrim: 10,
+  iatRise: 25
+};
+
+// Editor metadata, in display order. Fields with a quantity are stored in
+// canonical units and shown in the display units.
+export const HEALTH_THRESHOLD_FIELDS = [
+  { key: 'knockRetard', label: 'Knock retard', unit: '°', step: 0.1 },
+  { key: 'leanAfr', label: 'Lean mixture above', quantity: 'mixture', step: 0.1 },
+  { key: 'leanMinBoost', label: '…when boost over', quantity: 'pressure', step: 1 },
+  { key: 'injDutyWarn', label: 'Injector duty warn', unit: '%', step: 1 },
+  { key: 'injDutyCritical', label: 'Injector duty critical', unit: '%', step: 1 },
+  { key: 'hpfpDrop', label: 'Rail pressure drop', unit: '%', step: 1 },
+  { key: 'fuelTrim', label: 'Fuel trim total', unit: '%', step: 1 },
+  { key: 'iatRise', label: 'IAT rise in pull', quantity: 'temperatureRise', step: 1 }
+];
+
+export const FINDING_TYPES = {
+  knock: { label: 'Knock', marker: 'K' },
+  lean: { label: 'Lean AFR', marker: 'L' },
+  injDuty: { label: 'Injector duty', marker: 'I' },
+  hpfp: { label: 'Rail pressure', marker: 'P' },
+  fuelTrim: { label: 'Fuel trims', marker: 'T' },
+  heatSoak: { label: 'Heat soak', marker: 'H' }
+};
+
+export const SEVERITY_COLORS = {
+  ok: '#68d391',
+  warning: '#f6ad55',
+  critical: '#fc8181'
+};
+
+// Runs of row indices where the predicate holds. Gaps of up to maxGap rows
+// are bridged so a channel flickering around a threshold is one event.
+export const findEvents = (rows, predicate, maxGap = 3) => {
+  const events = [];
+  let current = null;
+  let lastHit = -Infinity;
+  rows.forEach((row, index) => {
+    if (!predicate(row, index)) return;
+    if (!current || index - lastHit > maxGap + 1) {
+      current = [];
+      events.push(current);
+    }
+    current.push(index);
+    lastHit = index;
+  });
+  return events;
+};
+
+const has = Number.isFinite;
+
+// Index of the event row with the largest score
+const worstOf = (rows, indices, score) =>
+  indices.reduce((best, index) => (score(rows[index]) > score(rows[best]) ? index : best), indices[0]);
+
+const finding = (type, severity, row, value, message) => ({
+  type,
+  severity,
+  rpm: Math.round(row.rpm),
+  time: has(row.time) ? row.time : null,
+  value,
+  message
+});
+
+const rpmAt = (row) => `@ ${Math.round(row.rpm)} RPM`;
+
+// Findings for one pull's rows, in RPM order. units only affects the wording
+// of the messages; values and thresholds are canonical.
+export const analyzePull = (rows, thresholds = DEFAULT_HEALTH_THRESHOLDS, units = DEFAULT_UNITS) => {
+  const t = { ...DEFAULT_HEALTH_THRESHOLDS, ...thresholds };
+  const findings = [];
+  const mixture = (afr) => `${unitLabel('mixture', units)} ${toDisplay('mixture', afr, units).toFixed(unitDigits('mixture', units))}`;
+
+  findEvents(rows, row => has(row.knock) && row.knock >= t.knockRetard).forEach(indices => {
+    const row = rows[worstOf(rows, indices, r => r.knock)];
+    findings.push(finding('knock', row.knock >= t.knockRetard * 2 ? 'critical' : 'warning', row, row.knock,
+      `Knock retard ${row.knock.toFixed(1)}° ${rpmAt(row)}`));
+  });
+
+  findEvents(rows, row => has(row.boost) && has(row.afr) && row.boost >= t.leanMinBoost && row.afr > t.leanAfr).forEach(indices => {
+    const row = rows[worstOf(rows, indices, r => r.afr)];
+    findings.push(finding('lean', row.afr > t.leanAfr + 0.5 ? 'critical' : 'warning', row, row.afr,
+      `${mixture(row.afr)} at ${formatQuantity('pressure', row.boost, units)} ${rpmAt(row)}`));
+  });
+
+  findEvents(rows, row => has(row.injDuty) && row.injDuty >= t.injDutyWarn).forEach(indices => {
+    const row = rows[worstOf(rows, indices, r => r.injDuty)];
+    findings.push(finding('injDuty', row.injDuty >= t.injDutyCritical ? 'critical' : 'warning', row, row.injDuty,
+      `Injector duty ${row.injDuty.toFixed(0)}% ${rpmAt(row)}`));
+  });
+
+  // Rail pressure falling away from what the pump already held earlier in
+  // the pull - the ramp up to target at low RPM is not a drop-off
+  let held = -Infinity;
+  const heldBefore = rows.map(row => {
+    const before = held;
+    if (has(row.hpfp)) held = Math.max(held, row.hpfp);
+    return before;
+  });
+  const dropAt = (index) => (1 - rows[index].hpfp / heldBefore[index]) * 100;
+  findEvents(rows, (row, index) => has(row.hpfp) && heldBefore[index] > 0 && dropAt(index) >= t.hpfpDrop).forEach(indices => {
+    const index = indices.reduce((best, i) => (dropAt(i) > dropAt(best) ? i : best), indices[0]);
+    const row = rows[index];
+    const drop = dropAt(index);
+    findings.push(finding('hpfp', drop >= t.hpfpDrop * 2 ? 'critical' : 'warning', row, row.hpfp,
+      `Rail pressure down ${drop.toFixed(0)}% to ${formatQuantity('pressure', row.hpfp, units, 0)} ${rpmAt(row)}`));
+  });
+
+  const totalTrim = (row) => (row.ltft ?? 0) + (row.stft ?? 0);
+  const hasTrim = (row) => has(row.ltft) || has(row.stft);
+  findEvents(rows, row => hasTrim(row) && Math.abs(totalTrim(row)) > t.fuelTrim).forEach(indices => {
+    const row = rows[worstOf(rows, indices, r => Math.abs(totalTrim(r)))];
+    const trim = totalTrim(row);
+    findings.push(finding('fuelTrim', Math.abs(trim) > t.fuelTrim * 1.5 ? 'critical' : 'warning', row, trim,
+      `Fuel trims ${trim > 0 ? '+' : ''}${trim.toFixed(1)}% ${rpmAt(row)}`));
+  });
+
+  // Heat soak: how far intake temperature climbs from the start of the pull
+  const iatRows = rows.filter(row => has(row.iat));
+  if (iatRows.length > 1) {
+    const start = iatRows[0];
+    const hottest = iatRows.reduce((best, row) => (row.iat > best.iat ? row : best), start);
+    const rise = hottest.iat - start.iat;
+    if (rise > t.iatRise) {
+      findings.push(finding('heatSoak', rise > t.iatRise * 1.5 ? 'critical' : 'warning', hottest, rise,
+        `IAT rose ${formatQuantity('temperatureRise', rise, units, 0)} ` +
+        `(${Math.round(toDisplay('temperature', start.iat, units))} → ${formatQuantity('temperature', hottest.iat, units, 0)}) by ${Math.round(hottest.rpm)} RPM`));
+    }
+  }
+
+  return findings.sort((a, b) => a.rpm - b.rpm);
+};
+
+const worstSeverity = (findings) => {
+  if (findings.some(f => f.severity === 'critical')) return 'critical';
+  return findings.length > 0 ? 'warning' : 'ok';
+};
+
+// Report for the chosen pulls: { pulls: [{ pullId, findings, status }], findings, status, counts }
+export const analyzeEngineHealth = (rows, pulls, pullIds, thresholds, units) => {
+  const chosen = pulls.filter(pull => pullIds.includes(pull.id));
+  const reports = chosen.map(pull => {
+    const findings = analyzePull(rows.slice(pull.startIndex, pull.endIndex + 1), thresholds, units)
+      .map(f => ({ ...f, pullId: pull.id }));
+    return { pullId: pull.id, findings, status: worstSeverity(findings) };
+  });
+
+  const findings = reports.flatMap(report => report.findings);
+  return {
+    pulls: reports,
+    findings,
+    status: worstSeverity(findings),
+    counts: {
+      warning: findings.filter(f => f.severity === 'warning').length,
+      critical: findings.filter(f => f.severity === 'critical').length
+    }
+  };
+};
+
+// Per-vehicle threshold storage; missing keys fall back to the defaults
+export const loadHealthThresholds = (vehicleKey) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return { ...DEFAULT_HEALTH_THRESHOLDS, ...(stored[vehicleKey] || {}) };
+  } catch (error) {
+    return { ...DEFAULT_HEALTH_THRESHOLDS };
+  }
+};
+
+export const saveHealthThresholds = (vehicleKey, thresholds) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    if (thresholds) {
+      stored[vehicleKey] = thresholds;
+    } else {
+      delete stored[vehicleKey];
+    }
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn('⚠️ Could not save health thresholds:', error);
+  }
+};
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping } from './columnMapping';
+import { detectPulls } from './pullDetection';
+import {
+  analyzePull,
+  analyzeEngineHealth,
+  findEvents,
+  loadHealthThresholds,
+  saveHealthThresholds,
+  DEFAULT_HEALTH_THRESHOLDS
+} from './engineHealth';
+import { UNIT_PRESETS } from './units';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+// A clean 3000-6500 RPM pull, one row per 250 RPM
+const cleanPull = () => Array.from({ length: 15 }, (_, i) => ({
+  time: i * 0.2,
+  rpm: 3000 + i * 250,
+  boost: 18,
+  afr: 11.2,
+  knock: 0,
+  injDuty: 60 + i,
+  hpfp: 1900,
+  ltft: 1,
+  stft: -1,
+  iat: 80 + i
+}));
+
+describe('findEvents', () => {
+  test('bridges short gaps but splits separate events', () => {
+    const flags = [1, 1, 0, 1, 0, 0, 0, 0, 0, 1].map(v => ({ v }));
+    expect(findEvents(flags, row => row.v === 1)).toEqual([[0, 1, 3], [9]]);
+    expect(findEvents(flags, row => row.v === 1, 0)).toEqual([[0, 1], [3], [9]]);
+  });
+});
+
+describe('analyzePull', () => {
+  test('a healthy pull has no findings', () => {
+    expect(analyzePull(cleanPull())).toEqual([]);
+  });
+
+  test('flags knock events at their worst point', () => {
+    const rows = cleanPull();
+    rows[4].knock = 1.4;
+    rows[5].knock = 2.8;
+    rows[12].knock = 1.1;
+
+    const findings = analyzePull(rows);
+    expect(findings.map(f => [f.type, f.rpm, f.severity])).toEqual([
+      ['knock', 4250, 'critical'],
+      ['knock', 6000, 'warning']
+    ]);
+    expect(findings[0].message).toBe('Knock retard 2.8° @ 4250 RPM');
+  });
+
+  test('lean AFR only counts under boost', () => {
+    const rows = cleanPull();
+    rows[0].boost = 2;
+    rows[0].afr = 14.7;
+    rows[10].afr = 12.3;
+
+    expect(analyzePull(rows).map(f => [f.type, f.rpm, f.severity])).toEqual([['lean', 5500, 'warning']]);
+  });
+
+  test('injector duty warns at 85% and goes critical at 90%', () => {
+    const rows = cleanPull();
+    rows[13].injDuty = 87;
+    rows[14].injDuty = 92;
+
+    const [finding] = analyzePull(rows);
+    expect(finding).toMatchObject({ type: 'injDuty', severity: 'critical', value: 92, rpm: 6500 });
+  });
+
+  test('rail pressure drop-off ignores the ramp up to target', () => {
+    const rows = cleanPull();
+    rows[0].hpfp = 1200;
+    rows[1].hpfp = 1500;
+    rows[12].hpfp = 1550;
+    rows[13].hpfp = 1500;
+
+    const findings = analyzePull(rows);
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({ type: 'hpfp', rpm: 6250, severity: 'warning' });
+    expect(findings[0].message).toBe('Rail pressure down 21% to 1500 psi @ 6250 RPM');
+  });
+
+  test('flags large fuel trims and heat soak', () => {
+    const rows = cleanPull();
+    rows[6].ltft = 9;
+    rows[6].stft = 4;
+    rows[14].iat = 120;
+
+    expect(analyzePull(rows).map(f => [f.type, f.severity, f.message])).toEqual([
+      ['fuelTrim', 'warning', 'Fuel trims +13.0% @ 4500 RPM'],
+      ['heatSoak', 'critical', 'IAT rose 40°F (80 → 120°F) by 6500 RPM']
+    ]);
+  });
+
+  test('messages follow the display units', () => {
+    const rows = cleanPull();
+    rows[10].afr = 12.3;
+    rows[14].iat = 120;
+
+    expect(analyzePull(rows, DEFAULT_HEALTH_THRESHOLDS, UNIT_PRESETS.metric.units).map(f => f.message)).toEqual([
+      'λ 0.84 at 1.24 bar @ 5500 RPM',
+      'IAT rose 22°C (27 → 49°C) by 6500 RPM'
+    ]);
+  });
+
+  test('skips channels the log does not have', () => {
+    const rows = cleanPull().map(({ rpm, time }) => ({ rpm, time, knock: null, afr: null, hpfp: null, iat: null }));
+    expect(analyzePull(rows, { ...DEFAULT_HEALTH_THRESHOLDS, knockRetard: 0 })).toEqual([]);
+  });
+});
+
+describe('analyzeEngineHealth', () => {
+  test('reports each selected pull of the sample log', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+    const rows = applyMapping(parsed, detectMapping(parsed.headers));
+    const pulls = detectPulls(rows);
+
+    const report = analyzeEngineHealth(rows, pulls, [pulls[0].id]);
+    expect(report.pulls).toHaveLength(1);
+    expect(report.status).toBe('ok');
+
+    const strict = analyzeEngineHealth(rows, pulls, [pulls[0].id], { injDutyWarn: 55, injDutyCritical: 60 });
+    expect(strict.status).toBe('critical');
+    expect(strict.counts.critical).toBeGreaterThan(0);
+    expect(strict.findings.every(f => f.type === 'injDuty' && f.pullId === pulls[0].id)).toBe(true);
+  });
+});
+
+describe('threshold storage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('keeps thresholds per vehicle and falls back to defaults', () => {
+    saveHealthThresholds('mazdaspeed3', { ...DEFAULT_HEALTH_THRESHOLDS, injDutyWarn: 80 });
+
+    expect(loadHealthThresholds('mazdaspeed3').injDutyWarn).toBe(80);
+    expect(loadHealthThresholds('wrx')).toEqual(DEFAULT_HEALTH_THRESHOLDS);
+
+    saveHealthThresholds('mazdaspeed3', null);
+    expect(loadHealthThresholds('mazdaspeed3')).toEqual(DEFAULT_HEALTH_THRESHOLDS);
+  });
+});
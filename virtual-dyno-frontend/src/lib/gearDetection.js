@@ -0,0 +1,128 @@
+// Gear detection
+// Works out which gear each pull was made in from the RPM/speed ratio and the
+// vehicle's gearing, and flags what a single gear setting can't account for:
+// the clutch slipping (RPM climbing faster than road speed) and a gear change
+// inside a pull. A wrong gear skews calculateGearCorrection, so the selected
+// gear is checked against the log.
+
+import { estimateGear } from './pullDetection';
+import { findEvents } from './engineHealth';
+import { gearLabel } from './carPresets';
+
+export const DEFAULT_GEAR_CHECK_OPTIONS = {
+  tolerance: 0.12,        // ratio error still counted as a gear, as estimateGear
+  slipThreshold: 0.04,    // ratio rise over the pull's own ratio treated as slip
+  minSamples: 3,          // consecutive samples before an event counts
+  minSpeed: 15            // mph - below this the speed resolution swamps slip
+};
+
+export const GEAR_EVENT_TYPES = {
+  slip: { label: 'Clutch slip', marker: 'S' },
+  shift: { label: 'Gear change', marker: 'G' }
+};
+
+const quantile = (values, q) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lo = Math.floor(position);
+  const hi = Math.ceil(position);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+};
+
+// Gear and events for one pull's rows:
+// { gear, rpmPerMph, expected, error, events: [{ type, rpm, time, value, toGear, message }] }
+// gear is null when no ratio is within tolerance - usually a wrong tire size.
+export const checkPullGear = (rows, gearing, options = {}) => {
+  const opts = { ...DEFAULT_GEAR_CHECK_OPTIONS, ...options };
+  const samples = rows
+    .filter(row => row.rpm > 0 && row.speed >= opts.minSpeed)
+    .map(row => ({ row, ratio: row.rpm / row.speed }));
+
+  if (samples.length < opts.minSamples) {
+    return { gear: null, rpmPerMph: null, expected: null, error: null, events: [] };
+  }
+
+  // The median ratio is the gear most of the pull was in; re-taking it over
+  // just the samples near it keeps a shift's other gear out of the figure
+  const ratios = samples.map(s => s.ratio);
+  const median = quantile(ratios, 0.5);
+  const rpmPerMph = quantile(ratios.filter(ratio => Math.abs(ratio / median - 1) <= opts.tolerance), 0.5);
+  const match = estimateGear(rpmPerMph, gearing, opts.tolerance);
+
+  const offBy = (sample) => sample.ratio / rpmPerMph - 1;
+  const isShift = (sample) => Math.abs(offBy(sample)) > opts.tolerance;
+  const isSlip = (sample) => !isShift(sample) && offBy(sample) > opts.slipThreshold;
+
+  const events = [];
+  const collect = (type, predicate) => {
+    findEvents(samples, predicate, 1)
+      .filter(indices => indices.length >= opts.minSamples)
+      .forEach(indices => {
+        const first = samples[indices[0]];
+        const worst = indices.reduce((best, i) => (Math.abs(offBy(samples[i])) > Math.abs(offBy(samples[best])) ? i : best), indices[0]);
+        const value = offBy(samples[worst]) * 100;
+        const toGear = type === 'shift' ? estimateGear(samples[worst].ratio, gearing, opts.tolerance)?.gear ?? null : null;
+        const at = `@ ${Math.round(first.row.rpm)} RPM`;
+        events.push({
+          type,
+          rpm: Math.round(first.row.rpm),
+          time: Number.isFinite(first.row.time) ? first.row.time : null,
+          value,
+          toGear,
+          message: type === 'slip'
+            ? `RPM ran ${value.toFixed(1)}% ahead of road speed ${at}`
+            : `Ratio moved ${value > 0 ? '+' : ''}${value.toFixed(0)}%${toGear ? ` to ${gearLabel(toGear)} gear` : ''} ${at}`
+        });
+      });
+  };
+  collect('slip', isSlip);
+  collect('shift', isShift);
+
+  return {
+    gear: match?.gear ?? null,
+    rpmPerMph,
+    expected: match?.expected ?? null,
+    error: match?.error ?? null,
+    events: events.sort((a, b) => a.rpm - b.rpm)
+  };
+};
+
+// Gear check for every detected pull: [{ pullId, ...checkPullGear }]
+export const checkPullGears = (rows, pulls, gearing, options) => pulls.map(pull => ({
+  pullId: pull.id,
+  ...checkPullGear(rows.slice(pull.startIndex, pull.endIndex + 1), gearing, options)
+}));
+
+// Does the log agree with the selected gear? Looks at the chosen pulls and
+// returns null when it does (or can't tell), otherwise
+// { type: 'mismatch' | 'mixed' | 'unmatched', gears, message }
+export const gearWarning = (checks, pullIds, selectedGear) => {
+  const chosen = checks.filter(check => pullIds.includes(check.pullId) && check.rpmPerMph !== null);
+  if (chosen.length === 0) return null;
+
+  // Pulls no gear matches don't outvote the ones that do
+  const known = [...new Set(chosen.map(check => check.gear).filter(gear => gear !== null))].sort((a, b) => a - b);
+
+  if (known.length === 0) {
+    return {
+      type: 'unmatched',
+      gears: [],
+      message: 'No gear matches the logged RPM/speed - check the tire size and final drive'
+    };
+  }
+  if (known.length > 1) {
+    return {
+      type: 'mixed',
+      gears: known,
+      message: `The selected pulls are in different gears (${known.map(gearLabel).join(', ')}) - run them separately`
+    };
+  }
+  if (known[0] !== selectedGear) {
+    return {
+      type: 'mismatch',
+      gears: known,
+      message: `The log says ${gearLabel(known[0])} gear but ${gearLabel(selectedGear)} is selected`
+    };
+  }
+  return null;
+};
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping } from './columnMapping';
+import { detectPulls } from './pullDetection';
+import { checkPullGear, checkPullGears, gearWarning } from './gearDetection';
+import { findCarPreset } from './carPresets';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+const MS3 = findCarPreset('mazdaspeed3');
+// 3rd and 4th gear on the stock 25.6" tire
+const THIRD = 1.38 * 4.438 * 336.13 / 25.6;
+const FOURTH = 1.0 * 4.438 * 336.13 / 25.6;
+
+const pullRows = (count, ratioAt = () => THIRD) => Array.from({ length: count }, (_, i) => {
+  const speed = 30 + i;
+  return { time: i * 0.1, speed, rpm: speed * ratioAt(i) };
+});
+
+describe('checkPullGear', () => {
+  test('finds the gear of a clean pull with no events', () => {
+    const check = checkPullGear(pullRows(20), MS3);
+
+    expect(check.gear).toBe(3);
+    expect(check.rpmPerMph).toBeCloseTo(THIRD, 5);
+    expect(check.error).toBeCloseTo(0, 5);
+    expect(check.events).toEqual([]);
+  });
+
+  test('flags clutch slip where RPM runs ahead of road speed', () => {
+    const check = checkPullGear(pullRows(20, i => (i >= 5 && i < 9 ? THIRD * 1.07 : THIRD)), MS3);
+
+    expect(check.gear).toBe(3);
+    expect(check.events).toHaveLength(1);
+    expect(check.events[0]).toMatchObject({ type: 'slip', rpm: Math.round(35 * THIRD * 1.07), time: 0.5 });
+    expect(check.events[0].value).toBeCloseTo(7, 5);
+    expect(check.events[0].message).toMatch(/^RPM ran 7\.0% ahead of road speed @ \d+ RPM$/);
+  });
+
+  test('flags a gear change inside the pull', () => {
+    const check = checkPullGear(pullRows(20, i => (i >= 15 ? FOURTH : THIRD)), MS3);
+
+    expect(check.gear).toBe(3);
+    expect(check.events).toHaveLength(1);
+    expect(check.events[0]).toMatchObject({ type: 'shift', toGear: 4 });
+    expect(check.events[0].message).toMatch(/^Ratio moved -28% to 4th gear @/);
+  });
+
+  test('reads the sample log\'s pull as 3rd gear', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+    const rows = applyMapping(parsed, detectMapping(parsed.headers));
+    const [check] = checkPullGears(rows, detectPulls(rows), MS3);
+
+    expect(check.gear).toBe(3);
+    expect(check.rpmPerMph).toBeCloseTo(80, 0);
+    expect(check.events).toEqual([]);
+    expect(gearWarning([check], [check.pullId], 3)).toBeNull();
+  });
+
+  test('ignores one-sample blips and slow rows', () => {
+    const blip = pullRows(20, i => (i === 10 ? THIRD * 1.07 : THIRD));
+    expect(checkPullGear(blip, MS3).events).toEqual([]);
+
+    const crawling = pullRows(5).map(row => ({ ...row, speed: 5 }));
+    expect(checkPullGear(crawling, MS3)).toMatchObject({ gear: null, rpmPerMph: null, events: [] });
+  });
+
+  test('no gear when the ratio matches none - a wrong tire size', () => {
+    const check = checkPullGear(pullRows(20), { ...MS3, tireDiameter: 32 });
+
+    expect(check.gear).toBeNull();
+    expect(check.rpmPerMph).toBeCloseTo(THIRD, 5);
+  });
+});
+
+describe('gearWarning', () => {
+  const rows = [...pullRows(20), ...pullRows(20, () => FOURTH)];
+  const pulls = [{ id: 1, startIndex: 0, endIndex: 19 }, { id: 2, startIndex: 20, endIndex: 39 }];
+  const checks = checkPullGears(rows, pulls, MS3);
+
+  test('checks every pull on its own rows', () => {
+    expect(checks.map(check => [check.pullId, check.gear])).toEqual([[1, 3], [2, 4]]);
+  });
+
+  test('is quiet when the log agrees with the selected gear', () => {
+    expect(gearWarning(checks, [1], 3)).toBeNull();
+    expect(gearWarning(checks, [], 3)).toBeNull();
+  });
+
+  test('warns on a mismatch, mixed gears and no match', () => {
+    expect(gearWarning(checks, [2], 3)).toEqual({
+      type: 'mismatch',
+      gears: [4],
+      message: 'The log says 4th gear but 3rd is selected'
+    });
+    expect(gearWarning(checks, [1, 2], 3)).toMatchObject({ type: 'mixed', gears: [3, 4] });
+
+    const unmatched = checkPullGears(rows, pulls, { ...MS3, tireDiameter: 40 });
+    expect(gearWarning(unmatched, [1], 3).type).toBe('unmatched');
+  });
+});
@@ -0,0 +1,93 @@
+// Secondary graph axes
+// Optional right-hand axes for boost and AFR, each with its own scale and
+// line style, in the chosen display units. Used by the on-screen graph and
+// the printed dyno sheet.
+
+import { toDisplay, unitLabel, unitDigits } from './units';
+
+const STORAGE_KEY = 'virtualDyno.graphAxes';
+
+export const SECONDARY_AXES = {
+  boost: { label: 'Boost', quantity: 'pressure' },
+  afr: { label: 'AFR', quantity: 'mixture' }
+};
+
+export const LINE_STYLES = {
+  solid: { label: 'Solid', dash: [] },
+  dashed: { label: 'Dashed', dash: [8, 4] },
+  dotted: { label: 'Dotted', dash: [2, 3] }
+};
+
+export const DEFAULT_AXIS_SETTINGS = {
+  boost: { enabled: false, color: '#4488ff', width: 2, style: 'dashed' },
+  afr: { enabled: false, color: '#d69e2e', width: 2, style: 'dotted' }
+};
+
+// Axes switched on, in drawing order (innermost first)
+export const enabledAxes = (settings) => Object.keys(SECONDARY_AXES).filter(axis => settings[axis]?.enabled);
+
+// What a renderer needs to draw one axis' series: stroke, unit and converter
+export const axisSeriesStyle = (axis, settings, units) => {
+  const { color, width, style } = { ...DEFAULT_AXIS_SETTINGS[axis], ...settings[axis] };
+  const { quantity } = SECONDARY_AXES[axis];
+  return {
+    axis,
+    color,
+    width,
+    dash: (LINE_STYLES[style] || LINE_STYLES.solid).dash,
+    unit: unitLabel(quantity, units),
+    digits: unitDigits(quantity, units, 1),
+    convert: value => toDisplay(quantity, value, units)
+  };
+};
+
+// [min, max] by reduce - spreading a whole log into Math.min/max overflows
+// the call stack. [Infinity, -Infinity] for no values, as Math.min/max give.
+export const extent = (values) => values.reduce(
+  ([min, max], value) => [Math.min(min, value), Math.max(max, value)],
+  [Infinity, -Infinity]
+);
+
+// Round-numbered scale around the values, roughly `ticks` divisions tall
+export const niceScale = (values, ticks = 5) => {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return null;
+
+  let [min, max] = extent(finite);
+  if (max === min) {
+    const pad = Math.abs(max) * 0.1 || 1;
+    min -= pad;
+    max += pad;
+  }
+
+  const rough = (max - min) / ticks;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+};
+
+// Tick values without floating point drift (0.1 + 0.2 …)
+export const scaleTicks = (scale) => Array.from(
+  { length: Math.round((scale.max - scale.min) / scale.step) + 1 },
+  (_, i) => Number((scale.min + i * scale.step).toFixed(6))
+);
+
+export const formatTick = (value, step) => value.toFixed(step >= 1 ? 0 : step >= 0.1 ? 1 : 2);
+
+export const loadAxisSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(DEFAULT_AXIS_SETTINGS)
+      .map(([axis, defaults]) => [axis, { ...defaults, ...(stored[axis] || {}) }]));
+  } catch (error) {
+    return DEFAULT_AXIS_SETTINGS;
+  }
+};
+
+export const saveAxisSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('⚠️ Could not save graph axis settings:', error);
+  }
+};
@@ -0,0 +1,63 @@
+import {
+  niceScale,
+  scaleTicks,
+  formatTick,
+  axisSeriesStyle,
+  enabledAxes,
+  loadAxisSettings,
+  saveAxisSettings,
+  DEFAULT_AXIS_SETTINGS
+} from './graphAxes';
+import { UNIT_PRESETS } from './units';
+
+describe('niceScale', () => {
+  test('rounds outwards to a readable step', () => {
+    expect(niceScale([-3.2, 18.6])).toEqual({ min: -5, max: 20, step: 5 });
+    expect(niceScale([10.9, 12.4])).toEqual({ min: 10.5, max: 12.5, step: 0.5 });
+    expect(niceScale([null, undefined])).toBeNull();
+  });
+
+  test('gives a flat series some room', () => {
+    const scale = niceScale([0.8, 0.8]);
+    expect(scale.min).toBeLessThan(0.8);
+    expect(scale.max).toBeGreaterThan(0.8);
+  });
+
+  test('ticks land on the step without float drift', () => {
+    expect(scaleTicks({ min: 0.7, max: 1, step: 0.1 })).toEqual([0.7, 0.8, 0.9, 1]);
+    expect(formatTick(15, 5)).toBe('15');
+    expect(formatTick(0.8, 0.05)).toBe('0.80');
+  });
+
+  test('scales a whole multi-hour log without overflowing the stack', () => {
+    const values = Array.from({ length: 500000 }, (_, i) => i % 1000);
+    expect(niceScale(values)).toEqual({ min: 0, max: 1000, step: 200 });
+  });
+});
+
+describe('series styling', () => {
+  test('follows the axis settings and the display units', () => {
+    const settings = { ...DEFAULT_AXIS_SETTINGS, afr: { ...DEFAULT_AXIS_SETTINGS.afr, enabled: true, style: 'solid' } };
+    const metric = axisSeriesStyle('afr', settings, UNIT_PRESETS.metric.units);
+
+    expect(metric).toMatchObject({ axis: 'afr', unit: 'λ', digits: 2, dash: [], color: DEFAULT_AXIS_SETTINGS.afr.color });
+    expect(metric.convert(11.76)).toBeCloseTo(0.8, 4);
+    expect(metric.convert(null)).toBeNull();
+    expect(axisSeriesStyle('boost', settings, UNIT_PRESETS.metric.units).convert(14.5037738)).toBeCloseTo(1, 4);
+    expect(axisSeriesStyle('boost', settings, UNIT_PRESETS.imperial.units)).toMatchObject({ unit: 'psi', digits: 1, dash: [8, 4] });
+    expect(enabledAxes(settings)).toEqual(['afr']);
+  });
+});
+
+describe('axis settings storage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('round-trips and fills in missing fields', () => {
+    expect(loadAxisSettings()).toEqual(DEFAULT_AXIS_SETTINGS);
+
+    saveAxisSettings({ boost: { enabled: true, style: 'solid' } });
+    const loaded = loadAxisSettings();
+    expect(loaded.boost).toEqual({ ...DEFAULT_AXIS_SETTINGS.boost, enabled: true, style: 'solid' });
+    expect(loaded.afr).toEqual(DEFAULT_AXIS_SETTINGS.afr);
+  });
+});
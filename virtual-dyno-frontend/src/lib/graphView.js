@@ -0,0 +1,74 @@
+// Dyno graph view
+// RPM window, zoom/pan and hover readouts for the interactive graph. The
+// canvas only redraws when the data or the window changes; everything here
+// is cheap enough to run on every pointer move.
+
+import { interpolateAt } from './runComparison';
+import { extent } from './graphAxes';
+
+export const MIN_ZOOM_SPAN = 300;
+const AXIS_STEP = 250;
+
+// Window that fits the data, snapped outwards to the RPM grid
+export const autoRpmRange = (points) => {
+  if (points.length === 0) return { min: 2000, max: 7000 };
+  const [minRpm, maxRpm] = extent(points.map(p => p.rpm));
+  const min = Math.floor(minRpm / AXIS_STEP) * AXIS_STEP;
+  const max = Math.ceil(maxRpm / AXIS_STEP) * AXIS_STEP;
+  return max > min ? { min, max } : { min: min - AXIS_STEP, max: max + AXIS_STEP };
+};
+
+// Keep a zoom window inside the data and no narrower than MIN_ZOOM_SPAN
+export const clampRange = (range, bounds) => {
+  const fullSpan = bounds.max - bounds.min;
+  const span = Math.min(fullSpan, Math.max(MIN_ZOOM_SPAN, range.max - range.min));
+  const center = (range.min + range.max) / 2;
+  const min = Math.min(bounds.max - span, Math.max(bounds.min, center - span / 2));
+  return { min, max: min + span };
+};
+
+// Drag selection → zoom window; null when the drag was too small to mean it
+export const zoomFromSelection = (fromRpm, toRpm, bounds) => {
+  const min = Math.min(fromRpm, toRpm);
+  const max = Math.max(fromRpm, toRpm);
+  if (max - min < MIN_ZOOM_SPAN / 3) return null;
+  return clampRange({ min, max }, bounds);
+};
+
+export const panRange = (range, deltaRpm, bounds) => {
+  const span = range.max - range.min;
+  const min = Math.min(bounds.max - span, Math.max(bounds.min, range.min + deltaRpm));
+  return { min, max: min + span };
+};
+
+// Two-finger zoom: keep the RPMs first touched under each finger.
+// anchors: [rpmA, rpmB], positions: [xA, xB] in px from the plot's left edge
+export const pinchRange = (anchors, positions, plotWidth, bounds) => {
+  const [rpmA, rpmB] = anchors;
+  const [xA, xB] = positions;
+  if (Math.abs(xB - xA) < 10 || rpmA === rpmB) return null;
+
+  const rpmPerPx = (rpmB - rpmA) / (xB - xA);
+  const min = rpmA - xA * rpmPerPx;
+  return clampRange({ min, max: min + plotWidth * rpmPerPx }, bounds);
+};
+
+// RPM at a horizontal pixel position in the plot, or null outside it
+export const rpmAtPosition = (x, plotWidth, range) => {
+  if (plotWidth <= 0 || x < 0 || x > plotWidth) return null;
+  return range.min + (x / plotWidth) * (range.max - range.min);
+};
+
+// Values of every visible series at the cursor RPM; series outside their
+// own RPM span are left out rather than extrapolated. Secondary-axis series
+// carry a convert() into their display unit.
+export const readoutAt = (series, rpm) => series
+  .map(s => {
+    const value = interpolateAt(s.sortedPoints, rpm, s.key);
+    return { ...s, value: s.convert && value !== null ? s.convert(value) : value };
+  })
+  .filter(s => s.value !== null && Number.isFinite(s.value));
+
+// Which legend entry (if any) a click landed on
+export const legendHitTest = (hits, x, y) =>
+  hits.find(hit => x >= hit.x && x <= hit.x + hit.width && y >= hit.y && y <= hit.y + hit.height) || null;
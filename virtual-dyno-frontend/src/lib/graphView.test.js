@@ -0,0 +1,70 @@
+import {
+  autoRpmRange,
+  clampRange,
+  zoomFromSelection,
+  panRange,
+  pinchRange,
+  rpmAtPosition,
+  readoutAt,
+  legendHitTest,
+  MIN_ZOOM_SPAN
+} from './graphView';
+
+const BOUNDS = { min: 2250, max: 6250 };
+
+describe('RPM window', () => {
+  test('fits the data instead of a fixed 2000-7000 frame', () => {
+    expect(autoRpmRange([{ rpm: 2459 }, { rpm: 6168 }])).toEqual({ min: 2250, max: 6250 });
+    expect(autoRpmRange([{ rpm: 4000 }])).toEqual({ min: 3750, max: 4250 });
+    expect(autoRpmRange([])).toEqual({ min: 2000, max: 7000 });
+  });
+
+  test('zoom windows stay inside the data and above the minimum span', () => {
+    expect(clampRange({ min: 6000, max: 7000 }, BOUNDS)).toEqual({ min: 5250, max: 6250 });
+    expect(clampRange({ min: 4000, max: 4100 }, BOUNDS)).toEqual({ min: 3900, max: 3900 + MIN_ZOOM_SPAN });
+    expect(clampRange({ min: 0, max: 9000 }, BOUNDS)).toEqual(BOUNDS);
+  });
+
+  test('a drag selection zooms, a tiny one does not', () => {
+    expect(zoomFromSelection(5000, 3500, BOUNDS)).toEqual({ min: 3500, max: 5000 });
+    expect(zoomFromSelection(4000, 4050, BOUNDS)).toBeNull();
+  });
+
+  test('panning keeps the span and stops at the edges', () => {
+    expect(panRange({ min: 3000, max: 4000 }, 500, BOUNDS)).toEqual({ min: 3500, max: 4500 });
+    expect(panRange({ min: 3000, max: 4000 }, -5000, BOUNDS)).toEqual({ min: 2250, max: 3250 });
+  });
+
+  test('pinch keeps the touched RPMs under the fingers', () => {
+    // 3000 and 5000 RPM touched at 100 and 300 px, fingers spread to 0 and 400 px
+    expect(pinchRange([3000, 5000], [0, 400], 400, BOUNDS)).toEqual({ min: 3000, max: 5000 });
+    expect(pinchRange([3000, 5000], [200, 202], 400, BOUNDS)).toBeNull();
+  });
+});
+
+describe('hover', () => {
+  test('maps pixels to RPM inside the plot only', () => {
+    expect(rpmAtPosition(200, 800, { min: 2000, max: 6000 })).toBe(3000);
+    expect(rpmAtPosition(-1, 800, { min: 2000, max: 6000 })).toBeNull();
+  });
+
+  test('reads every series at the cursor without extrapolating', () => {
+    const series = [
+      { group: 'hp', key: 'horsepower', sortedPoints: [{ rpm: 3000, horsepower: 100 }, { rpm: 4000, horsepower: 200 }] },
+      { group: 'road', key: 'horsepower', sortedPoints: [{ rpm: 3600, horsepower: 180 }, { rpm: 4400, horsepower: 220 }] }
+    ];
+    expect(readoutAt(series, 3500).map(s => [s.group, s.value])).toEqual([['hp', 150]]);
+    expect(readoutAt(series, 4000).map(s => s.value)).toEqual([200, 200]);
+  });
+
+  test('secondary-axis series read out in their display unit', () => {
+    const boost = { group: 'boost', key: 'boost', convert: v => v / 2, sortedPoints: [{ rpm: 3000, boost: 10 }, { rpm: 4000, boost: 20 }] };
+    expect(readoutAt([boost], 3500)[0].value).toBe(7.5);
+  });
+
+  test('legend hit test finds the clicked entry', () => {
+    const hits = [{ entry: { id: 'hp' }, x: 600, y: 15, width: 156, height: 16 }, { entry: { id: 'tq' }, x: 600, y: 31, width: 156, height: 16 }];
+    expect(legendHitTest(hits, 650, 35).entry.id).toBe('tq');
+    expect(legendHitTest(hits, 100, 35)).toBeNull();
+  });
+});
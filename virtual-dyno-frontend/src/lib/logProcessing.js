@@ -0,0 +1,103 @@
+// Log processing pipeline
+// Everything between the raw file and what the UI shows: parsing, channel
+// mapping, pull detection, the dyno row filter and the offline calculation.
+// logWorker runs these tasks in a Web Worker so a multi-hour log doesn't
+// freeze the tab; they are plain functions so they also run inline.
+
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping, headerSignature } from './columnMapping';
+import { detectPulls, pullRowIndices } from './pullDetection';
+import { processDynoRun } from './dynoCalculation';
+
+export const PROGRESS_STAGES = {
+  reading: 'Reading file',
+  parsing: 'Parsing log',
+  mapping: 'Mapping channels',
+  pulls: 'Finding pulls',
+  calculating: 'Calculating run'
+};
+
+export const REJECTION_REASONS = {
+  lowRpm: 'RPM missing or at/below 1500',
+  noAirflow: 'No airflow (MAF ≤ 3 g/s and load ≤ 10%)'
+};
+
+// Why the dyno filter drops a row (a REJECTION_REASONS key), or null if it
+// keeps it. More lenient than the calculation for broader compatibility.
+export const rejectionReason = (row) => {
+  if (!((row.rpm || 0) > 1500)) return 'lowRpm';
+  if (!((row.maf || 0) > 3 || (row.load || 0) > 0.10)) return 'noAirflow';
+  return null;
+};
+
+// The chosen pulls' rows, or the whole log when none are chosen
+export const sourceRows = (rows, pulls, pullIds) => (pullIds.length > 0
+  ? pullRowIndices(pulls, pullIds).map(i => rows[i])
+  : rows);
+
+// Canonical rows that pass the dyno filter, limited to the chosen pulls
+export const filterDynoRows = (rows, pulls, pullIds) =>
+  sourceRows(rows, pulls, pullIds).filter(row => rejectionReason(row) === null);
+
+// The widest pull is pre-selected; no pulls means the whole log
+export const defaultPullIds = (pulls) => {
+  const widest = pulls.reduce((best, pull) => (!best || pull.rpmSpan > best.rpmSpan ? pull : best), null);
+  return widest ? [widest.id] : [];
+};
+
+// Map parsed columns, find WOT pulls and filter the chosen ones. pullIds
+// defaults to the widest pull; ids that no longer exist are dropped.
+export const mapLog = (parsed, mapping, { pullIds, onProgress = () => {} } = {}) => {
+  onProgress('mapping', 0);
+  const rows = applyMapping(parsed, mapping, fraction => onProgress('mapping', fraction));
+
+  onProgress('pulls', null);
+  const pulls = detectPulls(rows);
+  const selectedPullIds = pullIds
+    ? pullIds.filter(id => pulls.some(pull => pull.id === id))
+    : defaultPullIds(pulls);
+
+  return { mapping, rows, pulls, selectedPullIds, dynoRows: filterDynoRows(rows, pulls, selectedPullIds) };
+};
+
+// Raw file bytes → everything the UI needs. Overrides come either as one
+// layout's overrides or as the whole saved store keyed by header signature.
+export const loadLog = (bytes, { overrides, overridesBySignature = {}, pullIds, onProgress = () => {} } = {}) => {
+  onProgress('parsing', 0);
+  const parsed = parseDatalog(bytes, { onProgress: fraction => onProgress('parsing', fraction) });
+  const mapping = detectMapping(parsed.headers, overrides || overridesBySignature[headerSignature(parsed.headers)] || {});
+
+  return { parsed, ...mapLog(parsed, mapping, { pullIds, onProgress }) };
+};
+
+export const calculateRun = (rows, options, { onProgress = () => {} } = {}) => {
+  onProgress('calculating', null);
+  return processDynoRun(rows, options);
+};
+
+// One run per pull, for averaging pulls into a consensus curve.
+// pulls: [{ id, rows }]
+export const calculatePulls = (pulls, options, { onProgress = () => {} } = {}) => pulls.map((pull, index) => {
+  onProgress('calculating', index / pulls.length);
+  try {
+    return processDynoRun(pull.rows, options);
+  } catch (error) {
+    throw new Error(`Pull #${pull.id}: ${error.message}`);
+  }
+});
+
+// Worker entry point: one named task with its payload
+export const runLogTask = (task, payload, onProgress) => {
+  switch (task) {
+    case 'load':
+      return loadLog(payload.bytes, { ...payload.options, onProgress });
+    case 'map':
+      return mapLog(payload.parsed, payload.mapping, { ...payload.options, onProgress });
+    case 'calculate':
+      return calculateRun(payload.rows, payload.options, { onProgress });
+    case 'calculatePulls':
+      return calculatePulls(payload.pulls, payload.options, { onProgress });
+    default:
+      throw new Error(`Unknown log task "${task}"`);
+  }
+};
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping, headerSignature } from './columnMapping';
+import { findCarPreset } from './carPresets';
+import { processDynoRun } from './dynoCalculation';
+import { detectPulls } from './pullDetection';
+import { loadLog, mapLog, filterDynoRows, rejectionReason, defaultPullIds, runLogTask } from './logProcessing';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+const sampleBytes = () => new Uint8Array(fs.readFileSync(SAMPLE_LOG));
+
+describe('loadLog', () => {
+  test('matches parsing, mapping and pull detection done by hand', () => {
+    const parsed = parseDatalog(sampleBytes());
+    const rows = applyMapping(parsed, detectMapping(parsed.headers));
+    const pulls = detectPulls(rows);
+
+    const result = loadLog(sampleBytes());
+
+    expect(result.parsed.rowCount).toBe(263);
+    expect(result.rows).toEqual(rows);
+    expect(result.pulls).toEqual(pulls);
+    expect(result.selectedPullIds).toEqual(defaultPullIds(pulls));
+    expect(result.dynoRows).toEqual(filterDynoRows(rows, pulls, result.selectedPullIds));
+    expect(result.dynoRows.length).toBeGreaterThan(0);
+  });
+
+  test('reports each stage in order, parsing up to 100%', () => {
+    const stages = [];
+    loadLog(sampleBytes(), { onProgress: (stage, fraction) => stages.push([stage, fraction]) });
+
+    const order = [...new Set(stages.map(([stage]) => stage))];
+    expect(order).toEqual(['parsing', 'mapping', 'pulls']);
+    const parsing = stages.filter(([stage]) => stage === 'parsing').map(([, fraction]) => fraction);
+    expect(parsing[parsing.length - 1]).toBe(1);
+    expect(parsing).toEqual([...parsing].sort((a, b) => a - b));
+  });
+
+  test('picks up saved overrides by header signature', () => {
+    const { headers } = parseDatalog(sampleBytes());
+    const overridesBySignature = { [headerSignature(headers)]: { maf: null } };
+
+    const result = loadLog(sampleBytes(), { overridesBySignature });
+
+    expect(result.mapping.channels.maf).toBeNull();
+    expect(result.rows.every(row => row.maf === null)).toBe(true);
+  });
+});
+
+describe('mapLog', () => {
+  test('keeps requested pulls that still exist', () => {
+    const parsed = parseDatalog(sampleBytes());
+    const mapping = detectMapping(parsed.headers);
+    const { pulls } = mapLog(parsed, mapping);
+
+    expect(mapLog(parsed, mapping, { pullIds: [pulls[0].id, 99] }).selectedPullIds).toEqual([pulls[0].id]);
+    expect(mapLog(parsed, mapping, { pullIds: [] }).dynoRows.length).toBeGreaterThanOrEqual(
+      mapLog(parsed, mapping).dynoRows.length
+    );
+  });
+});
+
+describe('filterDynoRows', () => {
+  test('keeps loaded rows above 1500 RPM', () => {
+    const rows = [
+      { rpm: 1200, maf: 20, load: 0.9 },
+      { rpm: 3000, maf: 2, load: 0.05 },
+      { rpm: 3000, maf: null, load: 0.5 },
+      { rpm: 3500, maf: 40, load: null }
+    ];
+    expect(filterDynoRows(rows, [], [])).toEqual([rows[2], rows[3]]);
+    expect(rows.map(rejectionReason)).toEqual(['lowRpm', 'noAirflow', null, null]);
+  });
+});
+
+describe('runLogTask', () => {
+  test('calculates the same run as processDynoRun', () => {
+    const { rows } = loadLog(sampleBytes());
+    const options = { carPreset: findCarPreset('mazdaspeed3'), gear: 3, weight: 3200 };
+
+    const run = runLogTask('calculate', { rows, options }, () => {});
+    const expected = processDynoRun(rows, options);
+
+    expect(run.peaks).toEqual(expected.peaks);
+    expect(run.dataPoints).toEqual(expected.dataPoints);
+  });
+
+  test('calculates each pull on its own and names the pull that fails', () => {
+    const { rows } = loadLog(sampleBytes());
+    const options = { carPreset: findCarPreset('mazdaspeed3'), gear: 3, weight: 3200 };
+    const half = Math.floor(rows.length / 2);
+
+    const runs = runLogTask('calculatePulls', { pulls: [{ id: 1, rows: rows.slice(0, half) }, { id: 2, rows: rows.slice(half) }], options }, () => {});
+
+    expect(runs).toHaveLength(2);
+    expect(runs[1].dataPoints).toEqual(processDynoRun(rows.slice(half), options).dataPoints);
+    expect(() => runLogTask('calculatePulls', { pulls: [{ id: 4, rows: [{ rpm: 900, load: 0.1, maf: 2 }] }], options }, () => {}))
+      .toThrow(/^Pull #4: /);
+  });
+
+  test('rejects unknown tasks', () => {
+    expect(() => runLogTask('explode', {}, () => {})).toThrow('Unknown log task "explode"');
+  });
+});
@@ -0,0 +1,78 @@
+// Log worker client
+// Runs a logProcessing task in a Web Worker with progress and cancellation.
+// Where workers aren't available (jsdom, locked-down browsers) the task runs
+// inline on the next tick instead - same results, just not off the main thread.
+
+import { runLogTask } from './logProcessing';
+
+const runInWorker = (worker, task, payload, onProgress) => new Promise((resolve, reject) => {
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      onProgress(data.stage, data.fraction);
+      return;
+    }
+    worker.terminate();
+    if (data.type === 'done') resolve(data.result);
+    else reject(new Error(data.message));
+  };
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'Log worker failed'));
+  };
+  worker.postMessage({ task, payload });
+});
+
+const runInline = (task, payload, onProgress, isCancelled) => new Promise((resolve, reject) => {
+  setTimeout(() => {
+    if (isCancelled()) return resolve(null);
+    try {
+      resolve(runLogTask(task, payload, onProgress));
+    } catch (error) {
+      reject(error);
+    }
+  }, 0);
+});
+
+// Returns { promise, cancel }. The promise resolves with the task's result,
+// or null once cancelled, and rejects if the task throws. Cancelling
+// terminates the worker, so an abandoned log stops using CPU straight away.
+export const startLogTask = (task, payload, { onProgress = () => {} } = {}) => {
+  let worker = null;
+  let cancelled = false;
+  let resolveCancelled = () => {};
+
+  const progress = (stage, fraction) => {
+    if (!cancelled) onProgress(stage, fraction);
+  };
+  const isCancelled = () => cancelled;
+
+  const run = typeof Worker === 'undefined'
+    ? runInline(task, payload, progress, isCancelled)
+    : import('../workers/createLogWorker').then(({ default: createLogWorker }) => {
+      if (cancelled) return null;
+      try {
+        worker = createLogWorker();
+      } catch (error) {
+        console.warn('⚠️ Log worker unavailable, processing on the main thread:', error);
+        return runInline(task, payload, progress, isCancelled);
+      }
+      return runInWorker(worker, task, payload, progress);
+    });
+
+  const promise = Promise.race([run, new Promise(resolve => { resolveCancelled = resolve; })])
+    .then(
+      result => (cancelled ? null : result),
+      error => {
+        if (cancelled) return null;
+        throw error;
+      }
+    );
+
+  const cancel = () => {
+    cancelled = true;
+    if (worker) worker.terminate();
+    resolveCancelled(null);
+  };
+
+  return { promise, cancel };
+};
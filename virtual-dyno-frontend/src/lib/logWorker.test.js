@@ -0,0 +1,26 @@
+import { startLogTask } from './logWorker';
+
+const LOG = 'Time,RPM,MAF,Load\n0,3000,40,0.8\n0.05,3100,42,0.8\n';
+
+// jsdom has no Worker, so these exercise the inline fallback
+test('runs the task and reports progress', async () => {
+  const onProgress = jest.fn();
+  const result = await startLogTask('load', { bytes: LOG }, { onProgress }).promise;
+
+  expect(result.parsed.rowCount).toBe(2);
+  expect(result.rows.map(row => row.rpm)).toEqual([3000, 3100]);
+  expect(onProgress).toHaveBeenCalledWith('parsing', 1);
+});
+
+test('a cancelled task resolves null without running', async () => {
+  const onProgress = jest.fn();
+  const task = startLogTask('load', { bytes: LOG }, { onProgress });
+  task.cancel();
+
+  await expect(task.promise).resolves.toBeNull();
+  expect(onProgress).not.toHaveBeenCalled();
+});
+
+test('task errors reject the promise', async () => {
+  await expect(startLogTask('explode', {}).promise).rejects.toThrow('Unknown log task');
+});
@@ -0,0 +1,212 @@
+// Pull detection
+// Finds wide-open-throttle runs inside a long datalog so cruising, shifts and
+// several pulls don't get mashed into one curve. Works on canonical rows
+// from applyMapping().
+
+export const DEFAULT_PULL_OPTIONS = {
+  wotThreshold: 80,          // % pedal or throttle
+  wotLoadThreshold: 0.6,     // load used as a WOT proxy when no throttle is logged
+  minDuration: 1.5,          // seconds
+  minRpmSpan: 1000,
+  maxRpmDrop: 150,           // RPM below the running max that ends a pull
+  ratioTolerance: 0.08,      // RPM/speed change treated as a gear change
+  ratioConfirmSamples: 3,    // consecutive off-ratio samples before splitting
+  minSpeed: 5,               // mph - ratio is meaningless below this
+  dropoutTolerance: 0.3,     // seconds of part throttle allowed inside a pull
+  fallbackSampleRate: 20     // Hz, used when the log has no time channel
+};
+
+// Engine RPM at 1 mph for a 1:1 overall ratio and a 1 inch tire
+const RPM_PER_MPH_FACTOR = 336.13;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const throttleOf = (row) => {
+  const values = [row.pedal, row.throttle].filter(v => v !== null && v !== undefined);
+  return values.length ? Math.max(...values) : null;
+};
+
+const ratioOf = (row, minSpeed) =>
+  row.rpm > 0 && row.speed >= minSpeed ? row.rpm / row.speed : null;
+
+// Contiguous WOT windows, tolerating short dropouts (pedal bounce, logger noise)
+const findWotWindows = (rows, times, opts) => {
+  const hasThrottle = rows.some(r => throttleOf(r) !== null);
+  const isWot = rows.map(row => {
+    if (hasThrottle) {
+      const throttle = throttleOf(row);
+      return throttle !== null && throttle >= opts.wotThreshold;
+    }
+    return row.load !== null && row.load >= opts.wotLoadThreshold;
+  });
+
+  const windows = [];
+  let start = -1;
+  let lastWot = -1;
+
+  for (let i = 0; i < rows.length; i++) {
+    if (isWot[i]) {
+      if (start === -1) start = i;
+      lastWot = i;
+    } else if (start !== -1 && times[i] - times[lastWot] > opts.dropoutTolerance) {
+      windows.push([start, lastWot]);
+      start = -1;
+    }
+  }
+  if (start !== -1) windows.push([start, lastWot]);
+
+  return windows;
+};
+
+// Split a WOT window wherever RPM falls away (lift, shift) or the RPM/speed
+// ratio moves to a different gear
+const splitWindow = (rows, [windowStart, windowEnd], opts) => {
+  const segments = [];
+  let segStart = windowStart;
+  let maxRpm = -Infinity;
+  let maxIndex = windowStart;
+  let referenceRatios = [];
+  let offRatioCount = 0;
+  let offRatioStart = -1;
+
+  const closeSegment = (end) => {
+    segments.push([segStart, end]);
+  };
+
+  for (let i = windowStart; i <= windowEnd; i++) {
+    const rpm = rows[i].rpm;
+    if (rpm === null) continue;
+
+    if (rpm < maxRpm - opts.maxRpmDrop) {
+      closeSegment(maxIndex);
+      segStart = i;
+      maxRpm = rpm;
+      maxIndex = i;
+      referenceRatios = [];
+      offRatioCount = 0;
+      continue;
+    }
+
+    const ratio = ratioOf(rows[i], opts.minSpeed);
+    if (ratio !== null) {
+      if (referenceRatios.length < 5) {
+        referenceRatios.push(ratio);
+      } else {
+        const reference = median(referenceRatios);
+        if (Math.abs(ratio / reference - 1) > opts.ratioTolerance) {
+          if (offRatioCount === 0) offRatioStart = i;
+          offRatioCount++;
+          if (offRatioCount >= opts.ratioConfirmSamples) {
+            closeSegment(Math.max(segStart, offRatioStart - 1));
+            segStart = offRatioStart;
+            maxRpm = -Infinity;
+            referenceRatios = [];
+            offRatioCount = 0;
+            i = offRatioStart - 1;
+            continue;
+          }
+        } else {
+          offRatioCount = 0;
+        }
+      }
+    }
+
+    if (rpm >= maxRpm) {
+      maxRpm = rpm;
+      maxIndex = i;
+    }
+  }
+
+  closeSegment(maxIndex);
+  return segments;
+};
+
+// Returns [{ id, startIndex, endIndex, startTime, endTime, duration, rpmStart,
+// rpmEnd, rpmSpan, rpmPerMph, peakThrottle, sampleCount }]
+export const detectPulls = (rows, options = {}) => {
+  const opts = { ...DEFAULT_PULL_OPTIONS, ...options };
+  if (!rows || rows.length === 0) return [];
+
+  const times = rows.map((row, i) => (row.time !== null && row.time !== undefined) ? row.time : i / opts.fallbackSampleRate);
+  const pulls = [];
+
+  findWotWindows(rows, times, opts).forEach(window => {
+    splitWindow(rows, window, opts).forEach(([segStart, segEnd]) => {
+      // Start the pull at its lowest RPM so a trailing dip isn't included
+      let startIndex = segStart;
+      for (let i = segStart; i <= segEnd; i++) {
+        if (rows[i].rpm !== null && (rows[startIndex].rpm === null || rows[i].rpm < rows[startIndex].rpm)) {
+          startIndex = i;
+        }
+      }
+      const endIndex = segEnd;
+      if (endIndex <= startIndex) return;
+
+      const rpmStart = rows[startIndex].rpm;
+      const rpmEnd = rows[endIndex].rpm;
+      const duration = times[endIndex] - times[startIndex];
+
+      if (duration < opts.minDuration || rpmEnd - rpmStart < opts.minRpmSpan) return;
+
+      const ratios = [];
+      let peakThrottle = null;
+      for (let i = startIndex; i <= endIndex; i++) {
+        const ratio = ratioOf(rows[i], opts.minSpeed);
+        if (ratio !== null) ratios.push(ratio);
+        const throttle = throttleOf(rows[i]);
+        if (throttle !== null) peakThrottle = Math.max(peakThrottle ?? throttle, throttle);
+      }
+
+      pulls.push({
+        id: pulls.length + 1,
+        startIndex,
+        endIndex,
+        startTime: times[startIndex],
+        endTime: times[endIndex],
+        duration,
+        rpmStart,
+        rpmEnd,
+        rpmSpan: rpmEnd - rpmStart,
+        rpmPerMph: median(ratios),
+        peakThrottle,
+        sampleCount: endIndex - startIndex + 1
+      });
+    });
+  });
+
+  return pulls;
+};
+
+// Which gear produces this RPM/speed ratio? gearing = { gearRatios, finalDrive,
+// tireDiameter }. Returns null when nothing is within tolerance.
+export const estimateGear = (rpmPerMph, gearing, tolerance = 0.12) => {
+  if (!rpmPerMph || !gearing?.gearRatios || !gearing.finalDrive || !gearing.tireDiameter) return null;
+
+  let best = null;
+  Object.entries(gearing.gearRatios).forEach(([gear, ratio]) => {
+    const expected = ratio * gearing.finalDrive * RPM_PER_MPH_FACTOR / gearing.tireDiameter;
+    const error = Math.abs(rpmPerMph / expected - 1);
+    if (error <= tolerance && (!best || error < best.error)) {
+      best = { gear: Number(gear), expected, error };
+    }
+  });
+
+  return best;
+};
+
+// Row indices covered by the chosen pulls, in log order
+export const pullRowIndices = (pulls, selectedIds) => {
+  const indices = [];
+  pulls
+    .filter(p => selectedIds.includes(p.id))
+    .sort((a, b) => a.startIndex - b.startIndex)
+    .forEach(pull => {
+      for (let i = pull.startIndex; i <= pull.endIndex; i++) indices.push(i);
+    });
+  return indices;
+};
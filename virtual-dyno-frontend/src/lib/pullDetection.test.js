@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping } from './columnMapping';
+import { detectPulls, estimateGear, pullRowIndices } from './pullDetection';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+// Synthetic 20 Hz log segment. rpmPerMph sets the gear.
+const segment = ({ seconds, rpmFrom, rpmTo, throttle, rpmPerMph = 80, startTime = 0 }) => {
+  const count = Math.round(seconds * 20);
+  return Array.from({ length: count }, (_, i) => {
+    const rpm = rpmFrom + (rpmTo - rpmFrom) * (i / Math.max(count - 1, 1));
+    return {
+      time: startTime + i / 20,
+      rpm,
+      speed: rpm / rpmPerMph,
+      throttle,
+      pedal: null,
+      load: throttle > 50 ? 1.0 : 0.3
+    };
+  });
+};
+
+const joinSegments = (...segments) => {
+  const rows = [];
+  segments.forEach(seg => {
+    const offset = rows.length ? rows[rows.length - 1].time + 0.05 : 0;
+    seg.forEach(row => rows.push({ ...row, time: row.time + offset }));
+  });
+  return rows;
+};
+
+describe('detectPulls', () => {
+  test('finds the single pull in the sample log', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+    const rows = applyMapping(parsed, detectMapping(parsed.headers));
+
+    const pulls = detectPulls(rows);
+
+    expect(pulls).toHaveLength(1);
+    expect(pulls[0].startTime).toBeGreaterThan(4);
+    expect(pulls[0].rpmStart).toBeLessThan(2700);
+    expect(pulls[0].rpmEnd).toBeGreaterThan(6100);
+    expect(pulls[0].rpmPerMph).toBeGreaterThan(75);
+    expect(pulls[0].rpmPerMph).toBeLessThan(85);
+  });
+
+  test('separates two pulls with cruising in between', () => {
+    const rows = joinSegments(
+      segment({ seconds: 10, rpmFrom: 2500, rpmTo: 2500, throttle: 15 }),
+      segment({ seconds: 5, rpmFrom: 3000, rpmTo: 6500, throttle: 100 }),
+      segment({ seconds: 20, rpmFrom: 2800, rpmTo: 2800, throttle: 20 }),
+      segment({ seconds: 4, rpmFrom: 3200, rpmTo: 6200, throttle: 98, rpmPerMph: 60 })
+    );
+
+    const pulls = detectPulls(rows);
+
+    expect(pulls).toHaveLength(2);
+    expect(pulls[0].rpmStart).toBeCloseTo(3000);
+    expect(pulls[0].rpmEnd).toBeCloseTo(6500);
+    expect(pulls[0].duration).toBeCloseTo(4.95, 1);
+    expect(pulls[1].rpmPerMph).toBeCloseTo(60);
+  });
+
+  test('splits a WOT run at a gear change', () => {
+    const rows = joinSegments(
+      segment({ seconds: 4, rpmFrom: 3000, rpmTo: 6500, throttle: 100, rpmPerMph: 110 }),
+      segment({ seconds: 4, rpmFrom: 4800, rpmTo: 6500, throttle: 100, rpmPerMph: 80 })
+    );
+
+    const pulls = detectPulls(rows);
+
+    expect(pulls).toHaveLength(2);
+    expect(pulls[0].rpmPerMph).toBeCloseTo(110);
+    expect(pulls[1].rpmPerMph).toBeCloseTo(80);
+    expect(pulls[1].rpmStart).toBeCloseTo(4800);
+  });
+
+  test('ignores short stabs of throttle', () => {
+    const rows = joinSegments(
+      segment({ seconds: 5, rpmFrom: 2500, rpmTo: 2500, throttle: 10 }),
+      segment({ seconds: 0.8, rpmFrom: 2500, rpmTo: 3300, throttle: 100 }),
+      segment({ seconds: 5, rpmFrom: 2500, rpmTo: 2500, throttle: 10 })
+    );
+
+    expect(detectPulls(rows)).toEqual([]);
+  });
+
+  test('falls back to load when no throttle channel was logged', () => {
+    const rows = joinSegments(
+      segment({ seconds: 3, rpmFrom: 2500, rpmTo: 2500, throttle: 10 }),
+      segment({ seconds: 4, rpmFrom: 3000, rpmTo: 6000, throttle: 100 })
+    ).map(row => ({ ...row, throttle: null }));
+
+    const pulls = detectPulls(rows);
+
+    expect(pulls).toHaveLength(1);
+    expect(pulls[0].peakThrottle).toBeNull();
+  });
+});
+
+describe('estimateGear', () => {
+  const gearing = { gearRatios: { 3: 2.0, 4: 1.5 }, finalDrive: 4.0, tireDiameter: 25 };
+
+  test('picks the gear whose ratio matches RPM per mph', () => {
+    // 2.0 * 4.0 * 336.13 / 25 = 107.6 rpm/mph
+    expect(estimateGear(107, gearing).gear).toBe(3);
+    expect(estimateGear(81, gearing).gear).toBe(4);
+  });
+
+  test('returns null when nothing is close or gearing is unknown', () => {
+    expect(estimateGear(40, gearing)).toBeNull();
+    expect(estimateGear(100, null)).toBeNull();
+  });
+});
+
+test('pullRowIndices lists rows of the selected pulls in order', () => {
+  const pulls = [
+    { id: 1, startIndex: 10, endIndex: 12 },
+    { id: 2, startIndex: 2, endIndex: 3 }
+  ];
+
+  expect(pullRowIndices(pulls, [1, 2])).toEqual([2, 3, 10, 11, 12]);
+  expect(pullRowIndices(pulls, [2])).toEqual([2, 3]);
+});
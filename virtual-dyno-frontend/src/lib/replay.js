@@ -0,0 +1,102 @@
+// Dyno run replay
+// Plays a finished curve back in the log's own time. Each curve RPM is
+// matched to the moment the log first reached it, so a pull that took 6 s
+// replays in 6 s at 1×. Saved runs without their log fall back to a nominal
+// sweep rate.
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Typical 3rd/4th gear pull; only used when there is no time channel
+const NOMINAL_SWEEP_RPM_PER_SEC = 600;
+// Gaps between pulls or dropped samples are shortened to this
+const MAX_FRAME_GAP = 1;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// curve: [{ rpm, horsepower, torque, boost }]; logRows: canonical rows with time/rpm.
+// Returns { frames: [{ time, point, speed, peaks }], duration, timed }. speed
+// is the logged vehicle speed (mph) at that moment, or null.
+export const buildReplayTimeline = (curve, logRows = []) => {
+  const points = [...curve].sort((a, b) => a.rpm - b.rpm);
+  const samples = logRows.filter(row => Number.isFinite(row.time) && Number.isFinite(row.rpm));
+  const timed = samples.length > 1;
+
+  // Forward scan: the first sample at or above each RPM, in log order
+  let cursor = 0;
+  const matches = points.map(point => {
+    if (!timed) return null;
+    while (cursor < samples.length && samples[cursor].rpm < point.rpm) cursor++;
+    return samples[cursor] || null;
+  });
+  const logTimes = matches.map(sample => (sample ? sample.time : null));
+
+  let time = 0;
+  let peaks = { maxHP: 0, maxTorque: 0, maxBoost: 0 };
+  const frames = points.map((point, index) => {
+    if (index > 0) {
+      const hasLogTimes = logTimes[index] !== null && logTimes[index - 1] !== null;
+      time += hasLogTimes
+        ? Math.min(MAX_FRAME_GAP, Math.max(0, logTimes[index] - logTimes[index - 1]))
+        : (point.rpm - points[index - 1].rpm) / NOMINAL_SWEEP_RPM_PER_SEC;
+    }
+    peaks = {
+      maxHP: Math.max(peaks.maxHP, point.horsepower),
+      maxTorque: Math.max(peaks.maxTorque, point.torque),
+      maxBoost: Math.max(peaks.maxBoost, point.boost)
+    };
+    const speed = matches[index]?.speed;
+    return { time: round(time, 3), point, speed: Number.isFinite(speed) ? speed : null, peaks };
+  });
+
+  return { frames, duration: frames.length > 0 ? frames[frames.length - 1].time : 0, timed };
+};
+
+// Index of the last frame shown at `elapsed` seconds (binary search)
+export const replayIndexAt = (timeline, elapsed) => {
+  const { frames } = timeline;
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (frames[mid].time <= elapsed) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+// Live peak card values at a frame, in the shape the cards already use
+export const replayPeaksAt = (timeline, index) => {
+  const frame = timeline.frames[index];
+  if (!frame) return { maxHP: 0, maxTorque: 0, maxBoost: 0, currentHP: 0, currentTorque: 0, currentBoost: 0 };
+  const { point, peaks } = frame;
+  return {
+    maxHP: Math.round(peaks.maxHP),
+    maxTorque: Math.round(peaks.maxTorque),
+    maxBoost: round(peaks.maxBoost, 1),
+    currentHP: Math.round(point.horsepower),
+    currentTorque: Math.round(point.torque),
+    currentBoost: round(point.boost, 1)
+  };
+};
+
+// Smooth state between frames for continuous motion (the 3D cell):
+// { rpm, boost, speed } at `elapsed`, speed null when the log has none
+export const replayStateAt = (timeline, elapsed) => {
+  const { frames } = timeline;
+  if (frames.length === 0) return { rpm: 0, boost: 0, speed: null };
+  const index = replayIndexAt(timeline, elapsed);
+  const from = frames[index];
+  const to = frames[Math.min(index + 1, frames.length - 1)];
+  const span = to.time - from.time;
+  const t = span > 0 ? Math.min(1, Math.max(0, (elapsed - from.time) / span)) : 0;
+  const lerp = (a, b) => a + (b - a) * t;
+
+  return {
+    rpm: lerp(from.point.rpm, to.point.rpm),
+    boost: lerp(from.point.boost, to.point.boost),
+    speed: from.speed !== null && to.speed !== null ? lerp(from.speed, to.speed) : from.speed
+  };
+};
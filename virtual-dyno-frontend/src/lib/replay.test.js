@@ -0,0 +1,65 @@
+import { buildReplayTimeline, replayIndexAt, replayPeaksAt, replayStateAt } from './replay';
+
+const CURVE = [
+  { rpm: 4000, horsepower: 190, torque: 250, boost: 18.6 },
+  { rpm: 3000, horsepower: 120, torque: 210, boost: 12 },
+  { rpm: 5000, horsepower: 230, torque: 241, boost: 17 },
+  { rpm: 6000, horsepower: 220, torque: 193, boost: 15 }
+];
+
+const LOG = [
+  { time: 10.0, rpm: 2500, speed: 40 },
+  { time: 10.5, rpm: 3010, speed: 48 },
+  { time: 11.5, rpm: 3990, speed: 64 },
+  { time: 11.75, rpm: 4020, speed: 64 },
+  { time: 13.0, rpm: 5000, speed: 80 },
+  { time: 14.25, rpm: 6000, speed: null },
+  { time: null, rpm: 6100, speed: 98 }
+];
+
+describe('buildReplayTimeline', () => {
+  test('times each curve RPM by when the log reached it', () => {
+    const timeline = buildReplayTimeline(CURVE, LOG);
+
+    expect(timeline.timed).toBe(true);
+    expect(timeline.frames.map(f => f.point.rpm)).toEqual([3000, 4000, 5000, 6000]);
+    expect(timeline.frames.map(f => f.time)).toEqual([0, 1, 2, 3]);
+    expect(timeline.duration).toBe(3);
+  });
+
+  test('shortens long gaps and falls back to a nominal sweep without a time channel', () => {
+    const gappy = buildReplayTimeline(CURVE, [...LOG.slice(0, 4), { time: 40, rpm: 5000 }, { time: 41, rpm: 6000 }]);
+    expect(gappy.frames.map(f => f.time)).toEqual([0, 1, 2, 3]);
+
+    const untimed = buildReplayTimeline(CURVE.slice(0, 2));
+    expect(untimed.timed).toBe(false);
+    expect(untimed.duration).toBeCloseTo(1000 / 600, 3);
+  });
+
+  test('carries the running peaks with each frame', () => {
+    const { frames } = buildReplayTimeline(CURVE, LOG);
+    expect(frames[2].peaks).toEqual({ maxHP: 230, maxTorque: 250, maxBoost: 18.6 });
+    expect(frames[3].peaks.maxHP).toBe(230);
+  });
+});
+
+test('finds the frame showing at a playback time', () => {
+  const timeline = buildReplayTimeline(CURVE, LOG);
+
+  expect(replayIndexAt(timeline, 0)).toBe(0);
+  expect(replayIndexAt(timeline, 1.99)).toBe(1);
+  expect(replayIndexAt(timeline, 2)).toBe(2);
+  expect(replayIndexAt(timeline, 99)).toBe(3);
+  expect(replayPeaksAt(timeline, 1)).toEqual({
+    maxHP: 190, maxTorque: 250, maxBoost: 18.6, currentHP: 190, currentTorque: 250, currentBoost: 18.6
+  });
+});
+
+test('interpolates the state between frames', () => {
+  const timeline = buildReplayTimeline(CURVE, LOG);
+
+  expect(timeline.frames.map(f => f.speed)).toEqual([48, 64, 80, null]);
+  expect(replayStateAt(timeline, 0.5)).toEqual({ rpm: 3500, boost: 15.3, speed: 56 });
+  expect(replayStateAt(timeline, 2.5)).toEqual({ rpm: 5500, boost: 16, speed: 80 });
+  expect(replayStateAt(timeline, 9)).toEqual({ rpm: 6000, boost: 15, speed: null });
+});
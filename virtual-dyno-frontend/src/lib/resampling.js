@@ -0,0 +1,86 @@
+// RPM resampling and pull averaging
+// Puts curves on a fixed RPM grid so points line up between runs, and
+// averages several pulls into one consensus curve with a min/max band -
+// how a shop shows that a car repeats.
+
+import { interpolateAt } from './runComparison';
+
+// 0 keeps the points where the log put them
+export const RPM_STEPS = [0, 50, 100, 250];
+
+// Grid for a pull average when no resampling step is chosen
+export const DEFAULT_AVERAGE_STEP = 50;
+
+const sortByRpm = (points) => [...points].sort((a, b) => a.rpm - b.rpm);
+
+const gridBetween = (from, to, step) => {
+  const grid = [];
+  for (let rpm = Math.ceil(from / step) * step; rpm <= to; rpm += step) grid.push(rpm);
+  return grid;
+};
+
+// Linear interpolation of `keys` onto every `step` RPM the curve covers.
+// Channels a point doesn't have come out as null.
+export const resampleCurve = (points, step, keys) => {
+  if (!step || points.length < 2) return points;
+
+  const sorted = sortByRpm(points);
+  const withValue = {};
+  keys.forEach(key => {
+    withValue[key] = sorted.filter(p => Number.isFinite(p[key]));
+  });
+
+  return gridBetween(sorted[0].rpm, sorted[sorted.length - 1].rpm, step).map(rpm => {
+    const point = { rpm };
+    keys.forEach(key => {
+      point[key] = interpolateAt(withValue[key], rpm, key);
+    });
+    return point;
+  });
+};
+
+// Mean of the curves at each grid RPM they all cover. bandKeys also get
+// `${key}Min` and `${key}Max`. Throws when the curves share no RPM range.
+export const averageCurves = (curves, { step = DEFAULT_AVERAGE_STEP, keys, bandKeys = [] }) => {
+  if (curves.length < 2) throw new Error('Pick at least two pulls to average');
+
+  const sorted = curves.map(sortByRpm);
+  if (sorted.some(curve => curve.length < 2)) throw new Error('Every pull needs at least two points to average');
+
+  const from = Math.max(...sorted.map(curve => curve[0].rpm));
+  const to = Math.min(...sorted.map(curve => curve[curve.length - 1].rpm));
+  const grid = gridBetween(from, to, step);
+  if (grid.length < 2) throw new Error('The selected pulls do not share an RPM range');
+
+  // As in resampleCurve - interpolate each channel only between points that
+  // have it, so a gap in one pull doesn't drag the mean and band
+  const withValue = {};
+  keys.forEach(key => {
+    withValue[key] = sorted.map(curve => curve.filter(p => Number.isFinite(p[key])));
+  });
+
+  return grid.map(rpm => {
+    const point = { rpm };
+    keys.forEach(key => {
+      const values = withValue[key].map(curve => interpolateAt(curve, rpm, key)).filter(Number.isFinite);
+      point[key] = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+      if (bandKeys.includes(key)) {
+        point[`${key}Min`] = values.length > 0 ? Math.min(...values) : null;
+        point[`${key}Max`] = values.length > 0 ? Math.max(...values) : null;
+      }
+    });
+    return point;
+  });
+};
+
+// Widest and average min-max spread of a band key - the repeatability
+export const bandSpread = (points, key) => {
+  const spreads = points
+    .filter(p => Number.isFinite(p[`${key}Min`]) && Number.isFinite(p[`${key}Max`]))
+    .map(p => p[`${key}Max`] - p[`${key}Min`]);
+  if (spreads.length === 0) return null;
+  return {
+    max: spreads.reduce((max, s) => Math.max(max, s), 0),
+    mean: spreads.reduce((sum, s) => sum + s, 0) / spreads.length
+  };
+};
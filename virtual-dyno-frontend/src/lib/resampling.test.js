@@ -0,0 +1,64 @@
+import { resampleCurve, averageCurves, bandSpread } from './resampling';
+
+const PULL = [
+  { rpm: 3020, hp: 150, torque: 260.9, boost: 14 },
+  { rpm: 3110, hp: 160, torque: 270.2, boost: null },
+  { rpm: 3290, hp: 178, torque: 284.2, boost: 16 }
+];
+
+describe('resampleCurve', () => {
+  test('interpolates onto the RPM grid the curve covers', () => {
+    const resampled = resampleCurve(PULL, 100, ['hp', 'boost']);
+
+    expect(resampled.map(p => p.rpm)).toEqual([3100, 3200]);
+    expect(resampled[0].hp).toBeCloseTo(158.89, 2);
+    expect(resampled[1].hp).toBe(169);
+    // Boost skips the point without it
+    expect(resampled[0].boost).toBeCloseTo(14 + 2 * (80 / 270), 5);
+  });
+
+  test('step 0 leaves the curve alone', () => {
+    expect(resampleCurve(PULL, 0, ['hp'])).toBe(PULL);
+  });
+});
+
+describe('averageCurves', () => {
+  const pullA = [{ rpm: 3000, hp: 150 }, { rpm: 4000, hp: 200 }, { rpm: 5000, hp: 240 }];
+  const pullB = [{ rpm: 3100, hp: 160 }, { rpm: 4000, hp: 210 }, { rpm: 4900, hp: 236 }];
+  const pullC = [{ rpm: 2900, hp: 148 }, { rpm: 4000, hp: 196 }, { rpm: 5200, hp: 250 }];
+
+  test('averages over the range every pull covers, with a min/max band', () => {
+    const average = averageCurves([pullA, pullB, pullC], { step: 250, keys: ['hp'], bandKeys: ['hp'] });
+
+    expect(average.map(p => p.rpm)).toEqual([3250, 3500, 3750, 4000, 4250, 4500, 4750]);
+    expect(average[3]).toEqual({ rpm: 4000, hp: 202, hpMin: 196, hpMax: 210 });
+  });
+
+  test('interpolates across a channel one pull is missing points for', () => {
+    const withBoost = pullA.map(p => ({ ...p, boost: p.rpm / 250 }));
+    const gappy = pullC.map(p => ({ ...p, boost: p.rpm === 4000 ? null : p.rpm / 250 }));
+
+    const average = averageCurves([withBoost, gappy], { step: 250, keys: ['hp', 'boost'], bandKeys: ['boost'] });
+    const at4000 = average.find(p => p.rpm === 4000);
+
+    expect(at4000.boost).toBeCloseTo(16);
+    expect(at4000.boostMin).toBeCloseTo(16);
+    expect(at4000.boostMax).toBeCloseTo(16);
+  });
+
+  test('refuses pulls that do not overlap', () => {
+    const late = [{ rpm: 5500, hp: 250 }, { rpm: 6500, hp: 240 }];
+
+    expect(() => averageCurves([pullA, late], { keys: ['hp'] })).toThrow('do not share an RPM range');
+    expect(() => averageCurves([pullA], { keys: ['hp'] })).toThrow('at least two pulls');
+  });
+
+  test('reports the spread of the band', () => {
+    const average = averageCurves([pullA, pullB, pullC], { step: 250, keys: ['hp'], bandKeys: ['hp'] });
+    const spread = bandSpread(average, 'hp');
+
+    expect(spread.max).toBeCloseTo(14, 5);
+    expect(spread.mean).toBeGreaterThan(0);
+    expect(bandSpread(pullA, 'hp')).toBeNull();
+  });
+});
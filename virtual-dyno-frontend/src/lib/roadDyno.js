@@ -0,0 +1,125 @@
+// Road dyno
+// Independent power estimate from how fast the car accelerates (F = m·a),
+// used to cross-check the airflow-based numbers. Works in SI internally and
+// reports hp / lb-ft like the rest of the app.
+
+export const DEFAULT_ROAD_DYNO_SETTINGS = {
+  cdA: 7.5,                // drag coefficient × frontal area, ft²
+  crr: 0.015,              // rolling resistance coefficient
+  derivativeWindow: 0.4,   // seconds either side used to fit d(speed)/dt
+  minSpeed: 10             // mph - below this, speed resolution is too coarse
+};
+
+const LB_TO_KG = 0.453592;
+const MPH_TO_MS = 0.44704;
+const FT2_TO_M2 = 0.092903;
+const WATTS_PER_HP = 745.7;
+const GRAVITY = 9.80665;
+const RPM_PER_MPH_FACTOR = 336.13;
+
+// Dry air density from temperature (°F) at sea-level pressure
+export const airDensity = (temperatureF = 77, pressureKpa = 101.325) => {
+  const kelvin = (temperatureF - 32) * 5 / 9 + 273.15;
+  return (pressureKpa * 1000) / (287.05 * kelvin);
+};
+
+// Least-squares slope of speed against time over a sliding window. Loggers
+// report whole-mph speed, so a plain difference would be mostly noise.
+const accelerationSeries = (times, speeds, window) => {
+  const result = new Array(times.length).fill(null);
+  let lo = 0;
+  let hi = 0;
+
+  for (let i = 0; i < times.length; i++) {
+    while (times[lo] < times[i] - window) lo++;
+    while (hi + 1 < times.length && times[hi + 1] <= times[i] + window) hi++;
+
+    let n = 0;
+    let sumT = 0;
+    let sumV = 0;
+    let sumTT = 0;
+    let sumTV = 0;
+    for (let k = lo; k <= hi; k++) {
+      if (speeds[k] === null) continue;
+      const t = times[k] - times[i];
+      n++;
+      sumT += t;
+      sumV += speeds[k];
+      sumTT += t * t;
+      sumTV += t * speeds[k];
+    }
+
+    const denominator = n * sumTT - sumT * sumT;
+    if (n >= 3 && denominator > 0) {
+      result[i] = (n * sumTV - sumT * sumV) / denominator;
+    }
+  }
+
+  return result;
+};
+
+// rows: canonical rows of ONE continuous pull (time + speed required).
+// gearing: { gearRatio, finalDrive, tireDiameter }
+// Returns points sorted by RPM: { rpm, horsepower, torque, boost, speed,
+// acceleration, inertialHp, dragHp, rollingHp }
+export const computeRoadDyno = (rows, { weight, gearing, temperature, settings } = {}) => {
+  const opts = { ...DEFAULT_ROAD_DYNO_SETTINGS, ...settings };
+  const usable = rows.filter(r => r.time !== null && r.speed !== null);
+
+  if (usable.length < 5 || !weight || !gearing?.gearRatio || !gearing.finalDrive || !gearing.tireDiameter) {
+    return [];
+  }
+
+  const mass = weight * LB_TO_KG;
+  const rho = airDensity(temperature);
+  const cdA = opts.cdA * FT2_TO_M2;
+  const rpmPerMph = gearing.gearRatio * gearing.finalDrive * RPM_PER_MPH_FACTOR / gearing.tireDiameter;
+
+  const times = usable.map(r => r.time);
+  const speeds = usable.map(r => r.speed * MPH_TO_MS);
+  const accelerations = accelerationSeries(times, speeds, opts.derivativeWindow);
+
+  const points = [];
+  usable.forEach((row, i) => {
+    const a = accelerations[i];
+    if (a === null || row.speed < opts.minSpeed) return;
+
+    const v = speeds[i];
+    const inertialWatts = mass * a * v;
+    // The wheels had to push through drag and rolling resistance as well as
+    // accelerate the car, so those losses count toward wheel power
+    const dragWatts = 0.5 * rho * cdA * v * v * v;
+    const rollingWatts = opts.crr * mass * GRAVITY * v;
+
+    const horsepower = (inertialWatts + dragWatts + rollingWatts) / WATTS_PER_HP;
+    const rpm = Math.round(row.speed * rpmPerMph);
+
+    points.push({
+      rpm,
+      horsepower,
+      torque: rpm > 0 ? (horsepower * 5252) / rpm : 0,
+      boost: row.boost ?? 0,
+      speed: row.speed,
+      acceleration: a,
+      inertialHp: inertialWatts / WATTS_PER_HP,
+      dragHp: dragWatts / WATTS_PER_HP,
+      rollingHp: rollingWatts / WATTS_PER_HP
+    });
+  });
+
+  return points.sort((a, b) => a.rpm - b.rpm);
+};
+
+export const roadDynoPeaks = (points) => {
+  if (!points || points.length === 0) return null;
+
+  const hpPoint = points.reduce((best, p) => (p.horsepower > best.horsepower ? p : best), points[0]);
+  const tqPoint = points.reduce((best, p) => (p.torque > best.torque ? p : best), points[0]);
+
+  return {
+    maxHP: Math.round(hpPoint.horsepower),
+    maxHPRpm: hpPoint.rpm,
+    maxTorque: Math.round(tqPoint.torque),
+    maxTorqueRpm: tqPoint.rpm
+  };
+};
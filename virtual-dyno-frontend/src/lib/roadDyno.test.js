@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDatalog } from './csvParser';
+import { detectMapping, applyMapping } from './columnMapping';
+import { detectPulls } from './pullDetection';
+import { findCarPreset } from './carPresets';
+import { computeRoadDyno, roadDynoPeaks, airDensity } from './roadDyno';
+
+const SAMPLE_LOG = path.resolve(__dirname, '../../../SampleLogs/mazdaspeed3_gear3_238hp_285tq_18.8psi.csv');
+
+const gearing = { gearRatio: 1.5, finalDrive: 4.0, tireDiameter: 25 };
+
+// 20 Hz run accelerating at a constant rate (mph per second)
+const constantAcceleration = (mphPerSecond, fromMph = 20, seconds = 5) =>
+  Array.from({ length: seconds * 20 }, (_, i) => ({
+    time: i / 20,
+    speed: fromMph + mphPerSecond * (i / 20),
+    boost: 10
+  }));
+
+describe('computeRoadDyno', () => {
+  test('inertial power is m·a·v when drag and rolling resistance are zero', () => {
+    const points = computeRoadDyno(constantAcceleration(10), {
+      weight: 3000,
+      gearing,
+      settings: { cdA: 0, crr: 0 }
+    });
+
+    const mass = 3000 * 0.453592;
+    const a = 10 * 0.44704;
+    points.forEach(p => {
+      expect(p.horsepower).toBeCloseTo((mass * a * p.speed * 0.44704) / 745.7, 6);
+      expect(p.dragHp).toBe(0);
+    });
+  });
+
+  test('maps speed to RPM through gear, final drive and tire size', () => {
+    const points = computeRoadDyno(constantAcceleration(10), { weight: 3000, gearing });
+    const at40 = points.find(p => p.speed === 40);
+
+    // 1.5 * 4.0 * 336.13 / 25 = 80.67 rpm/mph
+    expect(at40.rpm).toBe(3227);
+    expect(at40.torque).toBeCloseTo((at40.horsepower * 5252) / 3227, 6);
+  });
+
+  test('drag and rolling resistance add to the wheel power needed', () => {
+    const rows = constantAcceleration(10);
+    const bare = computeRoadDyno(rows, { weight: 3000, gearing, settings: { cdA: 0, crr: 0 } });
+    const loaded = computeRoadDyno(rows, { weight: 3000, gearing, settings: { cdA: 7.5, crr: 0.015 } });
+
+    loaded.forEach((p, i) => {
+      expect(p.dragHp).toBeGreaterThan(0);
+      expect(p.rollingHp).toBeGreaterThan(0);
+      expect(p.horsepower).toBeCloseTo(bare[i].horsepower + p.dragHp + p.rollingHp, 6);
+    });
+  });
+
+  test('smooths whole-mph speed steps into a steady acceleration', () => {
+    const rows = constantAcceleration(10).map(r => ({ ...r, speed: Math.floor(r.speed) }));
+    const points = computeRoadDyno(rows, { weight: 3000, gearing, settings: { cdA: 0, crr: 0 } });
+
+    points.forEach(p => expect(p.acceleration / 0.44704).toBeCloseTo(10, 0));
+  });
+
+  test('returns nothing without gearing or weight', () => {
+    const rows = constantAcceleration(10);
+    expect(computeRoadDyno(rows, { weight: 3000 })).toEqual([]);
+    expect(computeRoadDyno(rows, { gearing })).toEqual([]);
+  });
+
+  test('lands near the airflow estimate on the sample log', () => {
+    const parsed = parseDatalog(new Uint8Array(fs.readFileSync(SAMPLE_LOG)));
+    const rows = applyMapping(parsed, detectMapping(parsed.headers));
+    const [pull] = detectPulls(rows);
+    const preset = findCarPreset('mazdaspeed3');
+
+    const points = computeRoadDyno(rows.slice(pull.startIndex, pull.endIndex + 1), {
+      weight: 3200,
+      gearing: { gearRatio: preset.gearRatios[3], finalDrive: preset.finalDrive, tireDiameter: preset.tireDiameter }
+    });
+    const peaks = roadDynoPeaks(points);
+
+    expect(points.length).toBeGreaterThan(100);
+    expect(peaks.maxHP).toBeGreaterThan(180);
+    expect(peaks.maxHP).toBeLessThan(300);
+  });
+});
+
+test('airDensity is about 1.18 kg/m³ at 77°F', () => {
+  expect(airDensity(77)).toBeCloseTo(1.184, 2);
+  expect(airDensity(32)).toBeGreaterThan(airDensity(100));
+});
@@ -0,0 +1,93 @@
+// Run comparison
+// Lines curves up on a common RPM grid so a tune revision can be checked
+// against a baseline, point by point and as area under the curve.
+
+export const RUN_COLORS = ['#63b3ed', '#f6ad55', '#b794f4', '#4fd1c5', '#f687b3', '#faf089'];
+
+const sortByRpm = (points) => [...points].sort((a, b) => a.rpm - b.rpm);
+
+// Linear interpolation of one channel at an RPM; null outside the curve
+export const interpolateAt = (sortedPoints, rpm, key) => {
+  if (sortedPoints.length === 0) return null;
+
+  const first = sortedPoints[0];
+  const last = sortedPoints[sortedPoints.length - 1];
+  if (rpm < first.rpm || rpm > last.rpm) return null;
+
+  let lo = 0;
+  let hi = sortedPoints.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (sortedPoints[mid].rpm <= rpm) lo = mid;
+    else hi = mid;
+  }
+
+  const a = sortedPoints[lo];
+  const b = sortedPoints[hi];
+  if (b.rpm === a.rpm) return a[key];
+  return a[key] + ((b[key] - a[key]) * (rpm - a.rpm)) / (b.rpm - a.rpm);
+};
+
+// Trapezoidal area (hp·rpm) between two RPMs, sampled every `step` RPM
+export const areaUnderCurve = (points, key, from, to, step = 50) => {
+  const sorted = sortByRpm(points);
+  let area = 0;
+  let previous = null;
+
+  for (let rpm = from; rpm <= to; rpm = Math.min(to, rpm + step)) {
+    const value = interpolateAt(sorted, rpm, key);
+    if (value !== null && previous !== null) {
+      area += ((value + previous.value) / 2) * (rpm - previous.rpm);
+    }
+    previous = value !== null ? { rpm, value } : null;
+    if (rpm === to) break;
+  }
+
+  return area;
+};
+
+const peakOf = (points, key) => points.reduce((max, p) => Math.max(max, p[key]), 0);
+
+// Compares a run against the baseline over the RPM range both cover.
+// Returns null when the curves do not overlap.
+export const compareRuns = (baselinePoints, runPoints, { step = 250 } = {}) => {
+  const base = sortByRpm(baselinePoints);
+  const run = sortByRpm(runPoints);
+  if (base.length < 2 || run.length < 2) return null;
+
+  const from = Math.max(base[0].rpm, run[0].rpm);
+  const to = Math.min(base[base.length - 1].rpm, run[run.length - 1].rpm);
+  if (to <= from) return null;
+
+  const rows = [];
+  for (let rpm = Math.ceil(from / step) * step; rpm <= to; rpm += step) {
+    const baseHp = interpolateAt(base, rpm, 'horsepower');
+    const runHp = interpolateAt(run, rpm, 'horsepower');
+    const baseTq = interpolateAt(base, rpm, 'torque');
+    const runTq = interpolateAt(run, rpm, 'torque');
+    rows.push({ rpm, baseHp, runHp, hpDelta: runHp - baseHp, baseTq, runTq, tqDelta: runTq - baseTq });
+  }
+
+  const areaDelta = (key) => {
+    const baseArea = areaUnderCurve(base, key, from, to);
+    const runArea = areaUnderCurve(run, key, from, to);
+    return {
+      base: baseArea,
+      run: runArea,
+      delta: runArea - baseArea,
+      percent: baseArea > 0 ? ((runArea - baseArea) / baseArea) * 100 : 0,
+      // Area difference spread over the overlap - the "average gain"
+      averageGain: (runArea - baseArea) / (to - from)
+    };
+  };
+
+  return {
+    from,
+    to,
+    rows,
+    peakHpDelta: peakOf(run, 'horsepower') - peakOf(base, 'horsepower'),
+    peakTqDelta: peakOf(run, 'torque') - peakOf(base, 'torque'),
+    horsepowerArea: areaDelta('horsepower'),
+    torqueArea: areaDelta('torque')
+  };
+};
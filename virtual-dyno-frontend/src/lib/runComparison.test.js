@@ -0,0 +1,61 @@
+import { interpolateAt, areaUnderCurve, compareRuns } from './runComparison';
+
+// Straight-line curve: horsepower = slope * rpm / 100 + offset
+const curve = (fromRpm, toRpm, offset = 0, slope = 4) => {
+  const points = [];
+  for (let rpm = fromRpm; rpm <= toRpm; rpm += 100) {
+    points.push({ rpm, horsepower: (slope * rpm) / 100 + offset, torque: 200 + offset, boost: 15 });
+  }
+  return points;
+};
+
+describe('interpolateAt', () => {
+  const points = [
+    { rpm: 3000, horsepower: 100 },
+    { rpm: 4000, horsepower: 200 }
+  ];
+
+  test('interpolates linearly between points', () => {
+    expect(interpolateAt(points, 3250, 'horsepower')).toBe(125);
+    expect(interpolateAt(points, 4000, 'horsepower')).toBe(200);
+  });
+
+  test('returns null outside the curve', () => {
+    expect(interpolateAt(points, 2999, 'horsepower')).toBeNull();
+    expect(interpolateAt(points, 4001, 'horsepower')).toBeNull();
+    expect(interpolateAt([], 3000, 'horsepower')).toBeNull();
+  });
+});
+
+test('areaUnderCurve integrates a flat line exactly', () => {
+  const flat = [{ rpm: 2000, torque: 300 }, { rpm: 6000, torque: 300 }];
+  expect(areaUnderCurve(flat, 'torque', 3000, 5000)).toBeCloseTo(300 * 2000);
+  expect(areaUnderCurve(flat, 'torque', 3000, 5030, 100)).toBeCloseTo(300 * 2030);
+});
+
+describe('compareRuns', () => {
+  test('reports a constant gain at every RPM and as average gain', () => {
+    const result = compareRuns(curve(2500, 6500), curve(2500, 6500, 12));
+
+    expect(result.rows.every(row => Math.abs(row.hpDelta - 12) < 1e-9)).toBe(true);
+    expect(result.rows.every(row => Math.abs(row.tqDelta - 12) < 1e-9)).toBe(true);
+    expect(result.peakHpDelta).toBeCloseTo(12);
+    expect(result.horsepowerArea.averageGain).toBeCloseTo(12);
+    expect(result.horsepowerArea.percent).toBeGreaterThan(0);
+  });
+
+  test('only compares the RPM range both runs cover', () => {
+    const result = compareRuns(curve(2500, 6000), curve(3100, 6800, 5), { step: 500 });
+
+    expect(result.from).toBe(3100);
+    expect(result.to).toBe(6000);
+    expect(result.rows.map(row => row.rpm)).toEqual([3500, 4000, 4500, 5000, 5500, 6000]);
+  });
+
+  test('handles unsorted input and returns null without overlap', () => {
+    const reversed = curve(2500, 6500, 10).reverse();
+    expect(compareRuns(curve(2500, 6500), reversed).horsepowerArea.averageGain).toBeCloseTo(10);
+    expect(compareRuns(curve(2000, 3000), curve(4000, 5000))).toBeNull();
+    expect(compareRuns([], curve(4000, 5000))).toBeNull();
+  });
+});
@@ -0,0 +1,158 @@
+// Run export
+// Processed curves as CSV/JSON for spreadsheets and other tools, and the
+// self-contained .vdyno bundle (original log + settings + mapping + results)
+// that restores a run offline on someone else's machine.
+
+import { DEFAULT_UNITS, toDisplay, unitLabel } from './units';
+
+export const BUNDLE_FORMAT = 'virtual-dyno-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.vdyno';
+
+// Curve tables are canonical (hp, lb-ft, psi, AFR); columns with a quantity
+// are converted to the display units on the way out
+const EXPORT_COLUMNS = [
+  { key: 'rpm', label: () => 'RPM' },
+  { key: 'horsepower', quantity: 'power', label: units => (units.power === 'hp' ? 'Horsepower (whp)' : `Power (${unitLabel('power', units)})`) },
+  { key: 'torque', quantity: 'torque', label: units => `Torque (${unitLabel('torque', units)})` },
+  { key: 'boost', quantity: 'pressure', label: units => `Boost (${unitLabel('pressure', units)})` },
+  { key: 'afr', quantity: 'mixture', label: units => (units.mixture === 'afr' ? 'AFR' : 'Lambda') },
+  { key: 'knock', label: () => 'Knock Retard (°)' }
+];
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Log channels at each curve RPM: mean AFR and worst knock retard of the
+// pull rows within ±window RPM. null when the log has nothing there.
+export const curveTable = (curve, rows = [], { window = 100 } = {}) =>
+  [...curve].sort((a, b) => a.rpm - b.rpm).map(point => {
+    const nearby = rows.filter(row => Math.abs(row.rpm - point.rpm) <= window);
+    const afrs = nearby.map(row => row.afr).filter(Number.isFinite);
+    const knocks = nearby.map(row => row.knock).filter(Number.isFinite);
+
+    return {
+      rpm: point.rpm,
+      horsepower: point.horsepower,
+      torque: point.torque,
+      boost: point.boost ?? null,
+      afr: afrs.length > 0 ? round(afrs.reduce((sum, v) => sum + v, 0) / afrs.length, 2) : null,
+      knock: knocks.length > 0 ? round(knocks.reduce((max, v) => Math.max(max, v), -Infinity), 1) : null
+    };
+  });
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportRow = (row, units) => Object.fromEntries(EXPORT_COLUMNS.map(({ key, quantity }) => {
+  if (!quantity || row[key] === null || row[key] === undefined) return [key, row[key] ?? null];
+  return [key, round(toDisplay(quantity, row[key], units), 3)];
+}));
+
+// meta: { fileName, car, gear, dyno, correction, smoothing } - written as
+// "# key: value" lines above the header so the file stays self-describing
+export const curveToCsv = (table, meta = {}, units = DEFAULT_UNITS) => {
+  const lines = Object.entries(meta)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `# ${key}: ${value}`);
+
+  lines.push(EXPORT_COLUMNS.map(column => csvCell(column.label(units))).join(','));
+  table.forEach(row => {
+    const converted = exportRow(row, units);
+    lines.push(EXPORT_COLUMNS.map(({ key }) => csvCell(converted[key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+export const curveToJson = (table, meta = {}, units = DEFAULT_UNITS) => JSON.stringify({
+  ...meta,
+  exportedAt: new Date().toISOString(),
+  units: Object.fromEntries(EXPORT_COLUMNS.map(column => {
+    const label = column.label(units);
+    return [column.key, label.match(/\((.+)\)/)?.[1] || label];
+  })),
+  points: table.map(row => exportRow(row, units))
+}, null, 2);
+
+// btoa/atob work on binary strings; go through them in chunks so big logs
+// do not blow the argument limit of String.fromCharCode
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+// Everything needed to put the view back exactly as it was. The log is kept
+// byte-for-byte so the parser sees the same encoding and delimiter.
+export const createRunBundle = ({
+  logBytes,
+  fileName,
+  mappingOverrides = {},
+  selectedPullIds = [],
+  settings,
+  roadDynoSettings,
+  vehicle,
+  smoothing = null,
+  smoothingLevel = 0,
+  smoothedData = [],
+  results
+}) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  createdAt: new Date().toISOString(),
+  log: { fileName, encoding: 'base64', data: bytesToBase64(logBytes) },
+  mappingOverrides,
+  selectedPullIds,
+  settings,
+  roadDynoSettings,
+  vehicle: vehicle || null,
+  // Client-side smoothing settings; smoothingLevel is the API level older
+  // bundles used, kept so their smoothedData still has a label
+  smoothing,
+  smoothingLevel,
+  smoothedData,
+  // backendResults is the same detail object for offline runs - no need to store it twice
+  results: { ...results, backendResults: undefined }
+});
+
+// Parse and check a .vdyno file; throws with a message fit for an alert
+export const parseRunBundle = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a Virtual Dyno bundle (invalid JSON)');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('Not a Virtual Dyno bundle');
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this app supports (${BUNDLE_VERSION})`);
+  }
+  if (!bundle.log?.data || bundle.log.encoding !== 'base64') {
+    throw new Error('Bundle is missing the original log');
+  }
+  if (!bundle.settings || !Array.isArray(bundle.results?.processedData)) {
+    throw new Error('Bundle is missing the run settings or results');
+  }
+
+  return {
+    ...bundle,
+    logBytes: base64ToBytes(bundle.log.data),
+    mappingOverrides: bundle.mappingOverrides || {},
+    selectedPullIds: bundle.selectedPullIds || [],
+    smoothing: bundle.smoothing || null,
+    smoothedData: bundle.smoothedData || []
+  };
+};
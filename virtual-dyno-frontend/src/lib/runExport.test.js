@@ -0,0 +1,123 @@
+import {
+  curveTable,
+  curveToCsv,
+  curveToJson,
+  bytesToBase64,
+  base64ToBytes,
+  createRunBundle,
+  parseRunBundle,
+  BUNDLE_FORMAT
+} from './runExport';
+import { UNIT_PRESETS } from './units';
+
+const CURVE = [
+  { rpm: 4000, horsepower: 190, torque: 250, boost: 18.6 },
+  { rpm: 3000, horsepower: 120, torque: 210, boost: 12 },
+  { rpm: 6500, horsepower: 215, torque: 174, boost: 14 }
+];
+
+const ROWS = [
+  { rpm: 2950, afr: 11.8, knock: 0 },
+  { rpm: 3040, afr: 11.6, knock: 1.4 },
+  { rpm: 3990, afr: 11.2, knock: null },
+  { rpm: 4050, afr: null, knock: 2.8 }
+];
+
+describe('curveTable', () => {
+  const table = curveTable(CURVE, ROWS);
+
+  test('sorts by RPM and joins log channels near each point', () => {
+    expect(table.map(row => row.rpm)).toEqual([3000, 4000, 6500]);
+    expect(table[0]).toEqual({ rpm: 3000, horsepower: 120, torque: 210, boost: 12, afr: 11.7, knock: 1.4 });
+    expect(table[1]).toMatchObject({ afr: 11.2, knock: 2.8 });
+  });
+
+  test('leaves channels empty where the log has no rows', () => {
+    expect(table[2]).toMatchObject({ afr: null, knock: null });
+  });
+});
+
+describe('curve export', () => {
+  const table = curveTable(CURVE, ROWS);
+
+  test('CSV has metadata lines, a header and one row per RPM', () => {
+    const lines = curveToCsv(table, { file: 'pull, 3rd.csv', correction: 'SAE J1349 (CF 0.987)', smoothing: '' })
+      .trim().split('\r\n');
+
+    expect(lines[0]).toBe('# file: pull, 3rd.csv');
+    expect(lines[1]).toBe('# correction: SAE J1349 (CF 0.987)');
+    expect(lines[2]).toBe('RPM,Horsepower (whp),Torque (lb-ft),Boost (psi),AFR,Knock Retard (°)');
+    expect(lines[3]).toBe('3000,120,210,12,11.7,1.4');
+    expect(lines[5]).toBe('6500,215,174,14,,');
+  });
+
+  test('JSON carries the points and units', () => {
+    const json = JSON.parse(curveToJson(table, { file: 'run.csv' }));
+    expect(json.file).toBe('run.csv');
+    expect(json.units.horsepower).toBe('whp');
+    expect(json.points).toEqual(table);
+  });
+
+  test('converts to the display units, headers included', () => {
+    const lines = curveToCsv(table, {}, UNIT_PRESETS.metric.units).trim().split('\r\n');
+    expect(lines[0]).toBe('RPM,Power (kW),Torque (Nm),Boost (bar),Lambda,Knock Retard (°)');
+    expect(lines[1]).toBe('3000,89.484,284.722,0.827,0.796,1.4');
+
+    const json = JSON.parse(curveToJson(table, {}, UNIT_PRESETS.metric.units));
+    expect(json.units).toMatchObject({ horsepower: 'kW', torque: 'Nm', boost: 'bar', afr: 'Lambda' });
+    expect(json.points[2].afr).toBeNull();
+  });
+});
+
+describe('run bundle', () => {
+  const logBytes = new Uint8Array([0xef, 0xbb, 0xbf, ...Array.from('RPM;AFR\r\n3000;11,8\r\n', c => c.charCodeAt(0))]);
+  const results = {
+    fileName: 'pull.csv',
+    source: 'local',
+    processedData: [{ rpm: 3000, hp: 120, torque: 210, boost: 12 }],
+    detailData: { dataPoints: [] },
+    backendResults: { dataPoints: [] }
+  };
+
+  test('base64 helpers round-trip arbitrary bytes', () => {
+    const bytes = Uint8Array.from({ length: 70000 }, (_, i) => i % 256);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+
+  test('round-trips the log bytes, settings and results', () => {
+    const bundle = createRunBundle({
+      logBytes,
+      fileName: 'pull.csv',
+      mappingOverrides: { afr: 'AFR' },
+      selectedPullIds: [2],
+      settings: { gear: 3 },
+      smoothingLevel: 2,
+      results
+    });
+    const restored = parseRunBundle(JSON.stringify(bundle));
+
+    expect(restored.format).toBe(BUNDLE_FORMAT);
+    expect(restored.logBytes).toEqual(logBytes);
+    expect(restored.log.fileName).toBe('pull.csv');
+    expect(restored.mappingOverrides).toEqual({ afr: 'AFR' });
+    expect(restored.selectedPullIds).toEqual([2]);
+    expect(restored.smoothingLevel).toBe(2);
+    expect(restored.results.processedData).toEqual(results.processedData);
+    expect(restored.results.backendResults).toBeUndefined();
+  });
+
+  test('keeps smoothing settings, and older bundles read without them', () => {
+    const smoothing = { method: 'lowess', strength: 0.4, preservePeaks: true };
+    const bundle = createRunBundle({ logBytes, fileName: 'pull.csv', settings: { gear: 3 }, smoothing, results });
+
+    expect(parseRunBundle(JSON.stringify(bundle)).smoothing).toEqual(smoothing);
+    expect(parseRunBundle(JSON.stringify({ ...bundle, smoothing: undefined })).smoothing).toBeNull();
+  });
+
+  test('rejects files that are not usable bundles', () => {
+    expect(() => parseRunBundle('RPM,AFR')).toThrow('invalid JSON');
+    expect(() => parseRunBundle('{"format":"other"}')).toThrow('Not a Virtual Dyno bundle');
+    expect(() => parseRunBundle(JSON.stringify({ format: BUNDLE_FORMAT, version: 99 }))).toThrow('newer');
+    expect(() => parseRunBundle(JSON.stringify({ format: BUNDLE_FORMAT, version: 1, log: {} }))).toThrow('original log');
+  });
+});
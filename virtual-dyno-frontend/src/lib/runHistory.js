@@ -0,0 +1,59 @@
+// Run history
+// Sorting and filtering for the run list returned by GET /api/dyno/runs
+
+export const DEFAULT_HISTORY_FILTERS = {
+  car: '',
+  gear: '',
+  from: '',     // yyyy-mm-dd, inclusive
+  to: '',       // yyyy-mm-dd, inclusive
+  minHp: '',
+  search: ''
+};
+
+export const HISTORY_SORTS = {
+  date: { label: 'Date', value: run => new Date(run.createdAt).getTime() },
+  peakHp: { label: 'Peak HP', value: run => run.peaks?.maxHorsepower ?? -1 },
+  car: { label: 'Car', value: run => run.car?.name || '' },
+  gear: { label: 'Gear', value: run => run.gearUsed }
+};
+
+// Compare on the calendar day in local time, which is what the date inputs show
+const localDay = (isoDate) => {
+  const date = new Date(isoDate);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const filterRuns = (runs, filters) => {
+  const { car, gear, from, to, minHp, search } = { ...DEFAULT_HISTORY_FILTERS, ...filters };
+  const needle = search.trim().toLowerCase();
+
+  return runs.filter(run => {
+    if (car && run.car?.name !== car) return false;
+    if (gear && run.gearUsed !== Number(gear)) return false;
+    if (from && localDay(run.createdAt) < from) return false;
+    if (to && localDay(run.createdAt) > to) return false;
+    if (minHp !== '' && (run.peaks?.maxHorsepower ?? 0) < Number(minHp)) return false;
+    if (needle && !`${run.fileName} ${run.notes}`.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+};
+
+export const sortRuns = (runs, sortKey = 'date', direction = 'desc') => {
+  const { value } = HISTORY_SORTS[sortKey] || HISTORY_SORTS.date;
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return [...runs].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va < vb) return -sign;
+    if (va > vb) return sign;
+    return b.id - a.id;
+  });
+};
+
+// Distinct values for the filter dropdowns
+export const historyFilterOptions = (runs) => ({
+  cars: [...new Set(runs.map(run => run.car?.name).filter(Boolean))].sort(),
+  gears: [...new Set(runs.map(run => run.gearUsed))].sort((a, b) => a - b)
+});
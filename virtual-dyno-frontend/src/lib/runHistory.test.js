@@ -0,0 +1,49 @@
+import { filterRuns, sortRuns, historyFilterOptions } from './runHistory';
+
+// Local-time timestamps so date filters don't depend on the test machine's zone
+const at = (day, hour = 12) => new Date(`${day}T${String(hour).padStart(2, '0')}:00:00`).toISOString();
+
+const RUNS = [
+  { id: 1, fileName: 'stock.csv', notes: 'baseline', createdAt: at('2025-03-01'), car: { name: 'Mazdaspeed3' }, gearUsed: 3, peaks: { maxHorsepower: 238 } },
+  { id: 2, fileName: 'stage1.csv', notes: 'new intake', createdAt: at('2025-03-08'), car: { name: 'Mazdaspeed3' }, gearUsed: 4, peaks: { maxHorsepower: 262 } },
+  { id: 3, fileName: 'wrx_pull.csv', notes: '', createdAt: at('2025-03-10', 23), car: { name: 'Subaru WRX' }, gearUsed: 3, peaks: { maxHorsepower: 251 } },
+  { id: 4, fileName: 'broken.csv', notes: '', createdAt: at('2025-03-12'), car: { name: 'Subaru WRX' }, gearUsed: 4, peaks: null }
+];
+
+describe('filterRuns', () => {
+  test('filters by car, gear and minimum peak HP', () => {
+    expect(filterRuns(RUNS, { car: 'Mazdaspeed3' }).map(r => r.id)).toEqual([1, 2]);
+    expect(filterRuns(RUNS, { gear: '3' }).map(r => r.id)).toEqual([1, 3]);
+    expect(filterRuns(RUNS, { minHp: '250' }).map(r => r.id)).toEqual([2, 3]);
+  });
+
+  test('date range is inclusive on local calendar days', () => {
+    expect(filterRuns(RUNS, { from: '2025-03-08', to: '2025-03-10' }).map(r => r.id)).toEqual([2, 3]);
+  });
+
+  test('searches name and notes', () => {
+    expect(filterRuns(RUNS, { search: 'INTAKE' }).map(r => r.id)).toEqual([2]);
+    expect(filterRuns(RUNS, {}).length).toBe(4);
+  });
+});
+
+describe('sortRuns', () => {
+  test('newest first by default', () => {
+    expect(sortRuns(RUNS).map(r => r.id)).toEqual([4, 3, 2, 1]);
+  });
+
+  test('sorts by peak HP with missing peaks last when descending', () => {
+    expect(sortRuns(RUNS, 'peakHp', 'desc').map(r => r.id)).toEqual([2, 3, 1, 4]);
+    expect(sortRuns(RUNS, 'peakHp', 'asc').map(r => r.id)).toEqual([4, 1, 3, 2]);
+  });
+
+  test('does not mutate the input', () => {
+    const copy = [...RUNS];
+    sortRuns(RUNS, 'car', 'asc');
+    expect(RUNS).toEqual(copy);
+  });
+});
+
+test('historyFilterOptions lists distinct cars and gears', () => {
+  expect(historyFilterOptions(RUNS)).toEqual({ cars: ['Mazdaspeed3', 'Subaru WRX'], gears: [3, 4] });
+});
@@ -0,0 +1,245 @@
+// Curve smoothing
+// Client-side smoothing of a dyno curve ({ rpm, horsepower, torque, boost })
+// so every strength previews instantly. Kernels work in RPM rather than point
+// index, because a curve has one point per logged RPM and the spacing is
+// uneven. Peak preservation mirrors the backend's SmoothDataPreservePeaks.
+
+import { identifyGenuinePeaks, roundHalfEven } from './dynoCalculation';
+
+export const SMOOTHING_METHODS = {
+  movingAverage: { name: 'Moving average', short: 'MA' },
+  gaussian: { name: 'Gaussian', short: 'Gauss' },
+  savitzkyGolay: { name: 'Savitzky–Golay', short: 'S-G' },
+  lowess: { name: 'LOWESS', short: 'LOWESS' },
+  rpmBins: { name: 'RPM-bin average', short: 'Bins' }
+};
+
+// strength runs 0 (raw) to 1
+export const DEFAULT_SMOOTHING = { method: 'gaussian', strength: 0, preservePeaks: true };
+
+const SMOOTHED_KEYS = ['horsepower', 'torque', 'boost'];
+// Half-width of the smoothing window at full strength
+const MAX_BANDWIDTH_RPM = 400;
+const LOWESS_ITERATIONS = 2;
+
+export const smoothingBandwidth = (strength) => Math.max(0, Math.min(1, strength || 0)) * MAX_BANDWIDTH_RPM;
+
+export const isSmoothed = (smoothing) => Boolean(smoothing && SMOOTHING_METHODS[smoothing.method] && smoothing.strength > 0);
+
+// "Gaussian 40%, peaks kept" - for exports and the dyno sheet
+export const smoothingLabel = (smoothing) => {
+  if (!isSmoothed(smoothing)) return 'None';
+  return `${SMOOTHING_METHODS[smoothing.method].name} ${Math.round(smoothing.strength * 100)}%` +
+    (smoothing.preservePeaks ? ', peaks kept' : '');
+};
+
+// "Gauss 40%" - for the peak cards and pinned run labels
+export const smoothingTag = (smoothing) =>
+  (isSmoothed(smoothing) ? `${SMOOTHING_METHODS[smoothing.method].short} ${Math.round(smoothing.strength * 100)}%` : '');
+
+// [start, end] index of the points within ±bandwidth RPM of each point
+const windows = (xs, bandwidth) => {
+  const result = [];
+  let lo = 0;
+  let hi = 0;
+  xs.forEach((x, i) => {
+    while (xs[lo] < x - bandwidth) lo++;
+    if (hi < i) hi = i;
+    while (hi + 1 < xs.length && xs[hi + 1] <= x + bandwidth) hi++;
+    result.push([lo, hi]);
+  });
+  return result;
+};
+
+// Weighted least-squares polynomial (degree 1 or 2) around x0, returning its
+// value at x0. Centring on x0 makes that the constant term.
+const localFit = (xs, ys, weights, x0, degree) => {
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+
+  xs.forEach((x, k) => {
+    const w = weights[k];
+    if (w <= 0) return;
+    const powers = [1, x - x0, (x - x0) * (x - x0)];
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) matrix[r][c] += w * powers[r] * powers[c];
+      matrix[r][size] += w * powers[r] * ys[k];
+    }
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-9) return null;
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = matrix[r][col] / matrix[col][col];
+      for (let c = col; c <= size; c++) matrix[r][c] -= factor * matrix[col][c];
+    }
+  }
+
+  return matrix[0][size] / matrix[0][0];
+};
+
+const weightedMean = (ys, weights) => {
+  let total = 0;
+  let sum = 0;
+  ys.forEach((y, k) => {
+    total += weights[k];
+    sum += weights[k] * y;
+  });
+  return total > 0 ? sum / total : ys[0];
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// One LOWESS fit: a local line per point, tricube-weighted by distance and
+// scaled by the robustness weights
+const lowessPass = (xs, ys, spans, bandwidth, robustness) => spans.map(([lo, hi], i) => {
+  const windowXs = xs.slice(lo, hi + 1);
+  const windowYs = ys.slice(lo, hi + 1);
+  const weights = windowXs.map((x, k) => {
+    // Just past the bandwidth so points on its edge keep a little weight
+    const distance = Math.abs(x - xs[i]) / (bandwidth * 1.0001);
+    return (1 - distance ** 3) ** 3 * robustness[lo + k];
+  });
+  return localFit(windowXs, windowYs, weights, xs[i], 1) ?? weightedMean(windowYs, weights);
+});
+
+// Robustness weights from the residuals; null once the fit is exact
+const bisquareWeights = (ys, fitted) => {
+  const residuals = ys.map((y, i) => y - fitted[i]);
+  const absolute = residuals.map(Math.abs);
+  // A mostly flat curve fits exactly almost everywhere; fall back to the
+  // mean so one outlier still gets down-weighted
+  const scale = 6 * (median(absolute) || absolute.reduce((sum, r) => sum + r, 0) / absolute.length);
+  if (scale <= 0) return null;
+  return residuals.map(r => (Math.abs(r) < scale ? (1 - (r / scale) ** 2) ** 2 : 0));
+};
+
+// One smoothed value per point for the kernel methods
+const KERNELS = {
+  movingAverage: (xs, ys, bandwidth) => windows(xs, bandwidth).map(([lo, hi]) =>
+    weightedMean(ys.slice(lo, hi + 1), new Array(hi - lo + 1).fill(1))),
+
+  gaussian: (xs, ys, bandwidth) => {
+    const sigma = bandwidth / 2;
+    return windows(xs, bandwidth).map(([lo, hi], i) => {
+      const weights = [];
+      for (let j = lo; j <= hi; j++) weights.push(Math.exp(-((xs[j] - xs[i]) ** 2) / (2 * sigma * sigma)));
+      return weightedMean(ys.slice(lo, hi + 1), weights);
+    });
+  },
+
+  // Local quadratic, uniform weights - Savitzky–Golay generalised to uneven
+  // spacing. Windows too short for a quadratic get a straight line.
+  savitzkyGolay: (xs, ys, bandwidth) => windows(xs, bandwidth).map(([lo, hi], i) => {
+    const windowXs = xs.slice(lo, hi + 1);
+    const windowYs = ys.slice(lo, hi + 1);
+    const weights = new Array(windowXs.length).fill(1);
+    const degree = windowXs.length < 4 ? 1 : 2;
+    return localFit(windowXs, windowYs, weights, xs[i], degree) ?? weightedMean(windowYs, weights);
+  }),
+
+  // Local linear fits with tricube weights, then bisquare robustness passes
+  // so a single spike doesn't drag its neighbours up
+  lowess: (xs, ys, bandwidth) => {
+    const spans = windows(xs, bandwidth);
+    let robustness = new Array(ys.length).fill(1);
+    let fitted = lowessPass(xs, ys, spans, bandwidth, robustness);
+
+    for (let iteration = 0; iteration < LOWESS_ITERATIONS; iteration++) {
+      robustness = bisquareWeights(ys, fitted);
+      if (!robustness) break;
+      fitted = lowessPass(xs, ys, spans, bandwidth, robustness);
+    }
+
+    return fitted;
+  }
+};
+
+// One point per RPM bin (2 × bandwidth wide) at the bins' mean RPM
+const binAverage = (points, bandwidth, preserved) => {
+  const width = Math.max(2 * bandwidth, 1);
+  const bins = new Map();
+  points.forEach((point, i) => {
+    const bin = Math.floor(point.rpm / width);
+    if (!bins.has(bin)) bins.set(bin, []);
+    bins.get(bin).push(i);
+  });
+
+  return [...bins.values()].map(indices => {
+    const members = indices.map(i => points[i]);
+    const result = {
+      ...members[Math.floor(members.length / 2)],
+      rpm: Math.round(members.reduce((sum, p) => sum + p.rpm, 0) / members.length)
+    };
+    SMOOTHED_KEYS.forEach(key => {
+      const kept = indices.filter(i => preserved[key].has(i));
+      result[key] = kept.length > 0
+        ? points[kept[0]][key]
+        : roundHalfEven(members.reduce((sum, p) => sum + p[key], 0) / members.length, 1);
+    });
+    return result;
+  });
+};
+
+// Smooth horsepower, torque and boost; other fields pass through. Points come
+// back sorted by RPM. With preservePeaks, genuine peaks (a point clear of its
+// neighbours and the local maximum) keep their logged value, like the API.
+export const smoothCurve = (points, smoothing) => {
+  if (!isSmoothed(smoothing) || points.length < 3) return points;
+
+  const sorted = [...points].sort((a, b) => a.rpm - b.rpm);
+  const bandwidth = smoothingBandwidth(smoothing.strength);
+  const preserved = {};
+  SMOOTHED_KEYS.forEach(key => {
+    preserved[key] = new Set(smoothing.preservePeaks ? identifyGenuinePeaks(sorted.map(p => p[key])) : []);
+  });
+
+  if (smoothing.method === 'rpmBins') return binAverage(sorted, bandwidth, preserved);
+
+  const xs = sorted.map(p => p.rpm);
+  const smoothed = {};
+  SMOOTHED_KEYS.forEach(key => {
+    smoothed[key] = KERNELS[smoothing.method](xs, sorted.map(p => p[key]), bandwidth);
+  });
+
+  return sorted.map((point, i) => {
+    const result = { ...point };
+    SMOOTHED_KEYS.forEach(key => {
+      result[key] = preserved[key].has(i) ? point[key] : roundHalfEven(smoothed[key][i], 1);
+    });
+    return result;
+  });
+};
+
+const peakOf = (points, key) => points.reduce((best, p) => (!best || p[key] > best[key] ? p : best), null);
+
+// How far smoothing moved the HP and torque peaks: { horsepower, torque },
+// each { value, rpm, delta, rpmShift }
+export const peakShift = (raw, smoothed) => {
+  const shift = {};
+  ['horsepower', 'torque'].forEach(key => {
+    const before = peakOf(raw, key);
+    const after = peakOf(smoothed, key);
+    shift[key] = before && after
+      ? { value: after[key], rpm: after.rpm, delta: after[key] - before[key], rpmShift: after.rpm - before.rpm }
+      : null;
+  });
+  return shift;
+};
+
+// Every method at the same strength and peak setting, for comparing them
+export const compareMethods = (points, smoothing) => Object.keys(SMOOTHING_METHODS).map(method => ({
+  method,
+  ...peakShift(points, smoothCurve(points, { ...smoothing, method }))
+}));
@@ -0,0 +1,129 @@
+import {
+  smoothCurve,
+  peakShift,
+  compareMethods,
+  smoothingLabel,
+  smoothingTag,
+  SMOOTHING_METHODS,
+  DEFAULT_SMOOTHING
+} from './smoothing';
+
+// A smooth quadratic power curve every 100 rpm with alternating ±4 noise
+const cleanHp = (rpm) => 250 - ((rpm - 5500) / 100) ** 2 * 0.3;
+const noisyCurve = () => Array.from({ length: 41 }, (_, i) => {
+  const rpm = 2500 + i * 100;
+  const horsepower = cleanHp(rpm) + (i % 2 === 0 ? 4 : -4);
+  return { rpm, horsepower, torque: horsepower * 5252 / rpm, boost: 15 };
+});
+
+// Mean distance from the noise-free curve, away from the ends
+const noiseLeft = (points) => {
+  const inner = points.filter(p => p.rpm >= 3000 && p.rpm <= 6000);
+  return inner.reduce((sum, p) => sum + Math.abs(p.horsepower - cleanHp(p.rpm)), 0) / inner.length;
+};
+
+describe('smoothCurve', () => {
+  test('strength 0 leaves the curve alone', () => {
+    const curve = noisyCurve();
+    expect(smoothCurve(curve, DEFAULT_SMOOTHING)).toBe(curve);
+  });
+
+  test.each(Object.keys(SMOOTHING_METHODS))('%s takes out the noise', (method) => {
+    const curve = noisyCurve();
+    const smoothed = smoothCurve(curve, { method, strength: 0.5, preservePeaks: false });
+
+    expect(noiseLeft(smoothed)).toBeLessThan(noiseLeft(curve) / 2);
+    expect(smoothed.every(p => p.boost === 15)).toBe(true);
+  });
+
+  test('more strength means a smoother curve', () => {
+    const curve = noisyCurve();
+    const light = smoothCurve(curve, { method: 'movingAverage', strength: 0.1, preservePeaks: false });
+    const heavy = smoothCurve(curve, { method: 'movingAverage', strength: 0.6, preservePeaks: false });
+
+    expect(noiseLeft(heavy)).toBeLessThan(noiseLeft(light));
+  });
+
+  test('works in RPM, so uneven spacing and input order do not matter', () => {
+    const curve = [{ rpm: 3000, horsepower: 100 }, { rpm: 3050, horsepower: 110 }, { rpm: 3900, horsepower: 300 }]
+      .map(p => ({ ...p, torque: 0, boost: 0 }));
+    const smoothed = smoothCurve([...curve].reverse(), { method: 'movingAverage', strength: 0.25, preservePeaks: false });
+
+    // ±100 rpm window: the two close points average, the far one stands alone
+    expect(smoothed.map(p => p.horsepower)).toEqual([105, 105, 300]);
+  });
+
+  test('Savitzky–Golay and LOWESS keep a straight line straight', () => {
+    const line = Array.from({ length: 20 }, (_, i) => ({ rpm: 3000 + i * 137, horsepower: 100 + i * 5, torque: 200, boost: 10 }));
+
+    ['savitzkyGolay', 'lowess'].forEach(method => {
+      const smoothed = smoothCurve(line, { method, strength: 1, preservePeaks: false });
+      smoothed.forEach((p, i) => expect(p.horsepower).toBeCloseTo(line[i].horsepower, 1));
+    });
+  });
+
+  test('LOWESS shrugs off a single spike', () => {
+    const line = Array.from({ length: 21 }, (_, i) => ({ rpm: 3000 + i * 100, horsepower: 200, torque: 200, boost: 10 }));
+    line[10] = { ...line[10], horsepower: 260 };
+
+    const lowess = smoothCurve(line, { method: 'lowess', strength: 0.5, preservePeaks: false });
+    const gaussian = smoothCurve(line, { method: 'gaussian', strength: 0.5, preservePeaks: false });
+
+    expect(lowess[9].horsepower).toBeCloseTo(200, 0);
+    expect(gaussian[9].horsepower).toBeGreaterThan(205);
+  });
+
+  test('RPM bins give one point per bin', () => {
+    const smoothed = smoothCurve(noisyCurve(), { method: 'rpmBins', strength: 0.5, preservePeaks: false });
+
+    // 400 rpm bins from 2400; the first holds 2500-2700
+    expect(smoothed).toHaveLength(11);
+    expect(smoothed[0].rpm).toBe(2600);
+  });
+
+  test('keeping peaks leaves genuine peaks at their logged value, like the API', () => {
+    const curve = noisyCurve().map(p => ({ ...p, horsepower: 200 }));
+    curve[20] = { ...curve[20], horsepower: 240 };
+
+    const kept = smoothCurve(curve, { method: 'gaussian', strength: 0.5, preservePeaks: true });
+    const flattened = smoothCurve(curve, { method: 'gaussian', strength: 0.5, preservePeaks: false });
+
+    expect(kept[20].horsepower).toBe(240);
+    expect(flattened[20].horsepower).toBeLessThan(220);
+  });
+});
+
+describe('peak shift', () => {
+  test('reports how far the HP and TQ peaks moved', () => {
+    const raw = [
+      { rpm: 3000, horsepower: 150, torque: 262 },
+      { rpm: 5000, horsepower: 230, torque: 240 },
+      { rpm: 5500, horsepower: 228, torque: 218 }
+    ];
+    const smoothed = [
+      { rpm: 3000, horsepower: 152, torque: 258.5 },
+      { rpm: 5000, horsepower: 224, torque: 236 },
+      { rpm: 5500, horsepower: 226.5, torque: 216 }
+    ];
+
+    const shift = peakShift(raw, smoothed);
+
+    expect(shift.horsepower).toEqual({ value: 226.5, rpm: 5500, delta: -3.5, rpmShift: 500 });
+    expect(shift.torque).toEqual({ value: 258.5, rpm: 3000, delta: -3.5, rpmShift: 0 });
+  });
+
+  test('compares every method at the same settings', () => {
+    const rows = compareMethods(noisyCurve(), { method: 'gaussian', strength: 0.5, preservePeaks: false });
+
+    expect(rows.map(r => r.method)).toEqual(Object.keys(SMOOTHING_METHODS));
+    // Smoothing out +4 noise pulls the peak down
+    rows.forEach(row => expect(row.horsepower.delta).toBeLessThan(0));
+  });
+});
+
+test('labels', () => {
+  expect(smoothingLabel(DEFAULT_SMOOTHING)).toBe('None');
+  expect(smoothingLabel({ method: 'lowess', strength: 0.35, preservePeaks: true })).toBe('LOWESS 35%, peaks kept');
+  expect(smoothingTag({ method: 'savitzkyGolay', strength: 0.5, preservePeaks: false })).toBe('S-G 50%');
+  expect(smoothingTag(DEFAULT_SMOOTHING)).toBe('');
+});
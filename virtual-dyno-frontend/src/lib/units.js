@@ -0,0 +1,146 @@
+// Display units
+// Everything is calculated and stored in the canonical (imperial) units the
+// backend uses: hp, lb-ft, psi, °F, lb, AFR. Conversion only happens at the
+// edges - when a value is shown, typed in or exported - so nothing is ever
+// converted twice.
+
+const STORAGE_KEY = 'virtualDyno.units';
+
+// factor/offset take a canonical value to the unit: (value + offset) * factor
+export const UNIT_QUANTITIES = {
+  power: {
+    label: 'Power',
+    units: {
+      hp: { label: 'hp', factor: 1 },
+      kW: { label: 'kW', factor: 0.745699872 },
+      PS: { label: 'PS', factor: 1.01386967 }
+    }
+  },
+  torque: {
+    label: 'Torque',
+    units: {
+      lbft: { label: 'lb-ft', factor: 1 },
+      Nm: { label: 'Nm', factor: 1.35581795 }
+    }
+  },
+  pressure: {
+    label: 'Boost',
+    units: {
+      psi: { label: 'psi', factor: 1, digits: 1 },
+      bar: { label: 'bar', factor: 1 / 14.5037738, digits: 2 },
+      kPa: { label: 'kPa', factor: 6.89475729, digits: 0 }
+    }
+  },
+  temperature: {
+    label: 'Temperature',
+    units: {
+      F: { label: '°F', factor: 1 },
+      C: { label: '°C', factor: 5 / 9, offset: -32 }
+    }
+  },
+  weight: {
+    label: 'Weight',
+    units: {
+      lb: { label: 'lb', factor: 1 },
+      kg: { label: 'kg', factor: 0.45359237 }
+    }
+  },
+  mixture: {
+    label: 'Mixture',
+    units: {
+      afr: { label: 'AFR', factor: 1, digits: 1 },
+      lambda: { label: 'λ', factor: 1 / 14.7, digits: 2 }
+    }
+  },
+  baro: {
+    label: 'Baro',
+    units: {
+      inHg: { label: 'inHg', factor: 1, digits: 2 },
+      kPa: { label: 'kPa', factor: 3.38638866, digits: 1 }
+    }
+  },
+  altitude: {
+    label: 'Altitude',
+    units: {
+      ft: { label: 'ft', factor: 1 },
+      m: { label: 'm', factor: 0.3048 }
+    }
+  },
+  area: {
+    label: 'Frontal area',
+    units: {
+      ft2: { label: 'ft²', factor: 1, digits: 2 },
+      m2: { label: 'm²', factor: 0.09290304, digits: 3 }
+    }
+  }
+};
+
+// Quantities that follow another preference rather than having their own
+const LINKED_QUANTITIES = {
+  temperatureRise: 'temperature'
+};
+
+export const UNIT_PRESETS = {
+  imperial: { label: 'Imperial', units: { power: 'hp', torque: 'lbft', pressure: 'psi', temperature: 'F', weight: 'lb', mixture: 'afr', baro: 'inHg', altitude: 'ft', area: 'ft2' } },
+  metric: { label: 'Metric', units: { power: 'kW', torque: 'Nm', pressure: 'bar', temperature: 'C', weight: 'kg', mixture: 'lambda', baro: 'kPa', altitude: 'm', area: 'm2' } }
+};
+
+export const DEFAULT_UNITS = UNIT_PRESETS.imperial.units;
+
+const unitInfo = (quantity, units) => {
+  const base = LINKED_QUANTITIES[quantity] || quantity;
+  const { units: options } = UNIT_QUANTITIES[base];
+  const info = options[units[base]] || options[DEFAULT_UNITS[base]];
+  // A temperature rise has no offset: 10 °F warmer is 5.6 °C warmer
+  return LINKED_QUANTITIES[quantity] ? { ...info, offset: 0 } : info;
+};
+
+export const unitLabel = (quantity, units) => unitInfo(quantity, units).label;
+
+// Decimal places that suit the unit (bar and lambda need more than psi)
+export const unitDigits = (quantity, units, fallback = 0) => unitInfo(quantity, units).digits ?? fallback;
+
+export const toDisplay = (quantity, value, units) => {
+  if (!Number.isFinite(value)) return null;
+  const { factor, offset = 0 } = unitInfo(quantity, units);
+  return (value + offset) * factor;
+};
+
+export const fromDisplay = (quantity, value, units) => {
+  if (!Number.isFinite(value)) return null;
+  const { factor, offset = 0 } = unitInfo(quantity, units);
+  return value / factor - offset;
+};
+
+// "228 kW" / "75°F" style text; digits defaults to the unit's own precision
+export const formatQuantity = (quantity, value, units, digits) => {
+  const converted = toDisplay(quantity, value, units);
+  if (converted === null) return '—';
+  const label = unitLabel(quantity, units);
+  return `${converted.toFixed(digits ?? unitDigits(quantity, units))}${label.startsWith('°') ? '' : ' '}${label}`;
+};
+
+// Which preset (if any) the current choices match
+export const matchingPreset = (units) => Object.keys(UNIT_PRESETS).find(preset =>
+  Object.entries(UNIT_PRESETS[preset].units).every(([quantity, unit]) => units[quantity] === unit)) || null;
+
+export const loadUnits = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    const units = { ...DEFAULT_UNITS };
+    Object.entries(stored).forEach(([quantity, unit]) => {
+      if (UNIT_QUANTITIES[quantity]?.units[unit]) units[quantity] = unit;
+    });
+    return units;
+  } catch (error) {
+    return { ...DEFAULT_UNITS };
+  }
+};
+
+export const saveUnits = (units) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+  } catch (error) {
+    console.warn('⚠️ Could not save unit preferences:', error);
+  }
+};
@@ -0,0 +1,69 @@
+import {
+  toDisplay,
+  fromDisplay,
+  formatQuantity,
+  unitLabel,
+  matchingPreset,
+  loadUnits,
+  saveUnits,
+  DEFAULT_UNITS,
+  UNIT_PRESETS
+} from './units';
+
+const METRIC = UNIT_PRESETS.metric.units;
+
+describe('conversion', () => {
+  test('converts canonical values to metric display units', () => {
+    expect(toDisplay('power', 300, METRIC)).toBeCloseTo(223.71, 2);
+    expect(toDisplay('power', 300, { ...METRIC, power: 'PS' })).toBeCloseTo(304.16, 2);
+    expect(toDisplay('torque', 300, METRIC)).toBeCloseTo(406.75, 2);
+    expect(toDisplay('pressure', 14.5037738, METRIC)).toBeCloseTo(1, 6);
+    expect(toDisplay('pressure', 10, { ...METRIC, pressure: 'kPa' })).toBeCloseTo(68.95, 2);
+    expect(toDisplay('temperature', 212, METRIC)).toBeCloseTo(100, 6);
+    expect(toDisplay('weight', 3200, METRIC)).toBeCloseTo(1451.5, 1);
+    expect(toDisplay('mixture', 14.7, METRIC)).toBeCloseTo(1, 6);
+    expect(toDisplay('baro', 29.92, METRIC)).toBeCloseTo(101.32, 2);
+  });
+
+  test('imperial is the identity and missing values stay missing', () => {
+    expect(toDisplay('power', 228, DEFAULT_UNITS)).toBe(228);
+    expect(toDisplay('temperature', 77, DEFAULT_UNITS)).toBe(77);
+    expect(toDisplay('torque', null, METRIC)).toBeNull();
+  });
+
+  test('input round-trips back to the canonical value', () => {
+    ['power', 'torque', 'pressure', 'temperature', 'weight', 'mixture', 'baro', 'altitude', 'area'].forEach(quantity => {
+      expect(fromDisplay(quantity, toDisplay(quantity, 42.5, METRIC), METRIC)).toBeCloseTo(42.5, 9);
+    });
+  });
+
+  test('a temperature rise converts without the offset', () => {
+    expect(toDisplay('temperatureRise', 18, METRIC)).toBeCloseTo(10, 6);
+    expect(unitLabel('temperatureRise', METRIC)).toBe('°C');
+  });
+});
+
+test('formats with the unit precision', () => {
+  expect(formatQuantity('pressure', 18.8, DEFAULT_UNITS)).toBe('18.8 psi');
+  expect(formatQuantity('pressure', 18.8, METRIC)).toBe('1.30 bar');
+  expect(formatQuantity('power', 228, METRIC)).toBe('170 kW');
+  expect(formatQuantity('temperature', 77, METRIC, 0)).toBe('25°C');
+  expect(formatQuantity('power', null, METRIC)).toBe('—');
+});
+
+describe('preferences', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('recognises the presets', () => {
+    expect(matchingPreset(DEFAULT_UNITS)).toBe('imperial');
+    expect(matchingPreset(METRIC)).toBe('metric');
+    expect(matchingPreset({ ...METRIC, power: 'PS' })).toBeNull();
+  });
+
+  test('stored choices load over the defaults, unknown units are ignored', () => {
+    expect(loadUnits()).toEqual(DEFAULT_UNITS);
+
+    saveUnits({ power: 'kW', torque: 'furlongs' });
+    expect(loadUnits()).toEqual({ ...DEFAULT_UNITS, power: 'kW' });
+  });
+});
@@ -0,0 +1,6 @@
+// Kept in its own module: webpack needs this exact new Worker(new URL(...))
+// form to bundle the worker, and Jest can't parse import.meta, so nothing
+// imports this statically.
+const createLogWorker = () => new Worker(new URL('./logProcessor.worker.js', import.meta.url));
+
+export default createLogWorker;
@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { runLogTask } from '../lib/logProcessing';
+
+// Messages in: { task, payload }. Out: progress updates, then one done or error.
+self.onmessage = ({ data }) => {
+  try {
+    const result = runLogTask(data.task, data.payload, (stage, fraction) => {
+      self.postMessage({ type: 'progress', stage, fraction });
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};